@@ -41,12 +41,13 @@ async function healthCheck() {
     console.log(`   错误: ${error.message}`);
   }
 
-  // 检查OSS连接
-  if (ConfigManager.isOSSConfigured()) {
-    console.log('✅ OSS配置已启用');
-    // 这里可以添加OSS连接测试
+  // 检查图片存储
+  const storageDriver = ConfigManager.getStorageDriver();
+  if (storageDriver) {
+    console.log(`✅ 图片存储已启用: ${storageDriver}`);
+    // 这里可以添加存储连接测试
   } else {
-    console.log('ℹ️  OSS未配置，使用本地存储');
+    console.log('ℹ️  图片存储未配置，图片以base64形式返回');
   }
 
   console.log('\n🎉 健康检查完成！');
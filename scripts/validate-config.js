@@ -24,8 +24,18 @@ try {
   console.log(`   - 任务超时: ${ConfigManager.get('queue.taskTimeout')}秒`);
   console.log(`   - 任务保留天数: ${ConfigManager.get('storage.taskRetentionDays')}天\n`);
 
-  // 验证OSS配置
-  if (ConfigManager.isOSSConfigured()) {
+  // 验证图片存储配置
+  const storageDriver = ConfigManager.getStorageDriver();
+  if (storageDriver === 's3') {
+    console.log('✅ S3存储配置验证通过');
+    console.log(`   - 服务地址: ${ConfigManager.get('s3.endpoint') || 'AWS S3'}`);
+    console.log(`   - 存储桶: ${ConfigManager.get('s3.bucket')}`);
+    console.log(`   - 路径前缀: ${ConfigManager.get('s3.pathPrefix')}`);
+  } else if (storageDriver === 'local') {
+    console.log('✅ 本地存储配置验证通过');
+    console.log(`   - 存储目录: ${ConfigManager.get('local.rootDir')}`);
+    console.log(`   - 访问地址: ${ConfigManager.get('local.publicUrl')}`);
+  } else if (storageDriver === 'oss') {
     console.log('✅ OSS配置验证通过');
     console.log(`   - 区域: ${ConfigManager.get('oss.region')}`);
     console.log(`   - 存储桶: ${ConfigManager.get('oss.bucket')}`);
@@ -34,8 +44,9 @@ try {
       console.log(`   - 自定义域名: ${ConfigManager.get('oss.customDomain')}`);
     }
   } else {
-    console.log('⚠️  OSS配置未设置 - 将使用本地存储模式');
-    console.log('   如需使用OSS存储，请设置以下环境变量:');
+    console.log('⚠️  图片存储未配置 - 图片将以base64形式返回');
+    console.log('   如需存储图片，请设置 STORAGE_DRIVER (oss, s3, local) 及对应的环境变量，');
+    console.log('   或设置以下环境变量使用OSS存储:');
     console.log('   - OSS_ACCESS_KEY_ID');
     console.log('   - OSS_ACCESS_KEY_SECRET');
     console.log('   - OSS_BUCKET');
@@ -3,16 +3,35 @@
  * 异步图片生成服务器
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const config = require('./config');
 const logger = require('./utils/logger');
 
 // 导入服务类
+const Task = require('./models/Task');
 const TaskManager = require('./services/TaskManager');
 const OSSClient = require('./services/OSSClient');
+const S3StorageClient = require('./services/S3StorageClient');
+const LocalStorageClient = require('./services/LocalStorageClient');
 const ImageGenerator = require('./services/ImageGenerator');
 const CleanupService = require('./services/CleanupService');
+const ThemeRegistry = require('./services/ThemeRegistry');
+const MapRegistry = require('./services/MapRegistry');
+const BatchArchiver = require('./services/BatchArchiver');
+const TaskStore = require('./services/TaskStore');
+const FileTaskStore = require('./services/FileTaskStore');
+const RedisTaskQueue = require('./services/RedisTaskQueue');
+const RenderPool = require('./services/RenderPool');
+const RenderCache = require('./services/RenderCache');
+const Redis = require('ioredis');
+
+// 多任务事件流单次最多订阅的任务数
+const MAX_STREAM_TASKS = 100;
+
+// 本地存储文件的访问路径，未配置LOCAL_STORAGE_PUBLIC_URL时图片URL指向此路由
+const FILES_PATH = '/api/charts/files';
 
 class App {
   constructor() {
@@ -28,37 +47,82 @@ class App {
    */
   initializeServices() {
     try {
-      // 初始化OSS客户端（如果配置了OSS）
-      this.ossClient = null;
-      
-      if (config.isOSSConfigured()) {
-        const ossConfig = config.getOSSConfig();
-        // OSS客户端将在TaskManager初始化后设置MetricsService
-        this.ossClient = new OSSClient(ossConfig);
-        logger.info('OSS client initialized');
-      } else {
-        logger.warn('OSS not configured, images will not be uploaded to OSS');
-      }
+      // 初始化图片存储（OSS、S3或本地文件系统），未配置时返回base64
+      // 存储客户端将在TaskManager初始化后设置MetricsService
+      this.ossClient = this.createStorageClient(config.getStorageDriver());
+
+      // 初始化主题注册中心
+      const chartConfig = config.getChartConfig();
+      this.themeRegistry = new ThemeRegistry({ themeDir: chartConfig.themeDir });
+      logger.info('Theme registry initialized');
+
+      // 初始化地图注册中心
+      this.mapRegistry = new MapRegistry({
+        mapDir: chartConfig.mapDir,
+        maxInlineMapSize: chartConfig.maxInlineMapSize,
+        maxInlineMaps: chartConfig.maxInlineMaps
+      });
+      logger.info('Map registry initialized');
 
       // 初始化图片生成器
-      this.imageGenerator = new ImageGenerator(this.ossClient);
+      this.imageGenerator = new ImageGenerator(this.ossClient, {
+        ...chartConfig,
+        themeRegistry: this.themeRegistry,
+        mapRegistry: this.mapRegistry
+      });
       logger.info('Image generator initialized');
 
+      // 初始化渲染线程池（工作线程中的ECharts实例按需同步主题和地图）
+      const renderPool = chartConfig.renderPoolSize > 0
+        ? new RenderPool({
+          size: chartConfig.renderPoolSize,
+          maxRenders: chartConfig.renderWorkerMaxRenders,
+          maxMemory: chartConfig.renderWorkerMaxMemory,
+          heapLimit: chartConfig.renderWorkerHeapLimit,
+          generatorOptions: chartConfig,
+          fontFiles: this.imageGenerator.fontRegistry.getFontFiles()
+        })
+        : null;
+
+      // 初始化渲染缓存
+      const renderCache = chartConfig.renderCacheEnabled
+        ? new RenderCache(this.ossClient, {
+          maxMemory: chartConfig.renderCacheMaxMemory * 1024 * 1024,
+          storage: chartConfig.renderCacheStorage,
+          ttlDays: chartConfig.renderCacheTtlDays
+        })
+        : null;
+
       // 初始化任务管理器
       const queueConfig = config.getQueueConfig();
       const storageConfig = config.getStorageConfig();
+      const taskQueue = queueConfig.backend === 'redis' ? this.createRedisTaskQueue(queueConfig) : null;
+      // Redis队列自身保存任务，不再使用任务存储
+      const taskStore = storageConfig.taskStore === 'file' && !taskQueue
+        ? new FileTaskStore({ filePath: storageConfig.taskStorePath, secretKey: storageConfig.taskStoreKey })
+        : new TaskStore();
+      if (taskQueue && storageConfig.taskStore === 'file') {
+        logger.warn('TASK_STORE=file is ignored when QUEUE_BACKEND=redis');
+      }
       this.taskManager = new TaskManager(this.imageGenerator, this.ossClient, {
         ...queueConfig,
-        taskRetentionDays: storageConfig.taskRetentionDays
+        taskRetentionDays: storageConfig.taskRetentionDays,
+        taskQueue,
+        taskStore,
+        renderPool,
+        renderCache,
+        webhook: config.getWebhookConfig()
       });
       
-      // 将MetricsService传递给OSS客户端
+      // 将MetricsService传递给存储客户端
       if (this.ossClient && this.taskManager.metricsService) {
         this.ossClient.metricsService = this.taskManager.metricsService;
       }
       
       logger.info('Task manager initialized');
 
+      this.batchArchiver = new BatchArchiver(this.taskManager);
+
       // 初始化清理服务
       this.cleanupService = new CleanupService(this.taskManager, {
         cleanupInterval: queueConfig.cleanupInterval,
@@ -73,6 +137,58 @@ class App {
     }
   }
 
+  /**
+   * 创建图片存储客户端
+   * @param {string|null} driver - oss | s3 | local，为null时不存储图片
+   * @returns {StorageClient|null}
+   */
+  createStorageClient(driver) {
+    if (!driver) {
+      logger.warn('Storage not configured, images will be returned as base64 data URLs');
+      return null;
+    }
+
+    const { privateBucket, signedUrlTtl, allowedPathPrefixes } = config.getStorageConfig();
+
+    let storageClient;
+    if (driver === 's3') {
+      storageClient = new S3StorageClient({ ...config.getS3Config(), privateBucket, signedUrlTtl, allowedPathPrefixes });
+    } else if (driver === 'local') {
+      const localConfig = config.getLocalStorageConfig();
+      storageClient = new LocalStorageClient({
+        ...localConfig,
+        publicUrl: localConfig.publicUrl || FILES_PATH,
+        allowedPathPrefixes
+      });
+    } else {
+      storageClient = new OSSClient({ ...config.getOSSConfig(), privateBucket, signedUrlTtl, allowedPathPrefixes });
+    }
+
+    logger.info('Storage client initialized', { driver, privateBucket });
+    return storageClient;
+  }
+
+  /**
+   * 创建Redis分布式任务队列
+   * @param {object} queueConfig - 队列配置
+   * @returns {RedisTaskQueue}
+   */
+  createRedisTaskQueue(queueConfig) {
+    const redis = new Redis(queueConfig.redisUrl);
+
+    // 连接错误由ioredis自动重连，这里只记录日志
+    redis.on('error', (error) => {
+      logger.error('Redis connection error', { error: error.message });
+    });
+
+    logger.info('Redis task queue initialized', { keyPrefix: queueConfig.redisKeyPrefix });
+
+    return new RedisTaskQueue(redis, {
+      ...queueConfig,
+      keyPrefix: queueConfig.redisKeyPrefix
+    });
+  }
+
   setupMiddleware() {
     // CORS支持
     this.app.use(cors());
@@ -154,13 +270,45 @@ class App {
   setupAPIRoutes() {
     // 异步任务API端点
     this.app.post('/api/charts/generate', 
+      this.resolveTenant.bind(this),
       this.validateChartRequest.bind(this),
+      this.validateCallback.bind(this),
+      this.validatePriority.bind(this),
+      this.validateTimeout.bind(this),
+      this.resolveIdempotencyKey.bind(this),
       this.createChartTask.bind(this)
     );
+    this.app.post('/api/charts/render',
+      this.resolveTenant.bind(this),
+      this.validateChartRequest.bind(this),
+      this.validateTimeout.bind(this),
+      this.renderChart.bind(this)
+    );
+    this.app.post('/api/charts/batch',
+      this.resolveTenant.bind(this),
+      this.validateTimeout.bind(this),
+      this.createBatch.bind(this)
+    );
+    this.app.get('/api/charts/batch/:batchId', this.getBatchStatus.bind(this));
+    this.app.get('/api/charts/batch/:batchId/download', this.downloadBatch.bind(this));
+    this.app.get(`${FILES_PATH}/:fileName(*)`, this.serveFile.bind(this));
     this.app.get('/api/charts/status/:taskId', 
       this.validateTaskId.bind(this),
       this.getTaskStatus.bind(this)
     );
+    this.app.get('/api/charts/status/:taskId/url',
+      this.validateTaskId.bind(this),
+      this.getTaskImageUrl.bind(this)
+    );
+    this.app.get('/api/charts/status/:taskId/events',
+      this.validateTaskId.bind(this),
+      this.streamTaskEvents.bind(this)
+    );
+    this.app.get('/api/charts/events', this.streamTaskEvents.bind(this));
+    this.app.delete('/api/charts/tasks/:taskId',
+      this.validateTaskId.bind(this),
+      this.cancelTask.bind(this)
+    );
     
     // 系统监控API端点
     this.app.get('/api/system/queue-status', this.getQueueStatus.bind(this));
@@ -171,13 +319,65 @@ class App {
     // 清理管理API端点
     this.app.get('/api/system/cleanup-status', this.getCleanupStatus.bind(this));
     this.app.post('/api/system/cleanup/manual', this.triggerManualCleanup.bind(this));
+    
+    // 主题管理API端点
+    this.app.get('/api/system/themes', this.listThemes.bind(this));
+    this.app.post('/api/system/themes',
+      this.requireAdminToken.bind(this),
+      this.registerTheme.bind(this)
+    );
+    
+    // 字体查询API端点
+    this.app.get('/api/system/fonts', this.listFonts.bind(this));
+    
+    // 地图管理API端点
+    this.app.get('/api/system/maps', this.listMaps.bind(this));
+    this.app.post('/api/system/maps',
+      this.requireAdminToken.bind(this),
+      this.createMap.bind(this)
+    );
+    this.app.get('/api/system/maps/:name', this.getMap.bind(this));
+    this.app.put('/api/system/maps/:name',
+      this.requireAdminToken.bind(this),
+      this.updateMap.bind(this)
+    );
+    this.app.delete('/api/system/maps/:name',
+      this.requireAdminToken.bind(this),
+      this.deleteMap.bind(this)
+    );
   }
 
   /**
    * 验证图表生成请求
    */
   validateChartRequest(req, res, next) {
-    const { type, width, height, option } = req.body;
+    const errors = this.getChartRequestErrors(req.body, req.tenant);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: errors.join(', ')
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * 校验图表请求参数
+   * @param {object} body - 请求体（或批量请求中的单个图表配置）
+   * @param {string} tenant - 提交请求的租户，用于校验ossPath
+   * @returns {Array<string>} 错误信息
+   */
+  getChartRequestErrors(body, tenant) {
+    const {
+      type, width, height, option, pdfOptions, svgOptions, pixelRatio, theme, fontFamily, maps, ossPath, fileName, overwrite, cache
+    } = body;
     const errors = [];
 
     // 验证必需参数
@@ -188,7 +388,7 @@ class App {
     }
 
     // 验证可选参数
-    if (type && !['png', 'jpeg', 'jpg', 'svg', 'pdf'].includes(type.toLowerCase())) {
+    if (type && (typeof type !== 'string' || !['png', 'jpeg', 'jpg', 'svg', 'pdf'].includes(type.toLowerCase()))) {
       errors.push('type must be one of: png, jpeg, jpg, svg, pdf');
     }
 
@@ -200,6 +400,161 @@ class App {
       errors.push('height must be a number between 1 and 4000');
     }
 
+    if (pixelRatio !== undefined) {
+      if (typeof pixelRatio !== 'number' || !(pixelRatio > 0)) {
+        errors.push('pixelRatio must be a positive number');
+      } else {
+        // 放大后的像素尺寸不能超过上限
+        const { maxPixelSize } = config.getChartConfig();
+        const pixelWidth = Math.round((width || 600) * pixelRatio);
+        const pixelHeight = Math.round((height || 400) * pixelRatio);
+        if (pixelWidth > maxPixelSize || pixelHeight > maxPixelSize) {
+          errors.push(`width/height multiplied by pixelRatio must not exceed ${maxPixelSize} pixels`);
+        }
+      }
+    }
+
+    if (theme !== undefined) {
+      if (typeof theme !== 'string') {
+        errors.push('theme must be a string');
+      } else if (!this.themeRegistry.hasTheme(theme)) {
+        errors.push(`theme ${theme} is not registered`);
+      }
+    }
+
+    if (fontFamily !== undefined) {
+      if (typeof fontFamily !== 'string') {
+        errors.push('fontFamily must be a string');
+      } else if (!this.imageGenerator.fontRegistry.hasFamily(fontFamily)) {
+        errors.push(`fontFamily ${fontFamily} is not available`);
+      }
+    }
+
+    if (maps !== undefined) {
+      if (!maps || typeof maps !== 'object' || Array.isArray(maps)) {
+        errors.push('maps must be an object of map name to GeoJSON');
+      } else {
+        const { maxInlineMapSize, maxInlineMaps } = config.getChartConfig();
+        if (Object.keys(maps).length > maxInlineMaps) {
+          errors.push(`maps must not contain more than ${maxInlineMaps} maps`);
+        }
+        for (const [name, geoJSON] of Object.entries(maps)) {
+          try {
+            this.mapRegistry.validateGeoJSON(geoJSON);
+            if (JSON.stringify(geoJSON).length > maxInlineMapSize) {
+              errors.push(`maps.${name} must not exceed ${maxInlineMapSize} bytes`);
+            }
+          } catch (error) {
+            errors.push(`maps.${name}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    // 引用的地图必须已注册或在请求中内联；函数字符串需服务端开启
+    if (option && typeof option === 'object') {
+      const inlineMaps = maps && typeof maps === 'object' ? maps : {};
+      const missingMaps = this.mapRegistry.collectMapNames(option)
+        .filter(name => !this.mapRegistry.hasMap(name) && !inlineMaps[name]);
+      if (missingMaps.length > 0) {
+        errors.push(`map ${missingMaps.join(', ')} is not registered`);
+      }
+
+      const functionSandbox = this.imageGenerator.functionSandbox;
+      if (functionSandbox.containsFunctions(option)) {
+        if (!config.getChartConfig().enableFunctions) {
+          const paths = functionSandbox.collectFunctions(option).map(fn => fn.path);
+          errors.push(`option contains JavaScript functions (${paths.join(', ')}) but function support is disabled`);
+        } else {
+          errors.push(...functionSandbox.validate(option).map(error => `option.${error}`));
+        }
+      }
+    }
+
+    if (pdfOptions !== undefined) {
+      if (!pdfOptions || typeof pdfOptions !== 'object') {
+        errors.push('pdfOptions must be an object');
+      } else {
+        const { margin, orientation } = pdfOptions;
+        if (margin !== undefined && (typeof margin !== 'number' || margin < 0 || margin > 500)) {
+          errors.push('pdfOptions.margin must be a number between 0 and 500');
+        }
+        if (orientation !== undefined && !['portrait', 'landscape'].includes(orientation)) {
+          errors.push('pdfOptions.orientation must be one of: portrait, landscape');
+        }
+      }
+    }
+
+    if (svgOptions !== undefined) {
+      if (!svgOptions || typeof svgOptions !== 'object') {
+        errors.push('svgOptions must be an object');
+      } else if (svgOptions.textAsPath !== undefined && typeof svgOptions.textAsPath !== 'boolean') {
+        errors.push('svgOptions.textAsPath must be a boolean');
+      }
+    }
+
+    if (cache !== undefined && typeof cache !== 'boolean') {
+      errors.push('cache must be a boolean');
+    }
+
+    if (overwrite !== undefined && typeof overwrite !== 'boolean') {
+      errors.push('overwrite must be a boolean');
+    }
+
+    // 存储路径在上传时按任务生成，这里用示例任务ID检查模板和允许的前缀；未配置存储时图片以base64返回，不使用路径
+    if ((ossPath !== undefined || fileName !== undefined) && this.ossClient) {
+      try {
+        this.ossClient.resolveObjectName(ossPath === undefined ? '{fileName}' : ossPath, {
+          taskId: '00000000-0000-0000-0000-000000000000',
+          tenant: tenant || Task.DEFAULT_TENANT,
+          fileName,
+          overwrite: overwrite === true
+        });
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * 验证Webhook回调参数
+   */
+  async validateCallback(req, res, next) {
+    const { callbackUrl, callbackSecret } = req.body;
+    const errors = [];
+
+    if (callbackUrl !== undefined) {
+      let url = null;
+      if (typeof callbackUrl === 'string' && callbackUrl.length <= 2048) {
+        try {
+          url = new URL(callbackUrl);
+        } catch (error) {
+          url = null;
+        }
+      }
+
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('callbackUrl must be an http or https URL of at most 2048 characters');
+      } else {
+        // 拒绝解析到内部地址的回调（WEBHOOK_ALLOWED_HOSTS中的除外）
+        try {
+          await this.taskManager.webhookService.checkUrl(callbackUrl);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    if (callbackSecret !== undefined) {
+      if (typeof callbackSecret !== 'string' || callbackSecret.length === 0 || callbackSecret.length > 256) {
+        errors.push('callbackSecret must be a string of 1-256 characters');
+      } else if (callbackUrl === undefined) {
+        errors.push('callbackSecret requires callbackUrl');
+      }
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         code: 400,
@@ -215,6 +570,164 @@ class App {
     next();
   }
 
+  /**
+   * 验证任务优先级参数
+   */
+  validatePriority(req, res, next) {
+    const { priority } = req.body;
+
+    if (priority !== undefined && !Task.PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: `priority must be one of: ${Task.PRIORITIES.join(', ')}`
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * 验证任务超时参数（秒），不能超过服务端的QUEUE_TASK_TIMEOUT
+   */
+  validateTimeout(req, res, next) {
+    const { timeout } = req.body;
+    const { taskTimeout } = config.getQueueConfig();
+
+    if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0) || timeout > taskTimeout)) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: `timeout must be a number of seconds greater than 0 and at most ${taskTimeout}`
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * 读取幂等键，结果保存在req.idempotencyKey
+   * 优先使用Idempotency-Key请求头，也可以在请求体中传idempotencyKey，两者同时存在时必须一致
+   */
+  resolveIdempotencyKey(req, res, next) {
+    const headerKey = req.get('Idempotency-Key');
+    const bodyKey = req.body.idempotencyKey;
+    let details = null;
+
+    if (headerKey !== undefined && bodyKey !== undefined && headerKey !== bodyKey) {
+      details = 'Idempotency-Key header and idempotencyKey field must match';
+    } else {
+      const key = headerKey !== undefined ? headerKey : bodyKey;
+      if (key !== undefined && (typeof key !== 'string' || !Task.IDEMPOTENCY_KEY_PATTERN.test(key))) {
+        details = 'idempotency key must be 1-255 printable ASCII characters without spaces';
+      }
+      req.idempotencyKey = key;
+    }
+
+    if (details) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * 校验管理接口的X-Admin-Token请求头，未配置ADMIN_TOKEN时管理接口不可用
+   */
+  requireAdminToken(req, res, next) {
+    const { adminToken } = config.getServerConfig();
+
+    if (!adminToken) {
+      return res.status(403).json({
+        code: 403,
+        msg: 'Admin API disabled',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: 'Set ADMIN_TOKEN to enable this endpoint'
+        }
+      });
+    }
+
+    // 比较哈希值，长度不同时也不提前返回，避免通过响应时间猜测令牌
+    const token = req.get('X-Admin-Token');
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (token === undefined || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+      return res.status(401).json({
+        code: 401,
+        msg: token === undefined ? 'Admin token required' : 'Invalid admin token',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: 'X-Admin-Token does not match ADMIN_TOKEN'
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * 确定提交任务的租户，结果保存在req.tenant
+   * 配置了TENANT_API_KEYS时必须携带有效的X-API-Key，按Key确定租户，
+   * 否则使用X-Tenant-Id请求头
+   */
+  resolveTenant(req, res, next) {
+    const { apiKeys } = config.getTenantConfig();
+    const apiKey = req.get('X-API-Key');
+
+    if (Object.keys(apiKeys).length > 0) {
+      if (apiKey === undefined || !Object.prototype.hasOwnProperty.call(apiKeys, apiKey)) {
+        return res.status(401).json({
+          code: 401,
+          msg: apiKey === undefined ? 'API key required' : 'Invalid API key',
+          data: null,
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: apiKey === undefined
+              ? 'X-API-Key is required when TENANT_API_KEYS is configured'
+              : 'X-API-Key does not match any configured tenant'
+          }
+        });
+      }
+
+      req.tenant = apiKeys[apiKey];
+      return next();
+    }
+
+    const tenant = req.get('X-Tenant-Id');
+    if (tenant !== undefined && !Task.TENANT_PATTERN.test(tenant)) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: 'X-Tenant-Id must be 1-64 characters of letters, digits, "_", "." or "-"'
+        }
+      });
+    }
+
+    req.tenant = tenant || Task.DEFAULT_TENANT;
+    next();
+  }
+
   /**
    * 验证任务ID参数
    */
@@ -236,26 +749,56 @@ class App {
     next();
   }
 
+  /**
+   * 根据请求体构建任务配置（验证已在中间件中完成）
+   * @param {object} body - 请求体
+   * @returns {object}
+   */
+  buildTaskConfig(body) {
+    const {
+      type, width, height, option, ossPath, fileName, overwrite, base64, download,
+      pdfOptions, svgOptions, pixelRatio, theme, fontFamily, maps, cache
+    } = body;
+
+    // 类型不区分大小写，jpg为jpeg的别名
+    const imageType = (type || 'png').toLowerCase();
+
+    return {
+      type: imageType === 'jpg' ? 'jpeg' : imageType,
+      width: width || 600,
+      height: height || 400,
+      pixelRatio: pixelRatio || 1,
+      theme,
+      fontFamily,
+      maps,
+      option,
+      ossPath,
+      fileName,
+      overwrite: overwrite === true,
+      base64: base64 === true,
+      download: download === true,
+      cache: cache !== false,
+      pdfOptions,
+      svgOptions
+    };
+  }
+
   /**
    * 创建图片生成任务
    */
   async createChartTask(req, res) {
     try {
-      const { type, width, height, option, ossPath, base64, download } = req.body;
-
-      // 构建任务配置（验证已在中间件中完成）
-      const taskConfig = {
-        type: type || 'png',
-        width: width || 600,
-        height: height || 400,
-        option,
-        ossPath,
-        base64: base64 === true,
-        download: download === true
-      };
+      const taskConfig = this.buildTaskConfig(req.body);
+      const { callbackUrl, callbackSecret, priority, timeout } = req.body;
 
       // 创建任务
-      const task = await this.taskManager.createTask(taskConfig);
+      const task = await this.taskManager.createTask(taskConfig, {
+        callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null,
+        priority,
+        tenant: req.tenant,
+        timeout,
+        idempotencyKey: req.idempotencyKey
+      });
 
       // 返回任务信息
       res.json({
@@ -264,26 +807,597 @@ class App {
         data: {
           taskId: task.taskId,
           status: task.status,
+          priority: task.priority,
+          tenant: task.tenant,
+          timeout: task.timeout,
+          idempotencyKey: task.idempotencyKey,
           statusUrl: `/api/charts/status/${task.taskId}`,
           createdAt: task.createdAt
         }
       });
 
-      logger.info('Chart generation task created', {
+      logger.info('Chart generation task created', {
+        taskId: task.taskId,
+        type: taskConfig.type,
+        dimensions: `${taskConfig.width}x${taskConfig.height}`,
+        pixelRatio: taskConfig.pixelRatio
+      });
+
+    } catch (error) {
+      if (error.code === 'TENANT_QUEUE_FULL') {
+        return this.sendTenantQueueFull(res, error);
+      }
+      if (error.code === 'IDEMPOTENCY_KEY_MISMATCH' || error.code === 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+        return this.sendIdempotencyConflict(res, error);
+      }
+
+      logger.error('Failed to create chart task', {
+        error: error.message,
+        body: req.body
+      });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to create task',
+        data: null,
+        error: {
+          type: 'PROCESSING_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 租户等待任务数达到上限
+   * @param {object} res - 响应对象
+   * @param {Error} error - 队列抛出的错误
+   */
+  sendTenantQueueFull(res, error) {
+    res.status(429).json({
+      code: 429,
+      msg: 'Too many pending tasks',
+      data: null,
+      error: {
+        type: 'PROCESSING_ERROR',
+        details: error.message
+      }
+    });
+  }
+
+  /**
+   * 幂等键冲突：已用于内容不同的请求(422)，或相同请求仍在创建中(409)
+   * @param {object} res - 响应对象
+   * @param {Error} error - TaskManager抛出的错误
+   */
+  sendIdempotencyConflict(res, error) {
+    const mismatch = error.code === 'IDEMPOTENCY_KEY_MISMATCH';
+    const status = mismatch ? 422 : 409;
+
+    res.status(status).json({
+      code: status,
+      msg: mismatch ? 'Idempotency key reused with a different request' : 'Request is still being processed',
+      data: null,
+      error: {
+        type: mismatch ? 'VALIDATION_ERROR' : 'PROCESSING_ERROR',
+        details: error.message
+      }
+    });
+  }
+
+  /**
+   * 批量创建图片生成任务
+   * 每一项单独校验，校验失败的项在响应中返回错误，其余项正常创建任务
+   */
+  async createBatch(req, res) {
+    const { charts } = req.body;
+    const { maxBatchSize } = config.getChartConfig();
+
+    if (!Array.isArray(charts) || charts.length === 0 || charts.length > maxBatchSize) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: `charts must be an array of 1 to ${maxBatchSize} chart configs`
+        }
+      });
+    }
+
+    try {
+      const items = charts.map(chart => {
+        if (!chart || typeof chart !== 'object' || Array.isArray(chart)) {
+          return { error: 'chart config must be an object' };
+        }
+
+        const errors = this.getChartRequestErrors(chart, req.tenant);
+        const { name } = chart;
+        if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > 128)) {
+          errors.push('name must be a string of 1-128 characters');
+        }
+
+        return errors.length > 0
+          ? { name, error: errors.join(', ') }
+          : { name, config: this.buildTaskConfig(chart) };
+      });
+
+      // 全部校验失败时不创建批次
+      if (items.every(item => item.error)) {
+        return res.status(400).json({
+          code: 400,
+          msg: 'Validation failed',
+          data: {
+            items: items.map((item, index) => ({ index, name: item.name, error: item.error }))
+          },
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: 'All chart configs in the batch are invalid'
+          }
+        });
+      }
+
+      const batch = await this.taskManager.createBatch(items, {
+        tenant: req.tenant,
+        timeout: req.body.timeout
+      });
+      const accepted = batch.getTaskIds().length;
+
+      res.json({
+        code: 200,
+        msg: 'Batch created successfully',
+        data: {
+          batchId: batch.batchId,
+          statusUrl: `/api/charts/batch/${batch.batchId}`,
+          total: batch.items.length,
+          accepted,
+          rejected: batch.items.length - accepted,
+          items: batch.items,
+          createdAt: batch.createdAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create batch', { error: error.message });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to create batch',
+        data: null,
+        error: {
+          type: 'PROCESSING_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 查询批次进度
+   */
+  async getBatchStatus(req, res) {
+    try {
+      const { batchId } = req.params;
+      const status = await this.taskManager.getBatchStatus(batchId);
+
+      if (!status) {
+        return res.status(404).json({
+          code: 404,
+          msg: 'Batch not found',
+          data: null,
+          error: {
+            type: 'NOT_FOUND_ERROR',
+            details: `Batch ${batchId} does not exist`
+          }
+        });
+      }
+
+      res.json({
+        code: 200,
+        msg: 'success',
+        data: status
+      });
+
+    } catch (error) {
+      logger.error('Failed to get batch status', {
+        batchId: req.params.batchId,
+        error: error.message
+      });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to get batch status',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 取消任务
+   * 等待中的任务直接出队；处理中的任务结果将被丢弃，已上传的文件会被删除
+   */
+  async cancelTask(req, res) {
+    try {
+      const { taskId } = req.params;
+      const { task, cancelled } = await this.taskManager.cancelTask(taskId);
+
+      if (!task) {
+        return res.status(404).json({
+          code: 404,
+          msg: 'Task not found',
+          data: null,
+          error: {
+            type: 'NOT_FOUND_ERROR',
+            details: `Task ${taskId} does not exist`
+          }
+        });
+      }
+
+      if (!cancelled) {
+        return res.status(409).json({
+          code: 409,
+          msg: 'Task already finished',
+          data: { taskId, status: task.status },
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: `Task ${taskId} is already ${task.status} and cannot be cancelled`
+          }
+        });
+      }
+
+      res.json({
+        code: 200,
+        msg: 'Task cancelled successfully',
+        data: {
+          taskId: task.taskId,
+          status: task.status,
+          cancelledAt: task.completedAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to cancel task', {
+        error: error.message,
+        taskId: req.params.taskId
+      });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to cancel task',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 以Server-Sent Events推送任务状态变化
+   * 单任务: /api/charts/status/:taskId/events；多任务: /api/charts/events?taskIds=id1,id2
+   */
+  async streamTaskEvents(req, res) {
+    try {
+      const taskIds = req.params.taskId
+        ? [req.params.taskId]
+        : [...new Set(String(req.query.taskIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+      if (taskIds.length === 0 || taskIds.length > MAX_STREAM_TASKS) {
+        return res.status(400).json({
+          code: 400,
+          msg: 'Validation failed',
+          data: null,
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: `taskIds must be a comma-separated list of 1 to ${MAX_STREAM_TASKS} task IDs`
+          }
+        });
+      }
+
+      const tasks = await Promise.all(taskIds.map(taskId => this.taskManager.findTask(taskId)));
+      const missing = taskIds.filter((taskId, index) => !tasks[index]);
+
+      if (missing.length > 0) {
+        return res.status(404).json({
+          code: 404,
+          msg: 'Task not found',
+          data: null,
+          error: {
+            type: 'NOT_FOUND_ERROR',
+            details: `Task ${missing.join(', ')} does not exist`
+          }
+        });
+      }
+
+      this.taskManager.taskEvents.open(req, res, tasks);
+
+    } catch (error) {
+      logger.error('Failed to open task event stream', {
+        error: error.message,
+        taskId: req.params.taskId,
+        taskIds: req.query.taskIds
+      });
+
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to open task event stream',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 下载批次ZIP归档
+   * 包含所有已完成的图片和manifest.json
+   */
+  async downloadBatch(req, res) {
+    const { batchId } = req.params;
+
+    try {
+      const batch = await this.taskManager.getBatch(batchId);
+
+      if (!batch) {
+        return res.status(404).json({
+          code: 404,
+          msg: 'Batch not found',
+          data: null,
+          error: {
+            type: 'NOT_FOUND_ERROR',
+            details: `Batch ${batchId} does not exist`
+          }
+        });
+      }
+
+      const { status, progress } = await this.taskManager.getBatchStatus(batchId);
+      if (status === 'processing') {
+        return res.status(409).json({
+          code: 409,
+          msg: 'Batch is still processing',
+          data: { batchId, progress },
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: `Batch ${batchId} is still processing, download it after all items have finished`
+          }
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="batch-${batchId}.zip"`);
+
+      await this.batchArchiver.pipe(batch, res);
+
+    } catch (error) {
+      logger.error('Failed to archive batch', {
+        batchId,
+        error: error.message
+      });
+
+      // 已开始传输时只能中断连接
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to archive batch',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 提供本地存储中的图片文件
+   * fileName为存储路径（如2024/01/31/xxx.png），支持ETag条件请求和Range分段下载
+   */
+  serveFile(req, res) {
+    const { fileName } = req.params;
+
+    if (!(this.ossClient instanceof LocalStorageClient)) {
+      return res.status(404).json({
+        code: 404,
+        msg: 'File not found',
+        data: null,
+        error: {
+          type: 'NOT_FOUND_ERROR',
+          details: 'File serving is only available with STORAGE_DRIVER=local'
+        }
+      });
+    }
+
+    let filePath;
+    try {
+      filePath = this.ossClient.resolvePath(fileName);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Invalid file name',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: error.message
+        }
+      });
+    }
+
+    // 文件名包含时间戳和随机后缀，内容不会变化；SVG按图片处理，禁止执行脚本
+    res.sendFile(filePath, {
+      maxAge: '1y',
+      immutable: true,
+      dotfiles: 'deny',
+      headers: {
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src data:"
+      }
+    }, (error) => {
+      // 已开始传输（如客户端中断连接）时无法再返回错误
+      if (!error || res.headersSent) {
+        return;
+      }
+
+      if (error.status === 416) {
+        return res.status(416).set(error.headers || {}).json({
+          code: 416,
+          msg: 'Range not satisfiable',
+          data: null,
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: `Requested range is outside of file ${fileName}`
+          }
+        });
+      }
+
+      if (error.status === 404 || error.status === 403) {
+        return res.status(404).json({
+          code: 404,
+          msg: 'File not found',
+          data: null,
+          error: {
+            type: 'NOT_FOUND_ERROR',
+            details: `File ${fileName} does not exist`
+          }
+        });
+      }
+
+      logger.error('Failed to serve file', { fileName, error: error.message });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to serve file',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    });
+  }
+
+  /**
+   * 同步渲染图表
+   * 任务经队列处理，在waitTimeout内完成时直接返回图片（或base64 JSON），
+   * 否则返回202和状态查询地址
+   */
+  async renderChart(req, res) {
+    const { renderWaitTimeout } = config.getChartConfig();
+    const { waitTimeout = renderWaitTimeout } = req.body;
+
+    if (typeof waitTimeout !== 'number' || waitTimeout < 0 || waitTimeout > renderWaitTimeout) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'Validation failed',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: `waitTimeout must be a number between 0 and ${renderWaitTimeout}`
+        }
+      });
+    }
+
+    try {
+      // base64在响应时编码，任务只需渲染一次
+      const taskConfig = { ...this.buildTaskConfig(req.body), base64: false };
+      const { task, result } = await this.taskManager.createTaskAndWait(taskConfig, waitTimeout, {
+        tenant: req.tenant,
+        timeout: req.body.timeout
+      });
+
+      if (task.status === 'failed') {
+        return res.status(500).json({
+          code: 500,
+          msg: 'Failed to render chart',
+          data: { taskId: task.taskId },
+          error: {
+            type: 'PROCESSING_ERROR',
+            details: task.error
+          }
+        });
+      }
+
+      if (task.status === 'cancelled') {
+        return res.status(409).json({
+          code: 409,
+          msg: 'Task was cancelled',
+          data: { taskId: task.taskId },
+          error: {
+            type: 'PROCESSING_ERROR',
+            details: `Task ${task.taskId} was cancelled before rendering finished`
+          }
+        });
+      }
+
+      if (!result) {
+        return res.status(202).json({
+          code: 202,
+          msg: 'Task is still processing',
+          data: {
+            taskId: task.taskId,
+            status: task.status,
+            statusUrl: `/api/charts/status/${task.taskId}`,
+            createdAt: task.createdAt
+          }
+        });
+      }
+
+      logger.info('Chart rendered synchronously', {
         taskId: task.taskId,
         type: taskConfig.type,
-        dimensions: `${taskConfig.width}x${taskConfig.height}`
+        size: result.buffer.length,
+        processingTime: task.getProcessingTime()
       });
 
+      res.setHeader('X-Task-Id', task.taskId);
+
+      if (req.body.base64 === true) {
+        return res.json({
+          code: 200,
+          msg: 'success',
+          data: {
+            taskId: task.taskId,
+            contentType: result.contentType,
+            imageUrl: task.fileName ? task.imageUrl : null,
+            base64: `data:${result.contentType};base64,${result.buffer.toString('base64')}`
+          }
+        });
+      }
+
+      const disposition = taskConfig.download ? 'attachment' : 'inline';
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Length', result.buffer.length);
+      res.setHeader('Content-Disposition', `${disposition}; filename="chart-${task.taskId}.${result.extension}"`);
+      res.end(result.buffer);
+
     } catch (error) {
-      logger.error('Failed to create chart task', {
+      if (error.code === 'TENANT_QUEUE_FULL') {
+        return this.sendTenantQueueFull(res, error);
+      }
+
+      logger.error('Failed to render chart', {
         error: error.message,
         body: req.body
       });
 
       res.status(500).json({
         code: 500,
-        msg: 'Failed to create task',
+        msg: 'Failed to render chart',
         data: null,
         error: {
           type: 'PROCESSING_ERROR',
@@ -300,8 +1414,8 @@ class App {
     try {
       const { taskId } = req.params;
 
-      // 获取任务状态（验证已在中间件中完成）
-      const task = this.taskManager.getTaskStatus(taskId);
+      // 获取任务状态（验证已在中间件中完成），包括其他实例上的任务
+      const task = await this.taskManager.findTask(taskId);
 
       if (!task) {
         return res.status(404).json({
@@ -319,21 +1433,47 @@ class App {
       const responseData = {
         taskId: task.taskId,
         status: task.status,
+        priority: task.priority,
+        tenant: task.tenant,
         createdAt: task.createdAt,
         startedAt: task.startedAt,
         completedAt: task.completedAt
       };
 
       // 根据状态添加额外信息
+      // 私有存储每次查询返回新的签名URL
       if (task.status === 'completed' && task.imageUrl) {
-        responseData.imageUrl = task.imageUrl;
+        const { imageUrl, expiresAt } = await this.taskManager.getImageUrl(task);
+        responseData.imageUrl = imageUrl;
         responseData.fileName = task.fileName;
+        if (expiresAt) {
+          responseData.imageUrlExpiresAt = expiresAt;
+        }
+      }
+
+      // 未上传的图片（data URL）不持久化，重启后无法再获取
+      if (task.status === 'completed' && task.imageExpired) {
+        responseData.imageUrl = null;
+        responseData.imageExpired = true;
       }
 
       if (task.status === 'failed' && task.error) {
         responseData.error = task.error;
       }
 
+      if (task.timeout) {
+        responseData.timeout = task.timeout;
+      }
+
+      // 最近一次处理超时时所处的阶段（render或upload）
+      if (task.timeoutPhase) {
+        responseData.timeoutPhase = task.timeoutPhase;
+      }
+
+      if (task.callback) {
+        responseData.callback = task.getCallbackInfo();
+      }
+
       res.json({
         code: 200,
         msg: 'success',
@@ -358,6 +1498,87 @@ class App {
     }
   }
 
+  /**
+   * 获取已完成任务的图片地址，私有存储时生成新的签名URL
+   * 查询参数expiresIn为签名URL有效期（秒），不超过SIGNED_URL_TTL
+   */
+  async getTaskImageUrl(req, res) {
+    try {
+      const { taskId } = req.params;
+      const { signedUrlTtl } = config.getStorageConfig();
+      const expiresIn = req.query.expiresIn === undefined ? signedUrlTtl : Number(req.query.expiresIn);
+
+      if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > signedUrlTtl) {
+        return res.status(400).json({
+          code: 400,
+          msg: 'Invalid expiresIn',
+          data: null,
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: `expiresIn must be an integer between 60 and ${signedUrlTtl} seconds`
+          }
+        });
+      }
+
+      const task = await this.taskManager.findTask(taskId);
+
+      if (!task) {
+        return res.status(404).json({
+          code: 404,
+          msg: 'Task not found',
+          data: null,
+          error: {
+            type: 'NOT_FOUND_ERROR',
+            details: `Task ${taskId} does not exist`
+          }
+        });
+      }
+
+      // 未上传到存储的任务（图片为base64）没有可签名的文件
+      if (task.status !== 'completed' || !task.fileName) {
+        return res.status(409).json({
+          code: 409,
+          msg: 'Task has no stored image',
+          data: { taskId, status: task.status },
+          error: {
+            type: 'VALIDATION_ERROR',
+            details: task.status === 'completed'
+              ? `Image of task ${taskId} was not uploaded to storage`
+              : `Task ${taskId} is ${task.status}`
+          }
+        });
+      }
+
+      const { imageUrl, expiresAt } = await this.taskManager.getImageUrl(task, expiresIn);
+
+      res.json({
+        code: 200,
+        msg: 'success',
+        data: {
+          taskId: task.taskId,
+          imageUrl,
+          expiresAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get task image URL', {
+        error: error.message,
+        taskId: req.params.taskId
+      });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to get task image URL',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
   /**
    * 获取队列状态
    */
@@ -393,21 +1614,24 @@ class App {
     try {
       const statistics = this.taskManager.getStatistics();
       
-      // 测试OSS连接（如果配置了）
-      let ossStatus = 'not_configured';
-      let ossError = null;
+      // 测试存储连接（如果配置了）
+      const storage = {
+        driver: config.getStorageDriver(),
+        status: 'not_configured',
+        error: null
+      };
       if (this.ossClient) {
         try {
           await this.ossClient.testConnection();
-          ossStatus = 'healthy';
+          storage.status = 'healthy';
         } catch (error) {
-          ossStatus = 'error';
-          ossError = error.message;
+          storage.status = 'error';
+          storage.error = error.message;
         }
       }
 
       // 检查系统整体健康状态
-      // OSS错误不应该影响整体健康状态，因为OSS是可选的
+      // 存储错误不应该影响整体健康状态，因为存储是可选的
       const isHealthy = statistics.pendingTasks < 1000;
       const statusCode = isHealthy ? 200 : 503;
 
@@ -421,14 +1645,13 @@ class App {
           uptime: process.uptime(),
           memoryUsage: process.memoryUsage(),
           queueStatus: statistics,
-          oss: {
-            status: ossStatus,
-            error: ossError
-          },
+          storage,
+          oss: { status: storage.status, error: storage.error }, // 兼容旧字段
           checks: {
             queue: statistics.pendingTasks < 1000 ? 'ok' : 'warning',
             memory: process.memoryUsage().heapUsed < 500 * 1024 * 1024 ? 'ok' : 'warning', // 500MB
-            oss: ossStatus
+            storage: storage.status,
+            oss: storage.status
           }
         }
       });
@@ -513,6 +1736,7 @@ class App {
   setupLegacyRoutes() {
     // 保留原有的同步API以确保向后兼容性
     const legacyHandler = require('./legacy/syncHandler');
+    legacyHandler.setImageGenerator(this.imageGenerator);
 
     this.app.get('/', legacyHandler);
     this.app.post('/', legacyHandler);
@@ -546,20 +1770,22 @@ class App {
       logger.info('Starting server with configuration', {
         port: config.getServerConfig().port,
         nodeEnv: config.getServerConfig().nodeEnv,
-        ossRegion: config.getOSSConfig().region,
-        ossBucket: config.getOSSConfig().bucket
+        storageDriver: config.getStorageDriver()
       });
 
-      // 测试OSS连接（如果配置了）
+      // 测试存储连接（如果配置了）
       if (this.ossClient) {
         try {
           await this.ossClient.testConnection();
-          logger.info('OSS connection test successful');
+          logger.info('Storage connection test successful');
         } catch (error) {
-          logger.warn('OSS connection test failed', { error: error.message });
+          logger.warn('Storage connection test failed', { error: error.message });
         }
       }
 
+      // 恢复持久化的任务（重启前未完成的任务重新入队）
+      await this.taskManager.restoreTasks();
+
       const port = config.getServerConfig().port;
 
       this.server = this.app.listen(port, () => {
@@ -637,6 +1863,251 @@ class App {
     }
   }
 
+  /**
+   * 获取主题列表
+   */
+  async listThemes(req, res) {
+    try {
+      res.json({
+        code: 200,
+        msg: 'success',
+        data: {
+          themes: this.themeRegistry.listThemes()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list themes', { error: error.message });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to list themes',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 注册主题
+   */
+  async registerTheme(req, res) {
+    const { name, theme } = req.body;
+
+    try {
+      const entry = this.themeRegistry.registerTheme(name, theme);
+
+      res.json({
+        code: 200,
+        msg: 'Theme registered successfully',
+        data: {
+          name: entry.name,
+          source: entry.source,
+          registeredAt: entry.registeredAt.toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.warn('Failed to register theme', { name, error: error.message });
+
+      res.status(400).json({
+        code: 400,
+        msg: 'Failed to register theme',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 获取可用字体列表
+   */
+  async listFonts(req, res) {
+    try {
+      const families = this.imageGenerator.fontRegistry.listFamilies();
+
+      res.json({
+        code: 200,
+        msg: 'success',
+        data: {
+          fontDir: config.getChartConfig().fontDir,
+          total: families.length,
+          customFamilies: families.filter(font => font.custom).map(font => font.family),
+          families
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list fonts', { error: error.message });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to list fonts',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 获取地图列表
+   */
+  async listMaps(req, res) {
+    try {
+      res.json({
+        code: 200,
+        msg: 'success',
+        data: {
+          maps: this.mapRegistry.listMaps()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list maps', { error: error.message });
+
+      res.status(500).json({
+        code: 500,
+        msg: 'Failed to list maps',
+        data: null,
+        error: {
+          type: 'SYSTEM_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 获取地图详情（包含GeoJSON/SVG数据）
+   */
+  async getMap(req, res) {
+    const { name } = req.params;
+    const entry = this.mapRegistry.getMap(name);
+
+    if (!entry) {
+      return this.sendMapNotFound(res, name);
+    }
+
+    res.json({
+      code: 200,
+      msg: 'success',
+      data: {
+        name: entry.name,
+        type: entry.type,
+        source: entry.source,
+        size: entry.size,
+        registeredAt: entry.registeredAt.toISOString(),
+        specialAreas: entry.specialAreas,
+        [entry.type === 'geojson' ? 'geoJSON' : 'svg']: entry.data
+      }
+    });
+  }
+
+  /**
+   * 创建地图
+   */
+  async createMap(req, res) {
+    const { name, geoJSON, svg, specialAreas } = req.body;
+
+    if (this.mapRegistry.getMap(name)) {
+      return res.status(409).json({
+        code: 409,
+        msg: 'Map already exists',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: `Map ${name} already exists, use PUT /api/system/maps/${name} to replace it`
+        }
+      });
+    }
+
+    this.saveMap(res, name, { geoJSON, svg, specialAreas }, 'Map registered successfully');
+  }
+
+  /**
+   * 创建或替换地图
+   */
+  async updateMap(req, res) {
+    const { geoJSON, svg, specialAreas } = req.body;
+
+    this.saveMap(res, req.params.name, { geoJSON, svg, specialAreas }, 'Map saved successfully');
+  }
+
+  /**
+   * 删除地图
+   */
+  async deleteMap(req, res) {
+    const { name } = req.params;
+
+    if (!this.mapRegistry.unregisterMap(name)) {
+      return this.sendMapNotFound(res, name);
+    }
+
+    res.json({
+      code: 200,
+      msg: 'Map deleted successfully',
+      data: { name }
+    });
+  }
+
+  /**
+   * 注册地图并返回结果
+   */
+  saveMap(res, name, definition, msg) {
+    try {
+      const entry = this.mapRegistry.registerMap(name, definition);
+
+      res.json({
+        code: 200,
+        msg,
+        data: {
+          name: entry.name,
+          type: entry.type,
+          source: entry.source,
+          size: entry.size,
+          registeredAt: entry.registeredAt.toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.warn('Failed to register map', { name, error: error.message });
+
+      res.status(400).json({
+        code: 400,
+        msg: 'Failed to register map',
+        data: null,
+        error: {
+          type: 'VALIDATION_ERROR',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * 返回地图不存在的响应
+   */
+  sendMapNotFound(res, name) {
+    res.status(404).json({
+      code: 404,
+      msg: 'Map not found',
+      data: null,
+      error: {
+        type: 'NOT_FOUND_ERROR',
+        details: `Map ${name} does not exist`
+      }
+    });
+  }
+
   async stop() {
     if (this.server) {
       // 停止清理服务
@@ -646,7 +2117,7 @@ class App {
       
       // 停止任务管理器
       if (this.taskManager) {
-        this.taskManager.destroy();
+        await this.taskManager.destroy();
       }
       
       this.server.close();
@@ -3,6 +3,10 @@
  * 支持环境变量配置和默认值
  */
 
+const fs = require('fs');
+const net = require('net');
+const Task = require('../models/Task');
+
 class ConfigManager {
   constructor() {
     this.config = this.loadConfig();
@@ -14,7 +18,8 @@ class ConfigManager {
       // 服务器配置
       server: {
         port: process.env.PORT || 3000,
-        nodeEnv: process.env.NODE_ENV || 'development'
+        nodeEnv: process.env.NODE_ENV || 'development',
+        adminToken: process.env.ADMIN_TOKEN || null // 管理接口（注册主题、增删改地图）的令牌，未设置时管理接口不可用
       },
 
       // OSS配置
@@ -27,17 +32,65 @@ class ConfigManager {
         pathPrefix: process.env.OSS_PATH_PREFIX || 'charts/'
       },
 
+      // S3兼容存储配置（AWS S3、MinIO等）
+      s3: {
+        endpoint: process.env.S3_ENDPOINT, // 不设置时使用AWS S3
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID, // 不设置时使用AWS默认凭证链
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // MinIO通常需要开启
+        publicUrl: process.env.S3_PUBLIC_URL, // 文件访问地址前缀（如CDN），不设置时由endpoint和bucket生成
+        pathPrefix: process.env.S3_PATH_PREFIX || 'charts/'
+      },
+
+      // 本地文件系统存储配置
+      local: {
+        rootDir: process.env.LOCAL_STORAGE_DIR || 'data/charts',
+        publicUrl: process.env.LOCAL_STORAGE_PUBLIC_URL // 文件访问地址前缀，不设置时使用内置的 /api/charts/files 路由
+      },
+
       // 队列配置
       queue: {
         maxConcurrent: parseInt(process.env.QUEUE_MAX_CONCURRENT) || 10,
         taskTimeout: parseInt(process.env.QUEUE_TASK_TIMEOUT) || 300, // 5分钟
         retryAttempts: parseInt(process.env.QUEUE_RETRY_ATTEMPTS) || 3,
-        cleanupInterval: (parseInt(process.env.CLEANUP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000 // 24小时转换为毫秒
+        priorityAging: parseInt(process.env.QUEUE_PRIORITY_AGING) || 60, // 等待任务每隔多少秒提升一级优先级
+        cleanupInterval: (parseInt(process.env.CLEANUP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000, // 24小时转换为毫秒
+        backend: process.env.QUEUE_BACKEND || 'memory', // 队列后端：memory（单实例）| redis（多实例共享）
+        redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379', // 单节点Redis地址，不支持Redis Cluster
+        redisKeyPrefix: process.env.REDIS_KEY_PREFIX || 'echarts:',
+        pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000, // redis队列轮询间隔（毫秒）
+        idempotencyTtl: parseInt(process.env.IDEMPOTENCY_TTL) || 86400, // 幂等键保留时间（秒），默认24小时
+        tenantMaxConcurrent: parseInt(process.env.TENANT_MAX_CONCURRENT) || 0, // 每个租户默认最大并发数，0表示不限制
+        tenantMaxPending: parseInt(process.env.TENANT_MAX_PENDING) || 0, // 每个租户默认最多等待任务数，0表示不限制
+        tenantQuotas: this.parseTenantQuotas(process.env.TENANT_QUOTAS) // 单独配置的租户配额，解析失败时为null
+      },
+
+      // 租户配置
+      tenant: {
+        apiKeys: this.parseTenantApiKeys(process.env.TENANT_API_KEYS) // API Key -> 租户
       },
 
       // 存储配置
       storage: {
-        taskRetentionDays: parseInt(process.env.TASK_RETENTION_DAYS) || 7
+        driver: process.env.STORAGE_DRIVER || null, // 图片存储：oss | s3 | local | none，未设置时配置了OSS则使用oss
+        privateBucket: process.env.STORAGE_PRIVATE === 'true', // 私有模式：图片不公开读，imageUrl为签名URL
+        signedUrlTtl: parseInt(process.env.SIGNED_URL_TTL) || 3600, // 签名URL有效期（秒），默认1小时
+        allowedPathPrefixes: this.parsePathPrefixes(process.env.STORAGE_ALLOWED_PATH_PREFIXES), // 请求ossPath允许的前缀，为空时不限制
+        taskRetentionDays: parseInt(process.env.TASK_RETENTION_DAYS) || 7,
+        taskStore: process.env.TASK_STORE || 'memory', // 任务存储：memory（不持久化）| file
+        taskStorePath: process.env.TASK_STORE_PATH || 'data/tasks.jsonl', // file存储的文件路径
+        taskStoreKey: process.env.TASK_STORE_KEY || null // file存储中加密回调签名密钥的密钥，未设置时不保存签名密钥
+      },
+
+      // Webhook回调配置
+      webhook: {
+        secret: process.env.WEBHOOK_SECRET || null, // 默认签名密钥，请求未提供callbackSecret时使用
+        timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000, // 单次请求超时（毫秒）
+        retryAttempts: parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS) || 3, // 失败后的重试次数
+        retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000, // 重试基础延迟（毫秒），按指数递增
+        allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean) // 允许回调的内部主机、IP或CIDR
       },
 
       // 图片生成配置
@@ -45,11 +98,91 @@ class ConfigManager {
         defaultWidth: 600,
         defaultHeight: 400,
         supportedFormats: ['png', 'jpeg', 'svg', 'pdf'],
-        maxRequestSize: 1e6 // 1MB
+        maxRequestSize: 1e6, // 1MB
+        maxPixelSize: parseInt(process.env.CHART_MAX_PIXEL_SIZE) || 8000, // 按像素比放大后的最大边长
+        pdfFontPath: process.env.PDF_FONT_PATH || null, // PDF嵌入字体
+        themeDir: process.env.THEME_DIR || null, // 主题JSON文件目录
+        fontDir: process.env.FONT_DIR || null, // 自定义字体目录
+        mapDir: process.env.MAP_DIR || null, // GeoJSON/SVG地图目录
+        maxInlineMapSize: parseInt(process.env.MAP_INLINE_MAX_SIZE) || 512 * 1024, // 请求内联GeoJSON最大字节数
+        maxInlineMaps: parseInt(process.env.MAP_INLINE_CACHE_SIZE) || 100, // 同时保留的内联地图数量，超出时淘汰最久未使用的
+        enableFunctions: process.env.CHART_ENABLE_FUNCTIONS === 'true', // 允许option中的函数字符串（沙箱执行）
+        functionTimeout: parseInt(process.env.CHART_FUNCTION_TIMEOUT) || 50, // 单次函数调用超时（毫秒）
+        functionTotalTimeout: parseInt(process.env.CHART_FUNCTION_TOTAL_TIMEOUT) || 2000, // 单次渲染函数调用总超时（毫秒）
+        renderWaitTimeout: parseInt(process.env.CHART_RENDER_WAIT_TIMEOUT) || 30000, // 同步渲染最长等待时间（毫秒）
+        maxBatchSize: parseInt(process.env.CHART_BATCH_MAX_SIZE) || 500, // 单个批次最多图表数
+        renderPoolSize: parseInt(process.env.RENDER_POOL_SIZE) || 0, // 渲染工作线程数，0表示在主线程渲染
+        renderWorkerMaxRenders: parseInt(process.env.RENDER_WORKER_MAX_RENDERS || 500), // 工作线程渲染多少次后回收，0表示不回收
+        renderWorkerMaxMemory: parseInt(process.env.RENDER_WORKER_MAX_MEMORY || 512), // 工作线程堆内存超过多少MB后回收，0表示不检查
+        renderWorkerHeapLimit: parseInt(process.env.RENDER_WORKER_HEAP_LIMIT || 1024), // 工作线程堆内存上限（MB），超过时终止线程，0表示不限制
+        renderCacheEnabled: process.env.RENDER_CACHE_ENABLED === 'true', // 相同配置的图表复用渲染结果
+        renderCacheMaxMemory: parseInt(process.env.RENDER_CACHE_MAX_MEMORY || 64), // 内存缓存的最大MB数，0表示只使用存储层
+        renderCacheStorage: process.env.RENDER_CACHE_STORAGE !== 'false', // 配置了存储时在存储中保存缓存对象
+        renderCacheTtlDays: parseInt(process.env.RENDER_CACHE_TTL_DAYS || 30) // 存储中缓存对象的保留天数，0表示不清理
       }
     };
   }
 
+  /**
+   * 解析租户配额 {"tenant": {"weight": 2, "maxConcurrent": 5, "maxPending": 100}}
+   * @param {string} value - JSON字符串
+   * @returns {object|null} 不是合法JSON对象时返回null
+   */
+  parseTenantQuotas(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      const quotas = JSON.parse(value);
+      return quotas && typeof quotas === 'object' && !Array.isArray(quotas) ? quotas : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 解析租户API Key列表 key1:tenant1,key2:tenant2
+   * @param {string} value - 逗号分隔的列表
+   * @returns {object} API Key -> 租户
+   */
+  parseTenantApiKeys(value) {
+    const apiKeys = {};
+
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.lastIndexOf(':');
+      apiKeys[entry.slice(0, separator === -1 ? entry.length : separator)] =
+        separator === -1 ? '' : entry.slice(separator + 1);
+    });
+
+    return apiKeys;
+  }
+
+  /**
+   * 解析逗号分隔的路径前缀，统一以/结尾
+   * @param {string} value - 如 reports/,tenants/{tenant}/
+   * @returns {Array<string>}
+   */
+  parsePathPrefixes(value) {
+    return (value || '').split(',')
+      .map(prefix => prefix.trim())
+      .filter(Boolean)
+      .map(prefix => prefix.endsWith('/') ? prefix : prefix + '/');
+  }
+
+  /**
+   * 检查是否为单个Redis节点的连接地址（逗号分隔的多个节点视为集群配置）
+   * @param {string} value - 如 redis://127.0.0.1:6379
+   * @returns {boolean}
+   */
+  isSingleRedisUrl(value) {
+    try {
+      return !value.includes(',') && ['redis:', 'rediss:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
   validateConfig() {
     const errors = [];
 
@@ -72,11 +205,163 @@ class ConfigManager {
       errors.push('QUEUE_RETRY_ATTEMPTS must be between 0 and 10');
     }
 
+    if (this.config.queue.priorityAging < 1 || this.config.queue.priorityAging > 3600) {
+      errors.push('QUEUE_PRIORITY_AGING must be between 1 and 3600 seconds');
+    }
+
+    if (!['memory', 'redis'].includes(this.config.queue.backend)) {
+      errors.push('QUEUE_BACKEND must be one of: memory, redis');
+    }
+
+    // 队列的Lua脚本根据键前缀拼接任务键，这些键不在KEYS中声明，只能在单节点Redis（或主从/哨兵）上执行
+    if (this.config.queue.backend === 'redis' && !this.isSingleRedisUrl(this.config.queue.redisUrl)) {
+      errors.push('REDIS_URL must be a single redis:// or rediss:// URL, Redis Cluster is not supported');
+    }
+
+    if (this.config.queue.pollInterval < 10 || this.config.queue.pollInterval > 60000) {
+      errors.push('QUEUE_POLL_INTERVAL must be between 10 and 60000 milliseconds');
+    }
+
+    if (this.config.queue.tenantMaxConcurrent < 0 || this.config.queue.tenantMaxConcurrent > 100) {
+      errors.push('TENANT_MAX_CONCURRENT must be between 0 and 100');
+    }
+
+    if (this.config.queue.tenantMaxPending < 0) {
+      errors.push('TENANT_MAX_PENDING must be 0 or greater');
+    }
+
+    // 验证租户配置
+    const { tenantQuotas } = this.config.queue;
+    if (tenantQuotas === null) {
+      errors.push('TENANT_QUOTAS must be a JSON object of tenant quotas');
+    } else {
+      Object.entries(tenantQuotas).forEach(([tenant, quota]) => {
+        const valid = quota && typeof quota === 'object' &&
+          (quota.weight === undefined || (typeof quota.weight === 'number' && quota.weight > 0)) &&
+          ['maxConcurrent', 'maxPending'].every(key => quota[key] === undefined || (Number.isInteger(quota[key]) && quota[key] >= 0));
+
+        if (!Task.TENANT_PATTERN.test(tenant) || !valid) {
+          errors.push(`TENANT_QUOTAS entry for "${tenant}" must have a positive weight and non-negative integer maxConcurrent/maxPending`);
+        }
+      });
+    }
+
+    // Redis队列按全局顺序领取任务，不支持租户配额，配置了也不会生效
+    if (this.config.queue.backend === 'redis' && (this.config.queue.tenantMaxConcurrent ||
+        this.config.queue.tenantMaxPending || Object.keys(tenantQuotas || {}).length > 0)) {
+      errors.push('TENANT_MAX_CONCURRENT, TENANT_MAX_PENDING and TENANT_QUOTAS are not supported when QUEUE_BACKEND=redis');
+    }
+
+    Object.values(this.config.tenant.apiKeys).forEach(tenant => {
+      if (!Task.TENANT_PATTERN.test(tenant)) {
+        errors.push(`TENANT_API_KEYS entries must be "key:tenant" with tenant matching ${Task.TENANT_PATTERN}`);
+      }
+    });
+
     // 验证存储配置
     if (this.config.storage.taskRetentionDays < 1 || this.config.storage.taskRetentionDays > 365) {
       errors.push('TASK_RETENTION_DAYS must be between 1 and 365');
     }
 
+    // 幂等键不能比任务保留更久，否则键指向已清理的任务
+    if (this.config.queue.idempotencyTtl < 60 ||
+        this.config.queue.idempotencyTtl > this.config.storage.taskRetentionDays * 24 * 60 * 60) {
+      errors.push('IDEMPOTENCY_TTL must be at least 60 seconds and not longer than TASK_RETENTION_DAYS');
+    }
+
+    if (!['memory', 'file'].includes(this.config.storage.taskStore)) {
+      errors.push('TASK_STORE must be one of: memory, file');
+    }
+
+    if (this.config.server.adminToken && this.config.server.adminToken.length < 16) {
+      errors.push('ADMIN_TOKEN must be at least 16 characters');
+    }
+
+    if (this.config.storage.taskStoreKey && this.config.storage.taskStoreKey.length < 16) {
+      errors.push('TASK_STORE_KEY must be at least 16 characters');
+    }
+
+    // 验证Webhook配置
+    if (this.config.webhook.timeout < 100 || this.config.webhook.timeout > 60000) {
+      errors.push('WEBHOOK_TIMEOUT must be between 100 and 60000 milliseconds');
+    }
+
+    if (this.config.webhook.retryAttempts < 0 || this.config.webhook.retryAttempts > 10) {
+      errors.push('WEBHOOK_RETRY_ATTEMPTS must be between 0 and 10');
+    }
+
+    if (this.config.webhook.retryDelay < 1 || this.config.webhook.retryDelay > 600000) {
+      errors.push('WEBHOOK_RETRY_DELAY must be between 1 and 600000 milliseconds');
+    }
+
+    this.config.webhook.allowedHosts.forEach(host => {
+      const [address, prefix] = host.split('/');
+      const maxPrefix = net.isIPv6(address) ? 128 : 32;
+      if (prefix !== undefined && (!net.isIP(address) || !/^\d+$/.test(prefix) || Number(prefix) > maxPrefix)) {
+        errors.push(`WEBHOOK_ALLOWED_HOSTS contains invalid CIDR: ${host}`);
+      }
+    });
+
+    // 验证图片生成配置
+    if (this.config.chart.maxPixelSize < 1 || this.config.chart.maxPixelSize > 32000) {
+      errors.push('CHART_MAX_PIXEL_SIZE must be between 1 and 32000');
+    }
+
+    if (this.config.chart.maxInlineMaps < 1 || this.config.chart.maxInlineMaps > 10000) {
+      errors.push('MAP_INLINE_CACHE_SIZE must be between 1 and 10000');
+    }
+
+    if (this.config.chart.functionTimeout < 1 || this.config.chart.functionTimeout > 1000) {
+      errors.push('CHART_FUNCTION_TIMEOUT must be between 1 and 1000 milliseconds');
+    }
+
+    if (this.config.chart.functionTotalTimeout < this.config.chart.functionTimeout ||
+        this.config.chart.functionTotalTimeout > 60000) {
+      errors.push('CHART_FUNCTION_TOTAL_TIMEOUT must be between CHART_FUNCTION_TIMEOUT and 60000 milliseconds');
+    }
+
+    if (this.config.chart.renderWaitTimeout < 1 || this.config.chart.renderWaitTimeout > 300000) {
+      errors.push('CHART_RENDER_WAIT_TIMEOUT must be between 1 and 300000 milliseconds');
+    }
+
+    if (this.config.chart.maxBatchSize < 1 || this.config.chart.maxBatchSize > 5000) {
+      errors.push('CHART_BATCH_MAX_SIZE must be between 1 and 5000');
+    }
+
+    if (this.config.chart.renderPoolSize < 0 || this.config.chart.renderPoolSize > 64) {
+      errors.push('RENDER_POOL_SIZE must be between 0 and 64');
+    }
+
+    if (!(this.config.chart.renderWorkerMaxRenders >= 0)) {
+      errors.push('RENDER_WORKER_MAX_RENDERS must be 0 or greater');
+    }
+
+    if (!(this.config.chart.renderWorkerMaxMemory >= 0)) {
+      errors.push('RENDER_WORKER_MAX_MEMORY must be 0 or greater');
+    }
+
+    if (!(this.config.chart.renderWorkerHeapLimit >= 0)) {
+      errors.push('RENDER_WORKER_HEAP_LIMIT must be 0 or greater');
+    }
+
+    // vm沙箱无法限制堆内存，函数只能在有堆内存上限的工作线程中执行
+    if (this.config.chart.enableFunctions &&
+        (this.config.chart.renderPoolSize === 0 || this.config.chart.renderWorkerHeapLimit === 0)) {
+      errors.push('CHART_ENABLE_FUNCTIONS requires RENDER_POOL_SIZE and RENDER_WORKER_HEAP_LIMIT greater than 0');
+    }
+
+    if (!(this.config.chart.renderCacheMaxMemory >= 0)) {
+      errors.push('RENDER_CACHE_MAX_MEMORY must be 0 or greater');
+    }
+
+    if (!(this.config.chart.renderCacheTtlDays >= 0)) {
+      errors.push('RENDER_CACHE_TTL_DAYS must be 0 or greater');
+    }
+
+    if (this.config.chart.pdfFontPath && !fs.existsSync(this.config.chart.pdfFontPath)) {
+      errors.push(`PDF_FONT_PATH file does not exist: ${this.config.chart.pdfFontPath}`);
+    }
+
     // OSS配置是可选的，但如果提供了部分配置，则需要完整
     const { oss } = this.config;
     const hasPartialOSSConfig = oss.accessKeyId || oss.accessKeySecret || oss.bucket;
@@ -96,6 +381,63 @@ class ConfigManager {
       this.config.oss.pathPrefix = oss.pathPrefix + '/';
     }
 
+    // 验证图片存储配置，只检查选中的存储
+    const { driver } = this.config.storage;
+    const { s3, local } = this.config;
+
+    if (driver && !['oss', 's3', 'local', 'none'].includes(driver)) {
+      errors.push('STORAGE_DRIVER must be one of: oss, s3, local, none');
+    }
+
+    if (driver === 'oss' && !hasCompleteOSSConfig) {
+      errors.push('STORAGE_DRIVER=oss requires OSS_ACCESS_KEY_ID, OSS_ACCESS_KEY_SECRET, and OSS_BUCKET');
+    }
+
+    if (driver === 's3') {
+      if (!s3.bucket) {
+        errors.push('STORAGE_DRIVER=s3 requires S3_BUCKET');
+      }
+      if (!s3.accessKeyId !== !s3.secretAccessKey) {
+        errors.push('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set together');
+      }
+      for (const [name, url] of [['S3_ENDPOINT', s3.endpoint], ['S3_PUBLIC_URL', s3.publicUrl]]) {
+        if (url && !/^https?:\/\/[^/]/.test(url)) {
+          errors.push(`${name} must be an http(s) URL`);
+        }
+      }
+    }
+
+    if (local.publicUrl && !/^https?:\/\/[^/]/.test(local.publicUrl)) {
+      errors.push('LOCAL_STORAGE_PUBLIC_URL must be an http(s) URL');
+    }
+
+    // 验证私有模式配置，签名URL最长有效期为7天（S3签名V4的上限）
+    if (this.config.storage.privateBucket && !['oss', 's3'].includes(this.getStorageDriver())) {
+      errors.push('STORAGE_PRIVATE=true requires STORAGE_DRIVER oss or s3');
+    }
+
+    if (this.config.storage.signedUrlTtl < 60 || this.config.storage.signedUrlTtl > 604800) {
+      errors.push('SIGNED_URL_TTL must be between 60 and 604800 seconds');
+    }
+
+    for (const prefix of this.config.storage.allowedPathPrefixes) {
+      const segments = prefix.slice(0, -1).split('/');
+      if (!/^[A-Za-z0-9_.{}/-]+$/.test(prefix) ||
+          segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+        errors.push(`STORAGE_ALLOWED_PATH_PREFIXES contains invalid prefix: ${prefix}`);
+      }
+    }
+
+    // 未配置API Key时租户来自请求头，任何调用方都可以指定，按租户限制目录没有意义
+    if (this.config.storage.allowedPathPrefixes.some(prefix => prefix.includes('{tenant}')) &&
+        Object.keys(this.config.tenant.apiKeys).length === 0) {
+      errors.push('STORAGE_ALLOWED_PATH_PREFIXES with {tenant} requires TENANT_API_KEYS');
+    }
+
+    if (s3.pathPrefix && !s3.pathPrefix.endsWith('/')) {
+      this.config.s3.pathPrefix = s3.pathPrefix + '/';
+    }
+
     if (errors.length > 0) {
       throw new Error(`Configuration validation failed:\n${errors.map(e => `  - ${e}`).join('\n')}`);
     }
@@ -110,6 +452,21 @@ class ConfigManager {
     return !!(oss.accessKeyId && oss.accessKeySecret && oss.bucket);
   }
 
+  /**
+   * 获取选用的图片存储
+   * 未设置STORAGE_DRIVER时，配置了OSS则使用oss（兼容旧配置）
+   * @returns {string|null} oss | s3 | local，不存储图片时为null
+   */
+  getStorageDriver() {
+    const { driver } = this.config.storage;
+
+    if (!driver) {
+      return this.isOSSConfigured() ? 'oss' : null;
+    }
+
+    return driver === 'none' ? null : driver;
+  }
+
   get(path) {
     return path.split('.').reduce((obj, key) => obj && obj[key], this.config);
   }
@@ -118,6 +475,14 @@ class ConfigManager {
     return this.config.oss;
   }
 
+  getS3Config() {
+    return this.config.s3;
+  }
+
+  getLocalStorageConfig() {
+    return this.config.local;
+  }
+
   getQueueConfig() {
     return this.config.queue;
   }
@@ -134,6 +499,14 @@ class ConfigManager {
     return this.config.chart;
   }
 
+  getWebhookConfig() {
+    return this.config.webhook;
+  }
+
+  getTenantConfig() {
+    return this.config.tenant;
+  }
+
   /**
    * 获取所有配置信息（用于调试）
    * @returns {object}
@@ -141,9 +514,26 @@ class ConfigManager {
   getAllConfig() {
     // 返回配置的副本，隐藏敏感信息
     const config = JSON.parse(JSON.stringify(this.config));
+    if (config.server.adminToken) {
+      config.server.adminToken = '***';
+    }
     if (config.oss.accessKeySecret) {
       config.oss.accessKeySecret = '***';
     }
+    if (config.s3.secretAccessKey) {
+      config.s3.secretAccessKey = '***';
+    }
+    if (config.webhook.secret) {
+      config.webhook.secret = '***';
+    }
+    if (config.storage.taskStoreKey) {
+      config.storage.taskStoreKey = '***';
+    }
+    // Redis连接地址可能包含密码
+    config.queue.redisUrl = config.queue.redisUrl.replace(/\/\/[^@/]*@/, '//***@');
+    config.tenant.apiKeys = Object.fromEntries(
+      Object.entries(config.tenant.apiKeys).map(([key, tenant]) => [`${key.slice(0, 4)}***`, tenant])
+    );
     return config;
   }
 
@@ -157,17 +547,70 @@ class ConfigManager {
       'PORT',
       'NODE_ENV',
       'LOG_LEVEL',
+      'ADMIN_TOKEN',
       'OSS_ACCESS_KEY_ID',
       'OSS_ACCESS_KEY_SECRET', 
       'OSS_BUCKET',
       'OSS_REGION',
       'OSS_CUSTOM_DOMAIN',
       'OSS_PATH_PREFIX',
+      'STORAGE_DRIVER',
+      'S3_ENDPOINT',
+      'S3_REGION',
+      'S3_BUCKET',
+      'S3_ACCESS_KEY_ID',
+      'S3_SECRET_ACCESS_KEY',
+      'S3_FORCE_PATH_STYLE',
+      'S3_PUBLIC_URL',
+      'S3_PATH_PREFIX',
+      'LOCAL_STORAGE_DIR',
+      'LOCAL_STORAGE_PUBLIC_URL',
+      'STORAGE_PRIVATE',
+      'SIGNED_URL_TTL',
+      'STORAGE_ALLOWED_PATH_PREFIXES',
       'QUEUE_MAX_CONCURRENT',
       'QUEUE_TASK_TIMEOUT',
       'QUEUE_RETRY_ATTEMPTS',
+      'QUEUE_PRIORITY_AGING',
       'CLEANUP_INTERVAL_HOURS',
-      'TASK_RETENTION_DAYS'
+      'QUEUE_BACKEND',
+      'REDIS_URL',
+      'REDIS_KEY_PREFIX',
+      'QUEUE_POLL_INTERVAL',
+      'IDEMPOTENCY_TTL',
+      'TENANT_API_KEYS',
+      'TENANT_QUOTAS',
+      'TENANT_MAX_CONCURRENT',
+      'TENANT_MAX_PENDING',
+      'TASK_RETENTION_DAYS',
+      'TASK_STORE',
+      'TASK_STORE_PATH',
+      'TASK_STORE_KEY',
+      'PDF_FONT_PATH',
+      'CHART_MAX_PIXEL_SIZE',
+      'THEME_DIR',
+      'FONT_DIR',
+      'MAP_DIR',
+      'MAP_INLINE_MAX_SIZE',
+      'MAP_INLINE_CACHE_SIZE',
+      'CHART_ENABLE_FUNCTIONS',
+      'CHART_FUNCTION_TIMEOUT',
+      'CHART_FUNCTION_TOTAL_TIMEOUT',
+      'CHART_RENDER_WAIT_TIMEOUT',
+      'CHART_BATCH_MAX_SIZE',
+      'RENDER_POOL_SIZE',
+      'RENDER_WORKER_MAX_RENDERS',
+      'RENDER_WORKER_MAX_MEMORY',
+      'RENDER_WORKER_HEAP_LIMIT',
+      'RENDER_CACHE_ENABLED',
+      'RENDER_CACHE_MAX_MEMORY',
+      'RENDER_CACHE_STORAGE',
+      'RENDER_CACHE_TTL_DAYS',
+      'WEBHOOK_SECRET',
+      'WEBHOOK_TIMEOUT',
+      'WEBHOOK_RETRY_ATTEMPTS',
+      'WEBHOOK_RETRY_DELAY',
+      'WEBHOOK_ALLOWED_HOSTS'
     ];
 
     const missing = required.filter(key => !process.env[key]);
@@ -201,7 +644,7 @@ class ConfigManager {
     report += '\n当前配置:\n';
     report += `  服务器端口: ${config.server.port}\n`;
     report += `  运行环境: ${config.server.nodeEnv}\n`;
-    report += `  OSS状态: ${this.isOSSConfigured() ? '已配置' : '未配置'}\n`;
+    report += `  图片存储: ${this.getStorageDriver() || '未配置（返回base64）'}\n`;
     report += `  队列并发数: ${config.queue.maxConcurrent}\n`;
     report += `  任务超时: ${config.queue.taskTimeout}秒\n`;
     report += `  任务保留: ${config.storage.taskRetentionDays}天\n`;
@@ -5,9 +5,18 @@
 
 const url = require('url');
 const ImageGenerator = require('../services/ImageGenerator');
+const appConfig = require('../config');
 const logger = require('../utils/logger');
 
-const imageGenerator = new ImageGenerator();
+// 未通过setImageGenerator共享时，首次请求时创建独立实例
+let imageGenerator = null;
+
+function getImageGenerator() {
+  if (!imageGenerator) {
+    imageGenerator = new ImageGenerator(null, appConfig.getChartConfig());
+  }
+  return imageGenerator;
+}
 
 function processConfig(request, response, callback) {
   if (typeof callback !== 'function') {
@@ -72,12 +81,33 @@ async function syncHandler(req, res) {
       });
     }
 
+    // 同步接口在主线程渲染，无法限制函数的内存占用
+    if (getImageGenerator().functionSandbox.containsFunctions(config.option)) {
+      return res.status(400).json({
+        code: 400,
+        msg: 'request parameter "option" invalid, JavaScript functions are not supported by this endpoint, use /api/charts/render instead!',
+        data: null
+      });
+    }
+
     // 设置默认值
     config.width = config.width || 600;
     config.height = config.height || 400;
     config.type = config.type || 'png';
     config.base64 = (config.base64 === true);
     config.download = (config.download === true);
+    config.pixelRatio = config.pixelRatio || 1;
+
+    // 验证像素比，放大后的像素尺寸不能超过上限
+    const { maxPixelSize } = appConfig.getChartConfig();
+    if (typeof config.pixelRatio !== 'number' || config.pixelRatio <= 0 ||
+        config.width * config.pixelRatio > maxPixelSize || config.height * config.pixelRatio > maxPixelSize) {
+      return res.status(400).json({
+        code: 400,
+        msg: `request parameter "pixelRatio" invalid, rendered size must not exceed ${maxPixelSize} pixels!`,
+        data: null
+      });
+    }
 
     // 验证类型
     if (!['png', 'jpeg', 'svg', 'pdf'].includes(config.type)) {
@@ -88,6 +118,7 @@ async function syncHandler(req, res) {
       type: config.type,
       width: config.width,
       height: config.height,
+      pixelRatio: config.pixelRatio,
       base64: config.base64
     });
 
@@ -96,7 +127,7 @@ async function syncHandler(req, res) {
 
     if (config.base64) {
       // 生成Base64格式
-      result = await imageGenerator.generateBase64(config);
+      result = await getImageGenerator().generateBase64(config);
       contentType = 'application/json;charset=UTF-8';
       
       res.setHeader('Content-Type', contentType);
@@ -107,7 +138,7 @@ async function syncHandler(req, res) {
       });
     } else {
       // 生成二进制格式
-      const imageResult = await imageGenerator.generateImage(config);
+      const imageResult = await getImageGenerator().generateImage(config);
       result = imageResult.buffer;
       contentType = imageResult.contentType;
 
@@ -143,4 +174,12 @@ async function syncHandler(req, res) {
   }
 }
 
+/**
+ * 设置图片生成器，与异步API共享主题、字体和地图注册
+ * @param {ImageGenerator} generator - 图片生成器实例
+ */
+syncHandler.setImageGenerator = (generator) => {
+  imageGenerator = generator;
+};
+
 module.exports = syncHandler;
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Batch数据模型
+ * 表示一次批量提交的图表任务，记录每一项对应的任务ID或校验错误
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class Batch {
+  /**
+   * @param {Array<{index: number, name: string|null, taskId: string|null, error: string|null}>} items - 批次中的图表项
+   */
+  constructor(items) {
+    this.batchId = uuidv4();
+    this.items = items;
+    this.createdAt = new Date();
+  }
+
+  /**
+   * 获取已创建任务的ID列表
+   * @returns {Array<string>}
+   */
+  getTaskIds() {
+    return this.items
+      .filter(item => item.taskId)
+      .map(item => item.taskId);
+  }
+
+  /**
+   * 汇总批次进度和每一项的结果
+   * @param {Function} getTask - 根据taskId获取任务，任务已被清理时返回null
+   * @returns {object}
+   */
+  getStatus(getTask) {
+    const progress = {
+      total: this.items.length,
+      pending: 0,
+      processing: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      rejected: 0
+    };
+
+    const items = this.items.map(item => {
+      if (!item.taskId) {
+        progress.rejected++;
+        return {
+          index: item.index,
+          name: item.name,
+          taskId: null,
+          status: 'rejected',
+          error: item.error
+        };
+      }
+
+      const task = getTask(item.taskId);
+      if (!task) {
+        // 任务已过期清理，按失败计入
+        progress.failed++;
+        return {
+          index: item.index,
+          name: item.name,
+          taskId: item.taskId,
+          status: 'expired',
+          error: 'Task has expired'
+        };
+      }
+
+      progress[task.status]++;
+
+      const result = {
+        index: item.index,
+        name: item.name,
+        taskId: task.taskId,
+        status: task.status
+      };
+
+      if (task.status === 'completed') {
+        result.imageUrl = task.imageUrl;
+        result.fileName = task.fileName;
+      }
+
+      if (task.status === 'failed') {
+        result.error = task.error;
+      }
+
+      return result;
+    });
+
+    const finished = progress.completed + progress.failed + progress.cancelled + progress.rejected;
+    let status = 'processing';
+    if (finished === progress.total) {
+      if (progress.completed === progress.total) {
+        status = 'completed';
+      } else if (progress.completed === 0) {
+        status = 'failed';
+      } else {
+        status = 'partial';
+      }
+    }
+
+    return {
+      batchId: this.batchId,
+      status,
+      createdAt: this.createdAt.toISOString(),
+      progress: {
+        ...progress,
+        percent: progress.total === 0 ? 100 : Math.floor((finished / progress.total) * 100)
+      },
+      items
+    };
+  }
+
+  /**
+   * 转换为可持久化的记录
+   * @returns {object}
+   */
+  toRecord() {
+    return {
+      batchId: this.batchId,
+      items: this.items,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+
+  /**
+   * 从持久化记录恢复批次
+   * @param {object} record - toRecord() 的结果
+   * @returns {Batch}
+   */
+  static fromRecord(record) {
+    const batch = new Batch(record.items);
+    batch.batchId = record.batchId;
+    batch.createdAt = new Date(record.createdAt);
+    return batch;
+  }
+
+  /**
+   * 检查批次是否过期（用于清理）
+   * @param {number} retentionDays - 保留天数
+   * @returns {boolean}
+   */
+  isExpired(retentionDays) {
+    const now = new Date();
+    const elapsedDays = (now - this.createdAt) / (1000 * 60 * 60 * 24);
+    return elapsedDays > retentionDays;
+  }
+}
+
+module.exports = Batch;
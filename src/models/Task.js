@@ -5,18 +5,76 @@
 
 const { v4: uuidv4 } = require('uuid');
 
+// 任务优先级，从高到低
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// 未指定租户的任务归属的租户
+const DEFAULT_TENANT = 'default';
+
+// 租户标识格式
+const TENANT_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// 幂等键格式：1-255个可见ASCII字符
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
 class Task {
-  constructor(config) {
+  /**
+   * @param {object} config - 任务配置
+   * @param {object} [options] - 选项
+   * @param {string} [options.priority] - 优先级 high|normal|low，默认normal
+   * @param {string} [options.tenant] - 提交任务的租户，默认default
+   * @param {number} [options.timeout] - 每次处理的超时时间（秒），默认使用服务端的QUEUE_TASK_TIMEOUT
+   * @param {string} [options.idempotencyKey] - 客户端提供的幂等键，同一租户内重复提交时返回已有任务
+   */
+  constructor(config, options = {}) {
     this.taskId = uuidv4();
-    this.status = 'pending'; // pending|processing|completed|failed
+    this.status = 'pending'; // pending|processing|completed|failed|cancelled
+    this.priority = options.priority || 'normal';
+    this.tenant = options.tenant || DEFAULT_TENANT;
     this.config = config;
     this.imageUrl = null;
+    this.imageExpired = false; // 未上传的图片（data URL）不持久化，重启恢复后为true
     this.fileName = null;
     this.createdAt = new Date();
     this.startedAt = null;
     this.completedAt = null;
     this.error = null;
     this.retryCount = 0;
+    this.timeout = options.timeout || null;
+    this.timeoutPhase = null; // 最近一次处理超时时所处的阶段 render|upload，重试成功后保留
+    this.idempotencyKey = options.idempotencyKey || null;
+    this.requestHash = null; // 使用幂等键时请求内容的哈希，用于识别重复使用同一个键的不同请求
+    this.callback = null; // 任务结束时的Webhook回调 {url, secret, status, deliveries}
+  }
+
+  /**
+   * 设置Webhook回调
+   * @param {string} url - 回调地址
+   * @param {string|null} secret - 签名密钥
+   */
+  setCallback(url, secret = null) {
+    this.callback = {
+      url,
+      secret,
+      status: 'pending', // pending|delivering|delivered|failed
+      deliveries: []
+    };
+  }
+
+  /**
+   * 获取回调状态（不含密钥）
+   * @returns {object|null}
+   */
+  getCallbackInfo() {
+    if (!this.callback) {
+      return null;
+    }
+
+    return {
+      url: this.callback.url,
+      status: this.callback.status,
+      deliveries: this.callback.deliveries
+    };
   }
 
   /**
@@ -27,6 +85,14 @@ class Task {
     this.startedAt = new Date();
   }
 
+  /**
+   * 记录本次处理超时
+   * @param {string} phase - 超时时所处的阶段 render|upload
+   */
+  markTimedOut(phase) {
+    this.timeoutPhase = phase;
+  }
+
   /**
    * 完成任务
    * @param {string} imageUrl - OSS图片URL
@@ -50,6 +116,30 @@ class Task {
     this.completedAt = new Date();
   }
 
+  /**
+   * 取消任务
+   */
+  cancel() {
+    this.status = 'cancelled';
+    this.completedAt = new Date();
+  }
+
+  /**
+   * 检查任务是否已结束（完成、失败或取消）
+   * @returns {boolean}
+   */
+  isFinished() {
+    return ['completed', 'failed', 'cancelled'].includes(this.status);
+  }
+
+  /**
+   * 服务重启后恢复中断的任务，重新等待处理
+   */
+  reset() {
+    this.status = 'pending';
+    this.startedAt = null;
+  }
+
   /**
    * 重试任务
    */
@@ -104,15 +194,79 @@ class Task {
     return {
       taskId: this.taskId,
       status: this.status,
+      priority: this.priority,
+      tenant: this.tenant,
       imageUrl: this.imageUrl,
+      imageExpired: this.imageExpired,
       createdAt: this.createdAt.toISOString(),
       startedAt: this.startedAt ? this.startedAt.toISOString() : null,
       completedAt: this.completedAt ? this.completedAt.toISOString() : null,
       error: this.error,
-      retryCount: this.retryCount
+      retryCount: this.retryCount,
+      timeout: this.timeout,
+      timeoutPhase: this.timeoutPhase,
+      idempotencyKey: this.idempotencyKey,
+      callback: this.getCallbackInfo()
     };
   }
 
+  /**
+   * 转换为持久化记录（包含配置和回调密钥）
+   * @returns {object}
+   */
+  toRecord() {
+    return {
+      taskId: this.taskId,
+      status: this.status,
+      priority: this.priority,
+      tenant: this.tenant,
+      config: this.config,
+      imageUrl: this.imageUrl,
+      imageExpired: this.imageExpired,
+      fileName: this.fileName,
+      createdAt: this.createdAt.toISOString(),
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      completedAt: this.completedAt ? this.completedAt.toISOString() : null,
+      error: this.error,
+      retryCount: this.retryCount,
+      timeout: this.timeout,
+      timeoutPhase: this.timeoutPhase,
+      idempotencyKey: this.idempotencyKey,
+      requestHash: this.requestHash,
+      callback: this.callback
+    };
+  }
+
+  /**
+   * 从持久化记录恢复任务
+   * @param {object} record - toRecord() 的结果
+   * @returns {Task}
+   */
+  static fromRecord(record) {
+    const task = new Task(record.config, {
+      priority: record.priority,
+      tenant: record.tenant,
+      timeout: record.timeout,
+      idempotencyKey: record.idempotencyKey
+    });
+    
+    task.taskId = record.taskId;
+    task.status = record.status;
+    task.imageUrl = record.imageUrl;
+    task.imageExpired = record.imageExpired || false;
+    task.fileName = record.fileName;
+    task.createdAt = new Date(record.createdAt);
+    task.startedAt = record.startedAt ? new Date(record.startedAt) : null;
+    task.completedAt = record.completedAt ? new Date(record.completedAt) : null;
+    task.error = record.error;
+    task.retryCount = record.retryCount;
+    task.timeoutPhase = record.timeoutPhase || null;
+    task.requestHash = record.requestHash || null;
+    task.callback = record.callback || null;
+    
+    return task;
+  }
+
   /**
    * 验证任务配置
    * @param {object} config - 任务配置
@@ -138,6 +292,23 @@ class Task {
       errors.push('Config.height must be a positive number');
     }
 
+    if (config.pixelRatio !== undefined && (typeof config.pixelRatio !== 'number' || config.pixelRatio <= 0)) {
+      errors.push('Config.pixelRatio must be a positive number');
+    }
+
+    if (config.theme !== undefined && config.theme !== null && typeof config.theme !== 'string') {
+      errors.push('Config.theme must be a string');
+    }
+
+    if (config.fontFamily !== undefined && config.fontFamily !== null && typeof config.fontFamily !== 'string') {
+      errors.push('Config.fontFamily must be a string');
+    }
+
+    if (config.maps !== undefined && config.maps !== null &&
+        (typeof config.maps !== 'object' || Array.isArray(config.maps))) {
+      errors.push('Config.maps must be an object');
+    }
+
     if (config.type && !['png', 'jpeg', 'svg', 'pdf'].includes(config.type)) {
       errors.push('Config.type must be one of: png, jpeg, svg, pdf');
     }
@@ -149,4 +320,9 @@ class Task {
   }
 }
 
+Task.PRIORITIES = PRIORITIES;
+Task.DEFAULT_TENANT = DEFAULT_TENANT;
+Task.TENANT_PATTERN = TENANT_PATTERN;
+Task.IDEMPOTENCY_KEY_PATTERN = IDEMPOTENCY_KEY_PATTERN;
+
 module.exports = Task;
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * 批次归档
+ * 将批次中已完成的图片打包为ZIP流，附带manifest.json记录每一项的配置摘要和状态
+ */
+
+const archiver = require('archiver');
+const logger = require('../utils/logger');
+
+// 内容类型 -> 文件扩展名
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf'
+};
+
+// 已压缩的格式直接存储，不再压缩
+const STORED_TYPES = ['image/png', 'image/jpeg'];
+
+class BatchArchiver {
+  /**
+   * @param {TaskManager} taskManager - 任务管理器，用于查询任务和获取图片内容
+   */
+  constructor(taskManager) {
+    this.taskManager = taskManager;
+  }
+
+  /**
+   * 将批次归档写入输出流
+   * 图片逐个获取并写入，避免同时持有整个批次的图片
+   * @param {Batch} batch - 批次
+   * @param {stream.Writable} output - 输出流（如HTTP响应）
+   * @returns {Promise<{files: number, errors: number}>}
+   */
+  async pipe(batch, output) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      archive.on('warning', error => logger.warn('Batch archive warning', { error: error.message }));
+      output.on('close', resolve);
+      output.on('finish', resolve);
+    });
+    // 错误在finalize之后统一抛出，避免写入过程中出现未处理的rejection
+    finished.catch(() => {});
+
+    archive.pipe(output);
+
+    const status = await this.taskManager.getBatchStatus(batch.batchId);
+    const usedNames = new Set(['manifest.json']);
+    const manifestItems = [];
+    let files = 0;
+    let errors = 0;
+
+    for (const item of status.items) {
+      const batchItem = batch.items[item.index];
+      const task = item.taskId ? await this.taskManager.findTask(item.taskId) : null;
+      const entry = {
+        index: item.index,
+        name: batchItem.name || null,
+        taskId: item.taskId,
+        status: item.status,
+        file: null,
+        error: item.error || null,
+        config: task ? summarizeConfig(task.config) : null
+      };
+
+      if (item.status === 'completed' && task) {
+        try {
+          const image = await this.taskManager.getTaskImage(task);
+          const fileName = uniqueFileName(batchItem.name || task.taskId, image.contentType, item.index, usedNames);
+
+          archive.append(image.buffer, {
+            name: fileName,
+            date: task.completedAt || new Date(),
+            store: STORED_TYPES.includes(image.contentType)
+          });
+          await waitForEntry(archive);
+
+          entry.file = fileName;
+          files++;
+        } catch (error) {
+          entry.error = `Failed to fetch image: ${error.message}`;
+          errors++;
+          logger.warn('Failed to add image to batch archive', {
+            batchId: batch.batchId,
+            taskId: task.taskId,
+            error: error.message
+          });
+        }
+      }
+
+      manifestItems.push(entry);
+    }
+
+    const manifest = {
+      batchId: batch.batchId,
+      status: status.status,
+      createdAt: status.createdAt,
+      generatedAt: new Date().toISOString(),
+      progress: status.progress,
+      files,
+      items: manifestItems
+    };
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+    await finished;
+
+    logger.info('Batch archive created', {
+      batchId: batch.batchId,
+      files,
+      errors,
+      size: archive.pointer()
+    });
+
+    return { files, errors };
+  }
+}
+
+/**
+ * 提取任务配置摘要（不含option等大字段）
+ * @param {object} config - 任务配置
+ * @returns {object}
+ */
+function summarizeConfig(config) {
+  return {
+    type: config.type,
+    width: config.width,
+    height: config.height,
+    pixelRatio: config.pixelRatio,
+    theme: config.theme || null,
+    fontFamily: config.fontFamily || null
+  };
+}
+
+/**
+ * 生成归档内唯一的文件名
+ * @param {string} baseName - 调用方提供的名称或任务ID
+ * @param {string} contentType - 图片类型
+ * @param {number} index - 批次项序号，用于区分重名
+ * @param {Set<string>} usedNames - 已使用的文件名
+ * @returns {string}
+ */
+function uniqueFileName(baseName, contentType, index, usedNames) {
+  const extension = EXTENSIONS[contentType] || 'bin';
+  let name = String(baseName)
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim() || `chart-${index}`;
+
+  if (name.toLowerCase().endsWith(`.${extension}`)) {
+    name = name.substring(0, name.length - extension.length - 1);
+  }
+
+  let fileName = `${name}.${extension}`;
+  if (usedNames.has(fileName.toLowerCase())) {
+    fileName = `${name}-${index}.${extension}`;
+  }
+  usedNames.add(fileName.toLowerCase());
+
+  return fileName;
+}
+
+/**
+ * 等待当前条目写入归档
+ * @param {Archiver} archive
+ * @returns {Promise<void>}
+ */
+function waitForEntry(archive) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.removeListener('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.removeListener('entry', onEntry);
+      reject(error);
+    };
+
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+  });
+}
+
+module.exports = BatchArchiver;
@@ -0,0 +1,333 @@
+/**
+ * 基于追加写JSON文件的任务存储
+ * 任务入队时写入一条完整记录（配置等不可变字段），之后的状态变化只追加变化的字段（JSON Lines），
+ * 启动时回放得到每个任务的最新状态；追加的记录超过阈值时重写文件，只保留最新状态
+ * 写入在后台批量异步执行，不阻塞事件循环
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const TaskStore = require('./TaskStore');
+const logger = require('../utils/logger');
+
+// 任务创建后会变化的字段，状态变化时只写入这些字段
+const MUTABLE_FIELDS = ['status', 'imageUrl', 'imageExpired', 'fileName', 'startedAt', 'completedAt', 'error', 'retryCount', 'timeoutPhase'];
+
+// 加密回调密钥的前缀和算法
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const CIPHER = 'aes-256-gcm';
+
+class FileTaskStore extends TaskStore {
+  /**
+   * @param {object} options - 选项
+   * @param {string} options.filePath - 存储文件路径
+   * @param {number} [options.compactThreshold] - 触发压缩的最少追加记录数
+   * @param {number} [options.flushInterval] - 批量写入的间隔（毫秒）
+   * @param {string} [options.secretKey] - 加密回调签名密钥的密钥，未设置时不保存签名密钥
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      compactThreshold: 1000,
+      flushInterval: 100,
+      secretKey: null,
+      ...options
+    };
+
+    if (!this.options.filePath) {
+      throw new Error('FileTaskStore requires filePath');
+    }
+
+    this.filePath = path.resolve(this.options.filePath);
+    this.key = this.options.secretKey
+      ? crypto.createHash('sha256').update(this.options.secretKey).digest()
+      : null;
+
+    // 存储中的任务ID，用于区分首次写入和状态变化，以及判断何时压缩
+    this.taskIds = new Set();
+
+    // 上次压缩后追加的记录数
+    this.appendedRecords = 0;
+
+    // 等待写入的记录，以及正在进行的写入
+    this.pending = [];
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 加载已保存的任务记录，并压缩文件
+   * @returns {Promise<Array<object>>}
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const records = await this.replay();
+    await this.compact(records);
+
+    logger.info('Task store loaded', {
+      filePath: this.filePath,
+      tasks: records.size
+    });
+
+    return Array.from(records.values()).map(record => this.decodeRecord(record));
+  }
+
+  /**
+   * 保存任务的当前状态
+   * 首次保存写入完整记录，之后只写入状态字段和回调投递状态
+   * @param {Task} task - 任务
+   */
+  save(task) {
+    const record = task.toRecord();
+
+    if (!this.taskIds.has(task.taskId)) {
+      this.taskIds.add(task.taskId);
+      this.enqueue({ op: 'put', task: this.encodeRecord(record) });
+      return;
+    }
+
+    const changes = {};
+    for (const field of MUTABLE_FIELDS) {
+      changes[field] = record[field];
+    }
+    if (record.callback) {
+      changes.callback = { status: record.callback.status, deliveries: record.callback.deliveries };
+    }
+    this.enqueue({ op: 'update', taskId: task.taskId, changes: this.encodeRecord(changes) });
+  }
+
+  /**
+   * 删除任务记录
+   * @param {Array<string>} taskIds - 任务ID列表
+   */
+  remove(taskIds) {
+    for (const taskId of taskIds) {
+      this.enqueue({ op: 'delete', taskId });
+      this.taskIds.delete(taskId);
+    }
+  }
+
+  /**
+   * 写入所有等待中的记录
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.pending.length === 0) {
+      return this.writing;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+    this.writing = this.writing.then(() => this.write(entries));
+    return this.writing;
+  }
+
+  /**
+   * 关闭存储，写入剩余的记录
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.flush();
+  }
+
+  /**
+   * 加入等待写入的记录，在flushInterval后批量写入
+   * @param {object} entry - 记录
+   */
+  enqueue(entry) {
+    this.pending.push(entry);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * 追加一批记录，必要时压缩文件
+   * 写入失败只记录日志，不影响任务处理
+   * @param {Array<object>} entries - 记录
+   */
+  async write(entries) {
+    try {
+      await fs.promises.appendFile(this.filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+      this.appendedRecords += entries.length;
+
+      if (this.appendedRecords > Math.max(this.options.compactThreshold, this.taskIds.size)) {
+        await this.compact(await this.replay());
+      }
+    } catch (error) {
+      logger.error('Failed to write task store', {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 回放文件中的记录
+   * 进程中断可能留下不完整的最后一行，解析失败的行会被跳过
+   * @returns {Promise<Map<string, object>>} taskId -> 最新记录（文件中的格式）
+   */
+  async replay() {
+    const records = new Map();
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return records;
+      }
+      throw error;
+    }
+
+    let skipped = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        continue;
+      }
+
+      if (entry.op === 'put' && entry.task && entry.task.taskId) {
+        records.set(entry.task.taskId, entry.task);
+      } else if (entry.op === 'update' && records.has(entry.taskId) && entry.changes) {
+        const record = records.get(entry.taskId);
+        const { callback, ...changes } = entry.changes;
+        Object.assign(record, changes);
+        if (callback && record.callback) {
+          Object.assign(record.callback, callback);
+        }
+      } else if (entry.op === 'delete') {
+        records.delete(entry.taskId);
+      }
+    }
+
+    if (skipped > 0) {
+      logger.warn('Skipped malformed task store records', {
+        filePath: this.filePath,
+        skipped
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * 用最新状态重写文件（先写临时文件再替换，避免中断时丢失数据）
+   * @param {Map<string, object>} records - taskId -> 最新记录（文件中的格式）
+   */
+  async compact(records) {
+    const tempPath = `${this.filePath}.tmp`;
+    const content = Array.from(records.values())
+      .map(task => JSON.stringify({ op: 'put', task }) + '\n')
+      .join('');
+
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, this.filePath);
+
+    this.taskIds = new Set(records.keys());
+    this.appendedRecords = 0;
+
+    logger.debug('Task store compacted', {
+      filePath: this.filePath,
+      tasks: records.size
+    });
+  }
+
+  /**
+   * 转换为写入文件的格式：不保存data URL形式的结果（标记为imageExpired），回调签名密钥加密后保存
+   * @param {object} record - 完整记录或变化的字段
+   * @returns {object}
+   */
+  encodeRecord(record) {
+    const encoded = { ...record };
+
+    if (typeof encoded.imageUrl === 'string' && encoded.imageUrl.startsWith('data:')) {
+      encoded.imageUrl = null;
+      encoded.imageExpired = true;
+    }
+
+    if (encoded.callback && encoded.callback.secret) {
+      const { secret, ...callback } = encoded.callback;
+      encoded.callback = { ...callback, signed: true };
+      if (this.key) {
+        encoded.callback.secret = this.encrypt(secret);
+      }
+    }
+
+    return encoded;
+  }
+
+  /**
+   * 从文件中的格式还原记录
+   * 签名密钥未保存或无法解密的回调不再推送，避免发出未签名的通知
+   * @param {object} record - 文件中的记录
+   * @returns {object} Task.toRecord() 格式的记录
+   */
+  decodeRecord(record) {
+    if (!record.callback || !record.callback.signed) {
+      return record;
+    }
+
+    const { signed, secret, ...callback } = record.callback;
+
+    try {
+      return { ...record, callback: { ...callback, secret: this.decrypt(secret) } };
+    } catch (error) {
+      logger.warn('Dropping webhook callback whose secret cannot be restored', {
+        taskId: record.taskId,
+        error: error.message
+      });
+      return { ...record, callback: null };
+    }
+  }
+
+  /**
+   * 加密回调签名密钥
+   * @param {string} value - 明文
+   * @returns {string}
+   */
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * 解密回调签名密钥
+   * @param {string} value - encrypt() 的结果
+   * @returns {string}
+   * @throws {Error} 未配置密钥、密钥不匹配或密文损坏
+   */
+  decrypt(value) {
+    if (!this.key) {
+      throw new Error('TASK_STORE_KEY is not configured');
+    }
+    if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) {
+      throw new Error('Secret was not saved');
+    }
+
+    const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, this.key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = FileTaskStore;
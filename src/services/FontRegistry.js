@@ -0,0 +1,188 @@
+/**
+ * 字体注册中心
+ * 从配置目录加载字体并注册到@napi-rs/canvas的GlobalFonts，
+ * 同时记录字体文件信息，供PDF输出嵌入字体使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+const { GlobalFonts } = require('@napi-rs/canvas');
+const logger = require('../utils/logger');
+
+// 支持的字体文件扩展名
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.woff', '.woff2'];
+
+// CSS通用字体族，无需注册即可使用
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+// GlobalFonts是进程级的，已注册的文件在所有实例间共享 path -> fontInfo
+const registeredFiles = new Map();
+
+class FontRegistry {
+  constructor(options = {}) {
+    this.options = {
+      fontDir: options.fontDir || null, // 字体文件目录
+      ...options
+    };
+
+    // 自定义字体 family(小写) -> Array<fontInfo>
+    this.fonts = new Map();
+
+    if (this.options.fontDir) {
+      this.loadFromDirectory(this.options.fontDir);
+    }
+  }
+
+  /**
+   * 注册字体文件
+   * @param {string} filePath - 字体文件路径
+   * @returns {object} 字体信息 {family, path, postscriptName, bold, italic}
+   */
+  registerFont(filePath) {
+    const fullPath = path.resolve(filePath);
+    let fontInfo = registeredFiles.get(fullPath);
+
+    if (!fontInfo) {
+      const font = fontkit.openSync(fullPath);
+      // 字体集合（.ttc）取第一个字体的信息
+      const face = font.fonts ? font.fonts[0] : font;
+      const subfamily = face.subfamilyName || '';
+
+      if (!GlobalFonts.registerFromPath(fullPath)) {
+        throw new Error(`Failed to register font file ${filePath}`);
+      }
+
+      fontInfo = {
+        family: face.familyName,
+        path: fullPath,
+        postscriptName: face.postscriptName,
+        isCollection: !!font.fonts,
+        bold: /bold|black|heavy/i.test(subfamily),
+        italic: /italic|oblique/i.test(subfamily)
+      };
+      registeredFiles.set(fullPath, fontInfo);
+    }
+
+    const key = fontInfo.family.toLowerCase();
+    const entries = this.fonts.get(key) || [];
+    if (!entries.some(entry => entry.path === fontInfo.path)) {
+      entries.push(fontInfo);
+      this.fonts.set(key, entries);
+    }
+
+    return fontInfo;
+  }
+
+  /**
+   * 获取已注册的自定义字体文件信息
+   * @returns {Array<object>}
+   */
+  getFontFiles() {
+    return [].concat(...this.fonts.values());
+  }
+
+  /**
+   * 记录其他线程已注册的字体文件信息
+   * GlobalFonts在线程间共享，工作线程只需要字体文件信息用于PDF嵌入
+   * @param {Array<object>} fonts - getFontFiles返回的字体信息
+   */
+  addFontFiles(fonts) {
+    for (const fontInfo of fonts) {
+      registeredFiles.set(fontInfo.path, fontInfo);
+
+      const key = fontInfo.family.toLowerCase();
+      const entries = this.fonts.get(key) || [];
+      if (!entries.some(entry => entry.path === fontInfo.path)) {
+        entries.push(fontInfo);
+        this.fonts.set(key, entries);
+      }
+    }
+  }
+
+  /**
+   * 从目录加载字体文件
+   * @param {string} dir - 字体目录
+   * @returns {number} 成功加载的字体文件数量
+   */
+  loadFromDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.warn('Font directory does not exist', { dir });
+      return 0;
+    }
+
+    let loaded = 0;
+    const files = fs.readdirSync(dir)
+      .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+    for (const file of files) {
+      try {
+        this.registerFont(path.join(dir, file));
+        loaded++;
+      } catch (error) {
+        logger.warn('Failed to load font file', {
+          file,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Fonts loaded from directory', {
+      dir,
+      loaded,
+      total: files.length,
+      families: Array.from(this.fonts.values()).map(entries => entries[0].family)
+    });
+
+    return loaded;
+  }
+
+  /**
+   * 检查字体族是否可用（自定义字体、系统字体或通用字体族）
+   * @param {string} family - 字体族名称
+   * @returns {boolean}
+   */
+  hasFamily(family) {
+    if (typeof family !== 'string' || family.trim().length === 0) {
+      return false;
+    }
+
+    return GENERIC_FAMILIES.includes(family.toLowerCase()) ||
+      this.fonts.has(family.toLowerCase()) ||
+      GlobalFonts.has(family);
+  }
+
+  /**
+   * 获取自定义字体文件（按粗体/斜体匹配最接近的字重）
+   * @param {string} family - 字体族名称
+   * @param {boolean} bold - 是否粗体
+   * @param {boolean} italic - 是否斜体
+   * @returns {object|null}
+   */
+  getFontFile(family, bold = false, italic = false) {
+    const entries = this.fonts.get(String(family).toLowerCase());
+    if (!entries) {
+      return null;
+    }
+
+    return entries.find(entry => entry.bold === bold && entry.italic === italic) ||
+      entries.find(entry => entry.bold === bold) ||
+      entries[0];
+  }
+
+  /**
+   * 获取可用字体族列表
+   * @returns {Array<{family: string, styles: Array, custom: boolean}>}
+   */
+  listFamilies() {
+    return GlobalFonts.families
+      .map(({ family, styles }) => ({
+        family,
+        styles,
+        custom: this.fonts.has(family.toLowerCase())
+      }))
+      .sort((a, b) => a.family.localeCompare(b.family));
+  }
+}
+
+module.exports = FontRegistry;
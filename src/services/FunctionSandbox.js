@@ -0,0 +1,370 @@
+/**
+ * 函数沙箱
+ * 将option中以前缀标记的字符串还原为函数（formatter、symbolSize、itemStyle.color等回调），
+ * 函数在独立的vm上下文中执行，每次调用和每次渲染均有时间上限
+ *
+ * 隔离方式：
+ * - 上下文全局对象无原型，沙箱内无法通过constructor链访问宿主的Function/process
+ * - 禁止沙箱内eval/new Function和WebAssembly
+ * - 宿主与沙箱之间只传递字符串（参数和返回值均经JSON序列化），不共享任何对象引用
+ * - 微任务在脚本执行期间清空，Promise回调同样受超时约束
+ *
+ * vm无法限制堆内存：源码长度、返回值大小和执行时间只能间接约束内存占用，
+ * 因此开启函数时要求在有堆内存上限的渲染工作线程中执行（RENDER_POOL_SIZE、RENDER_WORKER_HEAP_LIMIT），
+ * 超过上限时终止的是工作线程而不是服务进程
+ */
+
+const vm = require('vm');
+const util = require('util');
+const { performance } = require('perf_hooks');
+
+// 函数字符串前缀，如 "__fn__:function (params) { return params.value + '%'; }"
+const FUNCTION_PREFIX = '__fn__:';
+
+// 沙箱初始化脚本：在用户代码执行前保存内置方法，用户代码无法篡改调用流程
+const BOOTSTRAP_SOURCE = `'use strict';
+(() => {
+  const functions = [];
+  const { parse, stringify } = JSON;
+  const apply = Reflect.apply;
+  const toMessage = (error) => {
+    try {
+      return String(error && error.message !== undefined ? error.message : error);
+    } catch (e) {
+      return 'Unknown error';
+    }
+  };
+
+  Object.defineProperty(globalThis, '__sandbox', {
+    value: Object.freeze({
+      define(fn) {
+        if (typeof fn !== 'function') {
+          return -1;
+        }
+        return functions.push(fn) - 1;
+      },
+      invoke(index, args) {
+        try {
+          const value = apply(functions[index], undefined, parse(args));
+          return stringify({ value: value === undefined ? null : value });
+        } catch (error) {
+          return stringify({ error: toMessage(error) });
+        }
+      }
+    })
+  });
+})();`;
+
+class FunctionSandbox {
+  constructor(options = {}) {
+    this.options = {
+      timeout: options.timeout || 50, // 单次调用超时（毫秒）
+      totalTimeout: options.totalTimeout || 2000, // 单次渲染内所有调用的总超时（毫秒）
+      maxSourceLength: options.maxSourceLength || 10 * 1024, // 单个函数源码最大长度
+      maxResultSize: options.maxResultSize || 64 * 1024, // 单次调用返回值最大字节数
+      ...options
+    };
+
+    this.bootstrapScript = new vm.Script(BOOTSTRAP_SOURCE, { filename: 'sandbox-bootstrap.js' });
+  }
+
+  /**
+   * 检查值是否为函数字符串
+   * @param {any} value
+   * @returns {boolean}
+   */
+  static isFunctionString(value) {
+    return typeof value === 'string' && value.startsWith(FUNCTION_PREFIX);
+  }
+
+  /**
+   * 收集option中函数字符串所在的路径
+   * @param {object} option - ECharts配置对象
+   * @returns {Array<{path: string, source: string}>}
+   */
+  collectFunctions(option) {
+    const functions = [];
+
+    const walk = (value, path) => {
+      if (FunctionSandbox.isFunctionString(value)) {
+        functions.push({ path, source: value.substring(FUNCTION_PREFIX.length) });
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => walk(item, `${path}[${index}]`));
+      } else if (isPlainObject(value)) {
+        Object.keys(value).forEach(key => walk(value[key], path ? `${path}.${key}` : key));
+      }
+    };
+
+    walk(option, '');
+    return functions;
+  }
+
+  /**
+   * 检查option是否包含函数字符串
+   * @param {object} option - ECharts配置对象
+   * @returns {boolean}
+   */
+  containsFunctions(option) {
+    return this.collectFunctions(option).length > 0;
+  }
+
+  /**
+   * 校验函数源码（只做语法检查，不执行）
+   * @param {object} option - ECharts配置对象
+   * @returns {Array<string>} 错误信息
+   */
+  validate(option) {
+    const errors = [];
+
+    for (const { path, source } of this.collectFunctions(option)) {
+      try {
+        this.compile(source, path);
+      } catch (error) {
+        errors.push(`${path}: ${error.message}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * 编译函数源码
+   * @param {string} source - 函数源码
+   * @param {string} path - 函数在option中的路径
+   * @returns {vm.Script}
+   */
+  compile(source, path) {
+    if (source.length > this.options.maxSourceLength) {
+      throw new Error(`Function source exceeds ${this.options.maxSourceLength} characters`);
+    }
+
+    return new vm.Script(`__sandbox.define((${source}\n))`, { filename: `option.${path}.js` });
+  }
+
+  /**
+   * 将option中的函数字符串还原为沙箱函数，不修改原始配置对象
+   * 每次调用创建独立的沙箱上下文，渲染之间不共享状态
+   * @param {object} option - ECharts配置对象
+   * @returns {object}
+   */
+  revive(option) {
+    const context = this.createContext();
+
+    const transform = (value, path) => {
+      if (FunctionSandbox.isFunctionString(value)) {
+        return this.defineFunction(context, value.substring(FUNCTION_PREFIX.length), path);
+      }
+
+      if (Array.isArray(value)) {
+        let changed = false;
+        const result = value.map((item, index) => {
+          const revived = transform(item, `${path}[${index}]`);
+          changed = changed || revived !== item;
+          return revived;
+        });
+        return changed ? result : value;
+      }
+
+      if (isPlainObject(value)) {
+        let changed = false;
+        const result = {};
+        for (const key of Object.keys(value)) {
+          result[key] = transform(value[key], path ? `${path}.${key}` : key);
+          changed = changed || result[key] !== value[key];
+        }
+        return changed ? result : value;
+      }
+
+      return value;
+    };
+
+    return transform(option, '');
+  }
+
+  /**
+   * 创建沙箱上下文
+   * @returns {object}
+   */
+  createContext() {
+    const context = vm.createContext(Object.create(null), {
+      name: 'echarts-function-sandbox',
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate'
+    });
+
+    this.bootstrapScript.runInContext(context);
+
+    return {
+      context,
+      remaining: this.options.totalTimeout
+    };
+  }
+
+  /**
+   * 在沙箱中定义函数，返回宿主侧的包装函数
+   * @param {object} sandbox - 沙箱上下文
+   * @param {string} source - 函数源码
+   * @param {string} path - 函数在option中的路径
+   * @returns {Function}
+   */
+  defineFunction(sandbox, source, path) {
+    const index = this.run(sandbox, this.compile(source, path), path);
+
+    if (typeof index !== 'number' || index < 0) {
+      throw new Error(`${path} must be a function expression`);
+    }
+
+    return (...args) => {
+      const invokeScript = new vm.Script(`__sandbox.invoke(${index}, ${JSON.stringify(serializeArgs(args))})`);
+      const output = this.run(sandbox, invokeScript, path);
+
+      if (typeof output !== 'string') {
+        throw new Error(`Function ${path} returned an invalid result`);
+      }
+      if (output.length > this.options.maxResultSize) {
+        throw new Error(`Function ${path} result exceeds ${this.options.maxResultSize} bytes`);
+      }
+
+      const result = JSON.parse(output);
+      if (result.error !== undefined) {
+        throw new Error(`Function ${path} threw: ${result.error}`);
+      }
+
+      return result.value;
+    };
+  }
+
+  /**
+   * 在沙箱中执行脚本，扣减本次渲染的剩余时间
+   * @param {object} sandbox - 沙箱上下文
+   * @param {vm.Script} script - 脚本
+   * @param {string} path - 函数在option中的路径
+   * @returns {any} 仅返回原始类型值
+   */
+  run(sandbox, script, path) {
+    if (sandbox.remaining <= 0) {
+      throw new Error(`Functions exceeded total execution time of ${this.options.totalTimeout}ms`);
+    }
+
+    const timeout = Math.max(1, Math.ceil(Math.min(this.options.timeout, sandbox.remaining)));
+    const startTime = performance.now();
+
+    try {
+      const result = script.runInContext(sandbox.context, { timeout });
+      // 只接受原始类型，避免宿主访问沙箱对象时触发getter或Proxy陷阱
+      return result !== null && (typeof result === 'object' || typeof result === 'function') ? undefined : result;
+    } catch (error) {
+      if (isTimeoutError(error)) {
+        // 剩余时间不足单次超时，说明是总时间耗尽
+        throw new Error(timeout < this.options.timeout
+          ? `Functions exceeded total execution time of ${this.options.totalTimeout}ms`
+          : `Function ${path} failed: timed out after ${timeout}ms`);
+      }
+      throw new Error(`Function ${path} failed: ${describeError(error)}`);
+    } finally {
+      sandbox.remaining -= performance.now() - startTime;
+    }
+  }
+}
+
+/**
+ * 检查是否为普通对象
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * 读取错误的数据属性
+ * 沙箱抛出的值可能是Proxy或带getter的对象，只读取原生错误的数据属性，不触发沙箱代码
+ * @param {any} error - 捕获的错误
+ * @param {string} name - 属性名
+ * @returns {any}
+ */
+function readErrorProperty(error, name) {
+  if (util.types.isProxy(error) || !util.types.isNativeError(error)) {
+    return undefined;
+  }
+
+  const descriptor = Object.getOwnPropertyDescriptor(error, name);
+  return descriptor ? descriptor.value : undefined;
+}
+
+/**
+ * 检查是否为vm执行超时
+ * @param {any} error - 捕获的错误
+ * @returns {boolean}
+ */
+function isTimeoutError(error) {
+  return readErrorProperty(error, 'code') === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+/**
+ * 获取执行错误信息
+ * @param {any} error - 捕获的错误
+ * @returns {string}
+ */
+function describeError(error) {
+  const message = readErrorProperty(error, 'message');
+  return typeof message === 'string' ? message : 'Function execution failed';
+}
+
+/**
+ * 序列化回调参数，跳过循环引用和函数
+ * ECharts的params中同一数组可能同时作为data和value出现，只按祖先链判断循环
+ * @param {Array} args - 回调参数
+ * @returns {string}
+ */
+function serializeArgs(args) {
+  const ancestors = [];
+
+  const clone = (value) => {
+    if (typeof value === 'function') {
+      return undefined;
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (typeof value.toJSON === 'function') {
+      return value.toJSON();
+    }
+    if (ancestors.includes(value)) {
+      return undefined;
+    }
+
+    ancestors.push(value);
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map(item => {
+        const cloned = clone(item);
+        return cloned === undefined ? null : cloned;
+      });
+    } else {
+      result = {};
+      for (const key of Object.keys(value)) {
+        const cloned = clone(value[key]);
+        if (cloned !== undefined) {
+          result[key] = cloned;
+        }
+      }
+    }
+    ancestors.pop();
+
+    return result;
+  };
+
+  return JSON.stringify(args.map(arg => {
+    const cloned = clone(arg);
+    return cloned === undefined ? null : cloned;
+  }));
+}
+
+FunctionSandbox.FUNCTION_PREFIX = FUNCTION_PREFIX;
+
+module.exports = FunctionSandbox;
@@ -1,17 +1,55 @@
 /**
  * 图片生成器
  * 负责ECharts图表的渲染和图片生成
- * 支持异步处理和OSS上传
+ * 支持异步处理和上传到存储（OSS、S3或本地文件系统）
  */
 
+const crypto = require('crypto');
 const echarts = require('echarts');
-const { createCanvas } = require('@napi-rs/canvas');
+const { createCanvas, SvgExportFlag } = require('@napi-rs/canvas');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
 const { v4: uuidv4 } = require('uuid');
+const FontRegistry = require('./FontRegistry');
+const MapRegistry = require('./MapRegistry');
+const FunctionSandbox = require('./FunctionSandbox');
 
 class ImageGenerator {
-  constructor(ossClient = null) {
+  constructor(ossClient = null, options = {}) {
     this.ossClient = ossClient;
     
+    this.options = {
+      pdfFontPath: options.pdfFontPath || null, // PDF中嵌入的默认字体文件（TTF/OTF）
+      maxPixelSize: options.maxPixelSize || 8000, // 位图渲染的最大像素边长
+      themeRegistry: options.themeRegistry || null, // 主题注册中心
+      fontDir: options.fontDir || null, // 自定义字体目录
+      mapDir: options.mapDir || null, // 地图文件目录
+      maxInlineMapSize: options.maxInlineMapSize || 512 * 1024, // 内联GeoJSON最大字节数
+      enableFunctions: options.enableFunctions || false, // 是否允许option中的函数字符串
+      reviveFunctions: options.reviveFunctions || false, // 是否在本线程还原并执行函数，只有有堆内存上限的渲染工作线程开启
+      functionTimeout: options.functionTimeout || 50, // 单次函数调用超时（毫秒）
+      functionTotalTimeout: options.functionTotalTimeout || 2000, // 单次渲染函数调用总超时（毫秒）
+      ...options
+    };
+    
+    // 注册自定义字体（CJK字体、品牌字体等）
+    this.fontRegistry = this.options.fontRegistry || new FontRegistry({ fontDir: this.options.fontDir });
+    
+    // 地图注册中心（map系列和geo组件）
+    this.mapRegistry = this.options.mapRegistry || new MapRegistry({
+      mapDir: this.options.mapDir,
+      maxInlineMapSize: this.options.maxInlineMapSize
+    });
+    
+    // 主题和地图的内容哈希，用于渲染缓存键
+    this.resourceHashes = new WeakMap();
+    
+    // 函数沙箱（formatter等回调）
+    this.functionSandbox = this.options.functionSandbox || new FunctionSandbox({
+      timeout: this.options.functionTimeout,
+      totalTimeout: this.options.functionTotalTimeout
+    });
+    
     // 设置ECharts平台API
     echarts.setPlatformAPI({
       createCanvas(width = 600, height = 400) {
@@ -27,82 +65,398 @@ class ImageGenerator {
    */
   async generateImage(config) {
     try {
-      // 验证配置
-      if (!this.validateChartOption(config.option)) {
-        throw new Error('Invalid chart option provided');
+      return await this.renderImage(this.prepareImage(config));
+    } catch (error) {
+      throw new Error(`Image generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 校验图表配置并生成渲染作业
+   * 作业只包含可结构化克隆的数据，可以交给渲染线程池在工作线程中渲染
+   * @param {object} config - 图表配置
+   * @returns {object} 渲染作业 {type, width, height, pixelRatio, theme, option, svgOptions, pdfOptions, resources}
+   */
+  prepareImage(config) {
+    // 验证配置
+    if (!this.validateChartOption(config.option)) {
+      throw new Error('Invalid chart option provided');
+    }
+
+    // 设置默认值
+    const width = config.width || 600;
+    const height = config.height || 400;
+    const type = (config.type || 'png').toLowerCase();
+    if (!this.getSupportedFormats().includes(type)) {
+      throw new Error(`Unsupported image type: ${type}`);
+    }
+
+    const pixelRatio = this.resolvePixelRatio(config, width, height);
+    const theme = this.resolveTheme(config.theme);
+    const option = this.prepareOption(config);
+
+    return {
+      type,
+      width,
+      height,
+      pixelRatio,
+      theme,
+      option,
+      svgOptions: config.svgOptions,
+      pdfOptions: config.pdfOptions,
+      resources: this.collectResources(option, theme)
+    };
+  }
+
+  /**
+   * 收集渲染作业引用的自定义主题和地图
+   * 工作线程中的ECharts实例是独立的，渲染前需要注册这些资源
+   * @param {object} option - ECharts配置对象
+   * @param {string|null} theme - 主题名称
+   * @returns {Array<{type: string, name: string, version: number|string, data: object}>}
+   */
+  collectResources(option, theme) {
+    const resources = this.mapRegistry.collectMapNames(option)
+      .map(name => this.mapRegistry.getMapResource(name));
+
+    const entry = theme && this.options.themeRegistry ? this.options.themeRegistry.getTheme(theme) : null;
+    if (entry && entry.theme) {
+      resources.push({
+        type: 'theme',
+        name: theme,
+        version: entry.registeredAt.getTime(),
+        data: entry.theme
+      });
+    }
+
+    return resources;
+  }
+
+  /**
+   * 执行渲染作业
+   * @param {object} job - prepareImage生成的渲染作业
+   * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+   */
+  async renderImage(job) {
+    const { width, height, pixelRatio, theme } = job;
+
+    // 函数字符串不能跨线程传递，在渲染的线程中还原；vm无法限制堆内存，只在渲染工作线程中执行
+    let option = job.option;
+    if (this.functionSandbox.containsFunctions(option)) {
+      if (!this.options.reviveFunctions) {
+        throw new Error('JavaScript functions in option can only run in render workers');
       }
+      option = this.functionSandbox.revive(option);
+    }
 
-      // 设置默认值
-      const width = config.width || 600;
-      const height = config.height || 400;
-      const type = config.type || 'png';
-      
-      // 创建画布和图表实例
-      const canvas = createCanvas(width, height);
-      const chart = echarts.init(canvas);
+    switch (job.type) {
+      case 'png':
+        return {
+          buffer: this.renderRaster(option, width, height, 'image/png', pixelRatio, theme),
+          contentType: 'image/png',
+          extension: 'png'
+        };
+      case 'jpeg':
+      case 'jpg':
+        return {
+          buffer: this.renderRaster(option, width, height, 'image/jpeg', pixelRatio, theme),
+          contentType: 'image/jpeg',
+          extension: 'jpeg'
+        };
+      case 'svg':
+        // SVG格式 - 使用ECharts服务端SVG渲染器
+        return {
+          buffer: Buffer.from(this.renderSVG(option, width, height, job.svgOptions, theme), 'utf8'),
+          contentType: 'image/svg+xml',
+          extension: 'svg'
+        };
+      case 'pdf':
+        // PDF格式 - 基于SSR SVG生成矢量PDF
+        return {
+          buffer: await this.renderPDF(option, width, height, job.pdfOptions, theme),
+          contentType: 'application/pdf',
+          extension: 'pdf'
+        };
+      default:
+        throw new Error(`Unsupported image type: ${job.type}`);
+    }
+  }
+
+  /**
+   * 解析并校验像素比
+   * @param {object} config - 图表配置
+   * @param {number} width - 图表宽度
+   * @param {number} height - 图表高度
+   * @returns {number}
+   */
+  resolvePixelRatio(config, width, height) {
+    const pixelRatio = config.pixelRatio === undefined || config.pixelRatio === null ? 1 : config.pixelRatio;
+    
+    if (typeof pixelRatio !== 'number' || !(pixelRatio > 0)) {
+      throw new Error('pixelRatio must be a positive number');
+    }
+    
+    const pixelWidth = Math.round(width * pixelRatio);
+    const pixelHeight = Math.round(height * pixelRatio);
+    if (pixelWidth > this.options.maxPixelSize || pixelHeight > this.options.maxPixelSize) {
+      throw new Error(`Rendered size ${pixelWidth}x${pixelHeight} exceeds max pixel size ${this.options.maxPixelSize}`);
+    }
+    
+    return pixelRatio;
+  }
+
+  /**
+   * 预处理图表配置
+   * 注入请求级的默认字体、注册内联地图、检查函数字符串，不修改原始配置对象
+   * 函数字符串保持原样，由renderImage在渲染的线程中还原
+   * @param {object} config - 图表配置
+   * @returns {object} 用于渲染的ECharts配置
+   */
+  prepareOption(config) {
+    let option = config.option;
+    
+    if (config.fontFamily !== undefined && config.fontFamily !== null) {
+      if (!this.fontRegistry.hasFamily(config.fontFamily)) {
+        throw new Error(`Unknown font family: ${config.fontFamily}`);
+      }
       
-      // 设置图表选项
-      chart.setOption(config.option);
+      // 显式指定的textStyle.fontFamily优先
+      option = {
+        ...option,
+        textStyle: {
+          fontFamily: config.fontFamily,
+          ...option.textStyle
+        }
+      };
+    }
+    
+    // 内联GeoJSON按内容哈希注册，并替换配置中的地图名称
+    if (config.maps) {
+      const aliases = this.mapRegistry.registerInlineMaps(config.maps);
+      option = this.mapRegistry.rewriteMapNames(option, aliases);
+    }
+    
+    const missingMaps = this.mapRegistry.collectMapNames(option)
+      .filter(name => !this.mapRegistry.hasMap(name));
+    if (missingMaps.length > 0) {
+      throw new Error(`Unknown map: ${missingMaps.join(', ')}`);
+    }
+    
+    // 函数字符串在沙箱中还原为回调，需服务端开启
+    if (this.functionSandbox.containsFunctions(option)) {
+      if (!this.options.enableFunctions) {
+        throw new Error('JavaScript functions in option are disabled');
+      }
+    }
+    
+    return option;
+  }
+
+  /**
+   * 解析并校验主题
+   * @param {string} theme - 主题名称
+   * @returns {string|null}
+   */
+  resolveTheme(theme) {
+    if (theme === undefined || theme === null) {
+      return null;
+    }
+    
+    if (typeof theme !== 'string') {
+      throw new Error('theme must be a string');
+    }
+    
+    if (this.options.themeRegistry && !this.options.themeRegistry.hasTheme(theme)) {
+      throw new Error(`Unknown theme: ${theme}`);
+    }
+    
+    return theme;
+  }
+
+  /**
+   * 使用canvas渲染位图
+   * 画布按像素比放大，图表布局保持逻辑宽高
+   * @param {object} option - ECharts配置对象
+   * @param {number} width - 图表宽度（逻辑像素）
+   * @param {number} height - 图表高度（逻辑像素）
+   * @param {string} mimeType - 输出格式（image/png、image/jpeg）
+   * @param {number} pixelRatio - 像素比
+   * @param {string} theme - 主题名称
+   * @returns {Buffer}
+   */
+  renderRaster(option, width, height, mimeType, pixelRatio = 1, theme = null) {
+    const canvas = createCanvas(Math.round(width * pixelRatio), Math.round(height * pixelRatio));
+    const chart = echarts.init(canvas, theme, {
+      devicePixelRatio: pixelRatio,
+      width,
+      height
+    });
+    
+    try {
+      chart.setOption(option);
+      return canvas.toBuffer(mimeType);
+    } finally {
+      chart.dispose();
+    }
+  }
+
+  /**
+   * 生成SVG
+   * 默认保留<text>元素（可选择、可搜索），textAsPath为true时将文字转换为路径
+   * @param {object} option - ECharts配置对象
+   * @param {number} width - 图表宽度
+   * @param {number} height - 图表高度
+   * @param {object} svgOptions - SVG选项 {textAsPath: boolean}
+   * @param {string} theme - 主题名称
+   * @returns {string}
+   */
+  renderSVG(option, width, height, svgOptions = {}, theme = null) {
+    if (!svgOptions.textAsPath) {
+      return this.renderSVGString(option, width, height, theme);
+    }
+    
+    // 文字转路径依赖字体轮廓，需通过SVG canvas渲染
+    const svgCanvas = createCanvas(width, height, SvgExportFlag.ConvertTextToPaths);
+    const chart = echarts.init(svgCanvas, theme);
+    
+    try {
+      chart.setOption(option);
+      return svgCanvas.getContent().toString('utf8');
+    } finally {
+      chart.dispose();
+    }
+  }
+
+  /**
+   * 使用ECharts服务端渲染生成SVG字符串
+   * @param {object} option - ECharts配置对象
+   * @param {number} width - 图表宽度
+   * @param {number} height - 图表高度
+   * @param {string} theme - 主题名称
+   * @returns {string}
+   */
+  renderSVGString(option, width, height, theme = null) {
+    const chart = echarts.init(null, theme, {
+      renderer: 'svg',
+      ssr: true,
+      width,
+      height
+    });
+    
+    try {
+      chart.setOption(option);
+      return chart.renderToSVGString();
+    } finally {
+      chart.dispose();
+    }
+  }
+
+  /**
+   * 生成矢量PDF
+   * 页面尺寸由图表宽高（加边距）决定，1px对应1pt
+   * @param {object} option - ECharts配置对象
+   * @param {number} width - 图表宽度
+   * @param {number} height - 图表高度
+   * @param {object} pdfOptions - PDF选项 {margin: number, orientation: 'portrait'|'landscape'}
+   * @param {string} theme - 主题名称
+   * @returns {Promise<Buffer>}
+   */
+  renderPDF(option, width, height, pdfOptions = {}, theme = null) {
+    const svg = this.renderSVGString(option, width, height, theme);
+    const margin = pdfOptions.margin || 0;
+    
+    let pageWidth = width + margin * 2;
+    let pageHeight = height + margin * 2;
+    
+    // 指定方向时，必要时交换页面宽高
+    const orientation = pdfOptions.orientation;
+    if ((orientation === 'landscape' && pageWidth < pageHeight) ||
+        (orientation === 'portrait' && pageWidth > pageHeight)) {
+      [pageWidth, pageHeight] = [pageHeight, pageWidth];
+    }
+    
+    // 图表在内容区域内等比缩放并居中
+    const scale = Math.min(
+      (pageWidth - margin * 2) / width,
+      (pageHeight - margin * 2) / height
+    );
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+    
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: [pageWidth, pageHeight],
+        margin: 0,
+        info: { Producer: 'echarts-export-server' }
+      });
       
-      // 生成图片
-      let buffer;
-      let contentType;
-      let extension;
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
       
-      switch (type.toLowerCase()) {
-        case 'png':
-          buffer = canvas.toBuffer('image/png');
-          contentType = 'image/png';
-          extension = 'png';
-          break;
-        case 'jpeg':
-        case 'jpg':
-          buffer = canvas.toBuffer('image/jpeg');
-          contentType = 'image/jpeg';
-          extension = 'jpeg';
-          break;
-        case 'svg':
-          // SVG格式需要特殊处理 - 使用SVG canvas
-          const { SvgExportFlag } = require('@napi-rs/canvas');
-          const svgCanvas = createCanvas(width, height, SvgExportFlag.ConvertTextToPaths);
-          const svgChart = echarts.init(svgCanvas);
-          svgChart.setOption(config.option);
-          buffer = Buffer.from(svgCanvas.getContent(), 'utf8');
-          svgChart.dispose();
-          contentType = 'image/svg+xml';
-          extension = 'svg';
-          break;
-        case 'pdf':
-          // PDF格式暂时使用PNG代替
-          buffer = canvas.toBuffer('image/png');
-          contentType = 'image/png';
-          extension = 'png';
-          break;
-        default:
-          throw new Error(`Unsupported image type: ${type}`);
+      // 注册默认嵌入字体
+      if (this.options.pdfFontPath) {
+        doc.registerFont('EmbeddedDefault', this.options.pdfFontPath);
       }
       
-      // 清理资源
-      chart.dispose();
-      
-      return {
-        buffer,
-        contentType,
-        extension
+      const svgOptions = {
+        width: drawWidth,
+        height: drawHeight,
+        assumePt: true,
+        fontCallback: (family, bold, italic) => this.resolvePDFFont(doc, family, bold, italic)
       };
       
-    } catch (error) {
-      throw new Error(`Image generation failed: ${error.message}`);
+      try {
+        SVGtoPDF(doc, svg, (pageWidth - drawWidth) / 2, (pageHeight - drawHeight) / 2, svgOptions);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * 为PDF文本选择嵌入字体
+   * 依次匹配font-family列表中的自定义字体，其次使用PDF_FONT_PATH，最后回退到Helvetica
+   * @param {PDFDocument} doc - PDF文档
+   * @param {string} family - SVG中的font-family
+   * @param {boolean} bold - 是否粗体
+   * @param {boolean} italic - 是否斜体
+   * @returns {string} 字体名称
+   */
+  resolvePDFFont(doc, family, bold, italic) {
+    const families = String(family || '')
+      .split(',')
+      .map(name => name.trim().replace(/^['"]|['"]$/g, ''));
+    
+    for (const name of families) {
+      const font = this.fontRegistry.getFontFile(name, bold, italic);
+      if (font) {
+        doc.registerFont(font.postscriptName, font.path, font.isCollection ? font.postscriptName : undefined);
+        return font.postscriptName;
+      }
     }
+    
+    if (this.options.pdfFontPath) {
+      return 'EmbeddedDefault';
+    }
+    
+    if (bold) {
+      return italic ? 'Helvetica-BoldOblique' : 'Helvetica-Bold';
+    }
+    return italic ? 'Helvetica-Oblique' : 'Helvetica';
   }
 
   /**
-   * 生成图片并上传到OSS
+   * 生成图片并上传到存储
    * @param {object} config - 图表配置
    * @param {string} taskId - 任务ID
+   * @param {object} [options] - 上传选项，同uploadImage
+   * @param {Function} [options.onUpload] - 渲染完成、开始上传时调用
    * @returns {Promise<{url: string, fileName: string, buffer: Buffer, contentType: string}>}
    */
-  async generateAndUploadImage(config, taskId) {
+  async generateAndUploadImage(config, taskId, options = {}) {
     if (!this.ossClient) {
       throw new Error('OSS client not configured');
     }
@@ -111,28 +465,135 @@ class ImageGenerator {
       // 生成图片
       const imageResult = await this.generateImage(config);
       
-      // 生成唯一文件名
-      const fileName = this.ossClient.generateFileName(taskId, imageResult.extension);
-      
-      // 上传到OSS
-      const uploadResult = await this.ossClient.uploadFile(
-        imageResult.buffer,
-        fileName,
-        imageResult.contentType
-      );
+      if (options.onUpload) {
+        options.onUpload();
+      }
       
-      return {
-        url: uploadResult.url,
-        fileName: uploadResult.fileName,
-        buffer: imageResult.buffer,
-        contentType: imageResult.contentType
-      };
+      return await this.uploadImage(imageResult, taskId, options);
       
     } catch (error) {
       throw new Error(`Image generation and upload failed: ${error.message}`);
     }
   }
 
+  /**
+   * 上传已生成的图片到存储
+   * @param {{buffer: Buffer, contentType: string, extension: string}} imageResult - 生成的图片
+   * @param {string} taskId - 任务ID
+   * @param {object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 中止信号，已中止时不再上传
+   * @param {number} [options.deadline] - 上传截止时间戳（毫秒）
+   * @param {string} [options.objectName] - 文件名（不含扩展名，见StorageClient.resolveObjectName），不指定时生成唯一文件名
+   * @returns {Promise<{url: string, fileName: string, buffer: Buffer, contentType: string, extension: string}>}
+   */
+  async uploadImage(imageResult, taskId, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+    
+    const fileName = this.getUploadFileName(imageResult.extension, taskId, options.objectName);
+    
+    // 上传到存储
+    const uploadResult = await this.ossClient.uploadFile(
+      imageResult.buffer,
+      fileName,
+      imageResult.contentType,
+      { signal: options.signal, deadline: options.deadline }
+    );
+    
+    return {
+      url: uploadResult.url,
+      fileName: uploadResult.fileName,
+      buffer: imageResult.buffer,
+      contentType: imageResult.contentType,
+      extension: imageResult.extension
+    };
+  }
+
+  /**
+   * 将存储中已有的图片复制为任务的图片，不重新上传
+   * @param {{buffer: Buffer, contentType: string, extension: string}} imageResult - 已有图片的内容
+   * @param {Function} copy - 复制函数，参数为目标文件的完整路径，返回是否复制成功
+   * @param {string} taskId - 任务ID
+   * @param {object} [options] - 选项，同uploadImage
+   * @returns {Promise<object|null>} 同uploadImage；复制失败（源文件不存在）时返回null
+   */
+  async copyImage(imageResult, copy, taskId, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+    
+    const fullPath = this.ossClient.getFullPath(this.getUploadFileName(imageResult.extension, taskId, options.objectName));
+    if (!(await copy(fullPath))) {
+      return null;
+    }
+    
+    const { url } = await this.ossClient.getFileUrl(fullPath);
+    
+    return {
+      url,
+      fileName: fullPath,
+      buffer: imageResult.buffer,
+      contentType: imageResult.contentType,
+      extension: imageResult.extension
+    };
+  }
+
+  /**
+   * 生成上传的文件名
+   * @param {string} extension - 文件扩展名
+   * @param {string} taskId - 任务ID
+   * @param {string} [objectName] - 请求指定的文件名（不含扩展名），不指定时生成唯一文件名
+   * @returns {string}
+   */
+  getUploadFileName(extension, taskId, objectName) {
+    return objectName
+      ? `${objectName}.${extension}`
+      : this.ossClient.generateFileName(taskId, extension);
+  }
+
+  /**
+   * 获取渲染结果依赖的资源版本，注册的主题或地图更新后渲染缓存随之失效
+   * 版本为内容哈希（而非注册时间），重启后和多个实例之间保持一致
+   * @param {object} config - 图表配置
+   * @returns {{echarts: string, theme: string|null, maps: object}}
+   */
+  getRenderVersions(config) {
+    const option = config.option && typeof config.option === 'object' ? config.option : {};
+    const maps = {};
+    
+    for (const name of this.mapRegistry.collectMapNames(option)) {
+      const entry = this.mapRegistry.getMap(name);
+      if (entry) {
+        maps[name] = this.hashResource(entry, () => [entry.data, entry.specialAreas]);
+      }
+    }
+    
+    const theme = config.theme && this.options.themeRegistry ? this.options.themeRegistry.getTheme(config.theme) : null;
+    
+    return {
+      echarts: echarts.version,
+      // 内置主题没有主题对象，版本随ECharts版本
+      theme: theme && theme.theme ? this.hashResource(theme, () => theme.theme) : null,
+      maps
+    };
+  }
+
+  /**
+   * 计算注册资源的内容哈希，每次注册生成新的entry，哈希按entry缓存
+   * @param {object} entry - 主题或地图的注册信息
+   * @param {Function} getContent - 返回资源内容
+   * @returns {string}
+   */
+  hashResource(entry, getContent) {
+    let hash = this.resourceHashes.get(entry);
+    if (!hash) {
+      hash = crypto.createHash('sha256').update(JSON.stringify(getContent())).digest('hex');
+      this.resourceHashes.set(entry, hash);
+    }
+    return hash;
+  }
+
   /**
    * 渲染图表（兼容原renderChart函数）
    * @param {object} config - 图表配置
@@ -175,17 +636,22 @@ class ImageGenerator {
       const height = config.height || 400;
       const type = config.type || 'png';
       
-      const canvas = createCanvas(width, height);
-      const chart = echarts.init(canvas);
-      
-      chart.setOption(config.option);
-      
-      const formatType = type === 'jpeg' ? 'image/jpeg' : 'image/png';
-      const base64 = canvas.toDataURL(formatType);
+      // 矢量格式使用generateImage的结果编码
+      if (['svg', 'pdf'].includes(type.toLowerCase())) {
+        const imageResult = await this.generateImage(config);
+        return `data:${imageResult.contentType};base64,${imageResult.buffer.toString('base64')}`;
+      }
       
-      chart.dispose();
+      const { buffer, contentType } = await this.renderImage({
+        type: type === 'jpeg' ? 'jpeg' : 'png',
+        width,
+        height,
+        pixelRatio: this.resolvePixelRatio(config, width, height),
+        theme: this.resolveTheme(config.theme),
+        option: this.prepareOption(config)
+      });
       
-      return base64;
+      return `data:${contentType};base64,${buffer.toString('base64')}`;
     } catch (error) {
       throw new Error(`Base64 generation failed: ${error.message}`);
     }
@@ -245,8 +711,8 @@ class ImageGenerator {
   }
 
   /**
-   * 设置OSS客户端
-   * @param {OSSClient} ossClient - OSS客户端实例
+   * 设置存储客户端
+   * @param {StorageClient} ossClient - 存储客户端实例（OSSClient、S3StorageClient或LocalStorageClient）
    */
   setOSSClient(ossClient) {
     this.ossClient = ossClient;
@@ -0,0 +1,275 @@
+/**
+ * 本地文件系统存储
+ * 图片按上传日期（UTC）分目录写入本地：<rootDir>/<pathPrefix>/YYYY/MM/DD/<fileName>，
+ * 通过publicUrl（内置的文件路由或nginx等静态文件服务）访问
+ * 适用于单机部署或挂载了共享卷的场景，错误处理见StorageClient
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageClient = require('./StorageClient');
+const logger = require('../utils/logger');
+
+// 日期目录 YYYY/MM/DD
+const DATE_DIR_PATTERN = /^(\d{4})\/(\d{2})\/(\d{2})$/;
+
+// 文件扩展名 -> 内容类型
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+class LocalStorageClient extends StorageClient {
+  /**
+   * @param {object} config - 存储配置
+   * @param {string} config.rootDir - 存储根目录
+   * @param {string} config.publicUrl - 文件的访问地址前缀
+   * @param {string} [config.pathPrefix] - 文件路径前缀（相对于根目录）
+   * @param {MetricsService} [metricsService] - 指标服务
+   */
+  constructor(config, metricsService = null) {
+    // 本地读写失败通常不是暂时性的，默认不重试
+    super('Local', { maxRetries: 1, ...config }, metricsService);
+
+    if (!this.config.rootDir) {
+      throw new Error('LocalStorageClient requires rootDir');
+    }
+
+    this.rootDir = path.resolve(this.config.rootDir);
+  }
+
+  /**
+   * 获取完整的文件路径，按当前日期（UTC）分目录
+   * @param {string} fileName - 原始文件名
+   * @returns {string}
+   */
+  getFullPath(fileName) {
+    const dateDir = new Date().toISOString().substring(0, 10).replace(/-/g, '/');
+    return path.posix.join(this.config.pathPrefix || '', dateDir, fileName);
+  }
+
+  /**
+   * 将存储路径解析为根目录下的绝对路径
+   * @param {string} fullPath - 完整路径
+   * @returns {string}
+   * @throws {Error} 路径超出根目录时抛出
+   */
+  resolvePath(fullPath) {
+    const filePath = path.resolve(this.rootDir, fullPath);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage path: ${fullPath}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * 写入文件，先写临时文件再重命名，读取方不会看到写了一半的文件
+   * @param {string} fullPath - 完整路径
+   * @param {Buffer} buffer - 文件内容
+   * @returns {Promise<void>}
+   */
+  async putObject(fullPath, buffer) {
+    await this.writeFile(fullPath, tempPath => fs.promises.writeFile(tempPath, buffer));
+  }
+
+  /**
+   * 复制文件，同样先写临时文件再重命名
+   * @param {string} sourcePath - 源文件的完整路径
+   * @param {string} targetPath - 目标文件的完整路径
+   * @returns {Promise<void>}
+   */
+  async copyObject(sourcePath, targetPath) {
+    const sourceFile = this.resolvePath(sourcePath);
+    await this.writeFile(targetPath, tempPath => fs.promises.copyFile(sourceFile, tempPath));
+  }
+
+  /**
+   * 写入临时文件后重命名为目标文件
+   * @param {string} fullPath - 完整路径
+   * @param {Function} write - 写入临时文件的函数，参数为临时文件路径
+   * @returns {Promise<void>}
+   */
+  async writeFile(fullPath, write) {
+    const filePath = this.resolvePath(fullPath);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    for (let attempt = 1; ; attempt++) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        await write(tempPath);
+        await fs.promises.rename(tempPath, filePath);
+        return;
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+
+        // 目录恰好在删除文件时作为空目录被移除，重新创建后再写一次
+        if (error.code !== 'ENOENT' || attempt > 1) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * 删除文件，并移除因此变空的日期目录
+   * @param {string} fullPath - 完整路径
+   * @returns {Promise<void>}
+   */
+  async deleteObject(fullPath) {
+    const filePath = this.resolvePath(fullPath);
+    await fs.promises.unlink(filePath);
+
+    let dir = path.dirname(filePath);
+    while (dir !== this.rootDir) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        // 目录不为空或已被删除
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * 删除早于保留期的日期目录
+   * 用于清理没有对应任务记录的文件（如内存任务存储在重启后丢失的任务）
+   * @param {number} retentionDays - 保留天数
+   * @returns {Promise<number>} 删除的文件数
+   */
+  async deleteExpiredFiles(retentionDays) {
+    const baseDir = path.join(this.rootDir, this.config.pathPrefix || '');
+    // 日期目录中最晚的文件也超过保留期时才删除
+    const cutoff = Date.now() - (retentionDays + 1) * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+
+    for (const dateDir of await this.listDateDirs(baseDir)) {
+      const [, year, month, day] = dateDir.match(DATE_DIR_PATTERN);
+      if (Date.UTC(year, month - 1, day) >= cutoff) {
+        continue;
+      }
+
+      const dirPath = path.join(baseDir, dateDir);
+      deleted += (await fs.promises.readdir(dirPath)).length;
+      await fs.promises.rm(dirPath, { recursive: true, force: true });
+
+      // 移除变空的年、月目录
+      for (const parent of [path.dirname(dirPath), path.dirname(path.dirname(dirPath))]) {
+        await fs.promises.rmdir(parent).catch(() => {});
+      }
+    }
+
+    if (deleted > 0) {
+      logger.info('Expired local storage files deleted', { retentionDays, deleted });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * 列出目录下的日期目录
+   * @param {string} baseDir - 日期目录所在的目录
+   * @returns {Promise<Array<string>>} YYYY/MM/DD形式的相对路径
+   */
+  async listDateDirs(baseDir) {
+    const dateDirs = [];
+    const list = dir => fs.promises.readdir(dir, { withFileTypes: true })
+      .then(entries => entries.filter(entry => entry.isDirectory()).map(entry => entry.name))
+      .catch(() => []);
+
+    for (const year of await list(baseDir)) {
+      for (const month of await list(path.join(baseDir, year))) {
+        for (const day of await list(path.join(baseDir, year, month))) {
+          const dateDir = `${year}/${month}/${day}`;
+          if (DATE_DIR_PATTERN.test(dateDir)) {
+            dateDirs.push(dateDir);
+          }
+        }
+      }
+    }
+
+    return dateDirs;
+  }
+
+  /**
+   * 读取文件，内容类型由扩展名确定
+   * @param {string} fullPath - 完整路径
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async getObject(fullPath) {
+    const buffer = await fs.promises.readFile(this.resolvePath(fullPath));
+    const extension = path.extname(fullPath).substring(1).toLowerCase();
+
+    return {
+      buffer,
+      contentType: CONTENT_TYPES[extension] || 'application/octet-stream'
+    };
+  }
+
+  /**
+   * 列出目录下的所有文件（包括子目录），目录不存在时返回空数组
+   * @param {string} prefix - 路径前缀
+   * @returns {Promise<Array<{name: string, lastModified: Date}>>}
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    const list = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(this.resolvePath(dir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const name = path.posix.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await list(name);
+        } else {
+          const stats = await fs.promises.stat(this.resolvePath(name));
+          objects.push({ name, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    await list(prefix.replace(/\/+$/, ''));
+    return objects;
+  }
+
+  /**
+   * 检查根目录是否可写，不存在时创建
+   * @returns {Promise<void>}
+   */
+  async checkConnection() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await fs.promises.access(this.rootDir, fs.constants.W_OK);
+  }
+
+  /**
+   * @param {Error} error - 文件系统错误
+   * @returns {boolean}
+   */
+  isNotFoundError(error) {
+    return error.code === 'ENOENT';
+  }
+
+  /**
+   * 生成访问URL
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {string}
+   */
+  generatePublicUrl(fileName) {
+    return `${this.config.publicUrl.replace(/\/+$/, '')}/${fileName}`;
+  }
+}
+
+module.exports = LocalStorageClient;
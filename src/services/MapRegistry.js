@@ -0,0 +1,355 @@
+/**
+ * 地图注册中心
+ * 管理map系列和geo组件使用的地图：启动时从目录加载的GeoJSON/SVG地图、
+ * 通过API注册的地图以及请求中内联的GeoJSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const echarts = require('echarts');
+const { DOMParser } = require('@xmldom/xmldom');
+const logger = require('../utils/logger');
+
+// 地图名称格式（允许中文，便于使用"china"、"浙江"等常见名称）
+const MAP_NAME_PATTERN = /^[\w\u4e00-\u9fa5-]{1,64}$/;
+
+// GeoJSON顶层类型
+const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'GeometryCollection'];
+
+class MapRegistry {
+  constructor(options = {}) {
+    this.options = {
+      mapDir: options.mapDir || null, // 地图文件目录
+      maxInlineMapSize: options.maxInlineMapSize || 512 * 1024, // 内联GeoJSON最大字节数
+      maxInlineMaps: options.maxInlineMaps || 100, // 同时保留的内联地图数量
+      ...options
+    };
+
+    // 已注册地图 name -> {name, type, source, data, specialAreas, size, registeredAt}
+    this.maps = new Map();
+
+    // 内联地图按内容哈希注册，相同内容只注册一次 alias -> {hash, geoJSON}
+    // 数量超过maxInlineMaps时淘汰最久未使用的地图并复用其注册名称，
+    // ECharts没有注销接口，复用名称可以覆盖旧数据，使主线程和工作线程中的地图数量都有上限
+    this.inlineMaps = new Map();
+
+    // 内容哈希 -> alias，按最近使用排序
+    this.inlineAliases = new Map();
+
+    if (this.options.mapDir) {
+      this.loadFromDirectory(this.options.mapDir);
+    }
+  }
+
+  /**
+   * 注册地图
+   * @param {string} name - 地图名称
+   * @param {object} definition - 地图定义 {geoJSON, specialAreas} 或 {svg}
+   * @param {string} source - 地图来源（file、api）
+   * @returns {object} 地图信息
+   */
+  registerMap(name, definition, source = 'api') {
+    if (typeof name !== 'string' || !MAP_NAME_PATTERN.test(name)) {
+      throw new Error('Map name must be 1-64 characters of letters, digits, Chinese characters, "_" or "-"');
+    }
+
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Map definition must be an object');
+    }
+
+    const { geoJSON, svg, specialAreas } = definition;
+    let type;
+    let size;
+
+    if (geoJSON !== undefined) {
+      this.validateGeoJSON(geoJSON);
+      echarts.registerMap(name, { geoJSON, specialAreas });
+      type = 'geojson';
+      size = JSON.stringify(geoJSON).length;
+    } else if (svg !== undefined) {
+      echarts.registerMap(name, { svg: this.parseSVG(svg) });
+      type = 'svg';
+      size = svg.length;
+    } else {
+      throw new Error('Map definition must contain geoJSON or svg');
+    }
+
+    const entry = {
+      name,
+      type,
+      source,
+      data: type === 'geojson' ? geoJSON : svg,
+      specialAreas: specialAreas || null,
+      size,
+      registeredAt: new Date()
+    };
+    this.maps.set(name, entry);
+
+    logger.info('Map registered', { name, type, source, size });
+
+    return entry;
+  }
+
+  /**
+   * 注销地图
+   * ECharts没有注销接口，地图数据仍保留在ECharts内部，但不再允许请求引用
+   * @param {string} name - 地图名称
+   * @returns {boolean} 是否存在并已注销
+   */
+  unregisterMap(name) {
+    const existed = this.maps.delete(name);
+
+    if (existed) {
+      logger.info('Map unregistered', { name });
+    }
+
+    return existed;
+  }
+
+  /**
+   * 注册请求中内联的GeoJSON地图
+   * @param {object} maps - 地图名称 -> GeoJSON
+   * @returns {object} 地图名称 -> 实际注册名称
+   * @throws {Error} GeoJSON无效、超过大小限制，或本次请求的地图数量超过maxInlineMaps
+   */
+  registerInlineMaps(maps) {
+    const aliases = {};
+    const used = new Set();
+
+    for (const [name, geoJSON] of Object.entries(maps)) {
+      this.validateGeoJSON(geoJSON);
+
+      const content = JSON.stringify(geoJSON);
+      if (content.length > this.options.maxInlineMapSize) {
+        throw new Error(`Inline map ${name} exceeds ${this.options.maxInlineMapSize} bytes`);
+      }
+
+      const hash = crypto.createHash('sha1').update(content).digest('hex').substring(0, 16);
+      let alias = this.inlineAliases.get(hash);
+
+      if (alias) {
+        // 移到最近使用的位置
+        this.inlineAliases.delete(hash);
+      } else {
+        alias = this.allocateInlineAlias(used);
+        echarts.registerMap(alias, { geoJSON });
+        this.inlineMaps.set(alias, { hash, geoJSON });
+      }
+
+      this.inlineAliases.set(hash, alias);
+      used.add(alias);
+      aliases[name] = alias;
+    }
+
+    return aliases;
+  }
+
+  /**
+   * 分配内联地图的注册名称
+   * 未达到上限时使用新名称，否则淘汰最久未使用且不在本次请求中的地图，复用其名称
+   * @param {Set<string>} used - 本次请求已使用的名称
+   * @returns {string}
+   */
+  allocateInlineAlias(used) {
+    if (this.inlineMaps.size < this.options.maxInlineMaps) {
+      return `__inline_${this.inlineMaps.size}`;
+    }
+
+    for (const [hash, alias] of this.inlineAliases) {
+      if (!used.has(alias)) {
+        this.inlineAliases.delete(hash);
+        this.inlineMaps.delete(alias);
+        logger.debug('Inline map evicted', { alias });
+        return alias;
+      }
+    }
+
+    throw new Error(`A request can contain at most ${this.options.maxInlineMaps} inline maps`);
+  }
+
+  /**
+   * 从目录加载地图文件（*.json、*.geojson、*.svg），文件名即地图名
+   * @param {string} dir - 地图目录
+   * @returns {number} 成功加载的地图数量
+   */
+  loadFromDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.warn('Map directory does not exist', { dir });
+      return 0;
+    }
+
+    let loaded = 0;
+    const files = fs.readdirSync(dir)
+      .filter(file => ['.json', '.geojson', '.svg'].includes(path.extname(file).toLowerCase()));
+
+    for (const file of files) {
+      try {
+        const extension = path.extname(file).toLowerCase();
+        const name = path.basename(file, path.extname(file));
+        const content = fs.readFileSync(path.join(dir, file), 'utf8');
+
+        const definition = extension === '.svg'
+          ? { svg: content }
+          : { geoJSON: JSON.parse(content) };
+
+        this.registerMap(name, definition, 'file');
+        loaded++;
+      } catch (error) {
+        logger.warn('Failed to load map file', {
+          file,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Maps loaded from directory', {
+      dir,
+      loaded,
+      total: files.length
+    });
+
+    return loaded;
+  }
+
+  /**
+   * 校验GeoJSON结构
+   * @param {object} geoJSON - GeoJSON对象
+   */
+  validateGeoJSON(geoJSON) {
+    if (!geoJSON || typeof geoJSON !== 'object' || !GEOJSON_TYPES.includes(geoJSON.type)) {
+      throw new Error(`GeoJSON type must be one of: ${GEOJSON_TYPES.join(', ')}`);
+    }
+
+    if (geoJSON.type === 'FeatureCollection' && !Array.isArray(geoJSON.features)) {
+      throw new Error('GeoJSON FeatureCollection must contain a features array');
+    }
+  }
+
+  /**
+   * 解析SVG地图
+   * 服务端没有DOMParser，预先解析为DOM节点再交给ECharts
+   * @param {string} svg - SVG字符串
+   * @returns {Element}
+   */
+  parseSVG(svg) {
+    if (typeof svg !== 'string' || !svg.includes('<svg')) {
+      throw new Error('SVG map must be an SVG string');
+    }
+
+    const errors = [];
+    const document = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') {
+          errors.push(message);
+        }
+      }
+    }).parseFromString(svg, 'image/svg+xml');
+
+    if (errors.length > 0 || !document.documentElement || document.documentElement.nodeName !== 'svg') {
+      throw new Error(`Invalid SVG map: ${errors[0] || 'root element must be <svg>'}`);
+    }
+
+    return document.documentElement;
+  }
+
+  /**
+   * 收集ECharts配置中引用的地图名称（map系列和geo组件）
+   * @param {object} option - ECharts配置对象
+   * @returns {Array<string>}
+   */
+  collectMapNames(option) {
+    const names = new Set();
+    const toArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+    toArray(option.series)
+      .filter(series => series && series.type === 'map' && typeof series.map === 'string')
+      .forEach(series => names.add(series.map));
+
+    toArray(option.geo)
+      .filter(geo => geo && typeof geo.map === 'string')
+      .forEach(geo => names.add(geo.map));
+
+    return Array.from(names);
+  }
+
+  /**
+   * 将配置中的地图名称替换为实际注册名称，不修改原始配置对象
+   * @param {object} option - ECharts配置对象
+   * @param {object} aliases - 地图名称 -> 实际注册名称
+   * @returns {object}
+   */
+  rewriteMapNames(option, aliases) {
+    const rewrite = item => (item && typeof item.map === 'string' && aliases[item.map]
+      ? { ...item, map: aliases[item.map] }
+      : item);
+    const rewriteAll = value => (Array.isArray(value) ? value.map(rewrite) : rewrite(value));
+
+    const result = { ...option };
+    if (option.series) {
+      result.series = rewriteAll(option.series);
+    }
+    if (option.geo) {
+      result.geo = rewriteAll(option.geo);
+    }
+
+    return result;
+  }
+
+  /**
+   * 检查地图是否可用
+   * @param {string} name - 地图名称
+   * @returns {boolean}
+   */
+  hasMap(name) {
+    return this.maps.has(name) || this.inlineMaps.has(name);
+  }
+
+  /**
+   * 获取地图
+   * @param {string} name - 地图名称
+   * @returns {object|null}
+   */
+  getMap(name) {
+    return this.maps.get(name) || null;
+  }
+
+  /**
+   * 获取地图的注册数据，供工作线程注册到各自的ECharts实例
+   * 内联地图的名称会被复用，以内容哈希作为版本，名称对应的内容变化时工作线程会重新注册
+   * @param {string} name - 地图名称
+   * @returns {{type: string, name: string, version: number|string, data: object}}
+   */
+  getMapResource(name) {
+    if (this.inlineMaps.has(name)) {
+      const { hash, geoJSON } = this.inlineMaps.get(name);
+      return { type: 'map', name, version: hash, data: { geoJSON } };
+    }
+
+    const entry = this.maps.get(name);
+    return {
+      type: 'map',
+      name,
+      version: entry.registeredAt.getTime(),
+      data: entry.type === 'geojson'
+        ? { geoJSON: entry.data, specialAreas: entry.specialAreas || undefined }
+        : { svg: entry.data }
+    };
+  }
+
+  /**
+   * 获取地图列表（不含地图数据）
+   * @returns {Array<{name: string, type: string, source: string, size: number, registeredAt: string}>}
+   */
+  listMaps() {
+    return Array.from(this.maps.values()).map(entry => ({
+      name: entry.name,
+      type: entry.type,
+      source: entry.source,
+      size: entry.size,
+      registeredAt: entry.registeredAt.toISOString()
+    }));
+  }
+}
+
+module.exports = MapRegistry;
@@ -15,7 +15,8 @@ class MetricsService {
         completed: 0,
         failed: 0,
         retried: 0,
-        timeout: 0
+        timeout: 0,
+        cancelled: 0
       },
       
       // 处理时间指标
@@ -34,7 +35,8 @@ class MetricsService {
         maxPending: 0,
         maxProcessing: 0,
         currentPending: 0,
-        currentProcessing: 0
+        currentProcessing: 0,
+        pendingByPriority: {}
       },
       
       // OSS操作指标
@@ -47,6 +49,14 @@ class MetricsService {
         uploadTimes: []
       },
       
+      // 渲染缓存指标
+      renderCache: {
+        memoryHits: 0,
+        storageHits: 0,
+        misses: 0,
+        bypassed: 0
+      },
+      
       // 系统资源指标
       system: {
         startTime: Date.now(),
@@ -144,14 +154,31 @@ class MetricsService {
     });
   }
 
+  /**
+   * 记录任务取消
+   * @param {string} taskId - 任务ID
+   * @param {string} previousStatus - 取消前的状态 pending|processing
+   */
+  recordTaskCancelled(taskId, previousStatus) {
+    this.metrics.tasks.cancelled++;
+    
+    logger.debug('Task cancellation recorded', {
+      taskId,
+      previousStatus,
+      totalCancelled: this.metrics.tasks.cancelled
+    });
+  }
+
   /**
    * 更新队列状态
    * @param {number} pendingTasks - 等待任务数
    * @param {number} processingTasks - 处理中任务数
+   * @param {object} [pendingByPriority] - 各优先级的等待任务数 priority -> count
    */
-  updateQueueStatus(pendingTasks, processingTasks) {
+  updateQueueStatus(pendingTasks, processingTasks, pendingByPriority = {}) {
     this.metrics.queue.currentPending = pendingTasks;
     this.metrics.queue.currentProcessing = processingTasks;
+    this.metrics.queue.pendingByPriority = { ...pendingByPriority };
     
     // 更新峰值
     if (pendingTasks > this.metrics.queue.maxPending) {
@@ -207,6 +234,21 @@ class MetricsService {
     });
   }
 
+  /**
+   * 记录渲染缓存的查找结果
+   * @param {string} outcome - memory（内存命中）| storage（存储命中）| miss（未命中）| bypass（请求跳过缓存）
+   */
+  recordRenderCache(outcome) {
+    const counters = {
+      memory: 'memoryHits',
+      storage: 'storageHits',
+      miss: 'misses',
+      bypass: 'bypassed'
+    };
+    
+    this.metrics.renderCache[counters[outcome]]++;
+  }
+
   /**
    * 记录HTTP请求
    * @param {string} method - HTTP方法
@@ -396,6 +438,27 @@ class MetricsService {
       '# HELP echarts_tasks_timeout_total Total number of tasks that timed out',
       '# TYPE echarts_tasks_timeout_total counter',
       `echarts_tasks_timeout_total ${this.metrics.tasks.timeout}`,
+      '',
+      '# HELP echarts_tasks_cancelled_total Total number of tasks cancelled',
+      '# TYPE echarts_tasks_cancelled_total counter',
+      `echarts_tasks_cancelled_total ${this.metrics.tasks.cancelled}`,
+      ''
+    );
+    
+    // 渲染缓存指标
+    metrics.push(
+      '# HELP echarts_render_cache_hits_total Total number of render cache hits',
+      '# TYPE echarts_render_cache_hits_total counter',
+      `echarts_render_cache_hits_total{tier="memory"} ${this.metrics.renderCache.memoryHits}`,
+      `echarts_render_cache_hits_total{tier="storage"} ${this.metrics.renderCache.storageHits}`,
+      '',
+      '# HELP echarts_render_cache_misses_total Total number of render cache misses',
+      '# TYPE echarts_render_cache_misses_total counter',
+      `echarts_render_cache_misses_total ${this.metrics.renderCache.misses}`,
+      '',
+      '# HELP echarts_render_cache_bypassed_total Total number of tasks that bypassed the render cache',
+      '# TYPE echarts_render_cache_bypassed_total counter',
+      `echarts_render_cache_bypassed_total ${this.metrics.renderCache.bypassed}`,
       ''
     );
     
@@ -420,6 +483,12 @@ class MetricsService {
       '# TYPE echarts_queue_pending_tasks gauge',
       `echarts_queue_pending_tasks ${this.metrics.queue.currentPending}`,
       '',
+      '# HELP echarts_queue_pending_tasks_by_priority Current number of pending tasks by priority',
+      '# TYPE echarts_queue_pending_tasks_by_priority gauge',
+      ...Object.entries(this.metrics.queue.pendingByPriority).map(([priority, count]) =>
+        `echarts_queue_pending_tasks_by_priority{priority="${priority}"} ${count}`
+      ),
+      '',
       '# HELP echarts_queue_processing_tasks Current number of processing tasks',
       '# TYPE echarts_queue_processing_tasks gauge',
       `echarts_queue_processing_tasks ${this.metrics.queue.currentProcessing}`,
@@ -502,7 +571,8 @@ class MetricsService {
         completed: 0,
         failed: 0,
         retried: 0,
-        timeout: 0
+        timeout: 0,
+        cancelled: 0
       },
       processingTimes: {
         samples: [],
@@ -517,7 +587,8 @@ class MetricsService {
         maxPending: 0,
         maxProcessing: 0,
         currentPending: 0,
-        currentProcessing: 0
+        currentProcessing: 0,
+        pendingByPriority: {}
       },
       oss: {
         uploads: 0,
@@ -527,6 +598,12 @@ class MetricsService {
         uploadSizes: [],
         uploadTimes: []
       },
+      renderCache: {
+        memoryHits: 0,
+        storageHits: 0,
+        misses: 0,
+        bypassed: 0
+      },
       system: {
         startTime: Date.now(),
         lastUpdate: Date.now(),
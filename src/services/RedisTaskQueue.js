@@ -0,0 +1,972 @@
+/**
+ * 基于Redis的分布式任务队列
+ * 多个实例共享同一Redis中的等待队列，任务记录和状态保存在Redis中，任一实例都能查询
+ * 领取（claim）和确认（ack）通过Lua脚本原子执行，同一任务只会被一个实例处理
+ * 领取的任务带有可见性超时：实例崩溃或处理超时后由任一实例收回，按超时失败重试，取代内存队列的超时检查
+ * 等待队列按优先级分开保存，领取时与内存队列相同地按有效优先级（随等待时间提升）选择
+ * 接口和事件与TaskQueue一致，队列操作返回Promise
+ * 领取、收回和清理脚本根据键前缀拼接任务键（要访问的任务在脚本执行时才确定，无法通过KEYS声明），
+ * 因此只支持单节点Redis（可带主从/哨兵），不支持Redis Cluster
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Task = require('../models/Task');
+const Batch = require('../models/Batch');
+const logger = require('../utils/logger');
+
+// 单次收回超时任务或清理过期任务的最大数量
+const SCAN_LIMIT = 100;
+
+// 新增任务：等待中的任务进入其优先级的等待队列，已结束的任务仅供查询
+const ADD_TASK = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'record', ARGV[2], 'status', ARGV[3], 'createdAt', ARGV[4])
+if ARGV[3] == 'pending' then
+  redis.call('RPUSH', KEYS[2], ARGV[1])
+else
+  redis.call('ZADD', KEYS[3], ARGV[4], ARGV[1])
+end
+return 1
+`;
+
+// 领取任务：比较各优先级等待队列（KEYS[2..]，从高到低）队首任务的有效优先级，
+// 取出最优的任务，记录领取令牌和可见性截止时间
+const CLAIM_TASK = `
+local selected, selectedRank, selectedCreatedAt
+for i = 2, #KEYS do
+  local taskId = redis.call('LINDEX', KEYS[i], 0)
+  while taskId and redis.call('HGET', ARGV[1] .. 'task:' .. taskId, 'status') ~= 'pending' do
+    redis.call('LPOP', KEYS[i])
+    taskId = redis.call('LINDEX', KEYS[i], 0)
+  end
+  if taskId then
+    local createdAt = tonumber(redis.call('HGET', ARGV[1] .. 'task:' .. taskId, 'createdAt'))
+    local rank = (i - 2) - math.floor((tonumber(ARGV[4]) - createdAt) / tonumber(ARGV[5]))
+    if not selected or rank < selectedRank or (rank == selectedRank and createdAt < selectedCreatedAt) then
+      selected, selectedRank, selectedCreatedAt = i, rank, createdAt
+    end
+  end
+end
+if not selected then
+  return false
+end
+local taskId = redis.call('LPOP', KEYS[selected])
+local key = ARGV[1] .. 'task:' .. taskId
+redis.call('HSET', key, 'status', 'processing', 'token', ARGV[3])
+redis.call('ZADD', KEYS[1], ARGV[2], taskId)
+return {taskId, redis.call('HGET', key, 'record')}
+`;
+
+// 更新任务记录（仅持有领取令牌的实例可以更新）
+const UPDATE_TASK = `
+if redis.call('HGET', KEYS[1], 'token') ~= ARGV[1] then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'record', ARGV[2])
+return 1
+`;
+
+// 重试：释放领取并放回其优先级等待队列的头部
+const REQUEUE_TASK = `
+if redis.call('HGET', KEYS[1], 'token') ~= ARGV[2] then
+  return 0
+end
+redis.call('ZREM', KEYS[3], ARGV[1])
+redis.call('HSET', KEYS[1], 'record', ARGV[3], 'status', 'pending')
+redis.call('HDEL', KEYS[1], 'token')
+redis.call('LPUSH', KEYS[2], ARGV[1])
+return 1
+`;
+
+// 确认任务结束（完成或最终失败）
+const FINISH_TASK = `
+if redis.call('HGET', KEYS[1], 'token') ~= ARGV[2] then
+  return 0
+end
+redis.call('ZREM', KEYS[2], ARGV[1])
+redis.call('HSET', KEYS[1], 'record', ARGV[3], 'status', ARGV[4])
+redis.call('HDEL', KEYS[1], 'token')
+redis.call('ZADD', KEYS[3], ARGV[5], ARGV[1])
+redis.call('HINCRBY', KEYS[4], ARGV[6], 1)
+return 1
+`;
+
+// 取消等待中或处理中的任务；处理中任务的领取令牌失效，处理方的确认将被拒绝
+const CANCEL_TASK = `
+local status = redis.call('HGET', KEYS[1], 'status')
+if status ~= 'pending' and status ~= 'processing' then
+  return 0
+end
+redis.call('LREM', KEYS[2], 0, ARGV[1])
+redis.call('ZREM', KEYS[3], ARGV[1])
+redis.call('HSET', KEYS[1], 'record', ARGV[2], 'status', 'cancelled')
+redis.call('HDEL', KEYS[1], 'token')
+redis.call('ZADD', KEYS[4], ARGV[3], ARGV[1])
+redis.call('HINCRBY', KEYS[5], 'totalCancelled', 1)
+return 1
+`;
+
+// 收回超过可见性截止时间的任务，换成新的领取令牌并延长截止时间
+const RECLAIM_TASKS = `
+local taskIds = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[2], 'LIMIT', 0, ARGV[5])
+local reclaimed = {}
+for _, taskId in ipairs(taskIds) do
+  local key = ARGV[1] .. 'task:' .. taskId
+  if redis.call('HGET', key, 'status') == 'processing' then
+    redis.call('HSET', key, 'token', ARGV[4])
+    redis.call('ZADD', KEYS[1], ARGV[3], taskId)
+    table.insert(reclaimed, {taskId, redis.call('HGET', key, 'record')})
+  else
+    redis.call('ZREM', KEYS[1], taskId)
+  end
+end
+return reclaimed
+`;
+
+// 删除创建时间早于截止时间的已结束任务
+const REMOVE_EXPIRED_TASKS = `
+local taskIds = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[2], 'LIMIT', 0, ARGV[3])
+local removed = {}
+for _, taskId in ipairs(taskIds) do
+  local key = ARGV[1] .. 'task:' .. taskId
+  local values = redis.call('HMGET', key, 'record', 'status')
+  redis.call('DEL', key)
+  redis.call('ZREM', KEYS[1], taskId)
+  if values[1] then
+    table.insert(removed, {values[1], values[2]})
+  end
+end
+return removed
+`;
+
+// 登记幂等键：键已存在时返回已有记录，否则写入并设置过期时间
+const RESERVE_IDEMPOTENCY_KEY = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return existing
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return false
+`;
+
+// 释放幂等键：只删除本任务登记的记录
+const RELEASE_IDEMPOTENCY_KEY = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('DEL', KEYS[1])
+  return 1
+end
+return 0
+`;
+
+// 删除共享文件名的写入记录：只删除仍由本任务写入的记录
+const RELEASE_OBJECT_OWNER = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  return 1
+end
+return 0
+`;
+
+// 保存回调投递状态（任务已被清理时不写入）
+const SAVE_CALLBACK = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'callback', ARGV[1])
+return 1
+`;
+
+const SCRIPTS = {
+  echartsAddTask: { numberOfKeys: 3, lua: ADD_TASK },
+  echartsClaimTask: { numberOfKeys: 1 + Task.PRIORITIES.length, lua: CLAIM_TASK },
+  echartsUpdateTask: { numberOfKeys: 1, lua: UPDATE_TASK },
+  echartsRequeueTask: { numberOfKeys: 3, lua: REQUEUE_TASK },
+  echartsFinishTask: { numberOfKeys: 4, lua: FINISH_TASK },
+  echartsCancelTask: { numberOfKeys: 5, lua: CANCEL_TASK },
+  echartsReclaimTasks: { numberOfKeys: 1, lua: RECLAIM_TASKS },
+  echartsRemoveExpiredTasks: { numberOfKeys: 1, lua: REMOVE_EXPIRED_TASKS },
+  echartsReserveIdempotencyKey: { numberOfKeys: 1, lua: RESERVE_IDEMPOTENCY_KEY },
+  echartsReleaseIdempotencyKey: { numberOfKeys: 1, lua: RELEASE_IDEMPOTENCY_KEY },
+  echartsReleaseObjectOwner: { numberOfKeys: 1, lua: RELEASE_OBJECT_OWNER },
+  echartsSaveCallback: { numberOfKeys: 1, lua: SAVE_CALLBACK }
+};
+
+class RedisTaskQueue extends EventEmitter {
+  /**
+   * @param {Redis} redis - ioredis客户端，队列销毁时关闭连接
+   * @param {object} options - 选项
+   * @param {number} [options.maxConcurrent] - 本实例最大并发数
+   * @param {number} [options.taskTimeout] - 可见性超时（秒），超过后任务被收回
+   * @param {number} [options.retryAttempts] - 失败重试次数
+   * @param {number} [options.priorityAging] - 等待任务每隔多少秒提升一级优先级
+   * @param {string} [options.keyPrefix] - Redis键前缀
+   * @param {number} [options.pollInterval] - 轮询等待队列和超时任务的间隔（毫秒）
+   * @param {number} [options.idempotencyTtl] - 幂等键保留时间（秒）
+   */
+  constructor(redis, options = {}) {
+    super();
+
+    this.redis = redis;
+
+    this.options = {
+      maxConcurrent: options.maxConcurrent || 10,
+      taskTimeout: options.taskTimeout || 300, // 5分钟
+      retryAttempts: options.retryAttempts || 3,
+      priorityAging: options.priorityAging || 60, // 每等待60秒提升一级优先级
+      keyPrefix: options.keyPrefix || 'echarts:',
+      pollInterval: options.pollInterval || 1000,
+      idempotencyTtl: options.idempotencyTtl || 86400, // 幂等键保留24小时
+      ...options
+    };
+
+    const prefix = this.options.keyPrefix;
+    this.keys = {
+      pending: Object.fromEntries(Task.PRIORITIES.map(priority => [priority, `${prefix}pending:${priority}`])), // 各优先级的等待队列（taskId列表）
+      processing: `${prefix}processing`, // 处理中任务 taskId -> 可见性截止时间
+      finished: `${prefix}finished`, // 已结束任务 taskId -> 创建时间
+      stats: `${prefix}stats`, // 全局统计
+      objectOwners: `${prefix}object-owners` // 共享文件名（overwrite）-> 最后写入的任务ID
+    };
+
+    for (const [name, script] of Object.entries(SCRIPTS)) {
+      this.redis.defineCommand(name, script);
+    }
+
+    // 本实例正在处理的任务 taskId -> task，以及对应的领取令牌
+    this.processingTasks = new Map();
+    this.claimTokens = new Map();
+
+    // 是否正在领取任务（同一时间只发起一次领取）
+    this.claiming = false;
+
+    // 是否正在轮询
+    this.polling = false;
+
+    // 最近一次从Redis读取的队列状态
+    this.status = {
+      pendingTasks: 0,
+      pendingByPriority: Object.fromEntries(Task.PRIORITIES.map(priority => [priority, 0])),
+      processingTasks: 0,
+      completedTasks: 0,
+      totalProcessed: 0,
+      totalFailed: 0,
+      totalCancelled: 0
+    };
+
+    // 本实例的处理时间统计
+    this.stats = {
+      averageProcessingTime: 0,
+      processingTimes: []
+    };
+
+    // 定时器
+    this.pollTimer = null;
+
+    this.startPolling();
+  }
+
+  /**
+   * 获取任务记录的键
+   * @param {string} taskId - 任务ID
+   * @returns {string}
+   */
+  taskKey(taskId) {
+    return `${this.options.keyPrefix}task:${taskId}`;
+  }
+
+  /**
+   * 获取幂等键记录的键
+   * @param {Task} task - 任务
+   * @returns {string}
+   */
+  idempotencyRecordKey(task) {
+    return `${this.options.keyPrefix}idempotency:${task.tenant}:${task.idempotencyKey}`;
+  }
+
+  /**
+   * 获取任务登记的幂等键记录
+   * @param {Task} task - 任务
+   * @returns {string}
+   */
+  idempotencyRecord(task) {
+    return JSON.stringify({ taskId: task.taskId, requestHash: task.requestHash });
+  }
+
+  /**
+   * 登记任务的幂等键，所有实例共享，保留idempotencyTtl秒后由Redis自动删除
+   * @param {Task} task - 带有idempotencyKey和requestHash的任务
+   * @returns {Promise<{taskId: string, requestHash: string}|null>} 键已被登记时返回已有记录，否则登记并返回null
+   */
+  async reserveIdempotencyKey(task) {
+    const existing = await this.redis.echartsReserveIdempotencyKey(
+      this.idempotencyRecordKey(task),
+      this.idempotencyRecord(task),
+      this.options.idempotencyTtl * 1000
+    );
+
+    return existing ? JSON.parse(existing) : null;
+  }
+
+  /**
+   * 释放任务登记的幂等键（任务入队失败时）
+   * @param {Task} task - 任务
+   * @returns {Promise<void>}
+   */
+  async releaseIdempotencyKey(task) {
+    await this.redis.echartsReleaseIdempotencyKey(this.idempotencyRecordKey(task), this.idempotencyRecord(task));
+  }
+
+  /**
+   * 记录共享文件名最后由哪个任务写入，所有实例共享
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<void>}
+   */
+  async setObjectOwner(fileName, taskId) {
+    await this.redis.hset(this.keys.objectOwners, fileName, taskId);
+  }
+
+  /**
+   * 获取最后写入共享文件名的任务
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {Promise<string|null>} 任务ID
+   */
+  async getObjectOwner(fileName) {
+    return this.redis.hget(this.keys.objectOwners, fileName);
+  }
+
+  /**
+   * 删除共享文件名的写入记录（仅当仍由该任务写入时）
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<void>}
+   */
+  async releaseObjectOwner(fileName, taskId) {
+    await this.redis.echartsReleaseObjectOwner(this.keys.objectOwners, fileName, taskId);
+  }
+
+  /**
+   * 获取批次记录的键
+   * @param {string} batchId - 批次ID
+   * @returns {string}
+   */
+  batchKey(batchId) {
+    return `${this.options.keyPrefix}batch:${batchId}`;
+  }
+
+  /**
+   * 保存批次，所有实例共享；批次在保留期后由Redis过期删除
+   * @param {Batch} batch - 批次
+   * @param {number} retentionDays - 保留天数
+   * @returns {Promise<void>}
+   */
+  async saveBatch(batch, retentionDays) {
+    const ttl = Math.max(1, Math.ceil(retentionDays * 24 * 60 * 60 - (Date.now() - batch.createdAt.getTime()) / 1000));
+    await this.redis.set(this.batchKey(batch.batchId), JSON.stringify(batch.toRecord()), 'EX', ttl);
+  }
+
+  /**
+   * 获取批次（包括其他实例创建的批次）
+   * @param {string} batchId - 批次ID
+   * @returns {Promise<Batch|null>}
+   */
+  async getBatch(batchId) {
+    const record = await this.redis.get(this.batchKey(batchId));
+    return record ? Batch.fromRecord(JSON.parse(record)) : null;
+  }
+
+  /**
+   * 清理过期批次（批次键由Redis过期删除，无需清理）
+   * @returns {number}
+   */
+  cleanupExpiredBatches() {
+    return 0;
+  }
+
+  /**
+   * 保存任务的回调投递状态，供其他实例查询
+   * 与任务记录分开保存，不受处理方写入任务记录的影响
+   * @param {Task} task - 带有回调的任务
+   * @returns {Promise<void>}
+   */
+  async saveCallback(task) {
+    const { status, deliveries } = task.callback;
+    await this.redis.echartsSaveCallback(this.taskKey(task.taskId), JSON.stringify({ status, deliveries }));
+  }
+
+  /**
+   * 从Redis记录创建任务对象
+   * @param {string} record - JSON格式的Task.toRecord()
+   * @param {string} status - 任务状态
+   * @param {string|null} [callback] - JSON格式的回调投递状态
+   * @returns {Task}
+   */
+  toTask(record, status, callback = null) {
+    const task = Task.fromRecord(JSON.parse(record));
+    task.status = status;
+    if (callback && task.callback) {
+      Object.assign(task.callback, JSON.parse(callback));
+    }
+    return task;
+  }
+
+  /**
+   * 添加任务到队列
+   * @param {Task} task - 任务对象
+   * @returns {Promise<boolean>} 是否成功添加
+   */
+  async enqueue(task) {
+    if (!task || !task.taskId) {
+      throw new Error('Invalid task object');
+    }
+
+    if (!(await this.addTask(task))) {
+      return false;
+    }
+
+    this.emit('taskEnqueued', task);
+
+    // 尝试处理下一个任务
+    this.processNext();
+
+    return true;
+  }
+
+  /**
+   * 恢复持久化的任务
+   * 已结束的任务仅用于状态查询；未结束的任务重新入队
+   * @param {Task} task - 任务对象
+   * @returns {Promise<boolean>} 是否成功恢复
+   */
+  async restoreTask(task) {
+    if (!task.isFinished()) {
+      return this.enqueue(task);
+    }
+
+    return this.addTask(task);
+  }
+
+  /**
+   * 写入新任务
+   * @param {Task} task - 任务对象
+   * @returns {Promise<boolean>} 任务已存在时返回false
+   */
+  async addTask(task) {
+    const added = await this.redis.echartsAddTask(
+      this.taskKey(task.taskId),
+      this.keys.pending[task.priority],
+      this.keys.finished,
+      task.taskId,
+      JSON.stringify(task.toRecord()),
+      task.status,
+      task.createdAt.getTime()
+    );
+
+    return added === 1;
+  }
+
+  /**
+   * 处理下一个任务
+   */
+  processNext() {
+    // 检查是否达到并发限制
+    if (this.claiming || this.processingTasks.size >= this.options.maxConcurrent) {
+      return;
+    }
+
+    this.claiming = true;
+
+    this.claimTask()
+      .then(task => {
+        this.claiming = false;
+
+        if (task) {
+          this.emit('taskStarted', task);
+          this.processNext();
+        }
+      })
+      .catch(error => {
+        this.claiming = false;
+        logger.error('Failed to claim task', { error: error.message });
+      });
+  }
+
+  /**
+   * 从等待队列领取一个任务
+   * @returns {Promise<Task|null>} 队列为空时返回null
+   */
+  async claimTask() {
+    const token = uuidv4();
+    const deadline = Date.now() + this.options.taskTimeout * 1000;
+
+    const claimed = await this.redis.echartsClaimTask(
+      this.keys.processing,
+      ...Task.PRIORITIES.map(priority => this.keys.pending[priority]),
+      this.options.keyPrefix,
+      deadline,
+      token,
+      Date.now(),
+      this.options.priorityAging * 1000
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    const task = this.toTask(claimed[1], 'pending');
+    task.start();
+
+    this.processingTasks.set(task.taskId, task);
+    this.claimTokens.set(task.taskId, token);
+
+    await this.redis.echartsUpdateTask(this.taskKey(task.taskId), token, JSON.stringify(task.toRecord()));
+
+    return task;
+  }
+
+  /**
+   * 释放本实例对任务的领取
+   * @param {string} taskId - 任务ID
+   * @returns {{task: Task, token: string}|null}
+   */
+  release(taskId) {
+    const task = this.processingTasks.get(taskId);
+
+    if (!task) {
+      return null;
+    }
+
+    const token = this.claimTokens.get(taskId);
+    this.processingTasks.delete(taskId);
+    this.claimTokens.delete(taskId);
+
+    return { task, token };
+  }
+
+  /**
+   * 确认任务结束
+   * @param {Task} task - 已完成或失败的任务
+   * @param {string} token - 领取令牌
+   * @param {string} statField - 计数的统计字段
+   * @returns {Promise<boolean>} 领取已失效（任务被取消或被收回）时返回false
+   */
+  async finishTask(task, token, statField) {
+    const finished = await this.redis.echartsFinishTask(
+      this.taskKey(task.taskId),
+      this.keys.processing,
+      this.keys.finished,
+      this.keys.stats,
+      task.taskId,
+      token,
+      JSON.stringify(task.toRecord()),
+      task.status,
+      task.createdAt.getTime(),
+      statField
+    );
+
+    return finished === 1;
+  }
+
+  /**
+   * 完成任务处理
+   * Redis出错时不抛出异常，任务在可见性超时后被收回重试
+   * @param {string} taskId - 任务ID
+   * @param {string} imageUrl - 图片URL
+   * @param {string} fileName - 文件名
+   * @returns {Promise<boolean>} 任务已被取消或被收回时返回false，结果应丢弃
+   */
+  async completeTask(taskId, imageUrl, fileName) {
+    const claim = this.release(taskId);
+    if (!claim) {
+      logger.warn('Task is no longer claimed by this instance', { taskId });
+      return false;
+    }
+
+    const { task, token } = claim;
+    task.complete(imageUrl, fileName);
+
+    let completed = false;
+    try {
+      completed = await this.finishTask(task, token, 'totalProcessed');
+    } catch (error) {
+      logger.error('Failed to acknowledge completed task', { taskId, error: error.message });
+    }
+
+    if (completed) {
+      this.updateStats(task);
+      this.emit('taskCompleted', task);
+    }
+
+    // 处理下一个任务
+    this.processNext();
+
+    return completed;
+  }
+
+  /**
+   * 任务失败处理
+   * 未达到最大重试次数时放回等待队列头部，否则标记为失败
+   * @param {string} taskId - 任务ID
+   * @param {string} error - 错误信息
+   * @returns {Promise<boolean>} 任务已被取消或被收回时返回false
+   */
+  async failTask(taskId, error) {
+    const claim = this.release(taskId);
+    if (!claim) {
+      logger.warn('Task is no longer claimed by this instance', { taskId });
+      return false;
+    }
+
+    const { task, token } = claim;
+    const retry = task.retryCount < this.options.retryAttempts;
+    let accepted = false;
+
+    try {
+      if (retry) {
+        task.retry();
+        accepted = await this.redis.echartsRequeueTask(
+          this.taskKey(taskId),
+          this.keys.pending[task.priority],
+          this.keys.processing,
+          taskId,
+          token,
+          JSON.stringify(task.toRecord())
+        ) === 1;
+      } else {
+        // 达到最大重试次数，标记为失败
+        task.fail(error);
+        accepted = await this.finishTask(task, token, 'totalFailed');
+      }
+    } catch (redisError) {
+      logger.error('Failed to acknowledge failed task', { taskId, error: redisError.message });
+    }
+
+    if (accepted) {
+      this.emit(retry ? 'taskRetry' : 'taskFailed', task);
+    }
+
+    // 处理下一个任务
+    this.processNext();
+
+    return accepted;
+  }
+
+  /**
+   * 处理本实例持有的超时任务，按失败处理（未达到最大重试次数时放回等待队列）
+   * @param {string} taskId - 任务ID
+   * @param {string} [reason] - 超时原因
+   * @returns {Promise<boolean>} 任务已不由本实例处理时返回false
+   */
+  async timeoutTask(taskId, reason = 'Task timeout') {
+    const task = this.processingTasks.get(taskId);
+    if (!task) {
+      return false;
+    }
+
+    // 发出超时事件，让TaskManager终止处理并记录指标
+    this.emit('taskTimeout', task);
+    return this.failTask(taskId, reason);
+  }
+
+  /**
+   * 取消任务
+   * 可取消任一实例上等待中或处理中的任务；处理中的任务由处理方在确认时丢弃结果
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<boolean>} 任务已结束或不存在时返回false
+   */
+  async cancelTask(taskId) {
+    const task = await this.fetchTask(taskId);
+
+    if (!task || task.isFinished()) {
+      return false;
+    }
+
+    task.cancel();
+
+    const cancelled = await this.redis.echartsCancelTask(
+      this.taskKey(taskId),
+      this.keys.pending[task.priority],
+      this.keys.processing,
+      this.keys.finished,
+      this.keys.stats,
+      taskId,
+      JSON.stringify(task.toRecord()),
+      task.createdAt.getTime()
+    );
+
+    if (cancelled !== 1) {
+      return false;
+    }
+
+    this.release(taskId);
+
+    this.emit('taskCancelled', task);
+
+    // 处理下一个任务
+    this.processNext();
+
+    return true;
+  }
+
+  /**
+   * 获取本实例正在处理的任务
+   * 其他任务需通过fetchTask从Redis查询
+   * @param {string} taskId - 任务ID
+   * @returns {Task|null}
+   */
+  getTask(taskId) {
+    return this.processingTasks.get(taskId) || null;
+  }
+
+  /**
+   * 查询任务（包括其他实例创建或处理的任务）
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<Task|null>}
+   */
+  async fetchTask(taskId) {
+    if (this.processingTasks.has(taskId)) {
+      return this.processingTasks.get(taskId);
+    }
+
+    const [record, status, callback] = await this.redis.hmget(this.taskKey(taskId), 'record', 'status', 'callback');
+
+    return record ? this.toTask(record, status, callback) : null;
+  }
+
+  /**
+   * 检查任务是否由本实例处理
+   * @param {string} taskId - 任务ID
+   * @returns {boolean}
+   */
+  hasTask(taskId) {
+    return this.processingTasks.has(taskId);
+  }
+
+  /**
+   * 获取队列状态
+   * 全局计数来自最近一次轮询，平均处理时间和并发数为本实例数据
+   * @returns {object}
+   */
+  getQueueStatus() {
+    return {
+      ...this.status,
+      averageProcessingTime: this.stats.averageProcessingTime,
+      maxConcurrent: this.options.maxConcurrent
+    };
+  }
+
+  /**
+   * 从Redis读取队列状态
+   * @returns {Promise<object>}
+   */
+  async refreshStatus() {
+    const [pendingCounts, processingTasks, completedTasks, stats] = await Promise.all([
+      Promise.all(Task.PRIORITIES.map(priority => this.redis.llen(this.keys.pending[priority]))),
+      this.redis.zcard(this.keys.processing),
+      this.redis.zcard(this.keys.finished),
+      this.redis.hgetall(this.keys.stats)
+    ]);
+
+    this.status = {
+      pendingTasks: pendingCounts.reduce((a, b) => a + b, 0),
+      pendingByPriority: Object.fromEntries(Task.PRIORITIES.map((priority, index) => [priority, pendingCounts[index]])),
+      processingTasks,
+      completedTasks,
+      totalProcessed: parseInt(stats.totalProcessed) || 0,
+      totalFailed: parseInt(stats.totalFailed) || 0,
+      totalCancelled: parseInt(stats.totalCancelled) || 0
+    };
+
+    return this.getQueueStatus();
+  }
+
+  /**
+   * 获取等待中的任务（等待队列保存在Redis中，本地不持有）
+   * @returns {Array<Task>}
+   */
+  getPendingTasks() {
+    return [];
+  }
+
+  /**
+   * 获取本实例正在处理的任务
+   * @returns {Array<Task>}
+   */
+  getProcessingTasks() {
+    return Array.from(this.processingTasks.values());
+  }
+
+  /**
+   * 清理过期任务
+   * @param {number} retentionDays - 保留天数
+   * @returns {Promise<Array<Task>>} 被清理的任务列表
+   */
+  async cleanupExpiredTasks(retentionDays = 7) {
+    const before = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredTasks = [];
+    let removed;
+
+    do {
+      removed = await this.redis.echartsRemoveExpiredTasks(
+        this.keys.finished,
+        this.options.keyPrefix,
+        before,
+        SCAN_LIMIT
+      );
+
+      for (const [record, status] of removed) {
+        expiredTasks.push(this.toTask(record, status));
+      }
+    } while (removed.length === SCAN_LIMIT);
+
+    if (expiredTasks.length > 0) {
+      this.emit('tasksCleanedUp', expiredTasks);
+    }
+
+    return expiredTasks;
+  }
+
+  /**
+   * 收回超过可见性截止时间的任务，按超时失败处理
+   * @returns {Promise<number>} 收回的任务数量
+   */
+  async reclaimExpiredTasks() {
+    const token = uuidv4();
+    const now = Date.now();
+
+    const reclaimed = await this.redis.echartsReclaimTasks(
+      this.keys.processing,
+      this.options.keyPrefix,
+      now,
+      now + this.options.taskTimeout * 1000,
+      token,
+      SCAN_LIMIT
+    );
+
+    for (const [taskId, record] of reclaimed) {
+      // 本实例持有的旧领取已失效，改由收回令牌处理
+      const task = this.processingTasks.get(taskId) || this.toTask(record, 'processing');
+      this.processingTasks.set(taskId, task);
+      this.claimTokens.set(taskId, token);
+
+      await this.timeoutTask(taskId);
+    }
+
+    return reclaimed.length;
+  }
+
+  /**
+   * 启动轮询：领取其他实例提交的任务、收回超时任务并刷新队列状态
+   */
+  startPolling() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.poll();
+    }, this.options.pollInterval);
+  }
+
+  /**
+   * 停止轮询
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * 执行一次轮询
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      await this.reclaimExpiredTasks();
+      await this.refreshStatus();
+    } catch (error) {
+      logger.error('Failed to poll task queue', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+
+    this.processNext();
+  }
+
+  /**
+   * 更新统计信息
+   * @param {Task} task - 已完成的任务
+   */
+  updateStats(task) {
+    const processingTime = task.getProcessingTime();
+    if (processingTime !== null) {
+      this.stats.processingTimes.push(processingTime);
+
+      // 保持最近1000个处理时间用于计算平均值
+      if (this.stats.processingTimes.length > 1000) {
+        this.stats.processingTimes.shift();
+      }
+
+      const sum = this.stats.processingTimes.reduce((a, b) => a + b, 0);
+      this.stats.averageProcessingTime = sum / this.stats.processingTimes.length;
+    }
+  }
+
+  /**
+   * 暂停队列处理（停止轮询）
+   */
+  pause() {
+    this.stopPolling();
+    this.emit('queuePaused');
+  }
+
+  /**
+   * 恢复队列处理
+   */
+  resume() {
+    this.startPolling();
+    this.processNext();
+    this.emit('queueResumed');
+  }
+
+  /**
+   * 清空本实例的处理状态（Redis中的共享数据不受影响）
+   */
+  clear() {
+    this.processingTasks.clear();
+    this.claimTokens.clear();
+    this.stats = {
+      averageProcessingTime: 0,
+      processingTimes: []
+    };
+
+    this.emit('queueCleared');
+  }
+
+  /**
+   * 销毁队列并关闭Redis连接
+   * 本实例未完成的任务在可见性超时后由其他实例收回
+   */
+  destroy() {
+    this.stopPolling();
+    this.clear();
+    this.removeAllListeners();
+
+    this.redis.quit().catch(error => {
+      logger.warn('Failed to close Redis connection', { error: error.message });
+    });
+  }
+}
+
+module.exports = RedisTaskQueue;
@@ -0,0 +1,206 @@
+/**
+ * 渲染缓存
+ * 相同配置的图表只渲染一次：内存中按LRU保存最近的渲染结果，配置了存储时再以内容地址
+ * （render-cache/<缓存键>.<扩展名>）在存储中保存一份，供其他实例和重启后复用
+ * 存储中的缓存对象写入ttlDays天后由清理流程删除（deleteExpired）
+ * 缓存读写失败只记录日志，不影响任务处理
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+
+// 存储中缓存对象所在的目录（位于存储的路径前缀下）
+const STORAGE_DIR = 'render-cache';
+
+class RenderCache {
+  /**
+   * @param {StorageClient|null} storageClient - 存储客户端，未配置时只使用内存缓存
+   * @param {object} [options] - 选项
+   * @param {number} [options.maxMemory] - 内存缓存的最大字节数，默认64MB
+   * @param {boolean} [options.storage] - 是否使用存储层，默认在配置了存储时使用
+   * @param {number} [options.ttlDays] - 存储中缓存对象的保留天数，默认30天，0表示不清理（由存储的生命周期规则清理）
+   */
+  constructor(storageClient = null, options = {}) {
+    this.storageClient = storageClient;
+    this.options = {
+      maxMemory: 64 * 1024 * 1024,
+      storage: true,
+      ttlDays: 30,
+      ...options
+    };
+
+    this.useStorage = !!storageClient && this.options.storage;
+    this.entries = new Map(); // 缓存键 -> {buffer, contentType, extension}，按最近使用排序
+    this.memoryUsage = 0;
+  }
+
+  /**
+   * 查找缓存的渲染结果，先查内存再查存储，存储命中的结果同时放入内存
+   * @param {string} key - 缓存键
+   * @param {string} extension - 文件扩展名
+   * @returns {Promise<{image: object, tier: string}|null>} tier为memory或storage
+   */
+  async get(key, extension) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // 移到末尾，标记为最近使用
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return { image: entry, tier: 'memory' };
+    }
+
+    if (!this.useStorage) {
+      return null;
+    }
+
+    try {
+      // 缓存对象不存在（或已被生命周期规则删除）时按未命中处理
+      const file = await this.storageClient.findFile(this.getStoragePath(key, extension));
+      if (!file) {
+        return null;
+      }
+
+      const image = { buffer: file.buffer, contentType: file.contentType, extension };
+      this.remember(key, image);
+      return { image, tier: 'storage' };
+    } catch (error) {
+      logger.warn('Failed to read render cache from storage', { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 保存渲染结果；已上传的结果同时在存储内复制为缓存对象
+   * @param {string} key - 缓存键
+   * @param {{buffer: Buffer, contentType: string, extension: string, fileName?: string}} result - 渲染结果
+   * @returns {Promise<void>}
+   */
+  async set(key, result) {
+    this.remember(key, {
+      buffer: result.buffer,
+      contentType: result.contentType,
+      extension: result.extension
+    });
+
+    if (!this.useStorage || !result.fileName) {
+      return;
+    }
+
+    try {
+      await this.storageClient.copyFile(result.fileName, this.getStoragePath(key, result.extension));
+    } catch (error) {
+      logger.warn('Failed to write render cache to storage', { key, error: error.message });
+    }
+  }
+
+  /**
+   * 复制存储中的缓存对象
+   * @param {string} key - 缓存键
+   * @param {string} extension - 文件扩展名
+   * @param {string} targetPath - 目标文件的完整路径
+   * @returns {Promise<boolean>} 未使用存储层或缓存对象不存在时返回false
+   */
+  async copyTo(key, extension, targetPath) {
+    if (!this.useStorage) {
+      return false;
+    }
+
+    try {
+      return await this.storageClient.copyFile(this.getStoragePath(key, extension), targetPath);
+    } catch (error) {
+      logger.warn('Failed to copy render cache object', { key, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 放入内存缓存，超过容量时淘汰最久未使用的结果
+   * @param {string} key - 缓存键
+   * @param {{buffer: Buffer, contentType: string, extension: string}} image - 渲染结果
+   */
+  remember(key, image) {
+    if (this.entries.has(key)) {
+      this.memoryUsage -= this.entries.get(key).buffer.length;
+      this.entries.delete(key);
+    }
+
+    // 单个结果超过容量时不缓存
+    if (image.buffer.length > this.options.maxMemory) {
+      return;
+    }
+
+    this.entries.set(key, image);
+    this.memoryUsage += image.buffer.length;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.memoryUsage <= this.options.maxMemory) {
+        break;
+      }
+      this.entries.delete(oldestKey);
+      this.memoryUsage -= oldest.buffer.length;
+    }
+  }
+
+  /**
+   * 删除存储中超过保留期的缓存对象
+   * @returns {Promise<number>} 删除的缓存对象数
+   */
+  async deleteExpired() {
+    if (!this.useStorage || !this.options.ttlDays) {
+      return 0;
+    }
+
+    const before = new Date(Date.now() - this.options.ttlDays * 24 * 60 * 60 * 1000);
+    const deleted = await this.storageClient.deleteFilesBefore(this.getStorageDir(), before);
+
+    if (deleted > 0) {
+      logger.info('Expired render cache objects deleted', { ttlDays: this.options.ttlDays, deleted });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * 获取缓存对象在存储中的完整路径
+   * @param {string} key - 缓存键
+   * @param {string} extension - 文件扩展名
+   * @returns {string}
+   */
+  getStoragePath(key, extension) {
+    return this.getStorageDir() + `${key}.${extension}`;
+  }
+
+  /**
+   * 获取存储中缓存对象所在的目录
+   * @returns {string} 以/结尾
+   */
+  getStorageDir() {
+    return path.posix.join(this.storageClient.config.pathPrefix || '', STORAGE_DIR) + '/';
+  }
+
+  /**
+   * 获取缓存状态
+   * @returns {{entries: number, memoryUsage: number, maxMemory: number, storage: boolean, ttlDays: number}}
+   */
+  getStatus() {
+    return {
+      entries: this.entries.size,
+      memoryUsage: this.memoryUsage,
+      maxMemory: this.options.maxMemory,
+      storage: this.useStorage,
+      ttlDays: this.options.ttlDays
+    };
+  }
+
+  /**
+   * 清空内存缓存
+   */
+  clear() {
+    this.entries.clear();
+    this.memoryUsage = 0;
+  }
+}
+
+RenderCache.STORAGE_DIR = STORAGE_DIR;
+
+module.exports = RenderCache;
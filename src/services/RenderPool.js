@@ -0,0 +1,373 @@
+/**
+ * 渲染线程池
+ * 在worker_threads中执行渲染作业，主线程只负责参数校验、上传和接口响应，
+ * 渲染大图时健康检查和状态查询不再被阻塞，maxConcurrent个任务可以真正并行渲染
+ * 工作线程在渲染一定次数或堆内存超过阈值后回收；超时或取消的作业直接终止所在线程
+ * 工作线程的堆内存有硬上限，渲染（包括option中的函数）超过上限时线程被终止，作业失败，主线程不受影响
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('../utils/logger');
+
+// 工作线程脚本
+const WORKER_SCRIPT = path.join(__dirname, '../workers/renderWorker.js');
+
+class RenderPool {
+  /**
+   * @param {object} options - 选项
+   * @param {number} [options.size] - 工作线程数
+   * @param {number} [options.maxRenders] - 单个工作线程最多渲染次数，达到后回收，0表示不回收
+   * @param {number} [options.maxMemory] - 工作线程堆内存阈值（MB），渲染后超过时回收，0表示不检查
+   * @param {number} [options.heapLimit] - 工作线程堆内存上限（MB），超过时终止线程，0表示不限制
+   * @param {object} [options.generatorOptions] - 工作线程中ImageGenerator的选项（需可结构化克隆）
+   * @param {Array<object>} [options.fontFiles] - 主线程已注册的字体文件信息（FontRegistry.getFontFiles）
+   */
+  constructor(options = {}) {
+    this.options = {
+      size: 2,
+      maxRenders: 500,
+      maxMemory: 512,
+      heapLimit: 1024,
+      generatorOptions: {},
+      fontFiles: [],
+      ...options
+    };
+
+    // 工作线程 {worker, entry, renders, resources}
+    this.workers = new Set();
+
+    // 等待空闲线程的作业
+    this.waiting = [];
+
+    // 作业序号，用于匹配工作线程的返回消息
+    this.sequence = 0;
+
+    this.stats = {
+      totalRenders: 0,
+      totalFailed: 0,
+      timedOut: 0,
+      cancelled: 0,
+      recycled: 0,
+      crashed: 0
+    };
+
+    this.destroyed = false;
+
+    // 预先启动工作线程，避免首批请求等待ECharts加载
+    for (let i = 0; i < this.options.size; i++) {
+      this.spawn();
+    }
+
+    logger.info('Render pool initialized', {
+      size: this.options.size,
+      maxRenders: this.options.maxRenders,
+      maxMemory: this.options.maxMemory,
+      heapLimit: this.options.heapLimit
+    });
+  }
+
+  /**
+   * 在工作线程中执行渲染作业
+   * @param {object} job - ImageGenerator.prepareImage生成的渲染作业
+   * @param {object} [options] - 选项
+   * @param {string} [options.id] - 作业标识（任务ID），用于取消
+   * @param {number} [options.timeout] - 超时时间（毫秒，包括等待空闲线程的时间），超时后终止工作线程
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后终止工作线程并以signal.reason失败；
+   *   reason.name为TimeoutError时计入timedOut，否则计入cancelled
+   * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+   */
+  run(job, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed) {
+        reject(new Error('Render pool destroyed'));
+        return;
+      }
+
+      const { signal } = options;
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = {
+        seq: ++this.sequence,
+        id: options.id || null,
+        job,
+        slot: null,
+        timer: null,
+        signal: signal || null,
+        onAbort: null,
+        resolve,
+        reject
+      };
+
+      if (options.timeout) {
+        entry.timer = setTimeout(() => {
+          this.stats.timedOut++;
+          logger.warn('Render timed out, terminating worker', { id: entry.id, timeout: options.timeout });
+          this.abort(entry, new Error(`Render timed out after ${options.timeout}ms`));
+        }, options.timeout);
+      }
+
+      if (signal) {
+        entry.onAbort = () => {
+          const timedOut = signal.reason && signal.reason.name === 'TimeoutError';
+          this.stats[timedOut ? 'timedOut' : 'cancelled']++;
+          logger.warn('Render aborted, terminating worker', { id: entry.id, reason: signal.reason && signal.reason.message });
+          this.abort(entry, signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.waiting.push(entry);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 取消作业，正在渲染的作业会终止所在的工作线程
+   * @param {string} id - 作业标识
+   * @returns {boolean} 是否有作业被取消
+   */
+  cancel(id) {
+    const entries = this.waiting.filter(entry => entry.id === id);
+    for (const slot of this.workers) {
+      if (slot.entry && slot.entry.id === id) {
+        entries.push(slot.entry);
+      }
+    }
+
+    entries.forEach(entry => {
+      this.stats.cancelled++;
+      this.abort(entry, new Error('Render cancelled'));
+    });
+
+    return entries.length > 0;
+  }
+
+  /**
+   * 将等待的作业分配给空闲线程，线程不足时启动新线程
+   */
+  dispatch() {
+    while (this.waiting.length > 0 && !this.destroyed) {
+      let slot = Array.from(this.workers).find(candidate => !candidate.entry);
+      if (!slot && this.workers.size < this.options.size) {
+        slot = this.spawn();
+      }
+      if (!slot) {
+        return;
+      }
+
+      this.assign(slot, this.waiting.shift());
+    }
+  }
+
+  /**
+   * 向工作线程发送作业
+   * 只发送该线程尚未注册或已更新的主题和地图
+   * @param {object} slot - 工作线程
+   * @param {object} entry - 作业
+   */
+  assign(slot, entry) {
+    const resources = entry.job.resources.filter(resource =>
+      slot.resources.get(`${resource.type}:${resource.name}`) !== resource.version
+    );
+
+    slot.entry = entry;
+    entry.slot = slot;
+
+    try {
+      slot.worker.postMessage({ seq: entry.seq, job: { ...entry.job, resources } });
+      resources.forEach(resource => slot.resources.set(`${resource.type}:${resource.name}`, resource.version));
+    } catch (error) {
+      slot.entry = null;
+      this.settle(entry, error);
+    }
+  }
+
+  /**
+   * 启动工作线程
+   * @returns {object} 工作线程
+   */
+  spawn() {
+    const worker = new Worker(WORKER_SCRIPT, {
+      workerData: {
+        options: this.options.generatorOptions,
+        fontFiles: this.options.fontFiles
+      },
+      resourceLimits: this.options.heapLimit ? { maxOldGenerationSizeMb: this.options.heapLimit } : undefined
+    });
+
+    const slot = {
+      worker,
+      entry: null,
+      renders: 0,
+      resources: new Map(), // 已注册的资源 type:name -> version
+      error: null // 线程退出前的错误
+    };
+
+    worker.on('message', message => this.handleMessage(slot, message));
+    worker.on('error', error => {
+      slot.error = error;
+      logger.error('Render worker error', { error: error.message });
+    });
+    worker.on('exit', code => this.handleExit(slot, code));
+
+    this.workers.add(slot);
+
+    return slot;
+  }
+
+  /**
+   * 处理工作线程返回的渲染结果
+   * @param {object} slot - 工作线程
+   * @param {object} message - {seq, result, error, heapUsed}
+   */
+  handleMessage(slot, { seq, result, error, heapUsed }) {
+    const entry = slot.entry;
+    if (!entry || entry.seq !== seq) {
+      return;
+    }
+
+    slot.entry = null;
+    slot.renders++;
+
+    if (error) {
+      this.stats.totalFailed++;
+      this.settle(entry, new Error(error));
+    } else {
+      this.stats.totalRenders++;
+      this.settle(entry, null, {
+        buffer: Buffer.from(result.buffer.buffer, result.buffer.byteOffset, result.buffer.byteLength),
+        contentType: result.contentType,
+        extension: result.extension
+      });
+    }
+
+    const { maxRenders, maxMemory } = this.options;
+    if ((maxRenders && slot.renders >= maxRenders) || (maxMemory && heapUsed > maxMemory * 1024 * 1024)) {
+      this.stats.recycled++;
+      logger.info('Recycling render worker', {
+        renders: slot.renders,
+        heapUsed: Math.round(heapUsed / 1024 / 1024)
+      });
+      this.retire(slot);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * 工作线程退出
+   * 回收和终止的线程已从线程池移除；意外退出（崩溃、内存耗尽）时正在渲染的作业失败
+   * @param {object} slot - 工作线程
+   * @param {number} code - 退出码
+   */
+  handleExit(slot, code) {
+    if (!this.workers.delete(slot)) {
+      return;
+    }
+
+    this.stats.crashed++;
+    logger.error('Render worker exited unexpectedly', { code });
+
+    if (slot.entry) {
+      const entry = slot.entry;
+      slot.entry = null;
+      this.settle(entry, new Error(slot.error && slot.error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Render worker exceeded heap limit of ${this.options.heapLimit}MB`
+        : `Render worker exited unexpectedly with code ${code}`));
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * 终止作业：等待中的作业移出队列，渲染中的作业终止所在线程
+   * @param {object} entry - 作业
+   * @param {Error} error - 作业的失败原因
+   */
+  abort(entry, error) {
+    if (entry.slot) {
+      entry.slot.entry = null;
+      this.retire(entry.slot);
+    } else {
+      this.waiting = this.waiting.filter(waiting => waiting !== entry);
+    }
+
+    this.settle(entry, error);
+    this.dispatch();
+  }
+
+  /**
+   * 从线程池移除并终止工作线程
+   * @param {object} slot - 工作线程
+   */
+  retire(slot) {
+    this.workers.delete(slot);
+    slot.worker.terminate();
+  }
+
+  /**
+   * 结束作业
+   * @param {object} entry - 作业
+   * @param {Error|null} error - 失败原因
+   * @param {object} [result] - 渲染结果
+   */
+  settle(entry, error, result) {
+    clearTimeout(entry.timer);
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+    entry.slot = null;
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+
+  /**
+   * 获取线程池状态
+   * @returns {object}
+   */
+  getStatus() {
+    const workers = Array.from(this.workers);
+
+    return {
+      size: this.options.size,
+      workers: workers.length,
+      busyWorkers: workers.filter(slot => slot.entry).length,
+      waitingJobs: this.waiting.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * 销毁线程池，未完成的作业全部失败
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.destroyed = true;
+
+    const error = new Error('Render pool destroyed');
+    const slots = Array.from(this.workers);
+    this.workers.clear();
+
+    this.waiting.splice(0).forEach(entry => this.settle(entry, error));
+    slots.forEach(slot => {
+      if (slot.entry) {
+        this.settle(slot.entry, error);
+        slot.entry = null;
+      }
+    });
+
+    await Promise.all(slots.map(slot => slot.worker.terminate()));
+
+    logger.info('Render pool destroyed');
+  }
+}
+
+module.exports = RenderPool;
@@ -0,0 +1,189 @@
+/**
+ * S3兼容存储客户端
+ * 支持AWS S3以及MinIO等兼容S3 API的存储，错误处理和重试机制见StorageClient
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageClient = require('./StorageClient');
+
+class S3StorageClient extends StorageClient {
+  /**
+   * @param {object} config - 存储配置
+   * @param {string} config.bucket - 存储桶
+   * @param {string} [config.region] - 区域
+   * @param {string} [config.endpoint] - 自定义服务地址（MinIO等），不指定时使用AWS S3
+   * @param {boolean} [config.forcePathStyle] - 使用路径形式的地址（endpoint/bucket/key），MinIO通常需要开启
+   * @param {string} [config.accessKeyId] - 访问密钥ID，不指定时使用AWS默认凭证链
+   * @param {string} [config.secretAccessKey] - 访问密钥
+   * @param {string} [config.publicUrl] - 文件的公共访问地址前缀（如CDN），不指定时由endpoint和bucket生成
+   * @param {string} [config.pathPrefix] - 文件路径前缀
+   * @param {MetricsService} [metricsService] - 指标服务
+   */
+  constructor(config, metricsService = null) {
+    super('S3', config, metricsService);
+
+    this.client = new S3Client({
+      region: this.config.region,
+      endpoint: this.config.endpoint || undefined,
+      forcePathStyle: !!this.config.forcePathStyle,
+      credentials: this.config.accessKeyId
+        ? { accessKeyId: this.config.accessKeyId, secretAccessKey: this.config.secretAccessKey }
+        : undefined,
+      maxAttempts: 1 // 重试由StorageClient处理
+    });
+  }
+
+  /**
+   * 上传文件到存储桶
+   * @param {string} fullPath - 完整路径
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} contentType - 文件类型
+   * @param {object} options - 选项
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {number} [options.timeout] - 请求超时时间（毫秒）
+   * @returns {Promise<void>}
+   */
+  async putObject(fullPath, buffer, contentType, options) {
+    const signals = [options.signal, options.timeout && AbortSignal.timeout(options.timeout)].filter(Boolean);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.config.bucket,
+      Key: fullPath,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: `${this.config.privateBucket ? 'private' : 'public'}, max-age=31536000` // 1年缓存
+    }), {
+      abortSignal: signals.length > 1 ? AbortSignal.any(signals) : signals[0]
+    });
+  }
+
+  /**
+   * 在存储桶内复制文件
+   * @param {string} sourcePath - 源文件的完整路径
+   * @param {string} targetPath - 目标文件的完整路径
+   * @returns {Promise<void>}
+   */
+  async copyObject(sourcePath, targetPath) {
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.config.bucket,
+      Key: targetPath,
+      CopySource: `${this.config.bucket}/${sourcePath.split('/').map(encodeURIComponent).join('/')}`
+    }));
+  }
+
+  /**
+   * 删除存储桶中的文件
+   * @param {string} fullPath - 完整路径
+   * @returns {Promise<void>}
+   */
+  async deleteObject(fullPath) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.config.bucket,
+      Key: fullPath
+    }));
+  }
+
+  /**
+   * 下载存储桶中的文件
+   * @param {string} fullPath - 完整路径
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async getObject(fullPath) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.config.bucket,
+      Key: fullPath
+    }));
+
+    return {
+      buffer: Buffer.from(await response.Body.transformToByteArray()),
+      contentType: response.ContentType
+    };
+  }
+
+  /**
+   * 列出路径前缀下的所有文件
+   * @param {string} prefix - 路径前缀
+   * @returns {Promise<Array<{name: string, lastModified: Date}>>}
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.config.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        objects.push({ name: object.Key, lastModified: new Date(object.LastModified) });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * 检查存储桶是否可访问
+   * @returns {Promise<void>}
+   */
+  async checkConnection() {
+    await this.client.send(new HeadBucketCommand({ Bucket: this.config.bucket }));
+  }
+
+  /**
+   * @param {Error} error - S3 SDK抛出的错误
+   * @returns {boolean}
+   */
+  isNotFoundError(error) {
+    return error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  /**
+   * 生成预签名的下载URL，使用endpoint和存储桶地址（不使用publicUrl）
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {number} expiresIn - 有效期（秒）
+   * @returns {Promise<string>}
+   */
+  async generateSignedUrl(fileName, expiresIn) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.config.bucket,
+      Key: fileName
+    }), { expiresIn });
+  }
+
+  /**
+   * 生成公共访问URL
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {string}
+   */
+  generatePublicUrl(fileName) {
+    const { bucket, region, endpoint, forcePathStyle, publicUrl } = this.config;
+
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/+$/, '')}/${fileName}`;
+    }
+
+    if (!endpoint) {
+      return `https://${bucket}.s3.${region}.amazonaws.com/${fileName}`;
+    }
+
+    const url = new URL(endpoint);
+    return forcePathStyle
+      ? `${url.origin}/${bucket}/${fileName}`
+      : `${url.protocol}//${bucket}.${url.host}/${fileName}`;
+  }
+}
+
+module.exports = S3StorageClient;
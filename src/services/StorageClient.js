@@ -0,0 +1,521 @@
+/**
+ * 存储客户端基类
+ * 提供上传、删除、下载的重试、指标和日志，具体的存储操作由各驱动实现：
+ * OSSClient（阿里云OSS）、S3StorageClient（S3兼容存储）、LocalStorageClient（本地文件系统）
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+
+// 路径模板的占位符
+const PATH_PLACEHOLDERS = ['date', 'taskId', 'tenant', 'fileName'];
+
+// 调用方指定的文件名（不含扩展名）
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+
+class StorageClient {
+  /**
+   * @param {string} name - 存储名称，用于日志和错误信息
+   * @param {object} config - 存储配置
+   * @param {string} [config.pathPrefix] - 文件路径前缀
+   * @param {number} [config.maxRetries] - 每个操作的最大尝试次数
+   * @param {number} [config.retryDelay] - 重试间隔基数（毫秒）
+   * @param {boolean} [config.privateBucket] - 私有模式：文件不公开读，访问URL为有时效的签名URL
+   * @param {number} [config.signedUrlTtl] - 签名URL的默认有效期（秒）
+   * @param {Array<string>} [config.allowedPathPrefixes] - 请求指定的路径（ossPath）允许使用的前缀，可包含{tenant}，为空时不限制
+   * @param {MetricsService} [metricsService] - 指标服务
+   */
+  constructor(name, config, metricsService = null) {
+    this.name = name;
+    this.config = {
+      maxRetries: 3,
+      retryDelay: 1000,
+      privateBucket: false,
+      signedUrlTtl: 3600,
+      allowedPathPrefixes: [],
+      ...config
+    };
+
+    this.metricsService = metricsService;
+  }
+
+  /**
+   * 写入文件，由驱动实现
+   * @param {string} fullPath - 完整路径
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} contentType - 文件类型
+   * @param {object} options - 选项
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {number} [options.timeout] - 本次请求的超时时间（毫秒）
+   * @returns {Promise<void>}
+   */
+  async putObject(fullPath, buffer, contentType, options) {
+    throw new Error(`${this.name} storage does not implement putObject`);
+  }
+
+  /**
+   * 在存储内复制文件，由驱动实现
+   * @param {string} sourcePath - 源文件的完整路径
+   * @param {string} targetPath - 目标文件的完整路径
+   * @returns {Promise<void>}
+   */
+  async copyObject(sourcePath, targetPath) {
+    throw new Error(`${this.name} storage does not implement copyObject`);
+  }
+
+  /**
+   * 删除文件，由驱动实现
+   * @param {string} fullPath - 完整路径
+   * @returns {Promise<void>}
+   */
+  async deleteObject(fullPath) {
+    throw new Error(`${this.name} storage does not implement deleteObject`);
+  }
+
+  /**
+   * 读取文件，由驱动实现
+   * @param {string} fullPath - 完整路径
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async getObject(fullPath) {
+    throw new Error(`${this.name} storage does not implement getObject`);
+  }
+
+  /**
+   * 列出路径前缀下的所有文件，由驱动实现
+   * @param {string} prefix - 路径前缀
+   * @returns {Promise<Array<{name: string, lastModified: Date}>>}
+   */
+  async listObjects(prefix) {
+    throw new Error(`${this.name} storage does not implement listObjects`);
+  }
+
+  /**
+   * 检查存储是否可用，由驱动实现
+   * @returns {Promise<void>}
+   */
+  async checkConnection() {
+    throw new Error(`${this.name} storage does not implement checkConnection`);
+  }
+
+  /**
+   * 生成文件的访问URL，由驱动实现
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {string}
+   */
+  generatePublicUrl(fileName) {
+    throw new Error(`${this.name} storage does not implement generatePublicUrl`);
+  }
+
+  /**
+   * 生成有时效的签名URL，由支持私有模式的驱动实现
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {number} expiresIn - 有效期（秒）
+   * @returns {Promise<string>}
+   */
+  async generateSignedUrl(fileName, expiresIn) {
+    throw new Error(`${this.name} storage does not support signed URLs`);
+  }
+
+  /**
+   * 获取文件的访问URL：私有模式下为签名URL，否则为公共URL
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {number} [expiresIn] - 签名URL有效期（秒），默认为signedUrlTtl
+   * @returns {Promise<{url: string, expiresAt: Date|null}>}
+   */
+  async getFileUrl(fileName, expiresIn = this.config.signedUrlTtl) {
+    if (!this.config.privateBucket) {
+      return { url: this.generatePublicUrl(fileName), expiresAt: null };
+    }
+
+    return {
+      url: await this.generateSignedUrl(fileName, expiresIn),
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  /**
+   * 判断错误是否表示文件不存在，文件不存在时删除和下载不再重试
+   * @param {Error} error - 驱动抛出的错误
+   * @returns {boolean}
+   */
+  isNotFoundError(error) {
+    return false;
+  }
+
+  /**
+   * 上传文件（带重试机制）
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} fileName - 文件名
+   * @param {string} contentType - 文件类型
+   * @param {object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后不再重试
+   * @param {number} [options.deadline] - 截止时间戳（毫秒），每次请求的超时时间不超过剩余时间
+   * @returns {Promise<{url: string, fileName: string}>}
+   */
+  async uploadFile(buffer, fileName, contentType, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const fullPath = await this.retryOperation(async () => {
+        const fullPath = this.getFullPath(fileName);
+
+        await this.putObject(fullPath, buffer, contentType, {
+          signal: options.signal,
+          timeout: options.deadline ? Math.max(1, options.deadline - Date.now()) : undefined
+        });
+
+        return fullPath;
+      }, 'upload', null, options.signal);
+
+      const { url } = await this.getFileUrl(fullPath);
+      const result = { url, fileName: fullPath };
+
+      // 记录成功的上传指标
+      const uploadTime = Date.now() - startTime;
+      if (this.metricsService) {
+        this.metricsService.recordOSSUpload(fileName, buffer.length, uploadTime, true);
+      }
+
+      logger.debug(`${this.name} upload successful`, {
+        fileName,
+        fileSize: buffer.length,
+        uploadTime
+      });
+
+      return result;
+
+    } catch (error) {
+      // 记录失败的上传指标
+      const uploadTime = Date.now() - startTime;
+      if (this.metricsService) {
+        this.metricsService.recordOSSUpload(fileName, buffer.length, uploadTime, false);
+      }
+
+      logger.error(`${this.name} upload failed`, {
+        fileName,
+        error: error.message,
+        uploadTime
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * 删除文件（带重试机制），文件不存在时视为成功
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileName) {
+    try {
+      await this.retryOperation(async () => {
+        await this.deleteObject(fileName);
+      }, 'delete', error => this.isNotFoundError(error));
+
+      // 记录成功的删除指标
+      if (this.metricsService) {
+        this.metricsService.recordOSSDelete(fileName, true);
+      }
+
+      logger.debug(`${this.name} delete successful`, { fileName });
+
+    } catch (error) {
+      // 记录失败的删除指标
+      if (this.metricsService) {
+        this.metricsService.recordOSSDelete(fileName, false);
+      }
+
+      logger.error(`${this.name} delete failed`, {
+        fileName,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * 在存储内复制文件（带重试机制），不经过本服务传输文件内容
+   * @param {string} sourcePath - 源文件的完整路径
+   * @param {string} targetPath - 目标文件的完整路径
+   * @returns {Promise<boolean>} 源文件不存在时返回false
+   */
+  async copyFile(sourcePath, targetPath) {
+    try {
+      const copied = await this.retryOperation(async () => {
+        await this.copyObject(sourcePath, targetPath);
+        return true;
+      }, 'copy', error => this.isNotFoundError(error));
+
+      logger.debug(`${this.name} copy ${copied ? 'successful' : 'skipped, source not found'}`, {
+        sourcePath,
+        targetPath
+      });
+
+      return copied === true;
+
+    } catch (error) {
+      logger.error(`${this.name} copy failed`, {
+        sourcePath,
+        targetPath,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * 下载文件（带重试机制）
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async downloadFile(fileName) {
+    try {
+      const result = await this.findFile(fileName);
+
+      if (!result) {
+        throw new Error(`File ${fileName} does not exist`);
+      }
+
+      logger.debug(`${this.name} download successful`, {
+        fileName,
+        fileSize: result.buffer.length
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error(`${this.name} download failed`, {
+        fileName,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * 读取文件（带重试机制），文件不存在时返回null
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {Promise<{buffer: Buffer, contentType: string}|null>}
+   */
+  async findFile(fileName) {
+    const result = await this.retryOperation(
+      () => this.getObject(fileName),
+      'download',
+      error => this.isNotFoundError(error)
+    );
+
+    return result || null;
+  }
+
+  /**
+   * 删除路径前缀下最后修改时间早于指定时间的文件（列出时带重试机制）
+   * 单个文件删除失败时记录日志并继续
+   * @param {string} prefix - 路径前缀
+   * @param {Date} before - 截止时间
+   * @returns {Promise<number>} 删除的文件数
+   */
+  async deleteFilesBefore(prefix, before) {
+    const objects = await this.retryOperation(() => this.listObjects(prefix), 'list');
+    let deleted = 0;
+
+    for (const object of objects) {
+      if (object.lastModified >= before) {
+        continue;
+      }
+
+      try {
+        await this.deleteFile(object.name);
+        deleted++;
+      } catch (error) {
+        // deleteFile已记录错误
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * 测试存储连接
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    return this.retryOperation(async () => {
+      await this.checkConnection();
+      return true;
+    }, 'connection test');
+  }
+
+  /**
+   * 获取完整的文件路径
+   * @param {string} fileName - 原始文件名
+   * @returns {string}
+   */
+  getFullPath(fileName) {
+    const prefix = this.config.pathPrefix || '';
+    return path.posix.join(prefix, fileName);
+  }
+
+  /**
+   * 生成唯一的文件名
+   * @param {string} taskId - 任务ID
+   * @param {string} extension - 文件扩展名
+   * @returns {string}
+   */
+  generateFileName(taskId, extension) {
+    return `${this.generateBaseName(taskId)}.${extension}`;
+  }
+
+  /**
+   * 生成唯一的文件名（不含扩展名）
+   * @param {string} taskId - 任务ID
+   * @returns {string}
+   */
+  generateBaseName(taskId) {
+    const timestamp = Date.now();
+    const randomSuffix = Math.random().toString(36).substring(2, 8);
+    return `${taskId}_${timestamp}_${randomSuffix}`;
+  }
+
+  /**
+   * 按请求指定的路径模板生成文件名（不含扩展名，相对于pathPrefix）
+   * 模板以/结尾时追加{fileName}；{date}为上传日期YYYY/MM/DD（UTC），{fileName}未指定时为唯一文件名
+   * 不含{taskId}或唯一文件名的模板每个任务得到相同的文件名，需调用方指定overwrite确认覆盖
+   * @param {string} template - 路径模板，如 reports/{tenant}/{date}/
+   * @param {object} values - 占位符的值
+   * @param {string} values.taskId - 任务ID
+   * @param {string} values.tenant - 租户
+   * @param {string} [values.fileName] - 调用方指定的文件名
+   * @param {boolean} [values.overwrite] - 是否允许覆盖之前任务的同名文件
+   * @returns {string}
+   * @throws {Error} 模板无效、路径包含.或..、不在允许的前缀下、或未指定overwrite时文件名不唯一时抛出
+   */
+  resolveObjectName(template, values) {
+    if (typeof template !== 'string' || template.length === 0 || template.length > 256) {
+      throw new Error('ossPath must be a string of 1-256 characters');
+    }
+
+    if (values.fileName !== undefined && values.fileName !== null &&
+        (typeof values.fileName !== 'string' || !FILE_NAME_PATTERN.test(values.fileName))) {
+      throw new Error('fileName must be 1-128 letters, digits, "_", "-" or "." and start with a letter or digit');
+    }
+
+    const placeholders = {
+      date: new Date().toISOString().substring(0, 10).replace(/-/g, '/'),
+      taskId: values.taskId,
+      tenant: values.tenant,
+      fileName: values.fileName || this.generateBaseName(values.taskId)
+    };
+
+    const source = template.endsWith('/') ? `${template}{fileName}` : template;
+    const objectName = source.replace(/\{([^{}]*)\}/g, (match, name) => {
+      if (!PATH_PLACEHOLDERS.includes(name)) {
+        throw new Error(`ossPath contains unknown placeholder ${match}`);
+      }
+      return placeholders[name];
+    });
+
+    // 租户等占位符的值同样要检查，如租户 .. 不能跳出前缀
+    const segments = objectName.split('/');
+    if (!/^[A-Za-z0-9_./-]+$/.test(objectName) ||
+        segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+      throw new Error('ossPath must be a relative path of letters, digits, "_", "-" and "." without empty, "." or ".." segments');
+    }
+
+    const allowedPrefixes = this.config.allowedPathPrefixes
+      .map(prefix => prefix.replace(/\{tenant\}/g, values.tenant));
+    if (allowedPrefixes.length > 0 && !allowedPrefixes.some(prefix => objectName.startsWith(prefix))) {
+      throw new Error(`ossPath must start with one of: ${this.config.allowedPathPrefixes.join(', ')}`);
+    }
+
+    const unique = source.includes('{taskId}') || (source.includes('{fileName}') && !values.fileName);
+    if (!unique && !values.overwrite) {
+      throw new Error('ossPath and fileName give every task the same object name, include {taskId} or set overwrite to true');
+    }
+
+    return objectName;
+  }
+
+  /**
+   * 重试操作的通用方法
+   * @param {Function} operation - 要执行的操作
+   * @param {string} operationType - 操作类型（用于错误日志）
+   * @param {Function} shouldSkipRetry - 判断是否跳过重试的函数
+   * @param {AbortSignal} [signal] - 中止信号，中止后抛出signal.reason，不再重试
+   * @returns {Promise<any>}
+   */
+  async retryOperation(operation, operationType, shouldSkipRetry = null, signal = null) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      try {
+        return await operation();
+      } catch (error) {
+        lastError = error;
+
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+
+        // 如果有跳过重试的条件且满足，直接跳过
+        if (shouldSkipRetry && shouldSkipRetry(error)) {
+          return;
+        }
+
+        // 如果是最后一次尝试，抛出错误
+        if (attempt === this.config.maxRetries) {
+          break;
+        }
+
+        // 等待后重试
+        await this.delay(this.config.retryDelay * attempt);
+      }
+    }
+
+    throw new Error(`${this.name} ${operationType} failed after ${this.config.maxRetries} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * 延迟函数
+   * @param {number} ms - 延迟毫秒数
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 批量上传文件
+   * @param {Array<{buffer: Buffer, fileName: string, contentType: string}>} files - 文件列表
+   * @returns {Promise<Array<{url: string, fileName: string}>>}
+   */
+  async uploadFiles(files) {
+    const results = [];
+
+    for (const file of files) {
+      const result = await this.uploadFile(file.buffer, file.fileName, file.contentType);
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * 批量删除文件
+   * @param {Array<string>} fileNames - 文件名列表
+   * @returns {Promise<void>}
+   */
+  async deleteFiles(fileNames) {
+    const deletePromises = fileNames.map(fileName => this.deleteFile(fileName));
+    await Promise.all(deletePromises);
+  }
+}
+
+module.exports = StorageClient;
@@ -0,0 +1,306 @@
+/**
+ * 任务状态事件流
+ * 订阅TaskQueue事件，将任务状态变化以Server-Sent Events推送给浏览器
+ * 所有连接共用一组队列监听器，按taskId分发
+ * 使用分布式队列时，其他实例处理的任务不会触发本实例的队列事件，需要定时从队列查询订阅任务的状态
+ */
+
+const logger = require('../utils/logger');
+
+// 队列事件 -> SSE事件名
+const QUEUE_EVENTS = {
+  taskEnqueued: 'pending',
+  taskStarted: 'processing',
+  taskRetry: 'retry',
+  taskCompleted: 'completed',
+  taskFailed: 'failed',
+  taskCancelled: 'cancelled'
+};
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class TaskEventStream {
+  /**
+   * @param {TaskQueue} taskQueue - 任务队列
+   * @param {object} options - 选项
+   * @param {number} [options.heartbeatInterval] - 心跳间隔（毫秒）
+   * @param {number} [options.pollInterval] - 查询订阅任务状态的间隔（毫秒），0表示只使用本实例的队列事件
+   */
+  constructor(taskQueue, options = {}) {
+    this.taskQueue = taskQueue;
+    this.options = {
+      heartbeatInterval: 15000,
+      pollInterval: 0,
+      ...options
+    };
+
+    // taskId -> Set<connection>
+    this.subscribers = new Map();
+
+    // 已推送的任务状态 taskId -> {status, retryCount}，用于识别其他实例造成的状态变化
+    this.states = new Map();
+
+    // 定时查询
+    this.pollTimer = null;
+    this.polling = false;
+
+    // 所有打开的连接
+    this.connections = new Set();
+
+    this.listeners = {};
+    for (const [queueEvent, event] of Object.entries(QUEUE_EVENTS)) {
+      this.listeners[queueEvent] = (task) => this.publish(event, task);
+      this.taskQueue.on(queueEvent, this.listeners[queueEvent]);
+    }
+  }
+
+  /**
+   * 打开事件流
+   * 先推送每个任务的当前状态，之后推送状态变化；所有任务结束后发送end事件并关闭连接
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   * @param {Array<Task>} tasks - 订阅的任务
+   */
+  open(req, res, tasks) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // 禁止Nginx缓冲
+    });
+
+    const connection = {
+      res,
+      eventId: 0,
+      pending: new Set(),
+      heartbeat: null
+    };
+
+    for (const task of tasks) {
+      this.send(connection, task.status, task);
+      if (!TERMINAL_STATUSES.includes(task.status)) {
+        connection.pending.add(task.taskId);
+      }
+    }
+
+    if (connection.pending.size === 0) {
+      this.end(connection);
+      return;
+    }
+
+    for (const task of tasks) {
+      if (!connection.pending.has(task.taskId)) {
+        continue;
+      }
+      if (!this.subscribers.has(task.taskId)) {
+        this.subscribers.set(task.taskId, new Set());
+        this.states.set(task.taskId, { status: task.status, retryCount: task.retryCount });
+      }
+      this.subscribers.get(task.taskId).add(connection);
+    }
+
+    this.startPolling();
+
+    connection.heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, this.options.heartbeatInterval);
+
+    this.connections.add(connection);
+
+    req.on('close', () => this.close(connection));
+
+    logger.debug('Task event stream opened', {
+      taskIds: tasks.map(task => task.taskId),
+      connections: this.connections.size
+    });
+  }
+
+  /**
+   * 将队列事件分发给订阅该任务的连接
+   * @param {string} event - 事件名
+   * @param {Task} task - 任务
+   */
+  publish(event, task) {
+    const connections = this.subscribers.get(task.taskId);
+    if (!connections) {
+      return;
+    }
+
+    this.states.set(task.taskId, { status: task.status, retryCount: task.retryCount });
+
+    for (const connection of [...connections]) {
+      this.send(connection, event, task);
+
+      if (TERMINAL_STATUSES.includes(event)) {
+        connection.pending.delete(task.taskId);
+        connections.delete(connection);
+
+        if (connection.pending.size === 0) {
+          this.end(connection);
+        }
+      }
+    }
+
+    if (connections.size === 0) {
+      this.unsubscribe(task.taskId);
+    }
+  }
+
+  /**
+   * 启动定时查询（配置了pollInterval且有订阅时）
+   */
+  startPolling() {
+    if (this.pollTimer || !this.options.pollInterval || this.subscribers.size === 0) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.poll();
+    }, this.options.pollInterval);
+  }
+
+  /**
+   * 停止定时查询
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * 查询订阅任务的状态，推送其他实例造成的状态变化
+   * 两次查询之间的中间状态可能被跳过，结束状态总会推送
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      for (const taskId of [...this.subscribers.keys()]) {
+        let task;
+        try {
+          task = await this.taskQueue.fetchTask(taskId);
+        } catch (error) {
+          logger.warn('Failed to fetch task for event stream', { taskId, error: error.message });
+          continue;
+        }
+
+        const state = this.states.get(taskId);
+        if (!task || !state || (task.status === state.status && task.retryCount === state.retryCount)) {
+          continue;
+        }
+
+        const event = task.status === 'pending' && task.retryCount > state.retryCount ? 'retry' : task.status;
+        this.publish(event, task);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * 移除任务的订阅，没有订阅时停止定时查询
+   * @param {string} taskId - 任务ID
+   */
+  unsubscribe(taskId) {
+    this.subscribers.delete(taskId);
+    this.states.delete(taskId);
+
+    if (this.subscribers.size === 0) {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * 写入一条SSE事件
+   * @param {object} connection - 连接
+   * @param {string} event - 事件名
+   * @param {Task} task - 任务
+   */
+  send(connection, event, task) {
+    const data = {
+      taskId: task.taskId,
+      status: task.status,
+      retryCount: task.retryCount,
+      timestamp: new Date().toISOString()
+    };
+
+    if (task.status === 'completed') {
+      data.imageUrl = task.imageUrl;
+      data.fileName = task.fileName;
+    }
+
+    if (task.error) {
+      data.error = task.error;
+    }
+
+    connection.eventId++;
+    connection.res.write(`id: ${connection.eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * 发送end事件并关闭连接
+   * @param {object} connection - 连接
+   */
+  end(connection) {
+    connection.eventId++;
+    connection.res.end(`id: ${connection.eventId}\nevent: end\ndata: {}\n\n`);
+    this.close(connection);
+  }
+
+  /**
+   * 释放连接的订阅和心跳
+   * @param {object} connection - 连接
+   */
+  close(connection) {
+    if (!this.connections.delete(connection)) {
+      return;
+    }
+
+    clearInterval(connection.heartbeat);
+
+    for (const taskId of connection.pending) {
+      const connections = this.subscribers.get(taskId);
+      if (connections) {
+        connections.delete(connection);
+        if (connections.size === 0) {
+          this.unsubscribe(taskId);
+        }
+      }
+    }
+  }
+
+  /**
+   * 获取当前打开的连接数
+   * @returns {number}
+   */
+  getConnectionCount() {
+    return this.connections.size;
+  }
+
+  /**
+   * 销毁事件流，关闭所有连接
+   */
+  destroy() {
+    for (const [queueEvent, listener] of Object.entries(this.listeners)) {
+      this.taskQueue.removeListener(queueEvent, listener);
+    }
+
+    for (const connection of [...this.connections]) {
+      connection.res.end();
+      this.close(connection);
+    }
+
+    this.subscribers.clear();
+    this.states.clear();
+    this.stopPolling();
+  }
+}
+
+module.exports = TaskEventStream;
@@ -4,11 +4,120 @@
  * 包括任务创建、状态查询、处理逻辑和清理机制
  */
 
+const crypto = require('crypto');
 const Task = require('../models/Task');
+const Batch = require('../models/Batch');
 const TaskQueue = require('./TaskQueue');
 const MetricsService = require('./MetricsService');
+const WebhookService = require('./WebhookService');
+const TaskEventStream = require('./TaskEventStream');
+const TaskStore = require('./TaskStore');
 const logger = require('../utils/logger');
 
+/**
+ * 创建超时错误（name为TimeoutError，渲染线程池据此计入timedOut）
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+function createTimeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * 等待Promise结束，信号中止时立即以signal.reason失败
+ * @param {Promise} promise - 要等待的Promise
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Promise}
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 按键名排序序列化，相同内容的对象得到相同的字符串
+ * @param {*} value - 可JSON序列化的值
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算任务请求内容的哈希（图表配置、优先级、超时时间和回调），用于比较使用同一幂等键的请求
+ * @param {Task} task - 任务
+ * @returns {string}
+ */
+function hashRequest(task) {
+  const payload = {
+    config: task.config,
+    priority: task.priority,
+    timeout: task.timeout,
+    callback: task.callback ? { url: task.callback.url, secret: task.callback.secret } : null
+  };
+  
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * 计算渲染缓存键：图表配置中影响渲染结果的字段，以及引用的主题、地图和ECharts的版本
+ * @param {object} config - 图表配置
+ * @param {object} versions - 资源版本（ImageGenerator.getRenderVersions的结果）
+ * @returns {string}
+ */
+function hashRender(config, versions) {
+  const payload = {
+    option: config.option,
+    width: config.width,
+    height: config.height,
+    type: getImageExtension(config.type),
+    theme: config.theme,
+    pixelRatio: config.pixelRatio,
+    fontFamily: config.fontFamily,
+    maps: config.maps,
+    pdfOptions: config.pdfOptions,
+    svgOptions: config.svgOptions,
+    versions
+  };
+  
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+/**
+ * 获取图片格式对应的文件扩展名（与ImageGenerator.renderImage一致）
+ * @param {string} type - 图片格式
+ * @returns {string}
+ */
+function getImageExtension(type) {
+  const format = (type || 'png').toLowerCase();
+  return format === 'jpg' ? 'jpeg' : format;
+}
+
 class TaskManager {
   constructor(imageGenerator, ossClient = null, options = {}) {
     this.imageGenerator = imageGenerator;
@@ -17,8 +126,25 @@ class TaskManager {
     // 初始化性能监控服务
     this.metricsService = new MetricsService();
     
-    // 初始化任务队列
-    this.taskQueue = new TaskQueue(options);
+    // 初始化Webhook回调服务
+    this.webhookService = new WebhookService(options.webhook);
+    
+    // 初始化任务队列（默认使用内存队列）
+    this.taskQueue = options.taskQueue || new TaskQueue(options);
+    
+    // 任务持久化存储（默认不持久化）
+    this.taskStore = options.taskStore || new TaskStore();
+    
+    // 渲染线程池（未配置时在主线程渲染）
+    this.renderPool = options.renderPool || null;
+    
+    // 渲染缓存（未配置时每个任务都重新渲染）
+    this.renderCache = options.renderCache || null;
+    
+    // 初始化任务状态事件流（SSE），外部传入的队列（Redis）中的任务可能由其他实例更新，需要定时查询
+    this.taskEvents = new TaskEventStream(this.taskQueue, {
+      pollInterval: options.taskQueue ? options.pollInterval || 1000 : 0
+    });
     
     // 配置选项
     this.options = {
@@ -31,8 +157,16 @@ class TaskManager {
     // 清理定时器
     this.cleanupTimer = null;
     
+    // 任务结束回调（同步渲染等待结果） taskId -> callback(task, result)
+    this.settleCallbacks = new Map();
+    
+    // 本实例正在进行的处理 taskId -> {task, limit, deadline, phase, controller, timer}
+    this.attempts = new Map();
+    
+    
     // 绑定队列事件
     this.bindQueueEvents();
+    this.bindTaskStore();
     
     // 启动自动清理
     if (this.options.autoStart) {
@@ -49,12 +183,53 @@ class TaskManager {
     });
   }
 
+  /**
+   * 从任务存储恢复任务
+   * 中断的处理中任务重置为等待状态后与等待中的任务一起按创建顺序重新入队
+   * @returns {Promise<{restored: number, requeued: number}>}
+   */
+  async restoreTasks() {
+    const records = await this.taskStore.load();
+    const tasks = records
+      .map(record => Task.fromRecord(record))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    
+    let requeued = 0;
+    
+    for (const task of tasks) {
+      if (!task.isFinished()) {
+        if (task.status === 'processing') {
+          task.reset();
+        }
+        requeued++;
+      }
+      
+      await this.taskQueue.restoreTask(task);
+    }
+    
+    logger.info('Tasks restored from store', {
+      restored: tasks.length,
+      requeued
+    });
+    
+    return { restored: tasks.length, requeued };
+  }
+
   /**
    * 创建新任务
    * @param {object} config - 任务配置
+   * @param {object} options - 选项
+   * @param {Function} [options.onSettled] - 任务完成或最终失败时的回调 (task, result)
+   * @param {{url: string, secret: string}} [options.callback] - 任务结束时推送通知的Webhook
+   * @param {string} [options.priority] - 优先级 high|normal|low
+   * @param {string} [options.tenant] - 提交任务的租户
+   * @param {number} [options.timeout] - 每次处理的超时时间（秒），不能超过队列的taskTimeout
+   * @param {string} [options.idempotencyKey] - 幂等键，同一租户在保留期内重复提交时返回已有任务
    * @returns {Promise<Task>}
+   * @throws {Error} 幂等键已用于内容不同的请求时error.code为IDEMPOTENCY_KEY_MISMATCH，
+   *   对应的任务尚未创建完成时为IDEMPOTENCY_KEY_IN_PROGRESS
    */
-  async createTask(config) {
+  async createTask(config, options = {}) {
     try {
       // 验证配置
       const validation = Task.validateConfig(config);
@@ -62,11 +237,56 @@ class TaskManager {
         throw new Error(`Invalid task config: ${validation.errors.join(', ')}`);
       }
       
+      if (options.priority && !Task.PRIORITIES.includes(options.priority)) {
+        throw new Error(`Invalid task priority: ${options.priority}`);
+      }
+      
+      const maxTimeout = this.taskQueue.options.taskTimeout;
+      if (options.timeout !== undefined && options.timeout !== null &&
+          (typeof options.timeout !== 'number' || !(options.timeout > 0) || options.timeout > maxTimeout)) {
+        throw new Error(`Invalid task timeout: must be greater than 0 and at most ${maxTimeout} seconds`);
+      }
+      
       // 创建任务对象
-      const task = new Task(config);
+      const task = new Task(config, {
+        priority: options.priority,
+        tenant: options.tenant,
+        timeout: options.timeout,
+        idempotencyKey: options.idempotencyKey
+      });
+      
+      if (options.callback) {
+        task.setCallback(options.callback.url, options.callback.secret || null);
+      }
+      
+      // 幂等键已被登记时返回已有任务，不再创建
+      if (task.idempotencyKey) {
+        task.requestHash = hashRequest(task);
+        
+        const existing = await this.taskQueue.reserveIdempotencyKey(task);
+        if (existing) {
+          return this.findIdempotentTask(task, existing);
+        }
+      }
       
-      // 添加到队列
-      const success = this.taskQueue.enqueue(task);
+      // 入队时可能立即开始处理，回调需在入队前登记
+      if (options.onSettled) {
+        this.settleCallbacks.set(task.taskId, options.onSettled);
+      }
+      
+      // 添加到队列（租户等待任务数达到上限时抛出TENANT_QUEUE_FULL）
+      let success = false;
+      try {
+        success = await this.taskQueue.enqueue(task);
+      } finally {
+        if (!success) {
+          this.settleCallbacks.delete(task.taskId);
+          
+          if (task.idempotencyKey) {
+            await this.taskQueue.releaseIdempotencyKey(task);
+          }
+        }
+      }
       if (!success) {
         throw new Error('Failed to enqueue task');
       }
@@ -77,6 +297,8 @@ class TaskManager {
       logger.info('Task created', {
         taskId: task.taskId,
         status: task.status,
+        priority: task.priority,
+        tenant: task.tenant,
         config: {
           type: config.type,
           width: config.width,
@@ -92,6 +314,164 @@ class TaskManager {
     }
   }
 
+  /**
+   * 查找幂等键对应的已有任务
+   * @param {Task} task - 本次请求创建的任务（未入队）
+   * @param {{taskId: string, requestHash: string}} existing - 幂等键的登记记录
+   * @returns {Promise<Task>}
+   */
+  async findIdempotentTask(task, existing) {
+    if (existing.requestHash !== task.requestHash) {
+      const error = new Error(`Idempotency key ${task.idempotencyKey} was already used with a different request`);
+      error.code = 'IDEMPOTENCY_KEY_MISMATCH';
+      throw error;
+    }
+    
+    const found = await this.findTask(existing.taskId);
+    if (!found) {
+      // 并发的相同请求已登记幂等键，但任务尚未入队
+      const error = new Error(`Request with idempotency key ${task.idempotencyKey} is still being processed`);
+      error.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+      throw error;
+    }
+    
+    logger.info('Idempotent request replayed', {
+      taskId: found.taskId,
+      tenant: task.tenant,
+      idempotencyKey: task.idempotencyKey
+    });
+    
+    return found;
+  }
+
+  /**
+   * 创建任务并等待渲染结果
+   * 任务仍经过队列处理，受并发限制；超时后任务继续执行，可通过状态接口查询
+   * @param {object} config - 任务配置
+   * @param {number} waitTimeout - 等待时间（毫秒）
+   * @param {object} [options] - 选项，同createTask
+   * @returns {Promise<{task: Task, result: object|null}>} result为null表示任务失败或等待超时
+   */
+  createTaskAndWait(config, waitTimeout, options = {}) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      
+      const onSettled = (task, result) => {
+        settled = true;
+        clearTimeout(timer);
+        resolve({ task, result });
+      };
+      
+      this.createTask(config, { ...options, onSettled })
+        .then(task => {
+          if (settled) {
+            return;
+          }
+          
+          timer = setTimeout(() => {
+            this.settleCallbacks.delete(task.taskId);
+            resolve({ task, result: null });
+          }, waitTimeout);
+        })
+        .catch(reject);
+    });
+  }
+
+  /**
+   * 通知任务结束
+   * @param {Task} task - 任务对象
+   * @param {object|null} result - 渲染结果 {buffer, contentType, extension}，失败时为null
+   */
+  settleTask(task, result) {
+    const callback = this.settleCallbacks.get(task.taskId);
+    
+    if (callback) {
+      this.settleCallbacks.delete(task.taskId);
+      callback(task, result);
+    }
+  }
+
+  /**
+   * 推送任务结束的Webhook通知（异步执行，不阻塞队列）
+   * @param {Task} task - 已完成、失败或取消的任务
+   */
+  notifyCallback(task) {
+    if (!task.callback) {
+      return;
+    }
+    
+    // 投递结束后保存回调状态和投递记录（Redis队列保存在任务记录旁，供其他实例查询）
+    this.webhookService.notify(task)
+      .then(() => {
+        this.taskStore.save(task);
+        return this.taskQueue.saveCallback(task);
+      })
+      .catch(error => {
+        logger.error('Webhook notification error', {
+          taskId: task.taskId,
+          error: error.message
+        });
+      });
+  }
+
+  /**
+   * 取消任务
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<{task: Task|null, cancelled: boolean}>} task为null表示任务不存在；已结束的任务无法取消
+   */
+  async cancelTask(taskId) {
+    const task = await this.findTask(taskId);
+    
+    if (!task || task.isFinished()) {
+      return { task, cancelled: false };
+    }
+    
+    const previousStatus = task.status;
+    const cancelled = await this.taskQueue.cancelTask(taskId);
+    
+    // 重新查询最新状态：使用分布式队列时任务可能已被其他实例处理完成
+    const current = await this.findTask(taskId);
+    
+    if (!cancelled) {
+      return { task: current || task, cancelled: false };
+    }
+    
+    this.metricsService.recordTaskCancelled(taskId, previousStatus);
+    
+    logger.info('Task cancelled', {
+      taskId,
+      previousStatus
+    });
+    
+    return { task: current || task, cancelled: true };
+  }
+
+  /**
+   * 丢弃任务的渲染结果，删除已上传的文件
+   * 用于处理期间被取消、或因超时被收回的任务
+   * @param {Task} task - 任务
+   * @param {object|null} result - 渲染结果
+   */
+  async discardResult(task, result) {
+    logger.info('Discarding task result', { taskId: task.taskId, status: task.status });
+    
+    if (this.ossClient && result && result.fileName) {
+      try {
+        if (!(await this.releaseTaskFile(task, result.fileName))) {
+          return;
+        }
+        await this.ossClient.deleteFile(result.fileName);
+      } catch (error) {
+        logger.warn('Failed to delete file of discarded result', {
+          taskId: task.taskId,
+          fileName: result.fileName,
+          error: error.message
+        });
+      }
+    }
+  }
+
   /**
    * 获取任务状态
    * @param {string} taskId - 任务ID
@@ -111,6 +491,15 @@ class TaskManager {
     return task;
   }
 
+  /**
+   * 查询任务，使用分布式队列时包括其他实例上的任务
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<Task|null>}
+   */
+  async findTask(taskId) {
+    return this.taskQueue.fetchTask(taskId);
+  }
+
   /**
    * 获取队列状态
    * @returns {object}
@@ -118,6 +507,10 @@ class TaskManager {
   getQueueStatus() {
     const status = this.taskQueue.getQueueStatus();
     
+    if (this.renderPool) {
+      status.renderPool = this.renderPool.getStatus();
+    }
+    
     logger.debug('Queue status retrieved', status);
     
     return status;
@@ -125,58 +518,41 @@ class TaskManager {
 
   /**
    * 处理任务（由队列事件触发）
+   * 每次处理有独立的截止时间，超时或被取消时中止渲染和上传，迟到的结果被丢弃；
+   * 完成、失败和超时只由先结束本次处理的一方执行，任务只会发生一次状态转换
    * @param {Task} task - 要处理的任务
    */
   async processTask(task) {
+    const attempt = this.startAttempt(task);
+    const { signal } = attempt.controller;
+    
+    logger.info('Processing task started', {
+      taskId: task.taskId,
+      retryCount: task.retryCount,
+      timeout: attempt.limit
+    });
+    
+    // 生成图片（配置了存储时同时上传）
+    const generation = this.generateTaskImage(task, attempt);
+    let result;
+    
     try {
-      logger.info('Processing task started', {
-        taskId: task.taskId,
-        retryCount: task.retryCount
-      });
-      
-      let result;
-      
-      if (this.ossClient) {
-        // 生成图片并上传到OSS
-        result = await this.imageGenerator.generateAndUploadImage(
-          task.config,
-          task.taskId
-        );
-        
-        // 完成任务
-        this.taskQueue.completeTask(task.taskId, result.url, result.fileName);
-        
-        // 记录任务完成指标
-        this.metricsService.recordTaskCompleted(task.taskId, task.getProcessingTime(), result.url);
-        
-        logger.info('Task completed with OSS upload', {
-          taskId: task.taskId,
-          imageUrl: result.url,
-          fileName: result.fileName,
-          processingTime: task.getProcessingTime()
-        });
-        
-      } else {
-        // 仅生成图片（无OSS上传）
-        result = await this.imageGenerator.generateImage(task.config);
-        
-        // 生成本地URL或base64
-        const imageUrl = task.config.base64 
-          ? await this.imageGenerator.generateBase64(task.config)
-          : 'data:image/png;base64,' + result.buffer.toString('base64');
-        
-        this.taskQueue.completeTask(task.taskId, imageUrl, null);
-        
-        // 记录任务完成指标
-        this.metricsService.recordTaskCompleted(task.taskId, task.getProcessingTime(), imageUrl);
-        
-        logger.info('Task completed without OSS', {
+      result = await untilAborted(generation, signal);
+    } catch (error) {
+      // 已超时或被取消，之后完成的渲染结果和已上传的文件都丢弃
+      if (signal.aborted) {
+        logger.info('Task processing aborted', {
           taskId: task.taskId,
-          processingTime: task.getProcessingTime()
+          reason: signal.reason.message
         });
+        generation.then(late => this.discardResult(task, late), () => {});
+        return;
+      }
+      
+      if (!(await this.finishAttempt(attempt))) {
+        return;
       }
       
-    } catch (error) {
       logger.error('Task processing failed', {
         taskId: task.taskId,
         error: error.message,
@@ -186,7 +562,323 @@ class TaskManager {
       // 记录任务失败指标
       this.metricsService.recordTaskFailed(task.taskId, error.message, false);
       
-      this.taskQueue.failTask(task.taskId, error.message);
+      await this.taskQueue.failTask(task.taskId, error.message);
+      return;
+    }
+    
+    if (!(await this.finishAttempt(attempt))) {
+      await this.discardResult(task, result);
+      return;
+    }
+    
+    // 未配置存储时返回base64 URL
+    const imageUrl = this.ossClient
+      ? result.url
+      : `data:${result.contentType};base64,` + result.buffer.toString('base64');
+    const fileName = this.ossClient ? result.fileName : null;
+    
+    // 完成任务；确认失败说明任务已被其他实例取消或收回
+    if (!(await this.taskQueue.completeTask(task.taskId, imageUrl, fileName))) {
+      await this.discardResult(task, result);
+      return;
+    }
+    this.settleTask(task, result);
+    
+    // 记录任务完成指标
+    this.metricsService.recordTaskCompleted(task.taskId, task.getProcessingTime(), imageUrl);
+    
+    logger.info(this.ossClient ? 'Task completed with OSS upload' : 'Task completed without OSS', {
+      taskId: task.taskId,
+      fileName,
+      processingTime: task.getProcessingTime()
+    });
+  }
+
+  /**
+   * 生成任务图片，配置了存储（OSS、S3或本地文件系统）时同时上传
+   * 配置了渲染缓存时先查找相同配置的渲染结果，请求的cache为false时跳过查找，但仍用新的结果更新缓存
+   * @param {Task} task - 任务
+   * @param {object} attempt - 本次处理（startAttempt的结果）
+   * @returns {Promise<object>} 渲染结果，上传后包含url和fileName
+   */
+  async generateTaskImage(task, attempt) {
+    const uploadOptions = {
+      signal: attempt.controller.signal,
+      deadline: attempt.deadline,
+      objectName: this.getObjectName(task),
+      onUpload: () => this.enterPhase(attempt, 'upload')
+    };
+    
+    const cacheKey = this.renderCache
+      ? hashRender(task.config, this.imageGenerator.getRenderVersions(task.config))
+      : null;
+    
+    if (cacheKey && task.config.cache === false) {
+      this.metricsService.recordRenderCache('bypass');
+    } else if (cacheKey) {
+      const cached = await this.reuseCachedImage(task, attempt, cacheKey, uploadOptions);
+      if (cached) {
+        return this.recordObjectOwner(task, cached);
+      }
+    }
+    
+    const result = await this.renderTaskImage(task, attempt, uploadOptions);
+    
+    // 写入存储层在后台进行，不延迟任务完成
+    if (cacheKey) {
+      this.renderCache.set(cacheKey, result);
+    }
+    
+    return this.recordObjectOwner(task, result);
+  }
+
+  /**
+   * 使用缓存的渲染结果完成任务图片
+   * 配置了存储时在存储内复制缓存对象；缓存对象不存在时上传缓存的内容
+   * @param {Task} task - 任务
+   * @param {object} attempt - 本次处理
+   * @param {string} cacheKey - 缓存键
+   * @param {object} uploadOptions - 上传选项
+   * @returns {Promise<object|null>} 未命中时返回null
+   */
+  async reuseCachedImage(task, attempt, cacheKey, uploadOptions) {
+    const cached = await this.renderCache.get(cacheKey, getImageExtension(task.config.type));
+    this.metricsService.recordRenderCache(cached ? cached.tier : 'miss');
+    
+    if (!cached) {
+      return null;
+    }
+    
+    logger.info('Render cache hit', { taskId: task.taskId, tier: cached.tier });
+    
+    if (!this.ossClient) {
+      return cached.image;
+    }
+    
+    this.enterPhase(attempt, 'upload');
+    const { image } = cached;
+    const copied = await this.imageGenerator.copyImage(
+      image,
+      targetPath => this.renderCache.copyTo(cacheKey, image.extension, targetPath),
+      task.taskId,
+      uploadOptions
+    );
+    if (copied) {
+      return copied;
+    }
+    
+    const uploaded = await this.imageGenerator.uploadImage(image, task.taskId, uploadOptions);
+    this.renderCache.set(cacheKey, uploaded);
+    return uploaded;
+  }
+
+  /**
+   * 渲染任务图片，配置了存储时同时上传
+   * 配置了渲染线程池时，主线程只校验参数和上传，渲染在工作线程中进行，超时或取消时终止工作线程
+   * @param {Task} task - 任务
+   * @param {object} attempt - 本次处理
+   * @param {object} uploadOptions - 上传选项
+   * @returns {Promise<object>} 渲染结果，上传后包含url和fileName
+   */
+  async renderTaskImage(task, attempt, uploadOptions) {
+    const { signal } = attempt.controller;
+    
+    if (!this.renderPool) {
+      return this.ossClient
+        ? this.imageGenerator.generateAndUploadImage(task.config, task.taskId, uploadOptions)
+        : this.imageGenerator.generateImage(task.config);
+    }
+    
+    let image;
+    try {
+      image = await this.renderPool.run(this.imageGenerator.prepareImage(task.config), {
+        id: task.taskId,
+        signal
+      });
+    } catch (error) {
+      throw new Error(`Image generation failed: ${error.message}`);
+    }
+    
+    if (!this.ossClient) {
+      return image;
+    }
+    
+    this.enterPhase(attempt, 'upload');
+    return this.imageGenerator.uploadImage(image, task.taskId, uploadOptions);
+  }
+
+  /**
+   * 根据请求的ossPath和fileName生成任务图片的文件名（不含扩展名）
+   * @param {Task} task - 任务
+   * @returns {string|null} 未指定ossPath和fileName或未配置存储时返回null，使用默认的唯一文件名
+   */
+  getObjectName(task) {
+    const { ossPath, fileName, overwrite } = task.config;
+    
+    if (!this.ossClient || (!ossPath && !fileName)) {
+      return null;
+    }
+    
+    return this.ossClient.resolveObjectName(ossPath || '{fileName}', {
+      taskId: task.taskId,
+      tenant: task.tenant,
+      fileName,
+      overwrite
+    });
+  }
+
+  /**
+   * 共享文件名（overwrite）上传后记录由本任务写入
+   * @param {Task} task - 任务
+   * @param {object} result - 渲染结果
+   * @returns {Promise<object>} 渲染结果
+   */
+  async recordObjectOwner(task, result) {
+    if (task.config.overwrite && result.fileName) {
+      await this.taskQueue.setObjectOwner(result.fileName, task.taskId);
+    }
+    return result;
+  }
+
+  /**
+   * 检查是否可以删除任务的文件：共享文件名已被之后的任务覆盖时不能删除
+   * 可以删除时同时移除写入记录
+   * @param {Task} task - 任务
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {Promise<boolean>}
+   */
+  async releaseTaskFile(task, fileName) {
+    if (!task.config.overwrite) {
+      return true;
+    }
+    
+    const owner = await this.taskQueue.getObjectOwner(fileName);
+    if (owner && owner !== task.taskId) {
+      logger.info('Skipping file overwritten by a later task', { taskId: task.taskId, fileName, owner });
+      return false;
+    }
+    
+    await this.taskQueue.releaseObjectOwner(fileName, task.taskId);
+    return true;
+  }
+
+  /**
+   * 开始一次处理，到达截止时间（从开始处理算起）时按超时结束
+   * @param {Task} task - 任务
+   * @returns {object} 本次处理 {task, limit, deadline, phase, controller, timer}
+   */
+  startAttempt(task) {
+    const limit = task.timeout || this.taskQueue.options.taskTimeout;
+    const startedAt = task.startedAt ? task.startedAt.getTime() : Date.now();
+    
+    const attempt = {
+      task,
+      limit,
+      deadline: startedAt + limit * 1000,
+      phase: 'render',
+      controller: new AbortController(),
+      timer: null
+    };
+    
+    attempt.timer = setTimeout(() => this.expireAttempt(attempt), Math.max(0, attempt.deadline - Date.now()));
+    this.attempts.set(task.taskId, attempt);
+    
+    return attempt;
+  }
+
+  /**
+   * 进入处理的下一阶段
+   * 主线程同步渲染期间截止时间的定时器无法执行，进入下一阶段前补充检查
+   * @param {object} attempt - 本次处理
+   * @param {string} phase - 阶段 render|upload
+   */
+  enterPhase(attempt, phase) {
+    if (Date.now() >= attempt.deadline) {
+      this.expireAttempt(attempt);
+      return;
+    }
+    
+    attempt.phase = phase;
+  }
+
+  /**
+   * 结束本次处理
+   * @param {object} attempt - 本次处理
+   * @returns {boolean} 是否由调用方执行任务的状态转换；已超时、被取消或被新的处理取代时返回false
+   */
+  endAttempt(attempt) {
+    if (this.attempts.get(attempt.task.taskId) !== attempt) {
+      return false;
+    }
+    
+    this.attempts.delete(attempt.task.taskId);
+    clearTimeout(attempt.timer);
+    
+    return true;
+  }
+
+  /**
+   * 处理正常结束（成功或出错）后结束本次处理，已超过截止时间时按超时处理
+   * @param {object} attempt - 本次处理
+   * @returns {Promise<boolean>} 是否由调用方完成或失败任务
+   */
+  async finishAttempt(attempt) {
+    if (Date.now() >= attempt.deadline) {
+      await this.expireAttempt(attempt);
+      return false;
+    }
+    
+    return this.endAttempt(attempt);
+  }
+
+  /**
+   * 中止本实例上任务的处理（任务被取消或被队列收回）
+   * @param {string} taskId - 任务ID
+   * @param {Error} reason - 中止原因
+   * @returns {object|null} 被中止的处理，没有正在进行的处理时返回null
+   */
+  abortAttempt(taskId, reason) {
+    const attempt = this.attempts.get(taskId);
+    
+    if (!attempt) {
+      return null;
+    }
+    
+    this.endAttempt(attempt);
+    attempt.controller.abort(reason);
+    
+    return attempt;
+  }
+
+  /**
+   * 处理超过截止时间：记录超时阶段，中止渲染或上传，按超时失败（未达到最大重试次数时重试）
+   * @param {object} attempt - 本次处理
+   * @returns {Promise<void>}
+   */
+  async expireAttempt(attempt) {
+    if (!this.endAttempt(attempt)) {
+      return;
+    }
+    
+    const { task, limit, phase } = attempt;
+    const reason = `Task timed out after ${limit}s during ${phase}`;
+    
+    task.markTimedOut(phase);
+    attempt.controller.abort(createTimeoutError(reason));
+    
+    logger.warn('Task deadline exceeded', {
+      taskId: task.taskId,
+      timeout: limit,
+      phase
+    });
+    
+    try {
+      await this.taskQueue.timeoutTask(task.taskId, reason);
+    } catch (error) {
+      logger.error('Failed to time out task', {
+        taskId: task.taskId,
+        error: error.message
+      });
     }
   }
 
@@ -203,17 +895,32 @@ class TaskManager {
     this.taskQueue.on('taskCompleted', (task) => {
       logger.info('Task completed event', {
         taskId: task.taskId,
-        imageUrl: task.imageUrl
+        fileName: task.fileName // 私有存储的imageUrl含签名，不写入日志
       });
+      
+      this.notifyCallback(task);
     });
     
-    // 任务失败
+    // 任务失败（已达到最大重试次数）
     this.taskQueue.on('taskFailed', (task) => {
+      this.settleTask(task, null);
+      
       logger.warn('Task failed event', {
         taskId: task.taskId,
         error: task.error,
         retryCount: task.retryCount
       });
+      
+      this.notifyCallback(task);
+    });
+    
+    // 任务取消
+    this.taskQueue.on('taskCancelled', (task) => {
+      // 中止本实例上的渲染（终止工作线程）和上传
+      this.abortAttempt(task.taskId, new Error('Task cancelled'));
+      
+      this.settleTask(task, null);
+      this.notifyCallback(task);
     });
     
     // 任务重试
@@ -231,22 +938,44 @@ class TaskManager {
     this.taskQueue.on('taskEnqueued', (task) => {
       logger.debug('Task enqueued', {
         taskId: task.taskId,
-        queueLength: this.taskQueue.pendingQueue.length
+        queueLength: this.taskQueue.getQueueStatus().pendingTasks
       });
     });
     
-    // 任务超时
+    // 任务超时（本实例的截止时间、队列的超时检查或Redis可见性超时）
     this.taskQueue.on('taskTimeout', (task) => {
+      // 由队列收回时同样中止本实例上的处理
+      const attempt = this.abortAttempt(task.taskId, createTimeoutError('Task timeout'));
+      if (attempt) {
+        task.markTimedOut(attempt.phase);
+      }
+      
       // 记录超时任务指标
       this.metricsService.recordTaskFailed(task.taskId, 'Task timeout', true);
       
       logger.warn('Task timeout event', {
         taskId: task.taskId,
+        phase: task.timeoutPhase,
         processingTime: task.getProcessingTime()
       });
     });
   }
 
+  /**
+   * 将任务状态变化写入任务存储
+   */
+  bindTaskStore() {
+    const events = ['taskEnqueued', 'taskStarted', 'taskRetry', 'taskCompleted', 'taskFailed', 'taskCancelled'];
+    
+    for (const event of events) {
+      this.taskQueue.on(event, (task) => this.taskStore.save(task));
+    }
+    
+    this.taskQueue.on('tasksCleanedUp', (tasks) => {
+      this.taskStore.remove(tasks.map(task => task.taskId));
+    });
+  }
+
   /**
    * 启动清理定时器
    */
@@ -298,9 +1027,12 @@ class TaskManager {
       const beforeStats = this.getQueueStatus();
       
       // 清理队列中的过期任务
-      const expiredTasks = this.taskQueue.cleanupExpiredTasks(this.options.taskRetentionDays);
+      const expiredTasks = await this.taskQueue.cleanupExpiredTasks(this.options.taskRetentionDays);
       result.cleanedTasks = expiredTasks.length;
       
+      // 清理过期批次（与任务使用相同的保留期）
+      this.cleanupExpiredBatches();
+      
       // 记录清理的任务详情
       if (expiredTasks.length > 0) {
         const tasksByStatus = expiredTasks.reduce((acc, task) => {
@@ -314,11 +1046,14 @@ class TaskManager {
         });
       }
       
-      // 如果配置了OSS客户端，删除对应的图片文件
+      // 如果配置了存储客户端，删除对应的图片文件
       if (this.ossClient && expiredTasks.length > 0) {
-        const filesToDelete = expiredTasks
-          .filter(task => task.fileName && task.status === 'completed')
-          .map(task => task.fileName);
+        const filesToDelete = [];
+        for (const task of expiredTasks.filter(task => task.fileName && task.status === 'completed')) {
+          if (await this.releaseTaskFile(task, task.fileName)) {
+            filesToDelete.push(task.fileName);
+          }
+        }
         
         if (filesToDelete.length > 0) {
           logger.info('Starting OSS files deletion', {
@@ -345,6 +1080,32 @@ class TaskManager {
         }
       }
       
+      // 按日期分目录的存储（本地存储）再删除超过保留期的目录，包括已没有任务记录的文件
+      if (this.ossClient && this.ossClient.deleteExpiredFiles) {
+        try {
+          result.deletedFiles += await this.ossClient.deleteExpiredFiles(this.options.taskRetentionDays);
+        } catch (error) {
+          logger.warn('Failed to delete expired storage files', { error: error.message });
+          result.errors.push({
+            type: 'storage_cleanup_error',
+            message: error.message
+          });
+        }
+      }
+      
+      // 渲染缓存的对象不属于任何任务，按缓存的保留期单独清理
+      if (this.renderCache) {
+        try {
+          result.deletedFiles += await this.renderCache.deleteExpired();
+        } catch (error) {
+          logger.warn('Failed to delete expired render cache objects', { error: error.message });
+          result.errors.push({
+            type: 'render_cache_cleanup_error',
+            message: error.message
+          });
+        }
+      }
+      
       // 获取清理后的统计信息
       const afterStats = this.getQueueStatus();
       const cleanupDuration = Date.now() - startTime;
@@ -381,7 +1142,7 @@ class TaskManager {
   }
 
   /**
-   * 删除OSS文件并处理单个文件的错误
+   * 删除存储中的文件并处理单个文件的错误
    * @param {Array<string>} fileNames - 文件名列表
    * @returns {Promise<{successful: number, errors: Array}>}
    */
@@ -420,7 +1181,7 @@ class TaskManager {
       
       await Promise.all(deletePromises);
       
-      // 在批次之间添加小延迟，避免对OSS造成过大压力
+      // 在批次之间添加小延迟，避免对存储造成过大压力
       if (i + batchSize < fileNames.length) {
         await new Promise(resolve => setTimeout(resolve, 100));
       }
@@ -473,6 +1234,140 @@ class TaskManager {
     return tasks;
   }
 
+  /**
+   * 创建批次
+   * 校验失败的项不创建任务，只记录错误；单项创建失败不影响其他项
+   * @param {Array<{config: object, name: string}|{error: string, name: string}>} items - 按提交顺序排列的图表项
+   * @param {object} [options] - 选项
+   * @param {string} [options.tenant] - 提交批次的租户
+   * @param {number} [options.timeout] - 每个任务每次处理的超时时间（秒）
+   * @returns {Promise<Batch>}
+   */
+  async createBatch(items, options = {}) {
+    const batchItems = [];
+    
+    for (let index = 0; index < items.length; index++) {
+      const { config, error, name = null } = items[index];
+      
+      if (error) {
+        batchItems.push({ index, name, taskId: null, error });
+        continue;
+      }
+      
+      try {
+        const task = await this.createTask(config, { tenant: options.tenant, timeout: options.timeout });
+        batchItems.push({ index, name, taskId: task.taskId, error: null });
+      } catch (createError) {
+        batchItems.push({ index, name, taskId: null, error: createError.message });
+      }
+    }
+    
+    const batch = new Batch(batchItems);
+    await this.taskQueue.saveBatch(batch, this.options.taskRetentionDays);
+    
+    logger.info('Batch created', {
+      batchId: batch.batchId,
+      total: batchItems.length,
+      accepted: batch.getTaskIds().length
+    });
+    
+    return batch;
+  }
+
+  /**
+   * 获取批次，使用分布式队列时包括其他实例创建的批次
+   * @param {string} batchId - 批次ID
+   * @returns {Promise<Batch|null>}
+   */
+  async getBatch(batchId) {
+    return this.taskQueue.getBatch(batchId);
+  }
+
+  /**
+   * 获取批次进度和每一项的结果
+   * @param {string} batchId - 批次ID
+   * @returns {Promise<object|null>}
+   */
+  async getBatchStatus(batchId) {
+    const batch = await this.getBatch(batchId);
+    
+    if (!batch) {
+      return null;
+    }
+    
+    const taskIds = batch.getTaskIds();
+    const tasks = await Promise.all(taskIds.map(taskId => this.findTask(taskId)));
+    const tasksById = new Map(taskIds.map((taskId, index) => [taskId, tasks[index]]));
+    const status = batch.getStatus(taskId => tasksById.get(taskId) || null);
+    
+    // 私有存储的图片地址在查询时重新签名
+    await Promise.all(status.items
+      .filter(item => item.status === 'completed')
+      .map(async (item) => {
+        item.imageUrl = (await this.getImageUrl(tasksById.get(item.taskId))).imageUrl;
+      }));
+    
+    return status;
+  }
+
+  /**
+   * 获取已完成任务的图片地址
+   * 私有存储每次生成新的签名URL，其余情况返回任务保存的imageUrl
+   * @param {Task} task - 已完成的任务
+   * @param {number} [expiresIn] - 签名URL有效期（秒），默认为SIGNED_URL_TTL
+   * @returns {Promise<{imageUrl: string, expiresAt: Date|null}>}
+   */
+  async getImageUrl(task, expiresIn) {
+    if (this.ossClient && this.ossClient.config.privateBucket && task.fileName) {
+      const { url, expiresAt } = await this.ossClient.getFileUrl(task.fileName, expiresIn);
+      return { imageUrl: url, expiresAt };
+    }
+    
+    return { imageUrl: task.imageUrl, expiresAt: null };
+  }
+
+  /**
+   * 获取已完成任务的图片内容
+   * 未上传的任务从data URL解码，否则从存储下载
+   * @param {Task} task - 已完成的任务
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async getTaskImage(task) {
+    if (task.status !== 'completed' || !task.imageUrl) {
+      throw new Error(task.imageExpired
+        ? `Image of task ${task.taskId} expired on restart`
+        : `Task ${task.taskId} has no image`);
+    }
+    
+    if (task.imageUrl.startsWith('data:')) {
+      const separator = task.imageUrl.indexOf(',');
+      return {
+        buffer: Buffer.from(task.imageUrl.substring(separator + 1), 'base64'),
+        contentType: task.imageUrl.substring(5, separator).replace(';base64', '')
+      };
+    }
+    
+    if (this.ossClient && task.fileName) {
+      return this.ossClient.downloadFile(task.fileName);
+    }
+    
+    throw new Error(`Image of task ${task.taskId} is not available`);
+  }
+
+  /**
+   * 清理过期批次
+   * @returns {number} 清理的批次数量
+   */
+  cleanupExpiredBatches() {
+    const cleaned = this.taskQueue.cleanupExpiredBatches(this.options.taskRetentionDays);
+    
+    if (cleaned > 0) {
+      logger.info('Expired batches cleaned up', { cleaned });
+    }
+    
+    return cleaned;
+  }
+
   /**
    * 获取任务统计信息
    * @returns {object}
@@ -539,7 +1434,8 @@ class TaskManager {
       const queueStatus = this.taskQueue.getQueueStatus();
       this.metricsService.updateQueueStatus(
         queueStatus.pendingTasks,
-        queueStatus.processingTasks
+        queueStatus.processingTasks,
+        queueStatus.pendingByPriority
       );
     }, 10000);
   }
@@ -572,12 +1468,19 @@ class TaskManager {
 
   /**
    * 销毁TaskManager
+   * @returns {Promise<void>} 任务存储中剩余的记录写入完成
    */
   destroy() {
     logger.info('Destroying TaskManager');
     
     this.stopCleanupTimer();
     this.stopQueueMonitoring();
+    this.settleCallbacks.clear();
+    this.attempts.forEach(attempt => clearTimeout(attempt.timer));
+    this.attempts.clear();
+    this.webhookService.destroy();
+    this.taskEvents.destroy();
+    const closing = this.taskStore.close();
     
     if (this.metricsService) {
       this.metricsService.destroy();
@@ -585,7 +1488,13 @@ class TaskManager {
     
     this.taskQueue.destroy();
     
+    if (this.renderPool) {
+      this.renderPool.destroy();
+    }
+    
     logger.info('TaskManager destroyed');
+    
+    return Promise.resolve(closing);
   }
 }
 
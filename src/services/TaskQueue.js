@@ -1,9 +1,12 @@
 /**
  * 任务队列系统
- * 基于内存的FIFO队列实现，支持并发控制
+ * 基于内存的优先级队列实现，支持并发控制
+ * 同一优先级内先进先出，等待时间越长有效优先级越高，避免低优先级任务饿死
+ * 多个租户之间按权重公平调度，并限制每个租户的并发数和等待数（见TenantScheduler）
  */
 
 const EventEmitter = require('events');
+const TenantScheduler = require('./TenantScheduler');
 
 class TaskQueue extends EventEmitter {
   constructor(options = {}) {
@@ -13,18 +16,24 @@ class TaskQueue extends EventEmitter {
       maxConcurrent: options.maxConcurrent || 10,
       taskTimeout: options.taskTimeout || 300, // 5分钟
       retryAttempts: options.retryAttempts || 3,
+      priorityAging: options.priorityAging || 60, // 每等待60秒提升一级优先级
+      idempotencyTtl: options.idempotencyTtl || 86400, // 幂等键保留24小时
       ...options
     };
     
     // 队列存储
-    this.pendingQueue = []; // 等待处理的任务
+    this.scheduler = new TenantScheduler(this.options); // 等待处理的任务，按租户和优先级保存
     this.processingTasks = new Map(); // 正在处理的任务 taskId -> task
     this.completedTasks = new Map(); // 已完成的任务 taskId -> task
+    this.idempotencyKeys = new Map(); // 幂等键 tenant:key -> {taskId, requestHash, expiresAt}
+    this.objectOwners = new Map(); // 共享文件名（overwrite）-> 最后写入的任务ID
+    this.batches = new Map(); // 批次 batchId -> Batch
     
     // 统计信息
     this.stats = {
       totalProcessed: 0,
       totalFailed: 0,
+      totalCancelled: 0,
       averageProcessingTime: 0,
       processingTimes: []
     };
@@ -39,6 +48,7 @@ class TaskQueue extends EventEmitter {
    * 添加任务到队列
    * @param {Task} task - 任务对象
    * @returns {boolean} 是否成功添加
+   * @throws {Error} 租户等待任务数达到上限时抛出，error.code为TENANT_QUEUE_FULL
    */
   enqueue(task) {
     if (!task || !task.taskId) {
@@ -50,7 +60,22 @@ class TaskQueue extends EventEmitter {
       return false;
     }
     
-    this.pendingQueue.push(task);
+    if (!this.scheduler.canEnqueue(task.tenant)) {
+      const error = new Error(`Too many pending tasks for tenant ${task.tenant}`);
+      error.code = 'TENANT_QUEUE_FULL';
+      throw error;
+    }
+    
+    return this.addPendingTask(task);
+  }
+
+  /**
+   * 添加等待中的任务并尝试处理
+   * @param {Task} task - 任务对象
+   * @returns {boolean}
+   */
+  addPendingTask(task) {
+    this.scheduler.add(task);
     this.emit('taskEnqueued', task);
     
     // 尝试处理下一个任务
@@ -59,6 +84,143 @@ class TaskQueue extends EventEmitter {
     return true;
   }
 
+  /**
+   * 恢复持久化的任务
+   * 已结束的任务仅用于状态查询；未结束的任务重新入队（不受租户等待数限制）
+   * @param {Task} task - 任务对象
+   * @returns {boolean} 是否成功恢复
+   */
+  restoreTask(task) {
+    if (this.hasTask(task.taskId)) {
+      return false;
+    }
+    
+    if (task.idempotencyKey) {
+      this.reserveIdempotencyKey(task);
+    }
+    
+    if (!task.isFinished()) {
+      return this.addPendingTask(task);
+    }
+    
+    this.completedTasks.set(task.taskId, task);
+    
+    // 同一共享文件名由最后完成的任务写入
+    if (task.status === 'completed' && task.fileName && task.config.overwrite) {
+      const owner = this.completedTasks.get(this.objectOwners.get(task.fileName));
+      if (!owner || owner.completedAt < task.completedAt) {
+        this.objectOwners.set(task.fileName, task.taskId);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 登记任务的幂等键
+   * 同一租户的键在保留期（idempotencyTtl，从任务创建算起）内只能对应一个任务
+   * @param {Task} task - 带有idempotencyKey和requestHash的任务
+   * @returns {{taskId: string, requestHash: string}|null} 键已被其他任务登记时返回已有记录，否则登记并返回null
+   */
+  reserveIdempotencyKey(task) {
+    const key = `${task.tenant}:${task.idempotencyKey}`;
+    const existing = this.idempotencyKeys.get(key);
+    
+    if (existing && existing.expiresAt > Date.now()) {
+      return existing.taskId === task.taskId ? null : existing;
+    }
+    
+    this.idempotencyKeys.set(key, {
+      taskId: task.taskId,
+      requestHash: task.requestHash,
+      expiresAt: task.createdAt.getTime() + this.options.idempotencyTtl * 1000
+    });
+    
+    return null;
+  }
+
+  /**
+   * 释放任务登记的幂等键（任务入队失败时）
+   * @param {Task} task - 任务
+   */
+  releaseIdempotencyKey(task) {
+    const key = `${task.tenant}:${task.idempotencyKey}`;
+    const existing = this.idempotencyKeys.get(key);
+    
+    if (existing && existing.taskId === task.taskId) {
+      this.idempotencyKeys.delete(key);
+    }
+  }
+
+  /**
+   * 记录共享文件名最后由哪个任务写入
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {string} taskId - 任务ID
+   */
+  setObjectOwner(fileName, taskId) {
+    this.objectOwners.set(fileName, taskId);
+  }
+
+  /**
+   * 获取最后写入共享文件名的任务
+   * @param {string} fileName - 文件名（包含路径）
+   * @returns {string|null} 任务ID
+   */
+  getObjectOwner(fileName) {
+    return this.objectOwners.get(fileName) || null;
+  }
+
+  /**
+   * 删除共享文件名的写入记录（仅当仍由该任务写入时）
+   * @param {string} fileName - 文件名（包含路径）
+   * @param {string} taskId - 任务ID
+   */
+  releaseObjectOwner(fileName, taskId) {
+    if (this.objectOwners.get(fileName) === taskId) {
+      this.objectOwners.delete(fileName);
+    }
+  }
+
+  /**
+   * 保存批次
+   * @param {Batch} batch - 批次
+   */
+  saveBatch(batch) {
+    this.batches.set(batch.batchId, batch);
+  }
+
+  /**
+   * 获取批次
+   * @param {string} batchId - 批次ID
+   * @returns {Batch|null}
+   */
+  getBatch(batchId) {
+    return this.batches.get(batchId) || null;
+  }
+
+  /**
+   * 清理过期批次
+   * @param {number} retentionDays - 保留天数
+   * @returns {number} 清理的批次数量
+   */
+  cleanupExpiredBatches(retentionDays) {
+    let cleaned = 0;
+    
+    for (const [batchId, batch] of this.batches) {
+      if (batch.isExpired(retentionDays)) {
+        this.batches.delete(batchId);
+        cleaned++;
+      }
+    }
+    
+    return cleaned;
+  }
+
+  /**
+   * 保存任务的回调投递状态（内存队列中的任务对象即为最新状态，无需保存）
+   * @param {Task} task - 带有回调的任务
+   */
+  saveCallback(task) {}
+
   /**
    * 处理下一个任务
    */
@@ -68,12 +230,12 @@ class TaskQueue extends EventEmitter {
       return;
     }
     
-    // 检查是否有待处理任务
-    if (this.pendingQueue.length === 0) {
+    // 检查是否有可调度的任务（各租户达到并发上限时其任务继续等待）
+    const task = this.scheduler.next();
+    if (!task) {
       return;
     }
     
-    const task = this.pendingQueue.shift();
     this.startProcessing(task);
   }
 
@@ -93,11 +255,12 @@ class TaskQueue extends EventEmitter {
    * @param {string} taskId - 任务ID
    * @param {string} imageUrl - 图片URL
    * @param {string} fileName - 文件名
+   * @returns {boolean} 任务已不在处理中（已超时、被取消）时返回false，与RedisTaskQueue保持一致
    */
   completeTask(taskId, imageUrl, fileName) {
     const task = this.processingTasks.get(taskId);
     if (!task) {
-      throw new Error(`Task ${taskId} not found in processing queue`);
+      return false;
     }
     
     task.complete(imageUrl, fileName);
@@ -105,6 +268,7 @@ class TaskQueue extends EventEmitter {
     // 移动到已完成队列
     this.processingTasks.delete(taskId);
     this.completedTasks.set(taskId, task);
+    this.scheduler.release(task);
     
     // 更新统计信息
     this.updateStats(task);
@@ -113,24 +277,28 @@ class TaskQueue extends EventEmitter {
     
     // 处理下一个任务
     this.processNext();
+    
+    return true;
   }
 
   /**
    * 任务失败处理
    * @param {string} taskId - 任务ID
    * @param {string} error - 错误信息
+   * @returns {boolean} 任务已不在处理中时返回false
    */
   failTask(taskId, error) {
     const task = this.processingTasks.get(taskId);
     if (!task) {
-      throw new Error(`Task ${taskId} not found in processing queue`);
+      return false;
     }
     
     // 检查是否需要重试
     if (task.retryCount < this.options.retryAttempts) {
       task.retry();
       this.processingTasks.delete(taskId);
-      this.pendingQueue.unshift(task); // 重试任务优先处理
+      this.scheduler.release(task);
+      this.scheduler.add(task, true); // 重试任务在同优先级内优先处理
       
       this.emit('taskRetry', task);
       
@@ -142,6 +310,8 @@ class TaskQueue extends EventEmitter {
       
       this.processingTasks.delete(taskId);
       this.completedTasks.set(taskId, task);
+      this.scheduler.release(task);
+      this.scheduler.recordFinished(task);
       
       this.stats.totalFailed++;
       
@@ -150,6 +320,58 @@ class TaskQueue extends EventEmitter {
       // 处理下一个任务
       this.processNext();
     }
+    
+    return true;
+  }
+
+  /**
+   * 处理超时的任务，按失败处理（未达到最大重试次数时重试）
+   * @param {string} taskId - 任务ID
+   * @param {string} [reason] - 超时原因
+   * @returns {boolean} 任务已不在处理中时返回false
+   */
+  timeoutTask(taskId, reason = 'Task timeout') {
+    const task = this.processingTasks.get(taskId);
+    if (!task) {
+      return false;
+    }
+    
+    // 发出超时事件，让TaskManager终止处理并记录指标
+    this.emit('taskTimeout', task);
+    return this.failTask(taskId, reason);
+  }
+
+  /**
+   * 取消任务
+   * 等待中的任务从队列移除；处理中的任务立即释放并发名额，渲染结果由处理方丢弃
+   * @param {string} taskId - 任务ID
+   * @returns {boolean} 任务已结束或不存在时返回false
+   */
+  cancelTask(taskId) {
+    let task = this.scheduler.remove(taskId);
+    
+    if (!task && this.processingTasks.has(taskId)) {
+      task = this.processingTasks.get(taskId);
+      this.processingTasks.delete(taskId);
+      this.scheduler.release(task);
+    }
+    
+    if (!task) {
+      return false;
+    }
+    
+    task.cancel();
+    this.completedTasks.set(taskId, task);
+    this.scheduler.recordFinished(task);
+    
+    this.stats.totalCancelled++;
+    
+    this.emit('taskCancelled', task);
+    
+    // 处理下一个任务
+    this.processNext();
+    
+    return true;
   }
 
   /**
@@ -169,12 +391,16 @@ class TaskQueue extends EventEmitter {
     }
     
     // 检查等待队列
-    const pendingTask = this.pendingQueue.find(task => task.taskId === taskId);
-    if (pendingTask) {
-      return pendingTask;
-    }
-    
-    return null;
+    return this.scheduler.find(taskId);
+  }
+
+  /**
+   * 查询任务（与RedisTaskQueue接口一致）
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<Task|null>}
+   */
+  async fetchTask(taskId) {
+    return this.getTask(taskId);
   }
 
   /**
@@ -191,23 +417,28 @@ class TaskQueue extends EventEmitter {
    * @returns {object}
    */
   getQueueStatus() {
+    const pendingByPriority = this.scheduler.countByPriority();
+    
     return {
-      pendingTasks: this.pendingQueue.length,
+      pendingTasks: Object.values(pendingByPriority).reduce((a, b) => a + b, 0),
+      pendingByPriority,
       processingTasks: this.processingTasks.size,
       completedTasks: this.completedTasks.size,
       totalProcessed: this.stats.totalProcessed,
       totalFailed: this.stats.totalFailed,
+      totalCancelled: this.stats.totalCancelled,
       averageProcessingTime: this.stats.averageProcessingTime,
-      maxConcurrent: this.options.maxConcurrent
+      maxConcurrent: this.options.maxConcurrent,
+      tenants: this.scheduler.getTenantStatus()
     };
   }
 
   /**
-   * 获取所有等待中的任务
+   * 获取所有等待中的任务（按租户，租户内按优先级从高到低）
    * @returns {Array<Task>}
    */
   getPendingTasks() {
-    return [...this.pendingQueue];
+    return this.scheduler.getTasks();
   }
 
   /**
@@ -233,6 +464,13 @@ class TaskQueue extends EventEmitter {
       }
     }
     
+    const now = Date.now();
+    for (const [key, entry] of this.idempotencyKeys) {
+      if (entry.expiresAt <= now) {
+        this.idempotencyKeys.delete(key);
+      }
+    }
+    
     if (expiredTasks.length > 0) {
       this.emit('tasksCleanedUp', expiredTasks);
     }
@@ -265,22 +503,19 @@ class TaskQueue extends EventEmitter {
 
   /**
    * 检查超时任务
+   * TaskManager按每个任务的截止时间终止处理，这里作为兜底
    */
   checkTimeouts() {
     const timeoutTasks = [];
     
     for (const [taskId, task] of this.processingTasks) {
-      if (task.isTimeout(this.options.taskTimeout)) {
+      if (task.isTimeout(task.timeout || this.options.taskTimeout)) {
         timeoutTasks.push(taskId);
       }
     }
     
     // 处理超时任务
-    timeoutTasks.forEach(taskId => {
-      // 发出超时事件，让TaskManager记录指标
-      this.emit('taskTimeout', this.processingTasks.get(taskId));
-      this.failTask(taskId, 'Task timeout');
-    });
+    timeoutTasks.forEach(taskId => this.timeoutTask(taskId));
   }
 
   /**
@@ -289,6 +524,7 @@ class TaskQueue extends EventEmitter {
    */
   updateStats(task) {
     this.stats.totalProcessed++;
+    this.scheduler.recordFinished(task);
     
     const processingTime = task.getProcessingTime();
     if (processingTime !== null) {
@@ -326,14 +562,18 @@ class TaskQueue extends EventEmitter {
    * 清空队列
    */
   clear() {
-    this.pendingQueue.length = 0;
+    this.scheduler.clear();
     this.processingTasks.clear();
     this.completedTasks.clear();
+    this.idempotencyKeys.clear();
+    this.objectOwners.clear();
+    this.batches.clear();
     
     // 重置统计信息
     this.stats = {
       totalProcessed: 0,
       totalFailed: 0,
+      totalCancelled: 0,
       averageProcessingTime: 0,
       processingTimes: []
     };
@@ -0,0 +1,34 @@
+/**
+ * 任务存储接口
+ * 默认实现不做持久化（任务仅保存在内存队列中），持久化实现需覆盖以下方法
+ */
+
+class TaskStore {
+  /**
+   * 加载已保存的任务记录
+   * @returns {Promise<Array<object>>} Task.toRecord() 格式的记录
+   */
+  async load() {
+    return [];
+  }
+
+  /**
+   * 保存任务的当前状态
+   * @param {Task} task - 任务
+   */
+  save(task) {}
+
+  /**
+   * 删除任务记录
+   * @param {Array<string>} taskIds - 任务ID列表
+   */
+  remove(taskIds) {}
+
+  /**
+   * 关闭存储
+   * @returns {Promise<void>|void} 异步写入的实现在剩余记录写入后完成
+   */
+  close() {}
+}
+
+module.exports = TaskStore;
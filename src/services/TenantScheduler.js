@@ -0,0 +1,308 @@
+/**
+ * 租户公平调度器
+ * 按租户分开保存等待中的任务，在租户之间按权重公平轮转（stride调度），
+ * 租户内部按优先级选择（等待时间越长有效优先级越高），并限制每个租户的并发数和等待数
+ */
+
+const Task = require('../models/Task');
+
+class TenantScheduler {
+  /**
+   * @param {object} options - 选项
+   * @param {number} [options.priorityAging] - 等待任务每隔多少秒提升一级优先级
+   * @param {number} [options.tenantMaxConcurrent] - 每个租户默认最大并发数，0表示不限制
+   * @param {number} [options.tenantMaxPending] - 每个租户默认最多等待任务数，0表示不限制
+   * @param {object} [options.tenantQuotas] - 单独配置的租户配额 tenant -> {weight, maxConcurrent, maxPending}
+   */
+  constructor(options = {}) {
+    this.options = {
+      priorityAging: options.priorityAging || 60,
+      tenantMaxConcurrent: options.tenantMaxConcurrent || 0,
+      tenantMaxPending: options.tenantMaxPending || 0,
+      tenantQuotas: options.tenantQuotas || {}
+    };
+
+    // 租户状态 tenant -> {name, queues, pending, processing, pass, lastServed, stats}
+    // 未单独配置配额的租户在没有等待和处理中的任务后移除，租户名称来自请求，不能无限增长
+    this.tenants = new Map();
+
+    // 最近一次被调度租户的虚拟时间，重新变为活跃的租户从这里开始计算，不能累积空闲期间的份额
+    this.virtualTime = 0;
+
+    // 调度序号，虚拟时间相同时最久未被调度的租户优先
+    this.sequence = 0;
+  }
+
+  /**
+   * 获取租户配额
+   * @param {string} tenant - 租户
+   * @returns {{weight: number, maxConcurrent: number, maxPending: number}}
+   */
+  getQuota(tenant) {
+    const quota = this.options.tenantQuotas[tenant] || {};
+
+    // 单独配置为0时该租户不限制，未配置时使用默认值
+    return {
+      weight: quota.weight || 1,
+      maxConcurrent: quota.maxConcurrent !== undefined ? quota.maxConcurrent : this.options.tenantMaxConcurrent,
+      maxPending: quota.maxPending !== undefined ? quota.maxPending : this.options.tenantMaxPending
+    };
+  }
+
+  /**
+   * 获取租户状态，不存在时创建
+   * @param {string} tenant - 租户
+   * @returns {object}
+   */
+  getTenant(tenant = Task.DEFAULT_TENANT) {
+    if (!this.tenants.has(tenant)) {
+      this.tenants.set(tenant, {
+        name: tenant,
+        queues: new Map(Task.PRIORITIES.map(priority => [priority, []])),
+        pending: 0,
+        processing: 0,
+        pass: this.virtualTime,
+        lastServed: 0,
+        stats: {
+          totalProcessed: 0,
+          totalFailed: 0,
+          totalCancelled: 0
+        }
+      });
+    }
+
+    return this.tenants.get(tenant);
+  }
+
+  /**
+   * 检查租户是否还能提交任务
+   * @param {string} tenant - 租户
+   * @returns {boolean}
+   */
+  canEnqueue(tenant) {
+    const { maxPending } = this.getQuota(tenant);
+    const state = this.tenants.get(tenant);
+    return !maxPending || !state || state.pending < maxPending;
+  }
+
+  /**
+   * 添加等待中的任务
+   * @param {Task} task - 任务
+   * @param {boolean} [front] - 是否放到同优先级队首（重试任务）
+   */
+  add(task, front = false) {
+    const tenant = this.getTenant(task.tenant);
+
+    // 从空闲变为活跃时不保留空闲期间的份额
+    if (tenant.pending === 0) {
+      tenant.pass = Math.max(tenant.pass, this.virtualTime);
+    }
+
+    const queue = tenant.queues.get(task.priority);
+    if (front) {
+      queue.unshift(task);
+    } else {
+      queue.push(task);
+    }
+    tenant.pending++;
+  }
+
+  /**
+   * 取出下一个要处理的任务
+   * 在有等待任务且未达到并发上限的租户中选择虚拟时间最小的租户，被选中后虚拟时间按1/权重递增
+   * @returns {Task|null} 没有可调度的任务时返回null
+   */
+  next() {
+    let selected = null;
+
+    for (const tenant of this.tenants.values()) {
+      const { maxConcurrent } = this.getQuota(tenant.name);
+      if (tenant.pending === 0 || (maxConcurrent && tenant.processing >= maxConcurrent)) {
+        continue;
+      }
+
+      if (!selected || tenant.pass < selected.pass ||
+          (tenant.pass === selected.pass && tenant.lastServed < selected.lastServed)) {
+        selected = tenant;
+      }
+    }
+
+    if (!selected) {
+      return null;
+    }
+
+    const task = this.dequeue(selected);
+
+    this.virtualTime = selected.pass;
+    selected.pass += 1 / this.getQuota(selected.name).weight;
+    selected.lastServed = ++this.sequence;
+    selected.pending--;
+    selected.processing++;
+
+    return task;
+  }
+
+  /**
+   * 取出租户内优先级最高的任务
+   * 比较各优先级队首任务的有效优先级（每等待priorityAging秒提升一级），相同时先创建的任务优先
+   * @param {object} tenant - 租户状态
+   * @returns {Task}
+   */
+  dequeue(tenant) {
+    const now = Date.now();
+    let selected = null;
+
+    Task.PRIORITIES.forEach((priority, rank) => {
+      const task = tenant.queues.get(priority)[0];
+      if (!task) {
+        return;
+      }
+
+      const effectiveRank = rank - Math.floor((now - task.createdAt) / (this.options.priorityAging * 1000));
+      if (!selected || effectiveRank < selected.effectiveRank ||
+          (effectiveRank === selected.effectiveRank && task.createdAt < selected.task.createdAt)) {
+        selected = { task, effectiveRank };
+      }
+    });
+
+    return tenant.queues.get(selected.task.priority).shift();
+  }
+
+  /**
+   * 任务结束或重新等待时释放租户的并发名额
+   * @param {Task} task - 任务
+   */
+  release(task) {
+    const tenant = this.getTenant(task.tenant);
+    tenant.processing = Math.max(0, tenant.processing - 1);
+  }
+
+  /**
+   * 记录任务结果
+   * @param {Task} task - 已完成、失败或取消的任务
+   */
+  recordFinished(task) {
+    const { stats } = this.getTenant(task.tenant);
+
+    if (task.status === 'completed') {
+      stats.totalProcessed++;
+    } else if (task.status === 'failed') {
+      stats.totalFailed++;
+    } else if (task.status === 'cancelled') {
+      stats.totalCancelled++;
+    }
+
+    this.removeIdle(task.tenant);
+  }
+
+  /**
+   * 移除空闲且未单独配置配额的租户（统计信息随之丢弃）
+   * 只在任务结束时调用，重试的任务释放并发名额后会立即重新等待，不能在release中移除
+   * @param {string} tenant - 租户
+   */
+  removeIdle(tenant) {
+    const state = this.tenants.get(tenant);
+    if (state && state.pending === 0 && state.processing === 0 && !this.options.tenantQuotas[tenant]) {
+      this.tenants.delete(tenant);
+    }
+  }
+
+  /**
+   * 移除等待中的任务
+   * @param {string} taskId - 任务ID
+   * @returns {Task|null}
+   */
+  remove(taskId) {
+    for (const tenant of this.tenants.values()) {
+      for (const queue of tenant.queues.values()) {
+        const index = queue.findIndex(task => task.taskId === taskId);
+        if (index !== -1) {
+          tenant.pending--;
+          return queue.splice(index, 1)[0];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 查找等待中的任务
+   * @param {string} taskId - 任务ID
+   * @returns {Task|null}
+   */
+  find(taskId) {
+    for (const tenant of this.tenants.values()) {
+      for (const queue of tenant.queues.values()) {
+        const task = queue.find(pending => pending.taskId === taskId);
+        if (task) {
+          return task;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取所有等待中的任务（按租户，租户内按优先级从高到低）
+   * @returns {Array<Task>}
+   */
+  getTasks() {
+    const tasks = [];
+
+    for (const tenant of this.tenants.values()) {
+      for (const queue of tenant.queues.values()) {
+        tasks.push(...queue);
+      }
+    }
+
+    return tasks;
+  }
+
+  /**
+   * 统计各优先级的等待任务数
+   * @returns {object} priority -> count
+   */
+  countByPriority() {
+    const counts = Object.fromEntries(Task.PRIORITIES.map(priority => [priority, 0]));
+
+    for (const tenant of this.tenants.values()) {
+      for (const [priority, queue] of tenant.queues) {
+        counts[priority] += queue.length;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * 获取各租户的队列状态
+   * @returns {object} tenant -> 状态
+   */
+  getTenantStatus() {
+    const status = {};
+
+    for (const [name, tenant] of this.tenants) {
+      status[name] = {
+        pendingTasks: tenant.pending,
+        processingTasks: tenant.processing,
+        ...tenant.stats,
+        ...this.getQuota(name)
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * 清空所有租户状态
+   */
+  clear() {
+    this.tenants.clear();
+    this.virtualTime = 0;
+    this.sequence = 0;
+  }
+}
+
+module.exports = TenantScheduler;
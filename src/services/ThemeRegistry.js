@@ -0,0 +1,147 @@
+/**
+ * 主题注册中心
+ * 管理ECharts主题：内置主题、启动时从目录加载的主题以及通过API注册的主题
+ */
+
+const fs = require('fs');
+const path = require('path');
+const echarts = require('echarts');
+const logger = require('../utils/logger');
+
+// ECharts内置主题（echarts核心已注册）
+const BUILT_IN_THEMES = ['light', 'dark'];
+
+// 主题名称格式
+const THEME_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class ThemeRegistry {
+  constructor(options = {}) {
+    this.options = {
+      themeDir: options.themeDir || null, // 主题JSON文件目录
+      ...options
+    };
+
+    // 主题存储 name -> {name, source, theme, registeredAt}
+    this.themes = new Map();
+
+    BUILT_IN_THEMES.forEach(name => {
+      this.themes.set(name, {
+        name,
+        source: 'built-in',
+        theme: null,
+        registeredAt: new Date()
+      });
+    });
+
+    if (this.options.themeDir) {
+      this.loadFromDirectory(this.options.themeDir);
+    }
+  }
+
+  /**
+   * 注册主题
+   * @param {string} name - 主题名称
+   * @param {object} theme - ECharts主题对象
+   * @param {string} source - 主题来源（file、api）
+   * @returns {object} 主题信息
+   */
+  registerTheme(name, theme, source = 'api') {
+    if (typeof name !== 'string' || !THEME_NAME_PATTERN.test(name)) {
+      throw new Error('Theme name must be 1-64 characters of letters, digits, "_" or "-"');
+    }
+
+    if (BUILT_IN_THEMES.includes(name)) {
+      throw new Error(`Built-in theme ${name} cannot be overridden`);
+    }
+
+    if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+      throw new Error('Theme must be an object');
+    }
+
+    echarts.registerTheme(name, theme);
+
+    const entry = {
+      name,
+      source,
+      theme,
+      registeredAt: new Date()
+    };
+    this.themes.set(name, entry);
+
+    logger.info('Theme registered', { name, source });
+
+    return entry;
+  }
+
+  /**
+   * 从目录加载主题JSON文件
+   * 文件名即主题名；同时兼容ECharts主题编辑器导出的 {themeName, theme} 格式
+   * @param {string} dir - 主题目录
+   * @returns {number} 成功加载的主题数量
+   */
+  loadFromDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.warn('Theme directory does not exist', { dir });
+      return 0;
+    }
+
+    let loaded = 0;
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const isExported = content && content.theme && typeof content.theme === 'object';
+        const name = isExported && content.themeName ? content.themeName : path.basename(file, '.json');
+
+        this.registerTheme(name, isExported ? content.theme : content, 'file');
+        loaded++;
+      } catch (error) {
+        logger.warn('Failed to load theme file', {
+          file,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Themes loaded from directory', {
+      dir,
+      loaded,
+      total: files.length
+    });
+
+    return loaded;
+  }
+
+  /**
+   * 检查主题是否存在
+   * @param {string} name - 主题名称
+   * @returns {boolean}
+   */
+  hasTheme(name) {
+    return this.themes.has(name);
+  }
+
+  /**
+   * 获取主题
+   * @param {string} name - 主题名称
+   * @returns {object|null}
+   */
+  getTheme(name) {
+    return this.themes.get(name) || null;
+  }
+
+  /**
+   * 获取主题列表
+   * @returns {Array<{name: string, source: string, registeredAt: string}>}
+   */
+  listThemes() {
+    return Array.from(this.themes.values()).map(entry => ({
+      name: entry.name,
+      source: entry.source,
+      registeredAt: entry.registeredAt.toISOString()
+    }));
+  }
+}
+
+module.exports = ThemeRegistry;
@@ -0,0 +1,363 @@
+/**
+ * Webhook回调服务
+ * 任务完成、最终失败或被取消时向调用方提供的callbackUrl推送签名的JSON通知
+ * 包含超时、指数退避重试和投递记录
+ * 默认拒绝回环、私有网络和链路本地地址（防止SSRF），内部接收方需加入allowedHosts
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// 需要重试的HTTP状态码（5xx之外）
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// 默认禁止的地址段：本网络、私有网络、运营商级NAT、回环、链路本地（含云服务器元数据地址）、组播和保留地址，
+// 以及内嵌IPv4地址的IPv6地址段（IPv4兼容地址、NAT64），避免通过IPv6写法绕过IPv4的限制
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+/**
+ * 解析允许的回调目标
+ * @param {Array<string>} entries - 主机名、IP地址或CIDR地址段
+ * @returns {{hosts: Set<string>, addresses: net.BlockList}}
+ */
+function parseAllowedHosts(entries) {
+  const hosts = new Set();
+  const addresses = new net.BlockList();
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (prefix !== undefined) {
+      addresses.addSubnet(address, Number(prefix), type);
+    } else if (net.isIP(address)) {
+      addresses.addAddress(address, type);
+    } else {
+      hosts.add(entry.toLowerCase());
+    }
+  }
+
+  return { hosts, addresses };
+}
+
+class WebhookService {
+  constructor(options = {}) {
+    this.options = {
+      secret: null, // 默认签名密钥，任务未指定时使用
+      timeout: 5000, // 单次请求超时（毫秒）
+      retryAttempts: 3, // 首次投递失败后的重试次数
+      retryDelay: 1000, // 重试基础延迟（毫秒），按2的幂次递增
+      allowedHosts: [], // 允许的内部接收方：主机名、IP地址或CIDR地址段
+      ...options
+    };
+
+    this.allowed = parseAllowedHosts(this.options.allowedHosts);
+    this.lookup = this.lookup.bind(this);
+
+    // 等待中的重试定时器
+    this.retryTimers = new Set();
+  }
+
+  /**
+   * 发送任务结束通知
+   * 首次投递立即进行，失败后按 retryDelay * 2^(n-1) 延迟重试，投递结果记录在任务上
+   * @param {Task} task - 已完成、失败或取消的任务
+   * @returns {Promise<boolean>} 是否投递成功
+   */
+  async notify(task) {
+    if (!task.callback) {
+      return false;
+    }
+
+    const event = `task.${task.status}`;
+    const deliveryId = uuidv4();
+    const body = JSON.stringify(this.buildPayload(task, event));
+    const maxAttempts = this.options.retryAttempts + 1;
+
+    task.callback.status = 'delivering';
+
+    // 提交时校验过的主机可能已改为解析到内部地址，这种情况不重试
+    try {
+      await this.checkUrl(task.callback.url);
+    } catch (error) {
+      task.callback.deliveries.push({
+        attempt: 1,
+        deliveryId,
+        event,
+        timestamp: new Date().toISOString(),
+        statusCode: null,
+        success: false,
+        duration: 0,
+        error: error.message
+      });
+      task.callback.status = 'failed';
+      logger.warn('Webhook target rejected', { taskId: task.taskId, event, error: error.message });
+      return false;
+    }
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const delivery = await this.deliver(task.callback, event, deliveryId, body);
+      task.callback.deliveries.push({ attempt, ...delivery });
+
+      if (delivery.success) {
+        task.callback.status = 'delivered';
+        logger.info('Webhook delivered', {
+          taskId: task.taskId,
+          event,
+          attempt,
+          statusCode: delivery.statusCode
+        });
+        return true;
+      }
+
+      const retryable = delivery.statusCode === null ||
+        delivery.statusCode >= 500 ||
+        RETRYABLE_STATUS_CODES.includes(delivery.statusCode);
+
+      logger.warn('Webhook delivery failed', {
+        taskId: task.taskId,
+        event,
+        attempt,
+        statusCode: delivery.statusCode,
+        error: delivery.error,
+        willRetry: retryable && attempt < maxAttempts
+      });
+
+      if (!retryable || attempt === maxAttempts) {
+        break;
+      }
+
+      const scheduled = await this.delay(this.options.retryDelay * Math.pow(2, attempt - 1));
+      if (!scheduled) {
+        // 服务已销毁，放弃剩余重试
+        break;
+      }
+    }
+
+    task.callback.status = 'failed';
+    return false;
+  }
+
+  /**
+   * 检查回调地址是否允许投递：主机在allowedHosts中，或解析出的地址都不是内部地址
+   * @param {string} callbackUrl - 回调地址
+   * @returns {Promise<void>} 不允许时抛出错误
+   */
+  async checkUrl(callbackUrl) {
+    const { hostname } = new URL(callbackUrl);
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    if (this.allowed.hosts.has(host.toLowerCase())) {
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw new Error(`callbackUrl host ${host} could not be resolved`);
+    }
+
+    const blocked = addresses.find(({ address }) => !this.isAllowedAddress(address));
+    if (blocked) {
+      throw new Error(`callbackUrl host ${host} resolves to a private or reserved address ${blocked.address}`);
+    }
+  }
+
+  /**
+   * 地址是否允许作为回调目标
+   * @param {string} address - IP地址
+   * @returns {boolean}
+   */
+  isAllowedAddress(address) {
+    // BlockList按IPv4规则检查IPv4映射的IPv6地址（::ffff:a.b.c.d）
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return this.allowed.addresses.check(address, type) || !blockedAddresses.check(address, type);
+  }
+
+  /**
+   * 发送请求时使用的DNS解析，连接前再次检查解析结果，防止DNS重绑定绕过校验
+   * @param {string} hostname - 主机名
+   * @param {object} options - dns.lookup选项
+   * @param {Function} callback - 回调
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = this.allowed.hosts.has(hostname.toLowerCase())
+        ? null
+        : addresses.find(({ address }) => !this.isAllowedAddress(address));
+      if (blocked) {
+        callback(new Error(`callbackUrl host ${hostname} resolves to a private or reserved address ${blocked.address}`));
+      } else if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * 构建通知内容
+   * @param {Task} task - 任务
+   * @param {string} event - 事件名 task.completed|task.failed|task.cancelled
+   * @returns {object}
+   */
+  buildPayload(task, event) {
+    return {
+      event,
+      taskId: task.taskId,
+      status: task.status,
+      imageUrl: task.imageUrl,
+      fileName: task.fileName,
+      error: task.error,
+      createdAt: task.createdAt.toISOString(),
+      completedAt: task.completedAt ? task.completedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * 计算签名
+   * 签名内容为 `${timestamp}.${body}`，接收方可据此校验时间戳防止重放
+   * @param {string} body - 请求体
+   * @param {string} timestamp - 时间戳（秒）
+   * @param {string} secret - 签名密钥
+   * @returns {string} sha256=<hex>
+   */
+  sign(body, timestamp, secret) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * 执行一次投递
+   * @param {{url: string, secret: string|null}} callback - 回调配置
+   * @param {string} event - 事件名
+   * @param {string} deliveryId - 投递ID，重试时保持不变
+   * @param {string} body - 请求体
+   * @returns {Promise<{deliveryId: string, event: string, timestamp: string, statusCode: number|null, success: boolean, duration: number, error: string|null}>}
+   */
+  deliver(callback, event, deliveryId, body) {
+    const startTime = Date.now();
+    const timestamp = String(Math.floor(startTime / 1000));
+    const secret = callback.secret || this.options.secret;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'echarts-export-server-webhook',
+      'X-Webhook-Event': event,
+      'X-Webhook-Delivery': deliveryId,
+      'X-Webhook-Timestamp': timestamp
+    };
+
+    if (secret) {
+      headers['X-Webhook-Signature'] = this.sign(body, timestamp, secret);
+    }
+
+    return new Promise(resolve => {
+      const finish = (statusCode, error = null) => {
+        resolve({
+          deliveryId,
+          event,
+          timestamp: new Date(startTime).toISOString(),
+          statusCode,
+          success: error === null && statusCode >= 200 && statusCode < 300,
+          duration: Date.now() - startTime,
+          error
+        });
+      };
+
+      let request;
+      try {
+        const url = new URL(callback.url);
+        const client = url.protocol === 'https:' ? https : http;
+
+        request = client.request(url, {
+          method: 'POST',
+          headers,
+          timeout: this.options.timeout,
+          lookup: this.lookup
+        }, (response) => {
+          // 丢弃响应体，仅关心状态码
+          response.resume();
+          response.on('end', () => {
+            const { statusCode } = response;
+            finish(statusCode, statusCode >= 200 && statusCode < 300 ? null : `HTTP ${statusCode}`);
+          });
+          response.on('error', error => finish(response.statusCode, error.message));
+        });
+      } catch (error) {
+        finish(null, error.message);
+        return;
+      }
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`Request timed out after ${this.options.timeout}ms`));
+      });
+      request.on('error', error => finish(null, error.message));
+      request.end(body);
+    });
+  }
+
+  /**
+   * 等待重试
+   * @param {number} ms - 延迟毫秒数
+   * @returns {Promise<boolean>} 服务销毁时返回false
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        resolve(true);
+      }, ms);
+      timer.resolve = resolve;
+      this.retryTimers.add(timer);
+    });
+  }
+
+  /**
+   * 销毁服务，取消所有等待中的重试
+   */
+  destroy() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+      timer.resolve(false);
+    }
+    this.retryTimers.clear();
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,61 @@
+/**
+ * 渲染工作线程
+ * 由RenderPool创建，在独立线程中执行ImageGenerator.prepareImage生成的渲染作业，
+ * ECharts和canvas实例属于本线程，渲染大图时不阻塞主线程的事件循环
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const v8 = require('v8');
+const echarts = require('echarts');
+const ImageGenerator = require('../services/ImageGenerator');
+const FontRegistry = require('../services/FontRegistry');
+const MapRegistry = require('../services/MapRegistry');
+
+// 字体已由主线程注册到进程级的GlobalFonts，这里只记录字体文件信息
+const fontRegistry = new FontRegistry();
+fontRegistry.addFontFiles(workerData.fontFiles || []);
+
+// 主题和地图由主线程随作业发送，注册到本线程的ECharts
+const mapRegistry = new MapRegistry();
+
+// 工作线程有堆内存上限，函数在这里还原执行
+const imageGenerator = new ImageGenerator(null, {
+  ...workerData.options,
+  reviveFunctions: true,
+  fontRegistry,
+  mapRegistry
+});
+
+/**
+ * 注册作业引用的主题或地图
+ * @param {{type: string, name: string, data: object}} resource - 资源
+ */
+function registerResource(resource) {
+  if (resource.type === 'theme') {
+    echarts.registerTheme(resource.name, resource.data);
+  } else if (resource.data.svg !== undefined) {
+    echarts.registerMap(resource.name, { svg: mapRegistry.parseSVG(resource.data.svg) });
+  } else {
+    echarts.registerMap(resource.name, resource.data);
+  }
+}
+
+parentPort.on('message', async ({ seq, job }) => {
+  try {
+    job.resources.forEach(registerResource);
+
+    const { buffer, contentType, extension } = await imageGenerator.renderImage(job);
+
+    parentPort.postMessage({
+      seq,
+      result: { buffer, contentType, extension },
+      heapUsed: v8.getHeapStatistics().used_heap_size
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      seq,
+      error: error.message,
+      heapUsed: v8.getHeapStatistics().used_heap_size
+    });
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * 管理接口测试
+ * 测试注册主题和增删改地图等管理接口的 X-Admin-Token 校验
+ */
+
+// 设置测试环境变量（不配置OSS）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3012';
+process.env.ADMIN_TOKEN = 'admin-token-for-tests';
+
+const http = require('http');
+const config = require('../src/config');
+const App = require('../src/app');
+
+console.log('Testing admin routes...');
+
+const adminHeaders = { 'X-Admin-Token': 'admin-token-for-tests' };
+
+function makeRequest(method, path, data = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3012,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: JSON.parse(body) });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+async function testThemeRoutes() {
+  const theme = { name: 'admin-brand', theme: { color: ['#ff6600'] } };
+
+  const missing = await makeRequest('POST', '/api/system/themes', theme);
+  const invalid = await makeRequest('POST', '/api/system/themes', theme, { 'X-Admin-Token': 'wrong-token' });
+  if (missing.statusCode !== 401 || invalid.statusCode !== 401 || invalid.body.error.type !== 'VALIDATION_ERROR') {
+    throw new Error(`Theme registration without a valid admin token should return 401, got ${missing.statusCode}/${invalid.statusCode}`);
+  }
+
+  const listed = await makeRequest('GET', '/api/system/themes');
+  if (listed.body.data.themes.some(entry => entry.name === 'admin-brand')) {
+    throw new Error('Rejected theme should not be registered');
+  }
+  console.log('✓ Theme registration without a valid admin token rejected');
+
+  const registered = await makeRequest('POST', '/api/system/themes', theme, adminHeaders);
+  if (registered.statusCode !== 200 || registered.body.data.name !== 'admin-brand') {
+    throw new Error(`Theme registration with the admin token should succeed, got ${registered.statusCode}`);
+  }
+  console.log('✓ Theme registered with the admin token');
+}
+
+async function testMapRoutes() {
+  const geoJSON = { type: 'FeatureCollection', features: [] };
+  const requests = [
+    ['POST', '/api/system/maps', { name: 'admin-region', geoJSON }],
+    ['PUT', '/api/system/maps/admin-region', { geoJSON }],
+    ['DELETE', '/api/system/maps/admin-region']
+  ];
+
+  for (const [method, path, body] of requests) {
+    const response = await makeRequest(method, path, body);
+    if (response.statusCode !== 401) {
+      throw new Error(`${method} ${path} without the admin token should return 401, got ${response.statusCode}`);
+    }
+  }
+  const missing = await makeRequest('GET', '/api/system/maps/admin-region');
+  if (missing.statusCode !== 404) {
+    throw new Error('Rejected map should not be registered');
+  }
+  console.log('✓ Map changes without the admin token rejected');
+
+  for (const [method, path, body] of requests) {
+    const response = await makeRequest(method, path, body, adminHeaders);
+    if (response.statusCode !== 200) {
+      throw new Error(`${method} ${path} with the admin token should succeed, got ${response.statusCode}`);
+    }
+  }
+  console.log('✓ Map registered, replaced and deleted with the admin token');
+}
+
+async function testAdminDisabled() {
+  const serverConfig = config.getServerConfig();
+  const { adminToken } = serverConfig;
+  serverConfig.adminToken = null;
+
+  try {
+    const response = await makeRequest('POST', '/api/system/themes', { name: 'disabled', theme: {} }, adminHeaders);
+    if (response.statusCode !== 403) {
+      throw new Error(`Admin routes should return 403 without ADMIN_TOKEN, got ${response.statusCode}`);
+    }
+    console.log('✓ Admin routes disabled without ADMIN_TOKEN');
+  } finally {
+    serverConfig.adminToken = adminToken;
+  }
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    await app.start();
+
+    console.log('\n=== 主题管理接口测试 ===');
+    await testThemeRoutes();
+
+    console.log('\n=== 地图管理接口测试 ===');
+    await testMapRoutes();
+
+    console.log('\n=== 未配置令牌测试 ===');
+    await testAdminDisabled();
+
+    console.log('\n✓ All admin route tests passed!');
+  } catch (error) {
+    console.error('✗ Admin route test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();
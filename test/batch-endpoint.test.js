@@ -0,0 +1,282 @@
+/**
+ * 批量任务端点测试
+ * 测试 POST /api/charts/batch 的逐项校验、GET /api/charts/batch/:batchId 的进度汇总和ZIP下载
+ */
+
+// 设置测试环境变量（不配置OSS）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3005';
+
+const http = require('http');
+const zlib = require('zlib');
+const App = require('../src/app');
+const Batch = require('../src/models/Batch');
+
+console.log('Testing batch endpoints...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function makeRequest(method, path, data = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3005,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: res.headers['content-type']?.includes('application/json')
+            ? JSON.parse(body.toString())
+            : body
+        });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 根据中央目录解析ZIP，返回文件名到内容的映射
+ */
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.slice(dataStart, dataStart + compressedSize);
+    files[name] = method === 0 ? data : zlib.inflateRawSync(data);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+function testBatchStatus() {
+  const batch = new Batch([
+    { index: 0, taskId: 'a', error: null },
+    { index: 1, taskId: 'b', error: null },
+    { index: 2, taskId: null, error: 'option is required' }
+  ]);
+  const tasks = {
+    a: { taskId: 'a', status: 'completed', imageUrl: 'data:image/png;base64,', fileName: null },
+    b: { taskId: 'b', status: 'processing' }
+  };
+
+  let status = batch.getStatus(taskId => tasks[taskId] || null);
+  if (status.status !== 'processing' || status.progress.percent !== 66 || status.progress.rejected !== 1) {
+    throw new Error(`Unexpected processing summary: ${JSON.stringify(status.progress)}`);
+  }
+  console.log('✓ Processing batch summarized:', JSON.stringify(status.progress));
+
+  tasks.b = { taskId: 'b', status: 'failed', error: 'boom' };
+  status = batch.getStatus(taskId => tasks[taskId] || null);
+  if (status.status !== 'partial' || status.items[1].error !== 'boom' || status.items[0].imageUrl === undefined) {
+    throw new Error('Finished batch with failures should be partial and carry item results');
+  }
+  console.log('✓ Finished batch with failures reported as partial');
+
+  status = batch.getStatus(() => null);
+  if (status.status !== 'failed' || status.items[0].status !== 'expired') {
+    throw new Error('Batch whose tasks expired should be failed');
+  }
+  console.log('✓ Expired tasks reported');
+}
+
+async function testCreateBatch() {
+  const response = await makeRequest('POST', '/api/charts/batch', {
+    charts: [
+      { type: 'png', option, name: 'sales/summary' },
+      { type: 'gif', option },
+      { type: 'svg', width: 300, height: 200, option },
+      'not an object',
+      { type: 'JPG', option }
+    ]
+  });
+
+  if (response.statusCode !== 200) {
+    throw new Error(`Create batch failed with status ${response.statusCode}: ${JSON.stringify(response.body)}`);
+  }
+
+  const { batchId, statusUrl, total, accepted, rejected, items } = response.body.data;
+  if (total !== 5 || accepted !== 3 || rejected !== 2) {
+    throw new Error(`Unexpected batch counts: ${total}/${accepted}/${rejected}`);
+  }
+  if (!items[0].taskId || items[0].name !== 'sales/summary' || items[1].taskId !== null || !items[1].error.includes('type must be one of') ||
+      !items[4].taskId) {
+    throw new Error('Per-item task IDs and validation errors should be returned');
+  }
+  if (statusUrl !== `/api/charts/batch/${batchId}`) {
+    throw new Error('Batch response should contain statusUrl');
+  }
+  console.log('✓ Batch created with per-item validation errors');
+
+  return batchId;
+}
+
+async function testBatchProgress(batchId) {
+  let response;
+  for (let i = 0; i < 20; i++) {
+    response = await makeRequest('GET', `/api/charts/batch/${batchId}`);
+    if (response.body.data.status !== 'processing') {
+      break;
+    }
+    await delay(100);
+  }
+
+  const { status, progress, items } = response.body.data;
+  if (status !== 'partial' || progress.completed !== 3 || progress.rejected !== 2 || progress.percent !== 100) {
+    throw new Error(`Unexpected batch progress: ${status} ${JSON.stringify(progress)}`);
+  }
+  if (!items[2].imageUrl.startsWith('data:image/svg+xml;base64,') || items[3].status !== 'rejected') {
+    throw new Error('Batch status should report every item result');
+  }
+  console.log('✓ Batch progress aggregated:', JSON.stringify(progress));
+}
+
+async function testDownloadBatch(batchId, app) {
+  const response = await makeRequest('GET', `/api/charts/batch/${batchId}/download`);
+
+  if (response.statusCode !== 200 || response.headers['content-type'] !== 'application/zip') {
+    throw new Error(`Expected ZIP response, got ${response.statusCode} ${response.headers['content-type']}`);
+  }
+  if (response.headers['content-disposition'] !== `attachment; filename="batch-${batchId}.zip"`) {
+    throw new Error(`Unexpected Content-Disposition: ${response.headers['content-disposition']}`);
+  }
+
+  const files = readZip(response.body);
+  const manifest = JSON.parse(files['manifest.json'].toString());
+  const svgTaskId = manifest.items[2].taskId;
+
+  if (files['sales_summary.png'].slice(1, 4).toString() !== 'PNG' || !files[`${svgTaskId}.svg`].toString().includes('<svg')) {
+    throw new Error(`Archive should contain completed images, got ${Object.keys(files).join(', ')}`);
+  }
+  if (manifest.files !== 3 || manifest.items.length !== 5) {
+    throw new Error('Manifest should list every batch item');
+  }
+  if (manifest.items[0].file !== 'sales_summary.png' || manifest.items[2].config.width !== 300) {
+    throw new Error('Manifest should map items to files and config summaries');
+  }
+  if (manifest.items[4].file !== `${manifest.items[4].taskId}.jpeg` || manifest.items[4].config.type !== 'jpeg') {
+    throw new Error('Upper-case jpg should be normalised to jpeg');
+  }
+  if (manifest.items[1].status !== 'rejected' || !manifest.items[1].error) {
+    throw new Error('Manifest should record rejected items with errors');
+  }
+  console.log('✓ Batch ZIP downloaded:', Object.keys(files).join(', '));
+
+  // 处理中的批次不可下载
+  const { maxConcurrent } = app.taskManager.taskQueue.options;
+  app.taskManager.taskQueue.options.maxConcurrent = 0;
+
+  try {
+    const pending = await makeRequest('POST', '/api/charts/batch', { charts: [{ option }] });
+    const conflict = await makeRequest('GET', `/api/charts/batch/${pending.body.data.batchId}/download`);
+    if (conflict.statusCode !== 409 || conflict.body.data.progress.pending !== 1) {
+      throw new Error(`Expected 409 for processing batch, got ${conflict.statusCode}`);
+    }
+    console.log('✓ Processing batch download rejected with 409');
+  } finally {
+    app.taskManager.taskQueue.options.maxConcurrent = maxConcurrent;
+    app.taskManager.forceProcessNext();
+  }
+}
+
+async function testInvalidBatches() {
+  const empty = await makeRequest('POST', '/api/charts/batch', { charts: [] });
+  if (empty.statusCode !== 400) {
+    throw new Error(`Expected 400 for empty batch, got ${empty.statusCode}`);
+  }
+
+  const allInvalid = await makeRequest('POST', '/api/charts/batch', { charts: [{}, { type: 'gif' }] });
+  if (allInvalid.statusCode !== 400 || allInvalid.body.data.items.length !== 2) {
+    throw new Error(`Expected 400 with item errors for all-invalid batch, got ${allInvalid.statusCode}`);
+  }
+  console.log('✓ Empty and all-invalid batches rejected');
+
+  const badTypes = await makeRequest('POST', '/api/charts/batch', {
+    charts: [{ type: 1, option }, { type: ['png'], option }]
+  });
+  const badItems = badTypes.body.data && badTypes.body.data.items;
+  if (badTypes.statusCode !== 400 || !badItems || badItems[1].index !== 1 || !badItems[1].error.includes('type must be one of')) {
+    throw new Error(`Expected 400 naming non-string types, got ${badTypes.statusCode}: ${JSON.stringify(badTypes.body)}`);
+  }
+  console.log('✓ Non-string types rejected per item');
+
+  const missing = await makeRequest('GET', '/api/charts/batch/missing-batch');
+  if (missing.statusCode !== 404 || missing.body.error.type !== 'NOT_FOUND_ERROR') {
+    throw new Error(`Expected 404 for missing batch, got ${missing.statusCode}`);
+  }
+
+  const missingDownload = await makeRequest('GET', '/api/charts/batch/missing-batch/download');
+  if (missingDownload.statusCode !== 404) {
+    throw new Error(`Expected 404 for missing batch download, got ${missingDownload.statusCode}`);
+  }
+  console.log('✓ Missing batch returns 404');
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    console.log('\n=== 批次进度汇总测试 ===');
+    testBatchStatus();
+
+    await app.start();
+
+    console.log('\n=== 批量创建测试 ===');
+    const batchId = await testCreateBatch();
+
+    console.log('\n=== 批次进度查询测试 ===');
+    await testBatchProgress(batchId);
+
+    console.log('\n=== 批次下载测试 ===');
+    await testDownloadBatch(batchId, app);
+
+    console.log('\n=== 错误处理测试 ===');
+    await testInvalidBatches();
+
+    console.log('\n✓ All batch endpoint tests passed!');
+  } catch (error) {
+    console.error('✗ Batch endpoint test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();
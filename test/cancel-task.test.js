@@ -0,0 +1,179 @@
+/**
+ * 任务取消测试
+ * 测试 DELETE /api/charts/tasks/:taskId 对等待中和处理中任务的取消
+ */
+
+// 设置测试环境变量（不配置OSS）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3008';
+
+const http = require('http');
+const App = require('../src/app');
+
+console.log('Testing task cancellation...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function makeRequest(method, path, data = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3008,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: JSON.parse(body) });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function testCancelPendingTask(app) {
+  const queue = app.taskManager.taskQueue;
+  const { maxConcurrent } = queue.options;
+  queue.options.maxConcurrent = 0;
+
+  try {
+    const created = await makeRequest('POST', '/api/charts/generate', { option });
+    const { taskId } = created.body.data;
+
+    const response = await makeRequest('DELETE', `/api/charts/tasks/${taskId}`);
+    if (response.statusCode !== 200 || response.body.data.status !== 'cancelled' || !response.body.data.cancelledAt) {
+      throw new Error(`Expected cancelled response, got ${response.statusCode} ${JSON.stringify(response.body)}`);
+    }
+    if (queue.getPendingTasks().some(task => task.taskId === taskId)) {
+      throw new Error('Cancelled task should be removed from pending queue');
+    }
+
+    const status = await makeRequest('GET', `/api/charts/status/${taskId}`);
+    if (status.body.data.status !== 'cancelled') {
+      throw new Error(`Status endpoint should report cancelled, got ${status.body.data.status}`);
+    }
+    console.log('✓ Pending task cancelled and removed from queue');
+
+    const again = await makeRequest('DELETE', `/api/charts/tasks/${taskId}`);
+    if (again.statusCode !== 409 || again.body.data.status !== 'cancelled') {
+      throw new Error(`Expected 409 for finished task, got ${again.statusCode}`);
+    }
+    console.log('✓ Finished task cannot be cancelled again');
+  } finally {
+    queue.options.maxConcurrent = maxConcurrent;
+  }
+}
+
+async function testCancelProcessingTask(app) {
+  const { taskManager, imageGenerator } = app;
+  const originalGenerate = imageGenerator.generateAndUploadImage;
+  const originalOSSClient = taskManager.ossClient;
+  const deletedFiles = [];
+  let finishRender;
+
+  // 模拟慢速渲染和OSS上传，以便在处理中取消
+  imageGenerator.generateAndUploadImage = () => new Promise(resolve => {
+    finishRender = () => resolve({ url: 'https://example.com/chart.png', fileName: 'charts/chart.png' });
+  });
+  taskManager.ossClient = {
+    deleteFile: async (fileName) => {
+      deletedFiles.push(fileName);
+    }
+  };
+
+  try {
+    const task = await taskManager.createTask({ type: 'png', option });
+    await delay(10);
+    if (task.status !== 'processing') {
+      throw new Error(`Task should be processing, got ${task.status}`);
+    }
+
+    const response = await makeRequest('DELETE', `/api/charts/tasks/${task.taskId}`);
+    if (response.statusCode !== 200 || taskManager.taskQueue.getProcessingTasks().length !== 0) {
+      throw new Error('Processing task should be cancelled and release its slot');
+    }
+
+    finishRender();
+    await delay(10);
+
+    if (task.status !== 'cancelled' || task.imageUrl !== null) {
+      throw new Error('Result of cancelled task should be discarded');
+    }
+    if (deletedFiles[0] !== 'charts/chart.png') {
+      throw new Error('Uploaded file of cancelled task should be deleted');
+    }
+    console.log('✓ Processing task cancelled, uploaded file deleted:', deletedFiles[0]);
+  } finally {
+    imageGenerator.generateAndUploadImage = originalGenerate;
+    taskManager.ossClient = originalOSSClient;
+  }
+
+  const metrics = taskManager.metricsService.getAllMetrics();
+  if (metrics.tasks.cancelled !== 2 || taskManager.getQueueStatus().totalCancelled !== 2) {
+    throw new Error(`Cancellations should be counted in metrics, got ${metrics.tasks.cancelled}`);
+  }
+  if (!taskManager.metricsService.generatePrometheusMetrics().includes('echarts_tasks_cancelled_total 2')) {
+    throw new Error('Prometheus metrics should include cancelled tasks');
+  }
+  console.log('✓ Cancellations recorded in metrics');
+}
+
+async function testErrors() {
+  const missing = await makeRequest('DELETE', '/api/charts/tasks/missing-task');
+  if (missing.statusCode !== 404 || missing.body.error.type !== 'NOT_FOUND_ERROR') {
+    throw new Error(`Expected 404 for missing task, got ${missing.statusCode}`);
+  }
+
+  const completed = await makeRequest('POST', '/api/charts/render', { option, base64: true });
+  const conflict = await makeRequest('DELETE', `/api/charts/tasks/${completed.body.data.taskId}`);
+  if (conflict.statusCode !== 409 || conflict.body.data.status !== 'completed') {
+    throw new Error(`Expected 409 for completed task, got ${conflict.statusCode}`);
+  }
+  console.log('✓ Missing and completed tasks rejected');
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    await app.start();
+
+    console.log('\n=== 取消等待中任务测试 ===');
+    await testCancelPendingTask(app);
+
+    console.log('\n=== 取消处理中任务测试 ===');
+    await testCancelProcessingTask(app);
+
+    console.log('\n=== 错误处理测试 ===');
+    await testErrors();
+
+    console.log('\n✓ All task cancellation tests passed!');
+  } catch (error) {
+    console.error('✗ Task cancellation test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,225 @@
+/**
+ * 本地存储文件路由测试
+ * 测试 STORAGE_DRIVER=local 时任务图片的日期分目录、请求指定的存储路径、GET /api/charts/files 的内容类型、ETag、Range和错误响应
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 设置测试环境变量（使用本地存储）
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echarts-files-'));
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3009';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_ALLOWED_PATH_PREFIXES = 'reports/{tenant}/';
+process.env.TENANT_API_KEYS = 'acme-key:acme,other-key:other';
+
+const http = require('http');
+const App = require('../src/app');
+
+console.log('Testing file serving...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function makeRequest(method, path, data = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3009,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: res.headers['content-type']?.includes('application/json')
+            ? JSON.parse(body.toString())
+            : body
+        });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+async function createImage(type, body = {}, headers = { 'X-API-Key': 'acme-key' }) {
+  const created = await makeRequest('POST', '/api/charts/generate', { type, option, ...body }, headers);
+
+  for (let i = 0; i < 100; i++) {
+    const status = await makeRequest('GET', created.body.data.statusUrl);
+    if (status.body.data.status === 'completed') {
+      return status.body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`Task ${created.body.data.taskId} did not complete`);
+}
+
+async function testServe() {
+  const task = await createImage('png');
+  const dateDir = new Date().toISOString().substring(0, 10).replace(/-/g, '/');
+
+  if (task.imageUrl !== `/api/charts/files/${task.fileName}` || !task.fileName.startsWith(`${dateDir}/`)) {
+    throw new Error(`Image should be stored in the date directory, got ${task.imageUrl}`);
+  }
+  if (!fs.existsSync(path.join(storageDir, task.fileName))) {
+    throw new Error('Image should be written under LOCAL_STORAGE_DIR');
+  }
+  console.log('✓ Image stored in date directory:', task.imageUrl);
+
+  const response = await makeRequest('GET', task.imageUrl);
+  if (response.statusCode !== 200 || response.headers['content-type'] !== 'image/png' ||
+      response.body.slice(1, 4).toString() !== 'PNG' || !response.headers.etag ||
+      response.headers['accept-ranges'] !== 'bytes') {
+    throw new Error(`Unexpected file response: ${response.statusCode} ${response.headers['content-type']}`);
+  }
+  console.log('✓ File served with content type and ETag:', response.headers.etag);
+
+  const svg = await createImage('svg');
+  const svgResponse = await makeRequest('GET', svg.imageUrl);
+  if (svgResponse.headers['content-type'] !== 'image/svg+xml' || !svgResponse.headers['content-security-policy']) {
+    throw new Error(`SVG should be served as an image, got ${svgResponse.headers['content-type']}`);
+  }
+  console.log('✓ SVG served with content security policy');
+
+  const notModified = await makeRequest('GET', task.imageUrl, null, { 'If-None-Match': response.headers.etag });
+  if (notModified.statusCode !== 304) {
+    throw new Error(`Expected 304 for matching ETag, got ${notModified.statusCode}`);
+  }
+  console.log('✓ 304 returned for matching If-None-Match');
+
+  const partial = await makeRequest('GET', task.imageUrl, null, { Range: 'bytes=0-3' });
+  if (partial.statusCode !== 206 || !partial.body.equals(response.body.slice(0, 4)) ||
+      partial.headers['content-range'] !== `bytes 0-3/${response.body.length}`) {
+    throw new Error(`Expected 206 for range request, got ${partial.statusCode}`);
+  }
+
+  const unsatisfiable = await makeRequest('GET', task.imageUrl, null, { Range: `bytes=${response.body.length + 10}-` });
+  if (unsatisfiable.statusCode !== 416 || unsatisfiable.headers['content-range'] !== `bytes */${response.body.length}`) {
+    throw new Error(`Expected 416 for unsatisfiable range, got ${unsatisfiable.statusCode}`);
+  }
+  console.log('✓ Range requests answered with 206 and 416');
+
+  return task;
+}
+
+async function testErrors() {
+  const missing = await makeRequest('GET', '/api/charts/files/2024/01/01/missing.png');
+  if (missing.statusCode !== 404 || missing.body.error.type !== 'NOT_FOUND_ERROR') {
+    throw new Error(`Expected 404 for missing file, got ${missing.statusCode}`);
+  }
+
+  const outside = await makeRequest('GET', '/api/charts/files/..%2F..%2Fetc%2Fpasswd');
+  if (outside.statusCode !== 400 || outside.body.error.type !== 'VALIDATION_ERROR') {
+    throw new Error(`Expected 400 for path outside storage, got ${outside.statusCode}`);
+  }
+  console.log('✓ Missing files and paths outside storage rejected');
+}
+
+async function testOssPath() {
+  const task = await createImage('png', { ossPath: 'reports/{tenant}/{taskId}' }, { 'X-API-Key': 'acme-key' });
+  if (!task.fileName.endsWith(`/reports/acme/${task.taskId}.png`)) {
+    throw new Error(`Image should be stored at the requested path, got ${task.fileName}`);
+  }
+
+  const response = await makeRequest('GET', task.imageUrl);
+  if (response.statusCode !== 200) {
+    throw new Error(`Image at requested path should be served, got ${response.statusCode}`);
+  }
+  console.log('✓ Image stored at requested path:', task.fileName);
+
+  const invalid = [
+    { ossPath: 'reports/acme/../../x' },
+    { ossPath: 'reports/other/' },
+    { ossPath: 'reports/{tenant}/', fileName: 'a/b' },
+    { ossPath: 'reports/{tenant}/', fileName: 'weekly' },
+    { ossPath: 'reports/{tenant}/', fileName: 'weekly', overwrite: 'yes' }
+  ];
+
+  for (const body of invalid) {
+    const rejected = await makeRequest('POST', '/api/charts/generate', { option, ...body }, { 'X-API-Key': 'acme-key' });
+    if (rejected.statusCode !== 400 || rejected.body.error.type !== 'VALIDATION_ERROR') {
+      throw new Error(`Expected 400 for ${JSON.stringify(body)}, got ${rejected.statusCode}`);
+    }
+  }
+
+  // 配置了TENANT_API_KEYS时必须携带API Key，X-Tenant-Id不能代替
+  const spoofed = await makeRequest('POST', '/api/charts/generate', { option, ossPath: 'reports/acme/{taskId}' }, { 'X-Tenant-Id': 'acme' });
+  if (spoofed.statusCode !== 401) {
+    throw new Error(`Request without X-API-Key should be rejected with 401, got ${spoofed.statusCode}`);
+  }
+
+  // 其他租户的Key不能写入该租户的目录
+  const otherTenant = await makeRequest('POST', '/api/charts/generate', { option, ossPath: 'reports/acme/{taskId}' }, { 'X-API-Key': 'other-key' });
+  if (otherTenant.statusCode !== 400) {
+    throw new Error(`X-API-Key of another tenant should not grant access to the prefix, got ${otherTenant.statusCode}`);
+  }
+  console.log('✓ Missing API keys, traversal, shared names and paths outside allowed prefixes rejected');
+}
+
+async function testCleanup(app, task) {
+  const { taskManager } = app;
+  const stored = await taskManager.findTask(task.taskId);
+  stored.createdAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const result = await taskManager.cleanupExpiredTasks();
+  if (result.deletedFiles < 1 || fs.existsSync(path.join(storageDir, task.fileName))) {
+    throw new Error(`Cleanup should delete the expired file, got ${JSON.stringify(result)}`);
+  }
+
+  const response = await makeRequest('GET', task.imageUrl);
+  if (response.statusCode !== 404) {
+    throw new Error(`Deleted file should return 404, got ${response.statusCode}`);
+  }
+  console.log('✓ Expired task file deleted by cleanup');
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    await app.start();
+
+    console.log('\n=== 文件路由测试 ===');
+    const task = await testServe();
+
+    console.log('\n=== 存储路径测试 ===');
+    await testOssPath();
+
+    console.log('\n=== 错误响应测试 ===');
+    await testErrors();
+
+    console.log('\n=== 清理测试 ===');
+    await testCleanup(app, task);
+
+    console.log('\n✓ All file serving tests passed!');
+  } catch (error) {
+    console.error('✗ File serving test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+runTests();
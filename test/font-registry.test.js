@@ -0,0 +1,131 @@
+/**
+ * FontRegistry测试
+ * 测试字体目录加载、字体族查询、fontFamily注入以及PDF字体嵌入
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FontRegistry = require('../src/services/FontRegistry');
+const ImageGenerator = require('../src/services/ImageGenerator');
+
+console.log('Testing FontRegistry...');
+
+// 测试使用系统中的DejaVu字体
+const SYSTEM_FONT_DIR = '/usr/share/fonts/truetype/dejavu';
+const FONT_FILES = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'];
+
+const option = {
+  title: { text: 'Font Chart' },
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+async function testFontRegistry() {
+  if (!FONT_FILES.every(file => fs.existsSync(path.join(SYSTEM_FONT_DIR, file)))) {
+    console.log('✓ DejaVu fonts not installed, font file tests skipped');
+    return;
+  }
+
+  const fontDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echarts-fonts-'));
+
+  try {
+    FONT_FILES.forEach(file => fs.copyFileSync(path.join(SYSTEM_FONT_DIR, file), path.join(fontDir, file)));
+    fs.writeFileSync(path.join(fontDir, 'broken.ttf'), 'not a font');
+
+    console.log('\n=== 目录加载测试 ===');
+    testLoadFromDirectory(fontDir);
+
+    console.log('\n=== fontFamily注入测试 ===');
+    await testFontFamilyInjection(fontDir);
+
+    console.log('\n=== PDF字体嵌入测试 ===');
+    await testPDFFontEmbedding(fontDir);
+
+    console.log('\n✓ All FontRegistry tests passed!');
+  } catch (error) {
+    console.error('✗ FontRegistry test failed:', error.message);
+    process.exit(1);
+  } finally {
+    fs.rmSync(fontDir, { recursive: true, force: true });
+  }
+}
+
+function testLoadFromDirectory(fontDir) {
+  const registry = new FontRegistry({ fontDir });
+
+  if (!registry.hasFamily('DejaVu Sans')) {
+    throw new Error('DejaVu Sans should be available');
+  }
+  if (!registry.hasFamily('sans-serif')) {
+    throw new Error('Generic font families should be available');
+  }
+  if (registry.hasFamily('No Such Font')) {
+    throw new Error('Unknown font family should not be available');
+  }
+  console.log('✓ Fonts loaded from directory, broken files skipped');
+
+  const bold = registry.getFontFile('dejavu sans', true, false);
+  const regular = registry.getFontFile('DejaVu Sans', false, false);
+  if (!bold || !bold.bold || !regular || regular.bold) {
+    throw new Error('Bold and regular font files should be distinguished');
+  }
+  console.log('✓ Font files matched by weight:', regular.postscriptName, '/', bold.postscriptName);
+
+  const families = registry.listFamilies();
+  const custom = families.find(font => font.family === 'DejaVu Sans');
+  if (!custom || !custom.custom) {
+    throw new Error('Custom font family should be marked in list');
+  }
+  console.log('✓ Font families listed:', families.length);
+
+  return registry;
+}
+
+async function testFontFamilyInjection(fontDir) {
+  const generator = new ImageGenerator(null, { fontDir });
+
+  const injected = generator.prepareOption({ option, fontFamily: 'DejaVu Sans' });
+  if (injected.textStyle.fontFamily !== 'DejaVu Sans' || option.textStyle) {
+    throw new Error('fontFamily should be injected into a copy of option.textStyle');
+  }
+  console.log('✓ fontFamily injected into textStyle');
+
+  const explicit = generator.prepareOption({
+    option: { ...option, textStyle: { fontFamily: 'serif' } },
+    fontFamily: 'DejaVu Sans'
+  });
+  if (explicit.textStyle.fontFamily !== 'serif') {
+    throw new Error('Explicit textStyle.fontFamily should take precedence');
+  }
+  console.log('✓ Explicit textStyle.fontFamily preserved');
+
+  const result = await generator.generateImage({ type: 'svg', option, fontFamily: 'DejaVu Sans' });
+  if (!result.buffer.toString('utf8').includes('DejaVu Sans')) {
+    throw new Error('SVG output should use the requested fontFamily');
+  }
+  console.log('✓ SVG rendered with requested fontFamily');
+
+  try {
+    await generator.generateImage({ type: 'png', option, fontFamily: 'No Such Font' });
+    throw new Error('Should have failed with unknown font family');
+  } catch (error) {
+    if (!error.message.includes('Unknown font family')) throw error;
+    console.log('✓ Unknown font family rejected:', error.message);
+  }
+}
+
+async function testPDFFontEmbedding(fontDir) {
+  const generator = new ImageGenerator(null, { fontDir });
+
+  const result = await generator.generateImage({ type: 'pdf', option, fontFamily: 'DejaVu Sans' });
+  const content = result.buffer.toString('latin1');
+
+  if (!content.includes('DejaVuSans') || !content.includes('/FontFile2')) {
+    throw new Error('Custom font should be embedded in PDF');
+  }
+  console.log('✓ Custom font embedded in PDF');
+}
+
+testFontRegistry();
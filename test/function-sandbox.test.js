@@ -0,0 +1,260 @@
+/**
+ * FunctionSandbox测试
+ * 测试函数字符串还原、沙箱隔离、超时限制以及与ImageGenerator的集成
+ */
+
+process.env.NODE_ENV = 'test';
+
+const FunctionSandbox = require('../src/services/FunctionSandbox');
+const ImageGenerator = require('../src/services/ImageGenerator');
+const syncHandler = require('../src/legacy/syncHandler');
+
+console.log('Testing FunctionSandbox...');
+
+const PREFIX = FunctionSandbox.FUNCTION_PREFIX;
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{
+    type: 'bar',
+    data: [12, 34, 56],
+    label: {
+      show: true,
+      formatter: `${PREFIX}function (params) { return 'v=' + params.value + '%'; }`
+    },
+    itemStyle: {
+      color: `${PREFIX}(params) => params.dataIndex === 1 ? '#ff0000' : '#00ff00'`
+    }
+  }]
+};
+
+async function testFunctionSandbox() {
+  try {
+    console.log('\n=== 函数还原测试 ===');
+    testRevive();
+
+    console.log('\n=== 沙箱隔离测试 ===');
+    testIsolation();
+
+    console.log('\n=== 超时限制测试 ===');
+    testTimeouts();
+
+    console.log('\n=== ImageGenerator集成测试 ===');
+    await testImageGeneratorIntegration();
+
+    console.log('\n✓ All FunctionSandbox tests passed!');
+  } catch (error) {
+    console.error('✗ FunctionSandbox test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+function testRevive() {
+  const sandbox = new FunctionSandbox();
+
+  const paths = sandbox.collectFunctions(option).map(fn => fn.path);
+  if (paths.join(',') !== 'series[0].label.formatter,series[0].itemStyle.color') {
+    throw new Error(`Unexpected function paths: ${paths.join(',')}`);
+  }
+  console.log('✓ Function strings collected:', paths.join(', '));
+
+  const revived = sandbox.revive(option);
+  if (typeof option.series[0].label.formatter !== 'string') {
+    throw new Error('Original option should not be modified');
+  }
+  if (revived.xAxis !== option.xAxis) {
+    throw new Error('Branches without functions should be reused');
+  }
+
+  const label = revived.series[0].label.formatter({ value: 34, dataIndex: 1 });
+  if (label !== 'v=34%') {
+    throw new Error(`Unexpected formatter result: ${label}`);
+  }
+  console.log('✓ Formatter revived:', label);
+
+  // params中同一数组同时作为data和value，且包含循环引用
+  const params = { data: [1, 2] };
+  params.value = params.data;
+  params.self = params;
+  const echo = sandbox.revive({ f: `${PREFIX}(p) => [p.value, p.self === undefined]` }).f;
+  const result = echo(params);
+  if (JSON.stringify(result) !== '[[1,2],true]') {
+    throw new Error(`Unexpected argument serialization: ${JSON.stringify(result)}`);
+  }
+  console.log('✓ Shared references kept, circular references dropped');
+
+  const syntaxErrors = sandbox.validate({ a: `${PREFIX}function (`, b: `${PREFIX}() => 1` });
+  if (syntaxErrors.length !== 1 || !syntaxErrors[0].startsWith('a:')) {
+    throw new Error(`Syntax error should be reported for a only: ${syntaxErrors.join(', ')}`);
+  }
+  console.log('✓ Syntax errors reported:', syntaxErrors[0]);
+
+  try {
+    sandbox.revive({ a: `${PREFIX}1 + 1` });
+    throw new Error('Should have rejected non-function expression');
+  } catch (error) {
+    if (!error.message.includes('must be a function')) throw error;
+    console.log('✓ Non-function expression rejected');
+  }
+}
+
+function testIsolation() {
+  const sandbox = new FunctionSandbox();
+  const escapes = {
+    process: `${PREFIX}() => typeof process + typeof require + typeof setTimeout`,
+    constructor: `${PREFIX}function () { return this.constructor.constructor('return process')(); }`,
+    eval: `${PREFIX}() => eval('1 + 1')`
+  };
+  const revived = sandbox.revive(escapes);
+
+  if (revived.process() !== 'undefinedundefinedundefined') {
+    throw new Error('Node.js globals should not be available in sandbox');
+  }
+  console.log('✓ Node.js globals unavailable');
+
+  for (const name of ['constructor', 'eval']) {
+    try {
+      revived[name]();
+      throw new Error(`${name} should have been blocked`);
+    } catch (error) {
+      if (!error.message.includes('Code generation from strings disallowed')) throw error;
+    }
+  }
+  console.log('✓ Code generation from strings blocked');
+
+  const first = sandbox.revive({ f: `${PREFIX}() => { globalThis.counter = (globalThis.counter || 0) + 1; return globalThis.counter; }` });
+  const second = sandbox.revive({ f: `${PREFIX}() => typeof globalThis.counter` });
+  first.f();
+  if (second.f() !== 'undefined') {
+    throw new Error('Sandbox state should not be shared between renders');
+  }
+  console.log('✓ Each render uses a fresh context');
+
+  try {
+    sandbox.revive({ f: `${PREFIX}() => { throw new Error('boom'); }` }).f();
+    throw new Error('Should have propagated function error');
+  } catch (error) {
+    if (!error.message.includes('threw: boom')) throw error;
+    console.log('✓ Function error propagated:', error.message);
+  }
+}
+
+function testTimeouts() {
+  const sandbox = new FunctionSandbox({ timeout: 20, totalTimeout: 100 });
+
+  const cases = {
+    loop: `${PREFIX}() => { while (true) {} }`,
+    microtask: `${PREFIX}() => { Promise.resolve().then(() => { while (true) {} }); return 1; }`,
+    getter: `${PREFIX}() => { throw { get message() { while (true) {} } }; }`
+  };
+  const revived = sandbox.revive(cases);
+
+  for (const name of Object.keys(cases)) {
+    try {
+      revived[name]();
+      throw new Error(`${name} should have timed out`);
+    } catch (error) {
+      if (!error.message.includes('timed out after 20ms')) throw error;
+    }
+  }
+  console.log('✓ Infinite loops, microtasks and getters interrupted');
+
+  const slow = sandbox.revive({ f: `${PREFIX}() => { const end = Date.now() + 15; while (Date.now() < end) {} return 1; }` }).f;
+  let calls = 0;
+  try {
+    for (let i = 0; i < 20; i++) {
+      slow();
+      calls++;
+    }
+    throw new Error('Should have exceeded total execution time');
+  } catch (error) {
+    if (!error.message.includes('total execution time')) throw error;
+    console.log(`✓ Total execution time enforced after ${calls} calls`);
+  }
+
+  const big = new FunctionSandbox({ maxResultSize: 100 }).revive({ f: `${PREFIX}() => 'x'.repeat(1000)` }).f;
+  try {
+    big();
+    throw new Error('Should have rejected oversized result');
+  } catch (error) {
+    if (!error.message.includes('result exceeds')) throw error;
+    console.log('✓ Oversized result rejected');
+  }
+}
+
+async function testImageGeneratorIntegration() {
+  // 模拟渲染工作线程中的生成器
+  const enabled = new ImageGenerator(null, { enableFunctions: true, reviveFunctions: true });
+  const plainOption = {
+    ...option,
+    series: [{ ...option.series[0], label: { show: true }, itemStyle: {} }]
+  };
+
+  const result = await enabled.generateImage({ type: 'svg', option });
+  const svg = result.buffer.toString('utf8');
+  if (!svg.includes('v=34%') || !svg.includes('#ff0000')) {
+    throw new Error('Revived formatter and color callback should be applied');
+  }
+  console.log('✓ Formatter and color callback rendered in SVG');
+
+  const png = await enabled.generateImage({ type: 'png', option });
+  console.log('✓ Functions rendered in PNG, buffer size:', png.buffer.length);
+
+  const disabled = new ImageGenerator(null);
+  await disabled.generateImage({ type: 'svg', option: plainOption });
+  try {
+    await disabled.generateImage({ type: 'svg', option });
+    throw new Error('Should have rejected functions when disabled');
+  } catch (error) {
+    if (!error.message.includes('functions in option are disabled')) throw error;
+    console.log('✓ Functions rejected when disabled');
+  }
+
+  try {
+    await enabled.generateImage({
+      type: 'png',
+      option: { ...plainOption, series: [{ ...plainOption.series[0], label: { show: true, formatter: `${PREFIX}() => { while (true) {} }` } }] }
+    });
+    throw new Error('Should have failed with timeout');
+  } catch (error) {
+    if (!error.message.includes('timed out')) throw error;
+    console.log('✓ Render fails on function timeout:', error.message);
+  }
+
+  // 主线程的生成器（未开启reviveFunctions）不执行函数，即使允许了函数
+  const mainThread = new ImageGenerator(null, { enableFunctions: true });
+  try {
+    await mainThread.generateImage({ type: 'svg', option });
+    throw new Error('Should have rejected functions outside render workers');
+  } catch (error) {
+    if (!error.message.includes('can only run in render workers')) throw error;
+    console.log('✓ Functions rejected outside render workers');
+  }
+
+  // 旧版同步接口在主线程渲染，拒绝函数
+  syncHandler.setImageGenerator(mainThread);
+  const response = await new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ statusCode: this.statusCode, body });
+      },
+      setHeader() {},
+      send() {
+        resolve({ statusCode: this.statusCode });
+      }
+    };
+    syncHandler({ method: 'GET', url: `/?config=${encodeURIComponent(JSON.stringify({ option }))}` }, res);
+  });
+  if (response.statusCode !== 400 || !response.body.msg.includes('JavaScript functions')) {
+    throw new Error(`Legacy route should reject functions, got ${response.statusCode}`);
+  }
+  console.log('✓ Legacy route rejects functions');
+}
+
+testFunctionSandbox();
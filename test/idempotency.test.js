@@ -0,0 +1,194 @@
+/**
+ * 幂等提交测试
+ * 测试相同幂等键返回已有任务、内容不同时拒绝、租户隔离、入队失败释放以及Redis多实例共享
+ */
+
+process.env.NODE_ENV = 'test';
+
+const Redis = require('ioredis-mock');
+const Task = require('../src/models/Task');
+const TaskManager = require('../src/services/TaskManager');
+const RedisTaskQueue = require('../src/services/RedisTaskQueue');
+
+console.log('Testing idempotency keys...');
+
+const config = { type: 'png', option: { series: [{ type: 'bar', data: [1, 2, 3] }] } };
+
+// 不会结束的渲染，任务保持在处理中
+const imageGenerator = {
+  generateImage: () => new Promise(() => {})
+};
+
+function createTaskManager(options = {}) {
+  const taskManager = new TaskManager(imageGenerator, null, { autoStart: false, ...options });
+  taskManager.taskQueue.options.maxConcurrent = 0;
+  return taskManager;
+}
+
+async function expectCode(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`Expected ${code} rejection`);
+}
+
+async function testReplay() {
+  const taskManager = createTaskManager();
+
+  try {
+    const first = await taskManager.createTask(config, { idempotencyKey: 'order-1', priority: 'high' });
+    const replay = await taskManager.createTask({ ...config }, { idempotencyKey: 'order-1', priority: 'high' });
+
+    if (replay !== first || taskManager.taskQueue.getQueueStatus().pendingTasks !== 1) {
+      throw new Error('Repeated key should return the existing task without enqueueing');
+    }
+    if (first.toJSON().idempotencyKey !== 'order-1') {
+      throw new Error('Idempotency key should be included in task JSON');
+    }
+    console.log('✓ Repeated key returns the existing task');
+
+    // 属性顺序不同的相同内容视为相同请求
+    const reordered = await taskManager.createTask(
+      { option: config.option, type: 'png' },
+      { idempotencyKey: 'order-1', priority: 'high' }
+    );
+    if (reordered !== first) {
+      throw new Error('Key order should not change the request hash');
+    }
+    console.log('✓ Request hash ignores property order');
+
+    const error = await expectCode(
+      taskManager.createTask(config, { idempotencyKey: 'order-1', priority: 'low' }),
+      'IDEMPOTENCY_KEY_MISMATCH'
+    );
+    console.log('✓ Reused key with a different request rejected:', error.message);
+
+    const other = await taskManager.createTask(config, { idempotencyKey: 'order-1', tenant: 'team-a', priority: 'high' });
+    if (other === first || other.tenant !== 'team-a') {
+      throw new Error('Idempotency keys should be scoped per tenant');
+    }
+    console.log('✓ Same key from another tenant creates a separate task');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testRelease() {
+  const taskManager = createTaskManager({ tenantMaxPending: 1 });
+
+  try {
+    await taskManager.createTask(config);
+    await expectCode(taskManager.createTask(config, { idempotencyKey: 'retry-me' }), 'TENANT_QUEUE_FULL');
+
+    if (taskManager.taskQueue.idempotencyKeys.size !== 0) {
+      throw new Error('Key should be released when the task is not enqueued');
+    }
+
+    taskManager.taskQueue.scheduler.options.tenantMaxPending = 0;
+    const task = await taskManager.createTask(config, { idempotencyKey: 'retry-me' });
+    if (task.idempotencyKey !== 'retry-me') {
+      throw new Error('Released key should be usable again');
+    }
+    console.log('✓ Key released after a failed enqueue');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testRetention() {
+  const creator = createTaskManager();
+  const taskManager = createTaskManager({ idempotencyTtl: 60 });
+  const { taskQueue } = taskManager;
+
+  try {
+    const task = await creator.createTask(config, { idempotencyKey: 'expiring' });
+
+    // 持久化的任务恢复后重新登记幂等键
+    const restored = Task.fromRecord(JSON.parse(JSON.stringify(task.toRecord())));
+    if (restored.idempotencyKey !== 'expiring' || restored.requestHash !== task.requestHash) {
+      throw new Error('Idempotency key and request hash should be persisted');
+    }
+    taskQueue.restoreTask(restored);
+    if ((await taskManager.createTask(config, { idempotencyKey: 'expiring' })) !== restored) {
+      throw new Error('Restored task should be found by its key');
+    }
+    console.log('✓ Restored task re-registers its key');
+
+    // 超过保留期后相同的键创建新任务
+    for (const entry of taskQueue.idempotencyKeys.values()) {
+      entry.expiresAt = Date.now() - 1;
+    }
+    taskQueue.cleanupExpiredTasks();
+    if (taskQueue.idempotencyKeys.size !== 0) {
+      throw new Error('Expired keys should be purged');
+    }
+    const fresh = await taskManager.createTask(config, { idempotencyKey: 'expiring' });
+    if (fresh.taskId === task.taskId) {
+      throw new Error('Key should create a new task after the retention window');
+    }
+    console.log('✓ Key expires after the retention window');
+  } finally {
+    creator.destroy();
+    taskManager.destroy();
+  }
+}
+
+async function testRedis() {
+  const managers = [0, 1].map(() => createTaskManager({
+    taskQueue: new RedisTaskQueue(new Redis(), { keyPrefix: 'idempotency:', pollInterval: 20 })
+  }));
+
+  try {
+    const first = await managers[0].createTask(config, { idempotencyKey: 'shared' });
+    const replay = await managers[1].createTask(config, { idempotencyKey: 'shared' });
+
+    if (replay.taskId !== first.taskId) {
+      throw new Error('Instances sharing Redis should return the same task');
+    }
+    console.log('✓ Key shared between instances through Redis');
+
+    await expectCode(
+      managers[1].createTask({ ...config, type: 'svg' }, { idempotencyKey: 'shared' }),
+      'IDEMPOTENCY_KEY_MISMATCH'
+    );
+
+    // 另一实例已登记但尚未入队
+    const pending = new Task(config, { idempotencyKey: 'pending' });
+    pending.requestHash = first.requestHash;
+    await managers[0].taskQueue.reserveIdempotencyKey(pending);
+    await expectCode(managers[1].createTask(config, { idempotencyKey: 'pending' }), 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    console.log('✓ Concurrent request with a reserved key reported as in progress');
+  } finally {
+    managers.forEach(taskManager => taskManager.destroy());
+  }
+}
+
+async function runTests() {
+  try {
+    console.log('\n=== 重复提交测试 ===');
+    await testReplay();
+
+    console.log('\n=== 入队失败测试 ===');
+    await testRelease();
+
+    console.log('\n=== 保留期测试 ===');
+    await testRetention();
+
+    console.log('\n=== Redis共享测试 ===');
+    await testRedis();
+
+    console.log('\n✓ All idempotency tests passed!');
+  } catch (error) {
+    console.error('✗ Idempotency test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+runTests();
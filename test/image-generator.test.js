@@ -41,6 +41,15 @@ async function testImageGenerator() {
     console.log('\n=== 多种图表类型测试 ===');
     await testMultipleChartTypes();
     
+    console.log('\n=== 高分辨率渲染测试 ===');
+    await testPixelRatio();
+    
+    console.log('\n=== SVG生成测试 ===');
+    await testSVGGeneration();
+    
+    console.log('\n=== PDF生成测试 ===');
+    await testPDFGeneration();
+    
     console.log('\n=== OSS上传集成测试 ===');
     await testOSSIntegration();
     
@@ -177,6 +186,133 @@ async function testMultipleChartTypes() {
   }
 }
 
+async function testPixelRatio() {
+  const generator = new ImageGenerator(null, { maxPixelSize: 1000 });
+
+  const option = {
+    xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+    yAxis: { type: 'value' },
+    series: [{ type: 'bar', data: [1, 2, 3] }]
+  };
+
+  // PNG头部IHDR中记录了实际像素尺寸
+  const result = await generator.generateImage({
+    type: 'png',
+    width: 300,
+    height: 200,
+    pixelRatio: 2,
+    option
+  });
+  const pixelWidth = result.buffer.readUInt32BE(16);
+  const pixelHeight = result.buffer.readUInt32BE(20);
+
+  if (pixelWidth !== 600 || pixelHeight !== 400) {
+    throw new Error(`Expected 600x400 pixels, got ${pixelWidth}x${pixelHeight}`);
+  }
+  console.log('✓ PNG rendered at 2x resolution:', `${pixelWidth}x${pixelHeight}`);
+
+  // 超过像素上限
+  try {
+    await generator.generateImage({ type: 'png', width: 600, height: 400, pixelRatio: 2, option });
+    throw new Error('Should have failed with oversized pixel dimensions');
+  } catch (error) {
+    if (!error.message.includes('exceeds max pixel size')) {
+      throw error;
+    }
+    console.log('✓ Max pixel size enforced:', error.message);
+  }
+}
+
+async function testSVGGeneration() {
+  const generator = new ImageGenerator();
+
+  const option = {
+    title: { text: 'SVG Chart' },
+    xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+    yAxis: { type: 'value' },
+    series: [{ type: 'bar', data: [1, 2, 3] }]
+  };
+
+  // 默认使用SSR渲染器，保留<text>元素
+  const result = await generator.generateImage({ type: 'svg', width: 300, height: 200, option });
+  const svg = result.buffer.toString('utf8');
+
+  if (!svg.startsWith('<svg') || !svg.includes('<text')) {
+    throw new Error('SSR SVG should keep <text> elements');
+  }
+  if (!svg.includes('SVG Chart')) {
+    throw new Error('SSR SVG should contain searchable title text');
+  }
+  console.log('✓ SVG rendered via SSR with selectable <text> elements');
+
+  // 文字转路径模式
+  const pathResult = await generator.generateImage({
+    type: 'svg',
+    width: 300,
+    height: 200,
+    option,
+    svgOptions: { textAsPath: true }
+  });
+  const pathSvg = pathResult.buffer.toString('utf8');
+
+  if (pathSvg.includes('<text')) {
+    throw new Error('textAsPath SVG should not contain <text> elements');
+  }
+  console.log('✓ SVG text converted to paths when textAsPath is set');
+}
+
+async function testPDFGeneration() {
+  const generator = new ImageGenerator();
+
+  const option = {
+    title: { text: 'PDF Chart' },
+    xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+    yAxis: { type: 'value' },
+    series: [{ type: 'bar', data: [1, 2, 3] }]
+  };
+
+  // 测试默认页面尺寸
+  const result = await generator.generateImage({
+    type: 'pdf',
+    width: 600,
+    height: 400,
+    option
+  });
+
+  if (result.contentType !== 'application/pdf' || result.extension !== 'pdf') {
+    throw new Error(`Unexpected PDF result: ${result.contentType} / ${result.extension}`);
+  }
+  if (result.buffer.slice(0, 5).toString() !== '%PDF-') {
+    throw new Error('PDF buffer missing %PDF- header');
+  }
+  if (!result.buffer.toString('latin1').includes('/MediaBox [0 0 600 400]')) {
+    throw new Error('PDF page size does not match chart dimensions');
+  }
+  console.log('✓ PDF generated with page size derived from width/height');
+  console.log('  - Buffer size:', result.buffer.length, 'bytes');
+
+  // 测试边距和页面方向
+  const portrait = await generator.generateImage({
+    type: 'pdf',
+    width: 600,
+    height: 400,
+    option,
+    pdfOptions: { margin: 20, orientation: 'portrait' }
+  });
+
+  if (!portrait.buffer.toString('latin1').includes('/MediaBox [0 0 440 640]')) {
+    throw new Error('PDF margin/orientation not applied');
+  }
+  console.log('✓ PDF margin and orientation applied');
+
+  // 测试Base64格式的PDF
+  const base64 = await generator.generateBase64({ type: 'pdf', option });
+  if (!base64.startsWith('data:application/pdf;base64,')) {
+    throw new Error('PDF base64 should use application/pdf data URL');
+  }
+  console.log('✓ PDF base64 data URL generated');
+}
+
 async function testOSSIntegration() {
   const mockOSSClient = new MockOSSClient();
   const generator = new ImageGenerator(mockOSSClient);
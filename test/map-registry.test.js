@@ -0,0 +1,259 @@
+/**
+ * MapRegistry测试
+ * 测试GeoJSON/SVG地图注册、目录加载、内联地图以及与ImageGenerator的集成
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MapRegistry = require('../src/services/MapRegistry');
+const ImageGenerator = require('../src/services/ImageGenerator');
+
+console.log('Testing MapRegistry...');
+
+const squareGeoJSON = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { name: 'North' },
+      geometry: { type: 'Polygon', coordinates: [[[0, 5], [10, 5], [10, 10], [0, 10], [0, 5]]] }
+    },
+    {
+      type: 'Feature',
+      properties: { name: 'South' },
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 5], [0, 5], [0, 0]]] }
+    }
+  ]
+};
+
+const floorSVG = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">' +
+  '<rect name="RoomA" x="0" y="0" width="50" height="100"/>' +
+  '<rect name="RoomB" x="50" y="0" width="50" height="100"/></svg>';
+
+function mapOption(map) {
+  return {
+    series: [{
+      type: 'map',
+      map,
+      data: [{ name: 'North', value: 10 }, { name: 'South', value: 20 }]
+    }]
+  };
+}
+
+async function testMapRegistry() {
+  const mapDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echarts-maps-'));
+
+  try {
+    console.log('\n=== 地图注册测试 ===');
+    testRegisterMap();
+
+    console.log('\n=== 目录加载测试 ===');
+    testLoadFromDirectory(mapDir);
+
+    console.log('\n=== 地图引用测试 ===');
+    testMapReferences();
+
+    console.log('\n=== 内联地图淘汰测试 ===');
+    await testInlineMapEviction();
+
+    console.log('\n=== ImageGenerator集成测试 ===');
+    await testImageGeneratorIntegration();
+
+    console.log('\n✓ All MapRegistry tests passed!');
+  } catch (error) {
+    console.error('✗ MapRegistry test failed:', error.message);
+    process.exit(1);
+  } finally {
+    fs.rmSync(mapDir, { recursive: true, force: true });
+  }
+}
+
+function testRegisterMap() {
+  const registry = new MapRegistry();
+
+  const geo = registry.registerMap('test-square', { geoJSON: squareGeoJSON });
+  if (geo.type !== 'geojson' || geo.source !== 'api' || !registry.hasMap('test-square')) {
+    throw new Error('GeoJSON map should be registered via API');
+  }
+  console.log('✓ GeoJSON map registered, size:', geo.size);
+
+  const svg = registry.registerMap('test-floor', { svg: floorSVG });
+  if (svg.type !== 'svg') {
+    throw new Error('SVG map should be registered with type svg');
+  }
+  console.log('✓ SVG map registered');
+
+  const invalidCases = [
+    ['bad name!', { geoJSON: squareGeoJSON }],
+    ['valid', null],
+    ['valid', {}],
+    ['valid', { geoJSON: { type: 'Point', coordinates: [0, 0] } }],
+    ['valid', { geoJSON: { type: 'FeatureCollection' } }],
+    ['valid', { svg: '<svg><g></svg>' }],
+    ['valid', { svg: 'not svg' }]
+  ];
+  for (const [name, definition] of invalidCases) {
+    try {
+      registry.registerMap(name, definition);
+      throw new Error(`Should have rejected map ${JSON.stringify(name)} ${JSON.stringify(definition)}`);
+    } catch (error) {
+      if (error.message.startsWith('Should have')) throw error;
+    }
+  }
+  console.log('✓ Invalid map names and definitions rejected');
+
+  if (!registry.unregisterMap('test-floor') || registry.hasMap('test-floor')) {
+    throw new Error('Map should be unregistered');
+  }
+  if (registry.unregisterMap('test-floor')) {
+    throw new Error('Unregistering missing map should return false');
+  }
+  console.log('✓ Map unregistered');
+}
+
+function testLoadFromDirectory(mapDir) {
+  fs.writeFileSync(path.join(mapDir, 'region.geojson'), JSON.stringify(squareGeoJSON));
+  fs.writeFileSync(path.join(mapDir, 'floor.svg'), floorSVG);
+  fs.writeFileSync(path.join(mapDir, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(mapDir, 'readme.txt'), 'ignored');
+
+  const registry = new MapRegistry({ mapDir });
+
+  if (!registry.hasMap('region') || !registry.hasMap('floor')) {
+    throw new Error('GeoJSON and SVG maps should be loaded from file name');
+  }
+  if (registry.hasMap('broken') || registry.hasMap('readme')) {
+    throw new Error('Invalid map files should be skipped');
+  }
+  if (registry.getMap('region').source !== 'file') {
+    throw new Error('Map source should be file');
+  }
+  console.log('✓ Maps loaded from directory:', registry.listMaps().map(m => m.name).join(', '));
+}
+
+function testMapReferences() {
+  const registry = new MapRegistry({ maxInlineMapSize: 1024 });
+  const option = {
+    geo: { map: 'world' },
+    series: [mapOption('sales').series[0], { type: 'bar', data: [1] }]
+  };
+
+  const names = registry.collectMapNames(option);
+  if (names.join(',') !== 'sales,world') {
+    throw new Error(`Unexpected map names: ${names.join(',')}`);
+  }
+  console.log('✓ Map names collected from series and geo');
+
+  const aliases = registry.registerInlineMaps({ sales: squareGeoJSON });
+  const again = registry.registerInlineMaps({ other: squareGeoJSON });
+  if (aliases.sales !== again.other || !registry.hasMap(aliases.sales)) {
+    throw new Error('Identical inline maps should share one registration');
+  }
+
+  const rewritten = registry.rewriteMapNames(option, aliases);
+  if (rewritten.series[0].map !== aliases.sales || option.series[0].map !== 'sales') {
+    throw new Error('Map names should be rewritten without modifying the original option');
+  }
+  if (rewritten.geo.map !== 'world') {
+    throw new Error('Map names without alias should be kept');
+  }
+  console.log('✓ Inline maps registered by content hash');
+
+  try {
+    registry.registerInlineMaps({
+      big: { type: 'FeatureCollection', features: [], padding: 'x'.repeat(2048) }
+    });
+    throw new Error('Should have rejected oversized inline map');
+  } catch (error) {
+    if (!error.message.includes('exceeds')) throw error;
+    console.log('✓ Oversized inline map rejected');
+  }
+}
+
+async function testInlineMapEviction() {
+  const registry = new MapRegistry({ maxInlineMaps: 2 });
+  const shifted = offset => ({
+    type: 'FeatureCollection',
+    features: squareGeoJSON.features.map(feature => ({
+      ...feature,
+      geometry: {
+        type: 'Polygon',
+        coordinates: feature.geometry.coordinates.map(ring => ring.map(([x, y]) => [x + offset, y]))
+      }
+    }))
+  });
+
+  const { a } = registry.registerInlineMaps({ a: shifted(0) });
+  const { b } = registry.registerInlineMaps({ b: shifted(1) });
+  const evictedVersion = registry.getMapResource(b).version;
+  registry.registerInlineMaps({ a: shifted(0) });
+  const { c } = registry.registerInlineMaps({ c: shifted(2) });
+
+  if (registry.inlineMaps.size !== 2 || c !== b || !registry.hasMap(a)) {
+    throw new Error('Least recently used inline map should be evicted and its name reused');
+  }
+  if (registry.getMapResource(c).version === evictedVersion) {
+    throw new Error('Reused inline map name should get a new resource version');
+  }
+  const again = registry.registerInlineMaps({ b: shifted(1) });
+  if (again.b !== a) {
+    throw new Error('Evicted inline map should be registered again under the oldest name');
+  }
+  console.log('✓ Inline maps evicted in LRU order, names reused:', registry.inlineMaps.size);
+
+  try {
+    registry.registerInlineMaps({ x: shifted(3), y: shifted(4), z: shifted(5) });
+    throw new Error('Should have rejected too many inline maps');
+  } catch (error) {
+    if (!error.message.includes('at most 2 inline maps')) throw error;
+    console.log('✓ Request with more inline maps than the cache rejected');
+  }
+
+  const generator = new ImageGenerator(null, { mapRegistry: registry });
+  const image = await generator.generateImage({
+    type: 'svg',
+    option: mapOption('reused'),
+    maps: { reused: shifted(6) }
+  });
+  if (!image.buffer.toString('utf8').includes('<path')) {
+    throw new Error('Inline map under a reused name should be rendered');
+  }
+  console.log('✓ Inline map rendered under a reused name');
+}
+
+async function testImageGeneratorIntegration() {
+  const registry = new MapRegistry();
+  registry.registerMap('test-region', { geoJSON: squareGeoJSON });
+  registry.registerMap('test-floor-plan', { svg: floorSVG });
+  const generator = new ImageGenerator(null, { mapRegistry: registry });
+
+  const geo = await generator.generateImage({ type: 'svg', option: mapOption('test-region') });
+  if (!geo.buffer.toString('utf8').includes('<path')) {
+    throw new Error('GeoJSON map should be rendered as paths');
+  }
+  console.log('✓ Registered GeoJSON map rendered');
+
+  const png = await generator.generateImage({ type: 'png', option: mapOption('test-floor-plan') });
+  console.log('✓ Registered SVG map rendered, buffer size:', png.buffer.length);
+
+  const inline = await generator.generateImage({
+    type: 'svg',
+    option: mapOption('inline-region'),
+    maps: { 'inline-region': squareGeoJSON }
+  });
+  if (inline.buffer.toString('utf8') !== geo.buffer.toString('utf8')) {
+    throw new Error('Inline map should render the same as the registered map');
+  }
+  console.log('✓ Inline GeoJSON map rendered');
+
+  try {
+    await generator.generateImage({ type: 'png', option: mapOption('missing') });
+    throw new Error('Should have failed with unknown map');
+  } catch (error) {
+    if (!error.message.includes('Unknown map')) throw error;
+    console.log('✓ Unknown map rejected:', error.message);
+  }
+}
+
+testMapRegistry();
@@ -0,0 +1,395 @@
+/**
+ * Redis分布式任务队列测试
+ * 使用ioredis-mock作为内存中的Redis，模拟多个实例共享同一队列
+ */
+
+process.env.NODE_ENV = 'test';
+
+const { EventEmitter } = require('events');
+const http = require('http');
+const Redis = require('ioredis-mock');
+const Task = require('../src/models/Task');
+const RedisTaskQueue = require('../src/services/RedisTaskQueue');
+const TaskManager = require('../src/services/TaskManager');
+
+console.log('Testing Redis task queue...');
+
+const option = { series: [{ type: 'bar', data: [1, 2, 3] }] };
+
+// 立即返回结果的图片生成器
+const imageGenerator = {
+  generateImage: async () => ({ buffer: Buffer.from('image'), contentType: 'image/png', extension: 'png' })
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createQueue(keyPrefix, options = {}) {
+  return new RedisTaskQueue(new Redis(), { keyPrefix, pollInterval: 20, ...options });
+}
+
+function createTaskManager(keyPrefix, options = {}) {
+  return new TaskManager(imageGenerator, null, {
+    autoStart: false,
+    taskQueue: createQueue(keyPrefix),
+    ...options
+  });
+}
+
+/**
+ * 模拟SSE请求和响应，记录写入的事件名
+ */
+function createEventStream() {
+  const req = new EventEmitter();
+  const res = {
+    events: [],
+    ended: false,
+    writeHead() {},
+    write(chunk) {
+      const match = /event: (\w+)/.exec(chunk);
+      if (match) {
+        this.events.push(match[1]);
+      }
+    },
+    end(chunk) {
+      if (chunk) {
+        this.write(chunk);
+      }
+      this.ended = true;
+    }
+  };
+  return { req, res };
+}
+
+async function testAtomicClaim() {
+  const queues = [createQueue('claim:'), createQueue('claim:')];
+  const claims = new Map();
+
+  try {
+    queues.forEach((queue, instance) => {
+      queue.on('taskStarted', (task) => {
+        claims.set(task.taskId, (claims.get(task.taskId) || []).concat(instance));
+        setTimeout(() => queue.completeTask(task.taskId, 'data:image/png;base64,', null), 5);
+      });
+    });
+
+    const tasks = Array.from({ length: 20 }, () => new Task({ type: 'png', option }));
+    for (const [index, task] of tasks.entries()) {
+      await queues[index % 2].enqueue(task);
+    }
+
+    if (await queues[0].enqueue(tasks[0])) {
+      throw new Error('Duplicate task should not be enqueued');
+    }
+
+    await delay(300);
+
+    const duplicates = Array.from(claims.values()).filter(instances => instances.length !== 1);
+    if (claims.size !== tasks.length || duplicates.length > 0) {
+      throw new Error(`Each task should be claimed exactly once, got ${claims.size} claimed, ${duplicates.length} duplicated`);
+    }
+
+    const status = await queues[1].refreshStatus();
+    if (status.totalProcessed !== tasks.length || status.pendingTasks !== 0 || status.processingTasks !== 0) {
+      throw new Error(`Unexpected queue status: ${JSON.stringify(status)}`);
+    }
+    console.log('✓ Tasks claimed exactly once across instances');
+  } finally {
+    queues.forEach(queue => queue.destroy());
+  }
+}
+
+async function testPriorityClaim() {
+  const producer = createQueue('priority:', { priorityAging: 60 });
+  const worker = createQueue('priority:', { priorityAging: 60 });
+  producer.options.maxConcurrent = 0;
+  worker.options.maxConcurrent = 0;
+  const order = [];
+
+  try {
+    worker.on('taskStarted', (task) => {
+      order.push(task.taskId);
+      worker.completeTask(task.taskId, 'data:image/png;base64,', null);
+    });
+
+    // 等待超过两个老化周期的low任务与high任务有效优先级相同，先创建的优先
+    const agedLow = new Task({ type: 'png', option }, { priority: 'low' });
+    agedLow.createdAt = new Date(Date.now() - 130 * 1000);
+    const low = new Task({ type: 'png', option }, { priority: 'low' });
+    const normal = new Task({ type: 'png', option }, { priority: 'normal' });
+    const high = new Task({ type: 'png', option }, { priority: 'high' });
+
+    for (const task of [agedLow, low, normal, high]) {
+      await producer.enqueue(task);
+    }
+
+    const status = await worker.refreshStatus();
+    if (status.pendingTasks !== 4 || status.pendingByPriority.low !== 2 || status.pendingByPriority.high !== 1) {
+      throw new Error(`Unexpected pending counts: ${JSON.stringify(status.pendingByPriority)}`);
+    }
+
+    worker.options.maxConcurrent = 1;
+    worker.processNext();
+    await delay(100);
+
+    const expected = [agedLow, high, normal, low].map(task => task.taskId);
+    if (order.join(',') !== expected.join(',')) {
+      throw new Error('Tasks should be claimed by effective priority');
+    }
+
+    const claimed = await producer.fetchTask(high.taskId);
+    if (claimed.priority !== 'high' || claimed.status !== 'completed') {
+      throw new Error('Priority should be stored with the task');
+    }
+    console.log('✓ Tasks claimed by priority with aging');
+  } finally {
+    producer.destroy();
+    worker.destroy();
+  }
+}
+
+async function testCrossInstanceLookup() {
+  const creator = createTaskManager('lookup:');
+  const other = createTaskManager('lookup:');
+
+  try {
+    const task = await creator.createTask({ type: 'png', option });
+    await delay(100);
+
+    const found = await other.findTask(task.taskId);
+    if (!found || found.status !== 'completed' || !found.imageUrl.startsWith('data:image/png')) {
+      throw new Error(`Task should be visible from another instance, got ${found && found.status}`);
+    }
+    if (found.config.type !== 'png' || !(found.createdAt instanceof Date)) {
+      throw new Error('Task record should be restored from Redis');
+    }
+    console.log('✓ Task status available from another instance');
+
+    if (await other.findTask('missing-task') !== null) {
+      throw new Error('Missing task should return null');
+    }
+  } finally {
+    creator.destroy();
+    other.destroy();
+  }
+}
+
+async function testCrossInstanceCancel() {
+  const creator = createTaskManager('cancel:');
+  const other = createTaskManager('cancel:');
+  creator.taskQueue.options.maxConcurrent = 0;
+  other.taskQueue.options.maxConcurrent = 0;
+
+  try {
+    const task = await creator.createTask({ type: 'png', option });
+
+    const { task: cancelledTask, cancelled } = await other.cancelTask(task.taskId);
+    if (!cancelled || cancelledTask.status !== 'cancelled' || !cancelledTask.completedAt) {
+      throw new Error('Pending task should be cancelled from another instance');
+    }
+
+    const again = await creator.cancelTask(task.taskId);
+    if (again.cancelled || again.task.status !== 'cancelled') {
+      throw new Error('Cancelled task should not be cancelled again');
+    }
+
+    creator.taskQueue.options.maxConcurrent = 10;
+    creator.forceProcessNext();
+    await delay(50);
+
+    const status = await creator.taskQueue.refreshStatus();
+    if (status.pendingTasks !== 0 || status.totalCancelled !== 1 || status.totalProcessed !== 0) {
+      throw new Error(`Cancelled task should be removed from queue, got ${JSON.stringify(status)}`);
+    }
+    console.log('✓ Pending task cancelled from another instance');
+  } finally {
+    creator.destroy();
+    other.destroy();
+  }
+}
+
+async function testCrossInstanceEvents() {
+  const viewer = createTaskManager('events:', { pollInterval: 20 });
+  const worker = createTaskManager('events:');
+  viewer.taskQueue.options.maxConcurrent = 0;
+  worker.taskQueue.options.maxConcurrent = 0;
+
+  try {
+    const task = await viewer.createTask({ type: 'png', option });
+    const { req, res } = createEventStream();
+    viewer.taskEvents.open(req, res, [await viewer.findTask(task.taskId)]);
+
+    // 任务由另一个实例处理，本实例不会收到队列事件
+    worker.taskQueue.options.maxConcurrent = 10;
+    worker.forceProcessNext();
+    for (let i = 0; i < 50 && !res.ended; i++) {
+      await delay(20);
+    }
+
+    if (!res.ended || res.events[0] !== 'pending' || res.events.slice(-2).join(',') !== 'completed,end') {
+      throw new Error(`Stream should follow a task processed by another instance, got ${res.events.join(',')}`);
+    }
+    if (viewer.taskEvents.pollTimer || viewer.taskEvents.getConnectionCount() !== 0) {
+      throw new Error('Polling should stop once no task is subscribed');
+    }
+    console.log('✓ Event stream follows tasks processed by another instance:', res.events.join(','));
+  } finally {
+    viewer.destroy();
+    worker.destroy();
+  }
+}
+
+async function testCrossInstanceBatchesAndCallbacks() {
+  const creator = createTaskManager('shared:', { webhook: { allowedHosts: ['127.0.0.1'] } });
+  const other = createTaskManager('shared:');
+  const server = http.createServer((req, res) => res.end('ok'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const batch = await creator.createBatch([{ config: { type: 'png', option }, name: 'a' }, { error: 'invalid', name: 'b' }]);
+    await delay(100);
+
+    const status = await other.getBatchStatus(batch.batchId);
+    if (!status || status.status !== 'partial' || status.items[0].status !== 'completed' || status.items[1].status !== 'rejected') {
+      throw new Error(`Batch should be available from another instance, got ${JSON.stringify(status)}`);
+    }
+    if (await other.getBatch('missing-batch') !== null) {
+      throw new Error('Missing batch should return null');
+    }
+    console.log('✓ Batch status available from another instance');
+
+    const task = await creator.createTask({ type: 'png', option }, {
+      callback: { url: `http://127.0.0.1:${server.address().port}/hook`, secret: 'secret' }
+    });
+    await delay(100);
+
+    const found = await other.findTask(task.taskId);
+    const callback = found && found.getCallbackInfo();
+    if (!callback || callback.status !== 'delivered' || callback.deliveries.length !== 1) {
+      throw new Error(`Callback state should be available from another instance, got ${JSON.stringify(callback)}`);
+    }
+    console.log('✓ Webhook delivery state available from another instance');
+  } finally {
+    creator.destroy();
+    other.destroy();
+    server.close();
+  }
+}
+
+async function testVisibilityTimeout() {
+  // 崩溃的实例：领取任务后不再处理
+  const crashed = createQueue('timeout:', { taskTimeout: 0.05 });
+  const healthy = createQueue('timeout:', { taskTimeout: 0.05 });
+  crashed.stopPolling();
+  healthy.stopPolling();
+  healthy.options.maxConcurrent = 0;
+
+  const events = [];
+  healthy.on('taskTimeout', task => events.push(`timeout:${task.retryCount}`));
+  healthy.on('taskRetry', task => events.push(`retry:${task.retryCount}`));
+
+  try {
+    const task = new Task({ type: 'png', option });
+    await crashed.enqueue(task);
+    await delay(20);
+
+    if (!crashed.hasTask(task.taskId)) {
+      throw new Error('Task should be claimed by the first instance');
+    }
+    crashed.options.maxConcurrent = 0;
+    if (await healthy.reclaimExpiredTasks() !== 0) {
+      throw new Error('Claimed task should not be reclaimed before visibility timeout');
+    }
+
+    await delay(60);
+    if (await healthy.reclaimExpiredTasks() !== 1) {
+      throw new Error('Expired claim should be reclaimed');
+    }
+    if (events.join(',') !== 'timeout:0,retry:1') {
+      throw new Error(`Reclaimed task should time out and retry, got ${events.join(',')}`);
+    }
+
+    const requeued = await healthy.fetchTask(task.taskId);
+    if (requeued.status !== 'pending' || requeued.retryCount !== 1) {
+      throw new Error(`Reclaimed task should be pending again, got ${requeued.status}`);
+    }
+    console.log('✓ Expired claim reclaimed and requeued');
+
+    // 原实例的确认已失效
+    if (await crashed.completeTask(task.taskId, 'data:image/png;base64,', null)) {
+      throw new Error('Stale claim should not be acknowledged');
+    }
+
+    healthy.on('taskStarted', claimed => {
+      healthy.completeTask(claimed.taskId, 'data:image/png;base64,', null);
+    });
+    healthy.options.maxConcurrent = 10;
+    healthy.processNext();
+    await delay(50);
+
+    const completed = await crashed.fetchTask(task.taskId);
+    if (completed.status !== 'completed' || completed.retryCount !== 1) {
+      throw new Error(`Requeued task should be completed by another instance, got ${completed.status}`);
+    }
+    console.log('✓ Stale acknowledgement rejected, task completed by another instance');
+  } finally {
+    crashed.destroy();
+    healthy.destroy();
+  }
+}
+
+async function testCleanup() {
+  const taskManager = createTaskManager('cleanup:');
+  const cleaned = [];
+  taskManager.taskQueue.on('tasksCleanedUp', tasks => cleaned.push(...tasks));
+
+  try {
+    const task = await taskManager.createTask({ type: 'png', option });
+    await delay(50);
+
+    const expired = await taskManager.taskQueue.cleanupExpiredTasks(-1);
+    if (expired.length !== 1 || expired[0].taskId !== task.taskId || expired[0].status !== 'completed') {
+      throw new Error(`Finished task should be cleaned up, got ${expired.length}`);
+    }
+    if (cleaned.length !== 1 || await taskManager.findTask(task.taskId) !== null) {
+      throw new Error('Cleaned task should be removed from Redis');
+    }
+    console.log('✓ Expired tasks removed from Redis');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function runTests() {
+  try {
+    console.log('\n=== 原子领取测试 ===');
+    await testAtomicClaim();
+
+    console.log('\n=== 优先级领取测试 ===');
+    await testPriorityClaim();
+
+    console.log('\n=== 跨实例查询测试 ===');
+    await testCrossInstanceLookup();
+
+    console.log('\n=== 跨实例取消测试 ===');
+    await testCrossInstanceCancel();
+
+    console.log('\n=== 可见性超时测试 ===');
+    await testCrossInstanceEvents();
+    await testCrossInstanceBatchesAndCallbacks();
+    await testVisibilityTimeout();
+
+    console.log('\n=== 过期清理测试 ===');
+    await testCleanup();
+
+    console.log('\n✓ All Redis task queue tests passed!');
+  } catch (error) {
+    console.error('✗ Redis task queue test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,274 @@
+/**
+ * 渲染缓存测试
+ * 测试内存LRU、相同配置的任务复用渲染结果、cache:false跳过缓存、主题变化后失效，
+ * 以及本地存储中缓存对象的复制、跨实例命中和过期清理
+ */
+
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RenderCache = require('../src/services/RenderCache');
+const LocalStorageClient = require('../src/services/LocalStorageClient');
+const ImageGenerator = require('../src/services/ImageGenerator');
+const TaskManager = require('../src/services/TaskManager');
+const ThemeRegistry = require('../src/services/ThemeRegistry');
+
+console.log('Testing render cache...');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echarts-render-cache-'));
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(check, message) {
+  for (let i = 0; i < 150; i++) {
+    if (check()) {
+      return;
+    }
+    await delay(20);
+  }
+  throw new Error(message);
+}
+
+/**
+ * 创建任务管理器，记录实际渲染的次数
+ */
+function createTaskManager(storage, renderCache, themeRegistry = new ThemeRegistry()) {
+  const imageGenerator = new ImageGenerator(storage, { themeRegistry });
+  const renders = { count: 0 };
+
+  // 上传时同样经过generateImage
+  const generateImage = imageGenerator.generateImage.bind(imageGenerator);
+  imageGenerator.generateImage = (...args) => {
+    renders.count++;
+    return generateImage(...args);
+  };
+
+  const taskManager = new TaskManager(imageGenerator, storage, { autoStart: false, renderCache });
+  return { taskManager, renders };
+}
+
+async function runTask(taskManager, config) {
+  const task = await taskManager.createTask({ type: 'svg', option, ...config });
+  await waitFor(() => task.status === 'completed' || task.status === 'failed', `Task ${task.taskId} did not finish`);
+
+  if (task.status !== 'completed') {
+    throw new Error(`Task ${task.taskId} failed: ${task.error}`);
+  }
+  return task;
+}
+
+function listCacheObjects() {
+  const dir = path.join(rootDir, RenderCache.STORAGE_DIR);
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+function testMemoryLru() {
+  const cache = new RenderCache(null, { maxMemory: 10 });
+  const image = content => ({ buffer: Buffer.from(content), contentType: 'image/png', extension: 'png' });
+
+  cache.remember('a', image('aaaa'));
+  cache.remember('b', image('bbbb'));
+  // 访问a后，b成为最久未使用的结果
+  cache.get('a', 'png');
+  cache.remember('c', image('cccc'));
+
+  if (cache.entries.has('b') || !cache.entries.has('a') || !cache.entries.has('c') || cache.memoryUsage !== 8) {
+    throw new Error(`Least recently used entry should be evicted, got ${[...cache.entries.keys()]}`);
+  }
+
+  cache.remember('d', image('x'.repeat(11)));
+  if (cache.entries.has('d') || cache.memoryUsage !== 8) {
+    throw new Error('Entry larger than the memory limit should not be cached');
+  }
+
+  cache.remember('a', image('aa'));
+  if (cache.memoryUsage !== 6 || cache.getStatus().entries !== 2 || cache.getStatus().storage) {
+    throw new Error(`Replacing an entry should update memory usage, got ${JSON.stringify(cache.getStatus())}`);
+  }
+  console.log('✓ Memory cache evicts least recently used entries by size');
+}
+
+async function testMemoryTier() {
+  const { taskManager, renders } = createTaskManager(null, new RenderCache(null));
+
+  try {
+    const first = await runTask(taskManager, {});
+    const second = await runTask(taskManager, {});
+
+    if (renders.count !== 1 || second.imageUrl !== first.imageUrl) {
+      throw new Error(`Identical task should reuse the cached image, rendered ${renders.count} times`);
+    }
+    console.log('✓ Identical task served from memory without rendering');
+
+    await runTask(taskManager, { width: 640 });
+    if (renders.count !== 2) {
+      throw new Error('Task with a different size should be rendered');
+    }
+
+    await runTask(taskManager, { cache: false });
+    if (renders.count !== 3) {
+      throw new Error('Task with cache:false should be rendered');
+    }
+
+    const { renderCache } = taskManager.metricsService.getAllMetrics();
+    if (renderCache.memoryHits !== 1 || renderCache.misses !== 2 || renderCache.bypassed !== 1) {
+      throw new Error(`Unexpected cache metrics: ${JSON.stringify(renderCache)}`);
+    }
+
+    const prometheus = taskManager.metricsService.generatePrometheusMetrics();
+    if (!prometheus.includes('echarts_render_cache_hits_total{tier="memory"} 1') ||
+        !prometheus.includes('echarts_render_cache_misses_total 2') ||
+        !prometheus.includes('echarts_render_cache_bypassed_total 1')) {
+      throw new Error('Prometheus output should include render cache counters');
+    }
+    console.log('✓ Changed options and cache:false rendered again and counted');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testThemeInvalidation() {
+  const themeRegistry = new ThemeRegistry();
+  themeRegistry.registerTheme('brand', { color: ['#ff0000'] });
+  const { taskManager, renders } = createTaskManager(null, new RenderCache(null), themeRegistry);
+
+  try {
+    await runTask(taskManager, { theme: 'brand' });
+    await runTask(taskManager, { theme: 'brand' });
+    if (renders.count !== 1) {
+      throw new Error('Unchanged theme should reuse the cached image');
+    }
+
+    // 重新注册相同内容的主题不影响缓存
+    themeRegistry.registerTheme('brand', { color: ['#ff0000'] });
+    await runTask(taskManager, { theme: 'brand' });
+    if (renders.count !== 1) {
+      throw new Error('Re-registering identical theme content should keep the cache');
+    }
+
+    themeRegistry.registerTheme('brand', { color: ['#00ff00'] });
+    const changed = await taskManager.getTaskImage(await runTask(taskManager, { theme: 'brand' }));
+    if (renders.count !== 2 || !changed.buffer.toString().includes('#00ff00')) {
+      throw new Error('Changed theme should invalidate the cached image');
+    }
+    console.log('✓ Theme content change invalidates cached images');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testStorageTier() {
+  const storage = new LocalStorageClient({ rootDir, publicUrl: 'https://static.example.com' });
+  const { taskManager, renders } = createTaskManager(storage, new RenderCache(storage));
+
+  try {
+    const first = await runTask(taskManager, {});
+    await waitFor(() => listCacheObjects().length === 1, 'Rendered image should be copied to the cache directory');
+
+    const second = await runTask(taskManager, {});
+    if (renders.count !== 1 || second.fileName === first.fileName || !second.imageUrl.startsWith('https://static.example.com/')) {
+      throw new Error(`Cache hit should be copied to the task's own file, got ${second.fileName}`);
+    }
+
+    const content = fs.readFileSync(path.join(rootDir, second.fileName));
+    if (!content.equals(fs.readFileSync(path.join(rootDir, first.fileName)))) {
+      throw new Error('Copied file should match the rendered image');
+    }
+    console.log('✓ Cache hit copied within storage:', second.fileName);
+
+    // 任务的文件各自删除，不影响缓存对象
+    await storage.deleteFile(first.fileName);
+    if (listCacheObjects().length !== 1) {
+      throw new Error('Deleting a task file should keep the cache object');
+    }
+  } finally {
+    taskManager.destroy();
+  }
+
+  // 新的实例（如重启或其他实例）从存储中命中
+  const restarted = createTaskManager(storage, new RenderCache(storage));
+  try {
+    const task = await runTask(restarted.taskManager, {});
+    const { renderCache } = restarted.taskManager.metricsService.getAllMetrics();
+    if (restarted.renders.count !== 0 || renderCache.storageHits !== 1 || !fs.existsSync(path.join(rootDir, task.fileName))) {
+      throw new Error(`New instance should hit the storage cache, got ${JSON.stringify(renderCache)}`);
+    }
+    console.log('✓ New instance served from the storage cache');
+
+    // 缓存对象被生命周期规则删除后，内存命中时重新上传并恢复缓存对象
+    const [cacheObject] = listCacheObjects();
+    fs.unlinkSync(path.join(rootDir, RenderCache.STORAGE_DIR, cacheObject));
+    const reuploaded = await runTask(restarted.taskManager, {});
+    await waitFor(() => listCacheObjects().length === 1, 'Missing cache object should be written again');
+    if (restarted.renders.count !== 0 || !fs.existsSync(path.join(rootDir, reuploaded.fileName))) {
+      throw new Error('Missing cache object should fall back to uploading the cached image');
+    }
+    console.log('✓ Missing cache object restored from memory');
+  } finally {
+    restarted.taskManager.destroy();
+  }
+}
+
+async function testExpiredObjects() {
+  const storage = new LocalStorageClient({ rootDir, publicUrl: 'https://static.example.com' });
+  const { taskManager } = createTaskManager(storage, new RenderCache(storage, { ttlDays: 30 }));
+  const cacheDir = path.join(rootDir, RenderCache.STORAGE_DIR);
+  const [fresh] = listCacheObjects();
+
+  // 写入40天前的缓存对象
+  const stalePath = path.join(cacheDir, 'stale.png');
+  const staleTime = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+  fs.writeFileSync(stalePath, 'stale');
+  fs.utimesSync(stalePath, staleTime, staleTime);
+
+  try {
+    const result = await taskManager.cleanupExpiredTasks();
+    if (result.deletedFiles !== 1 || fs.existsSync(stalePath) || !fs.existsSync(path.join(cacheDir, fresh))) {
+      throw new Error(`Cleanup should delete only expired cache objects, got ${JSON.stringify(result)}`);
+    }
+    console.log('✓ Expired cache objects deleted by cleanup');
+  } finally {
+    taskManager.destroy();
+  }
+
+  fs.writeFileSync(stalePath, 'stale');
+  fs.utimesSync(stalePath, staleTime, staleTime);
+  const unlimited = new RenderCache(storage, { ttlDays: 0 });
+  if (await unlimited.deleteExpired() !== 0 || !fs.existsSync(stalePath)) {
+    throw new Error('ttlDays 0 should leave cache objects to lifecycle rules');
+  }
+  console.log('✓ ttlDays 0 disables cache cleanup');
+}
+
+async function runTests() {
+  try {
+    console.log('\n=== 内存缓存测试 ===');
+    testMemoryLru();
+    await testMemoryTier();
+    await testThemeInvalidation();
+
+    console.log('\n=== 存储缓存测试 ===');
+    await testStorageTier();
+    await testExpiredObjects();
+
+    console.log('\n✓ All render cache tests passed!');
+  } catch (error) {
+    console.error('✗ Render cache test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+runTests();
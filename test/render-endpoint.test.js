@@ -0,0 +1,240 @@
+/**
+ * 同步渲染端点测试
+ * 测试 POST /api/charts/render 的二进制、base64、等待超时、租户和错误响应，以及创建任务的幂等提交
+ */
+
+// 设置测试环境变量（不配置OSS）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3004';
+
+const http = require('http');
+const App = require('../src/app');
+
+console.log('Testing render endpoint...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function makeRequest(method, path, data = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3004,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: res.headers['content-type']?.includes('application/json')
+            ? JSON.parse(body.toString())
+            : body
+        });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+async function testBinaryResponse() {
+  const response = await makeRequest('POST', '/api/charts/render', { type: 'png', option });
+
+  if (response.statusCode !== 200 || response.headers['content-type'] !== 'image/png') {
+    throw new Error(`Expected PNG response, got ${response.statusCode} ${response.headers['content-type']}`);
+  }
+  if (response.body.slice(1, 4).toString() !== 'PNG') {
+    throw new Error('Response body should be a PNG image');
+  }
+
+  const taskId = response.headers['x-task-id'];
+  if (response.headers['content-disposition'] !== `inline; filename="chart-${taskId}.png"`) {
+    throw new Error(`Unexpected Content-Disposition: ${response.headers['content-disposition']}`);
+  }
+  console.log('✓ PNG returned directly, size:', response.body.length);
+
+  const status = await makeRequest('GET', `/api/charts/status/${taskId}`);
+  if (status.body.data.status !== 'completed') {
+    throw new Error('Rendered task should be queryable as completed');
+  }
+  console.log('✓ Render task recorded in task status');
+
+  const svg = await makeRequest('POST', '/api/charts/render', { type: 'svg', option, download: true });
+  if (svg.headers['content-type'] !== 'image/svg+xml' || !svg.headers['content-disposition'].startsWith('attachment;')) {
+    throw new Error('SVG download should be returned as attachment');
+  }
+  console.log('✓ SVG returned as attachment');
+}
+
+async function testBase64Response() {
+  const response = await makeRequest('POST', '/api/charts/render', { type: 'jpeg', option, base64: true });
+
+  if (response.statusCode !== 200 || response.body.data.contentType !== 'image/jpeg') {
+    throw new Error(`Expected base64 JSON response, got ${response.statusCode}`);
+  }
+  if (!response.body.data.base64.startsWith('data:image/jpeg;base64,') || response.body.data.imageUrl !== null) {
+    throw new Error('Base64 response data invalid');
+  }
+  console.log('✓ Base64 JSON returned');
+}
+
+async function testWaitTimeout(app) {
+  // 暂停处理，使任务在等待期间无法完成
+  const { maxConcurrent } = app.taskManager.taskQueue.options;
+  app.taskManager.taskQueue.options.maxConcurrent = 0;
+
+  try {
+    const response = await makeRequest('POST', '/api/charts/render', { option, waitTimeout: 100 });
+
+    if (response.statusCode !== 202 || response.body.data.status !== 'pending') {
+      throw new Error(`Expected 202 pending response, got ${response.statusCode}`);
+    }
+    if (response.body.data.statusUrl !== `/api/charts/status/${response.body.data.taskId}`) {
+      throw new Error('202 response should contain statusUrl');
+    }
+    console.log('✓ 202 returned after waitTimeout');
+  } finally {
+    app.taskManager.taskQueue.options.maxConcurrent = maxConcurrent;
+    app.taskManager.forceProcessNext();
+  }
+}
+
+async function testTenant(app) {
+  const response = await makeRequest('POST', '/api/charts/render', { option, base64: true }, { 'X-Tenant-Id': 'team-a' });
+  const status = await makeRequest('GET', `/api/charts/status/${response.body.data.taskId}`);
+  if (status.body.data.tenant !== 'team-a') {
+    throw new Error(`Task should belong to the tenant from X-Tenant-Id, got ${status.body.data.tenant}`);
+  }
+  console.log('✓ Tenant recorded from X-Tenant-Id');
+
+  const invalid = await makeRequest('POST', '/api/charts/render', { option }, { 'X-Tenant-Id': 'team a' });
+  if (invalid.statusCode !== 400 || invalid.body.error.type !== 'VALIDATION_ERROR') {
+    throw new Error(`Expected 400 for invalid tenant, got ${invalid.statusCode}`);
+  }
+  console.log('✓ Invalid tenant rejected');
+
+  // 暂停处理，team-b最多一个等待任务
+  const taskQueue = app.taskManager.taskQueue;
+  const { maxConcurrent } = taskQueue.options;
+  taskQueue.options.maxConcurrent = 0;
+  taskQueue.scheduler.options.tenantQuotas = { 'team-b': { maxPending: 1 } };
+
+  try {
+    const first = await makeRequest('POST', '/api/charts/render', { option, waitTimeout: 0 }, { 'X-Tenant-Id': 'team-b' });
+    const second = await makeRequest('POST', '/api/charts/render', { option, waitTimeout: 0 }, { 'X-Tenant-Id': 'team-b' });
+    const other = await makeRequest('POST', '/api/charts/render', { option, waitTimeout: 0 }, { 'X-Tenant-Id': 'team-c' });
+
+    if (first.statusCode !== 202 || second.statusCode !== 429 || other.statusCode !== 202) {
+      throw new Error(`Expected 202/429/202, got ${first.statusCode}/${second.statusCode}/${other.statusCode}`);
+    }
+    console.log('✓ 429 returned when tenant pending limit reached:', second.body.error.details);
+  } finally {
+    taskQueue.scheduler.options.tenantQuotas = {};
+    taskQueue.options.maxConcurrent = maxConcurrent;
+    app.taskManager.forceProcessNext();
+  }
+}
+
+async function testIdempotency() {
+  const headers = { 'Idempotency-Key': 'render-endpoint-1' };
+  const first = await makeRequest('POST', '/api/charts/generate', { option }, headers);
+  const replay = await makeRequest('POST', '/api/charts/generate', { option, idempotencyKey: 'render-endpoint-1' });
+
+  if (first.statusCode !== 200 || replay.body.data.taskId !== first.body.data.taskId ||
+      replay.body.data.idempotencyKey !== 'render-endpoint-1') {
+    throw new Error(`Repeated key should return the same task, got ${replay.statusCode}`);
+  }
+  console.log('✓ Repeated Idempotency-Key returns the existing task');
+
+  const mismatch = await makeRequest('POST', '/api/charts/generate', { option, priority: 'low' }, headers);
+  if (mismatch.statusCode !== 422 || mismatch.body.error.type !== 'VALIDATION_ERROR') {
+    throw new Error(`Expected 422 for reused key, got ${mismatch.statusCode}`);
+  }
+  console.log('✓ 422 returned for a key reused with a different request');
+
+  const conflicting = await makeRequest('POST', '/api/charts/generate', { option, idempotencyKey: 'other' }, headers);
+  const invalid = await makeRequest('POST', '/api/charts/generate', { option }, { 'Idempotency-Key': 'with space' });
+  if (conflicting.statusCode !== 400 || invalid.statusCode !== 400) {
+    throw new Error(`Expected 400 for invalid keys, got ${conflicting.statusCode}/${invalid.statusCode}`);
+  }
+  console.log('✓ Invalid idempotency keys rejected');
+}
+
+async function testErrors() {
+  const invalid = await makeRequest('POST', '/api/charts/render', { type: 'gif', option });
+  if (invalid.statusCode !== 400 || invalid.body.error.type !== 'VALIDATION_ERROR') {
+    throw new Error(`Expected 400 for invalid type, got ${invalid.statusCode}`);
+  }
+
+  const invalidWait = await makeRequest('POST', '/api/charts/render', { option, waitTimeout: -1 });
+  if (invalidWait.statusCode !== 400) {
+    throw new Error(`Expected 400 for invalid waitTimeout, got ${invalidWait.statusCode}`);
+  }
+
+  // 任务超时不能超过QUEUE_TASK_TIMEOUT
+  for (const path of ['/api/charts/render', '/api/charts/generate']) {
+    const invalidTimeout = await makeRequest('POST', path, { option, timeout: 100000 });
+    if (invalidTimeout.statusCode !== 400 || !invalidTimeout.body.error.details.includes('timeout')) {
+      throw new Error(`Expected 400 for invalid timeout on ${path}, got ${invalidTimeout.statusCode}`);
+    }
+  }
+  console.log('✓ Invalid requests rejected with validation errors');
+
+  const failing = await makeRequest('POST', '/api/charts/render', {
+    option: { ...option, series: [{ type: 'bar', data: [1], xAxisIndex: 5 }] }
+  });
+  if (failing.statusCode !== 500 || failing.body.error.type !== 'PROCESSING_ERROR' || !failing.body.data.taskId) {
+    throw new Error(`Expected 500 processing error, got ${failing.statusCode}`);
+  }
+  console.log('✓ Render failure returned as processing error:', failing.body.error.details);
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    await app.start();
+
+    console.log('\n=== 二进制响应测试 ===');
+    await testBinaryResponse();
+
+    console.log('\n=== Base64响应测试 ===');
+    await testBase64Response();
+
+    console.log('\n=== 等待超时测试 ===');
+    await testWaitTimeout(app);
+
+    console.log('\n=== 租户测试 ===');
+    await testTenant(app);
+
+    console.log('\n=== 幂等提交测试 ===');
+    await testIdempotency();
+
+    console.log('\n=== 错误响应测试 ===');
+    await testErrors();
+
+    console.log('\n✓ All render endpoint tests passed!');
+  } catch (error) {
+    console.error('✗ Render endpoint test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();
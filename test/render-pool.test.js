@@ -0,0 +1,288 @@
+/**
+ * 渲染线程池测试
+ * 测试工作线程渲染、主题和地图同步、超时终止、取消、线程回收、堆内存上限以及TaskManager集成
+ */
+
+process.env.NODE_ENV = 'test';
+
+const RenderPool = require('../src/services/RenderPool');
+const ImageGenerator = require('../src/services/ImageGenerator');
+const ThemeRegistry = require('../src/services/ThemeRegistry');
+const TaskManager = require('../src/services/TaskManager');
+
+console.log('Testing render pool...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+// 渲染耗时较长的散点图
+const heavyOption = {
+  xAxis: {},
+  yAxis: {},
+  series: [{ type: 'scatter', data: Array.from({ length: 200000 }, (_, i) => [i % 1000, Math.floor(i / 1000)]) }]
+};
+
+const geoJSON = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { name: 'Area' },
+    geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]] }
+  }]
+};
+
+const themeRegistry = new ThemeRegistry();
+const imageGenerator = new ImageGenerator(null, { themeRegistry, enableFunctions: true });
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function expectRejection(promise, message) {
+  try {
+    await promise;
+  } catch (error) {
+    if (!error.message.includes(message)) {
+      throw new Error(`Expected "${message}", got "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`Expected "${message}" rejection`);
+}
+
+async function testRender(pool) {
+  const png = await pool.run(imageGenerator.prepareImage({ type: 'png', option, pixelRatio: 2 }));
+  if (!Buffer.isBuffer(png.buffer) || png.contentType !== 'image/png' || png.buffer.slice(1, 4).toString() !== 'PNG') {
+    throw new Error('Worker should return a PNG buffer');
+  }
+
+  const pdf = await pool.run(imageGenerator.prepareImage({ type: 'pdf', option }));
+  if (pdf.extension !== 'pdf' || pdf.buffer.slice(0, 4).toString() !== '%PDF') {
+    throw new Error('Worker should return a PDF buffer');
+  }
+  console.log('✓ PNG and PDF rendered in worker thread');
+
+  // 函数字符串在工作线程中还原
+  const withFunction = await pool.run(imageGenerator.prepareImage({
+    type: 'svg',
+    option: {
+      ...option,
+      series: [{ type: 'bar', data: [1, 2, 3], label: { show: true, formatter: '__fn__:function (p) { return p.value + "%"; }' } }]
+    }
+  }));
+  if (!withFunction.buffer.toString().includes('3%')) {
+    throw new Error('Function formatter should run in worker thread');
+  }
+  console.log('✓ Function formatter revived in worker thread');
+}
+
+async function testResources(pool) {
+  themeRegistry.registerTheme('pool-theme', { backgroundColor: '#123456' });
+  const themed = await pool.run(imageGenerator.prepareImage({ type: 'svg', option, theme: 'pool-theme' }));
+  if (!themed.buffer.toString().includes('#123456')) {
+    throw new Error('Custom theme should be registered in worker thread');
+  }
+
+  // 主题更新后重新同步
+  themeRegistry.registerTheme('pool-theme', { backgroundColor: '#654321' });
+  const updated = await pool.run(imageGenerator.prepareImage({ type: 'svg', option, theme: 'pool-theme' }));
+  if (!updated.buffer.toString().includes('#654321')) {
+    throw new Error('Updated theme should be synced to worker thread');
+  }
+  console.log('✓ Custom theme synced to worker thread');
+
+  const map = await pool.run(imageGenerator.prepareImage({
+    type: 'svg',
+    option: { series: [{ type: 'map', map: 'area' }] },
+    maps: { area: geoJSON }
+  }));
+  if (!map.buffer.toString().includes('<path')) {
+    throw new Error('Inline map should be registered in worker thread');
+  }
+  console.log('✓ Inline map synced to worker thread');
+}
+
+async function testEventLoop(pool) {
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 10);
+
+  try {
+    const started = Date.now();
+    await pool.run(imageGenerator.prepareImage({ type: 'png', option: heavyOption }));
+    const elapsed = Date.now() - started;
+
+    // 主线程在渲染期间仍能处理定时器
+    if (elapsed > 100 && ticks < elapsed / 10 / 4) {
+      throw new Error(`Event loop blocked during render: ${ticks} ticks in ${elapsed}ms`);
+    }
+    console.log(`✓ Event loop responsive during render: ${ticks} ticks in ${elapsed}ms`);
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+async function testTimeoutAndCancel(pool) {
+  await expectRejection(
+    pool.run(imageGenerator.prepareImage({ type: 'png', option: heavyOption }), { timeout: 20 }),
+    'Render timed out after 20ms'
+  );
+
+  const cancelled = pool.run(imageGenerator.prepareImage({ type: 'png', option: heavyOption }), { id: 'task-1' });
+  await delay(20);
+  if (!pool.cancel('task-1')) {
+    throw new Error('Running render should be cancellable');
+  }
+  await expectRejection(cancelled, 'Render cancelled');
+
+  const status = pool.getStatus();
+  if (status.timedOut !== 1 || status.cancelled !== 1) {
+    throw new Error(`Unexpected pool status: ${JSON.stringify(status)}`);
+  }
+
+  // 终止的线程被替换
+  const after = await pool.run(imageGenerator.prepareImage({ type: 'png', option }));
+  if (after.contentType !== 'image/png') {
+    throw new Error('Pool should keep working after terminating a worker');
+  }
+  console.log('✓ Timed out and cancelled renders terminate their worker');
+}
+
+async function testRecycle() {
+  const pool = new RenderPool({ size: 1, maxRenders: 2 });
+
+  try {
+    const [first] = Array.from(pool.workers);
+    await pool.run(imageGenerator.prepareImage({ type: 'png', option }));
+    await pool.run(imageGenerator.prepareImage({ type: 'png', option }));
+
+    if (pool.workers.has(first) || pool.getStatus().recycled !== 1) {
+      throw new Error('Worker should be recycled after maxRenders');
+    }
+
+    await pool.run(imageGenerator.prepareImage({ type: 'png', option }));
+    if (pool.getStatus().workers !== 1) {
+      throw new Error('Recycled worker should be replaced');
+    }
+    console.log('✓ Worker recycled after maxRenders');
+  } finally {
+    await pool.destroy();
+  }
+}
+
+async function testHeapLimit() {
+  // 函数的调用超时足够长，只能由堆内存上限终止
+  const pool = new RenderPool({
+    size: 1,
+    heapLimit: 64,
+    generatorOptions: { enableFunctions: true, functionTimeout: 1000, functionTotalTimeout: 5000 }
+  });
+  const taskManager = new TaskManager(imageGenerator, null, { autoStart: false, renderPool: pool });
+  taskManager.taskQueue.options.retryAttempts = 0;
+
+  const allocating = {
+    ...option,
+    xAxis: {
+      ...option.xAxis,
+      axisLabel: { formatter: '__fn__:function (value) { const chunks = []; while (true) { chunks.push(new Array(1e6).fill(value)); } }' }
+    }
+  };
+
+  try {
+    const heapBefore = process.memoryUsage().heapUsed;
+    const task = await taskManager.createTask({ type: 'png', option: allocating });
+    for (let i = 0; i < 250 && !task.isFinished(); i++) {
+      await delay(20);
+    }
+
+    if (task.status !== 'failed' || !task.error.includes('heap limit of 64MB')) {
+      throw new Error(`Allocating function should fail the task, got ${task.status}: ${task.error}`);
+    }
+    if (process.memoryUsage().heapUsed - heapBefore > 32 * 1024 * 1024 || pool.getStatus().crashed !== 1) {
+      throw new Error('Memory should be allocated and released in the terminated worker');
+    }
+
+    const next = await taskManager.createTask({ type: 'png', option });
+    for (let i = 0; i < 250 && !next.isFinished(); i++) {
+      await delay(20);
+    }
+    if (next.status !== 'completed') {
+      throw new Error(`Pool should replace the terminated worker, got ${next.status}`);
+    }
+    console.log('✓ Function exceeding the heap limit fails its task:', task.error);
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testTaskManager() {
+  const pool = new RenderPool({ size: 1 });
+  const taskManager = new TaskManager(imageGenerator, null, { autoStart: false, renderPool: pool });
+
+  try {
+    const task = await taskManager.createTask({ type: 'png', option });
+    for (let i = 0; i < 100 && task.status !== 'completed'; i++) {
+      await delay(20);
+    }
+    if (task.status !== 'completed' || !task.imageUrl.startsWith('data:image/png;base64,')) {
+      throw new Error(`Task should be rendered by the pool, got ${task.status}`);
+    }
+    if (taskManager.getQueueStatus().renderPool.totalRenders !== 1) {
+      throw new Error('Queue status should include render pool status');
+    }
+    console.log('✓ TaskManager dispatches render jobs to the pool');
+
+    const heavy = await taskManager.createTask({ type: 'png', option: heavyOption });
+    await delay(20);
+    const { cancelled } = await taskManager.cancelTask(heavy.taskId);
+    if (!cancelled || pool.getStatus().cancelled !== 1) {
+      throw new Error('Cancelling a processing task should terminate its render');
+    }
+    console.log('✓ Cancelled task terminates its render');
+
+    taskManager.taskQueue.options.retryAttempts = 0;
+    const slow = await taskManager.createTask({ type: 'png', option: heavyOption }, { timeout: 0.02 });
+    for (let i = 0; i < 100 && slow.status === 'processing'; i++) {
+      await delay(20);
+    }
+    if (slow.status !== 'failed' || slow.timeoutPhase !== 'render' || pool.getStatus().timedOut !== 1) {
+      throw new Error(`Task deadline should terminate its render, got ${slow.status}`);
+    }
+    console.log('✓ Task deadline terminates its render:', slow.error);
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function runTests() {
+  const pool = new RenderPool({ size: 1 });
+
+  try {
+    console.log('\n=== 工作线程渲染测试 ===');
+    await testRender(pool);
+    await testResources(pool);
+    await testEventLoop(pool);
+
+    console.log('\n=== 超时与取消测试 ===');
+    await testTimeoutAndCancel(pool);
+
+    console.log('\n=== 线程回收测试 ===');
+    await testRecycle();
+    await testHeapLimit();
+
+    console.log('\n=== TaskManager集成测试 ===');
+    await testTaskManager();
+
+    console.log('\n✓ All render pool tests passed!');
+  } catch (error) {
+    console.error('✗ Render pool test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.destroy();
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,238 @@
+/**
+ * 私有存储签名URL测试
+ * 测试 STORAGE_PRIVATE=true 时OSS和S3的签名URL生成、任务状态中imageUrl的重新签名，以及 GET /api/charts/status/:taskId/url
+ */
+
+// 设置测试环境变量（使用S3私有存储，请求由测试替换的send处理）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3010';
+process.env.STORAGE_DRIVER = 's3';
+process.env.S3_BUCKET = 'private-charts';
+process.env.S3_REGION = 'us-east-1';
+process.env.S3_ACCESS_KEY_ID = 'test-key-id';
+process.env.S3_SECRET_ACCESS_KEY = 'test-secret';
+process.env.S3_PUBLIC_URL = 'https://cdn.example.com';
+process.env.STORAGE_PRIVATE = 'true';
+process.env.SIGNED_URL_TTL = '600';
+
+const http = require('http');
+const App = require('../src/app');
+const OSSClient = require('../src/services/OSSClient');
+const S3StorageClient = require('../src/services/S3StorageClient');
+const Task = require('../src/models/Task');
+
+console.log('Testing signed URLs...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function makeRequest(method, path, data = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3010,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: JSON.parse(body) });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+async function testOSSSignedUrl() {
+  const puts = [];
+  const client = new OSSClient({
+    accessKeyId: 'test-key-id',
+    accessKeySecret: 'test-secret',
+    bucket: 'private-charts',
+    region: 'oss-cn-hangzhou',
+    customDomain: 'cdn.example.com',
+    pathPrefix: 'charts/',
+    privateBucket: true,
+    signedUrlTtl: 600
+  });
+  client.client.put = async (name, buffer, options) => puts.push({ name, options });
+
+  const result = await client.uploadFile(Buffer.from('png'), 'a.png', 'image/png');
+  const url = new URL(result.url);
+
+  if (url.origin !== 'https://private-charts.oss-cn-hangzhou.aliyuncs.com' || url.pathname !== '/charts/a.png' ||
+      !url.searchParams.get('Signature') || !url.searchParams.get('OSSAccessKeyId')) {
+    throw new Error(`Unexpected OSS signed URL: ${result.url}`);
+  }
+
+  const expires = Number(url.searchParams.get('Expires'));
+  if (Math.abs(expires - (Math.floor(Date.now() / 1000) + 600)) > 2) {
+    throw new Error(`OSS signed URL should expire in 600 seconds, got ${expires}`);
+  }
+
+  const { headers } = puts[0].options;
+  if (headers['x-oss-object-acl'] !== 'private' || !headers['Cache-Control'].startsWith('private')) {
+    throw new Error(`Private upload should set private ACL, got ${JSON.stringify(headers)}`);
+  }
+  console.log('✓ OSS private upload signed with bucket domain');
+
+  const publicClient = new OSSClient({ ...client.config, privateBucket: false });
+  const publicUrl = await publicClient.getFileUrl('charts/a.png');
+  if (publicUrl.url !== 'https://cdn.example.com/charts/a.png' || publicUrl.expiresAt !== null) {
+    throw new Error(`Public mode should keep public URL, got ${JSON.stringify(publicUrl)}`);
+  }
+  console.log('✓ Public mode returns unsigned URL');
+}
+
+async function testS3SignedUrl() {
+  const client = new S3StorageClient({
+    bucket: 'private-charts',
+    region: 'us-east-1',
+    endpoint: 'http://127.0.0.1:9000',
+    forcePathStyle: true,
+    accessKeyId: 'test-key-id',
+    secretAccessKey: 'test-secret',
+    privateBucket: true
+  });
+
+  const { url, expiresAt } = await client.getFileUrl('charts/a.png', 120);
+  const parsed = new URL(url);
+
+  if (parsed.origin !== 'http://127.0.0.1:9000' || parsed.pathname !== '/private-charts/charts/a.png' ||
+      parsed.searchParams.get('X-Amz-Expires') !== '120' || !parsed.searchParams.get('X-Amz-Signature')) {
+    throw new Error(`Unexpected S3 signed URL: ${url}`);
+  }
+
+  if (Math.abs(expiresAt.getTime() - (Date.now() + 120 * 1000)) > 2000) {
+    throw new Error(`expiresAt should be 120 seconds later, got ${expiresAt.toISOString()}`);
+  }
+  console.log('✓ S3 presigned URL uses endpoint and requested expiry');
+}
+
+async function createTask(body = {}) {
+  const created = await makeRequest('POST', '/api/charts/generate', { type: 'png', option, ...body });
+
+  for (let i = 0; i < 100; i++) {
+    const status = await makeRequest('GET', created.body.data.statusUrl);
+    if (status.body.data.status === 'completed') {
+      return status.body.data;
+    }
+    await delay(20);
+  }
+
+  throw new Error(`Task ${created.body.data.taskId} did not complete`);
+}
+
+async function testTaskStatus(objects) {
+  const task = await createTask();
+  const first = new URL(task.imageUrl);
+
+  if (first.origin !== 'https://private-charts.s3.us-east-1.amazonaws.com' ||
+      first.searchParams.get('X-Amz-Expires') !== '600' || !task.imageUrlExpiresAt) {
+    throw new Error(`Status should return a signed URL, got ${task.imageUrl}`);
+  }
+
+  const stored = objects.get(task.fileName);
+  if (!stored || !stored.CacheControl.startsWith('private')) {
+    throw new Error('Image should be uploaded with private cache control');
+  }
+  console.log('✓ Status returns signed URL with expiry');
+
+  // 签名时间精确到秒
+  await delay(1100);
+
+  const again = await makeRequest('GET', `/api/charts/status/${task.taskId}`);
+  if (again.body.data.imageUrl === task.imageUrl ||
+      new Date(again.body.data.imageUrlExpiresAt) <= new Date(task.imageUrlExpiresAt)) {
+    throw new Error('Status should regenerate the signed URL on each call');
+  }
+  console.log('✓ Signed URL regenerated on each status call');
+
+  return task;
+}
+
+async function testFreshUrl(app, task) {
+  const fresh = await makeRequest('GET', `/api/charts/status/${task.taskId}/url?expiresIn=120`);
+  if (fresh.statusCode !== 200 || new URL(fresh.body.data.imageUrl).searchParams.get('X-Amz-Expires') !== '120' ||
+      !fresh.body.data.expiresAt) {
+    throw new Error(`Expected fresh URL with 120 seconds expiry, got ${JSON.stringify(fresh.body)}`);
+  }
+
+  const defaultTtl = await makeRequest('GET', `/api/charts/status/${task.taskId}/url`);
+  if (new URL(defaultTtl.body.data.imageUrl).searchParams.get('X-Amz-Expires') !== '600') {
+    throw new Error('Fresh URL should default to SIGNED_URL_TTL');
+  }
+  console.log('✓ Fresh URL generated for existing task');
+
+  for (const expiresIn of ['601', '10', 'abc']) {
+    const invalid = await makeRequest('GET', `/api/charts/status/${task.taskId}/url?expiresIn=${expiresIn}`);
+    if (invalid.statusCode !== 400 || invalid.body.error.type !== 'VALIDATION_ERROR') {
+      throw new Error(`Expected 400 for expiresIn=${expiresIn}, got ${invalid.statusCode}`);
+    }
+  }
+
+  const missing = await makeRequest('GET', '/api/charts/status/missing-task/url');
+  if (missing.statusCode !== 404) {
+    throw new Error(`Expected 404 for missing task, got ${missing.statusCode}`);
+  }
+
+  // 模拟仍在等待中的任务
+  app.taskManager.findTask = async () => new Task({ type: 'png', option });
+  const pending = await makeRequest('GET', '/api/charts/status/pending-task/url');
+  delete app.taskManager.findTask;
+  if (pending.statusCode !== 409 || pending.body.data.status !== 'pending') {
+    throw new Error(`Expected 409 for pending task, got ${pending.statusCode}`);
+  }
+  console.log('✓ Invalid expiresIn, missing and unfinished tasks rejected');
+}
+
+async function runTests() {
+  const app = new App();
+
+  // 替换S3请求，上传的对象保存在内存中
+  const objects = new Map();
+  app.ossClient.client.send = async (command) => {
+    objects.set(command.input.Key, command.input);
+    return {};
+  };
+
+  try {
+    console.log('\n=== 签名URL生成测试 ===');
+    await testOSSSignedUrl();
+    await testS3SignedUrl();
+
+    await app.start();
+
+    console.log('\n=== 任务状态测试 ===');
+    const task = await testTaskStatus(objects);
+
+    console.log('\n=== 获取新URL测试 ===');
+    await testFreshUrl(app, task);
+
+    console.log('\n✓ All signed URL tests passed!');
+  } catch (error) {
+    console.error('✗ Signed URL test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,394 @@
+/**
+ * 存储驱动测试
+ * 测试本地文件系统和S3兼容存储的上传、下载、删除、URL生成，以及与ImageGenerator、TaskManager的集成
+ */
+
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageClient = require('../src/services/LocalStorageClient');
+const S3StorageClient = require('../src/services/S3StorageClient');
+const ImageGenerator = require('../src/services/ImageGenerator');
+const TaskManager = require('../src/services/TaskManager');
+
+console.log('Testing storage clients...');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echarts-storage-'));
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function expectRejection(promise, message) {
+  try {
+    await promise;
+  } catch (error) {
+    if (!error.message.includes(message)) {
+      throw new Error(`Expected "${message}", got "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`Expected "${message}" rejection`);
+}
+
+async function testLocalStorage() {
+  const storage = new LocalStorageClient({
+    rootDir,
+    publicUrl: 'https://static.example.com/files/',
+    pathPrefix: 'charts/'
+  });
+
+  const { url, fileName } = await storage.uploadFile(Buffer.from('<svg/>'), 'chart.svg', 'image/svg+xml');
+  const dateDir = new Date().toISOString().substring(0, 10).replace(/-/g, '/');
+  if (fileName !== `charts/${dateDir}/chart.svg` || url !== `https://static.example.com/files/${fileName}`) {
+    throw new Error(`Unexpected upload result: ${url} ${fileName}`);
+  }
+  if (fs.readFileSync(path.join(rootDir, fileName), 'utf8') !== '<svg/>') {
+    throw new Error('File should be written under the root directory');
+  }
+  console.log('✓ File written to date directory:', url);
+
+  const downloaded = await storage.downloadFile(fileName);
+  if (downloaded.buffer.toString() !== '<svg/>' || downloaded.contentType !== 'image/svg+xml') {
+    throw new Error('Downloaded file should match the uploaded content');
+  }
+  console.log('✓ File read back with content type from extension');
+
+  await storage.deleteFile(fileName);
+  await storage.deleteFile(fileName);
+  if (fs.existsSync(path.join(rootDir, 'charts', dateDir.substring(0, 4)))) {
+    throw new Error('File and its empty date directories should be deleted');
+  }
+  await expectRejection(storage.downloadFile(fileName), 'does not exist');
+  console.log('✓ Deleting a missing file succeeds, downloading it fails');
+
+  await expectRejection(storage.uploadFile(Buffer.from('x'), '../../../../../escape.png', 'image/png'), 'Invalid storage path');
+  await expectRejection(storage.deleteFile('../outside.png'), 'Invalid storage path');
+  console.log('✓ Paths outside the root directory rejected');
+
+  if (await storage.testConnection() !== true) {
+    throw new Error('Writable root directory should pass the connection test');
+  }
+  console.log('✓ Connection test checks the root directory');
+}
+
+async function testExpiredFiles() {
+  const storage = new LocalStorageClient({ rootDir, publicUrl: 'https://static.example.com', pathPrefix: 'expiring/' });
+  const day = 24 * 60 * 60 * 1000;
+  const dateDir = offset => new Date(Date.now() - offset * day).toISOString().substring(0, 10).replace(/-/g, '/');
+
+  // 没有任务记录的旧文件
+  for (const [offset, name] of [[10, 'old-1.png'], [10, 'old-2.png'], [8, 'edge.png'], [0, 'today.png']]) {
+    fs.mkdirSync(path.join(rootDir, 'expiring', dateDir(offset)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'expiring', dateDir(offset), name), 'png');
+  }
+  fs.writeFileSync(path.join(rootDir, 'expiring', 'not-a-date.png'), 'png');
+
+  const deleted = await storage.deleteExpiredFiles(7);
+  if (deleted !== 3) {
+    throw new Error(`Expected 3 expired files, got ${deleted}`);
+  }
+  if (fs.existsSync(path.join(rootDir, 'expiring', dateDir(10))) ||
+      !fs.existsSync(path.join(rootDir, 'expiring', dateDir(0), 'today.png')) ||
+      !fs.existsSync(path.join(rootDir, 'expiring', 'not-a-date.png'))) {
+    throw new Error('Only date directories older than the retention period should be deleted');
+  }
+  console.log('✓ Date directories older than retention deleted:', deleted);
+}
+
+/**
+ * 记录发送的命令，按命令名返回结果或抛出错误
+ */
+function mockSend(storage, handlers = {}) {
+  const commands = [];
+
+  storage.client.send = async (command, options) => {
+    const name = command.constructor.name;
+    commands.push({ name, input: command.input, options });
+
+    if (handlers[name]) {
+      return handlers[name](command.input, options);
+    }
+    return {};
+  };
+
+  return commands;
+}
+
+async function testS3Storage() {
+  const storage = new S3StorageClient({
+    bucket: 'charts-bucket',
+    region: 'us-west-2',
+    accessKeyId: 'key',
+    secretAccessKey: 'secret',
+    pathPrefix: 'charts/',
+    retryDelay: 1
+  });
+  const commands = mockSend(storage, {
+    GetObjectCommand: async () => ({
+      ContentType: 'image/png',
+      Body: { transformToByteArray: async () => new Uint8Array([1, 2, 3]) }
+    })
+  });
+
+  const deadline = Date.now() + 5000;
+  const { url, fileName } = await storage.uploadFile(Buffer.from('png'), 'chart.png', 'image/png', { deadline });
+  const put = commands[0];
+  if (put.name !== 'PutObjectCommand' || put.input.Bucket !== 'charts-bucket' ||
+      put.input.Key !== 'charts/chart.png' || put.input.ContentType !== 'image/png') {
+    throw new Error(`Unexpected put command: ${JSON.stringify(put.input)}`);
+  }
+  if (!put.options.abortSignal || url !== 'https://charts-bucket.s3.us-west-2.amazonaws.com/charts/chart.png') {
+    throw new Error('Upload should be bounded by the deadline and return the S3 URL');
+  }
+  console.log('✓ File uploaded to S3:', url);
+
+  const downloaded = await storage.downloadFile(fileName);
+  if (!downloaded.buffer.equals(Buffer.from([1, 2, 3])) || downloaded.contentType !== 'image/png') {
+    throw new Error('Downloaded body should be converted to a buffer');
+  }
+
+  await storage.deleteFile(fileName);
+  if (commands[2].name !== 'DeleteObjectCommand' || commands[2].input.Key !== 'charts/chart.png') {
+    throw new Error('Delete should address the uploaded key');
+  }
+  console.log('✓ File downloaded and deleted through S3 commands');
+
+  // 文件不存在时不重试
+  const missing = mockSend(storage, {
+    DeleteObjectCommand: async () => {
+      const error = new Error('Not Found');
+      error.$metadata = { httpStatusCode: 404 };
+      throw error;
+    }
+  });
+  await storage.deleteFile('charts/missing.png');
+  if (missing.length !== 1) {
+    throw new Error('Missing file should not be retried');
+  }
+
+  const failing = mockSend(storage, {
+    PutObjectCommand: async () => {
+      throw new Error('Service unavailable');
+    }
+  });
+  await expectRejection(storage.uploadFile(Buffer.from('png'), 'chart.png', 'image/png'), 'S3 upload failed after 3 attempts');
+  if (failing.length !== 3) {
+    throw new Error('Failed upload should be retried');
+  }
+  console.log('✓ Missing files skipped, failed uploads retried');
+
+  // 已中止的上传不再发送请求
+  const controller = new AbortController();
+  controller.abort(new Error('Task cancelled'));
+  const aborted = mockSend(storage);
+  await expectRejection(
+    storage.uploadFile(Buffer.from('png'), 'chart.png', 'image/png', { signal: controller.signal }),
+    'Task cancelled'
+  );
+  if (aborted.length !== 0) {
+    throw new Error('Aborted upload should not be sent');
+  }
+  console.log('✓ Aborted upload not sent');
+
+  mockSend(storage, {
+    HeadBucketCommand: async (input) => {
+      if (input.Bucket !== 'charts-bucket') {
+        throw new Error('Unexpected bucket');
+      }
+    }
+  });
+  if (await storage.testConnection() !== true) {
+    throw new Error('Connection test should check the bucket');
+  }
+  console.log('✓ Connection test checks the bucket');
+
+  const deletedKeys = [];
+  const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+  mockSend(storage, {
+    ListObjectsV2Command: async (input) => input.ContinuationToken
+      ? { Contents: [{ Key: 'render-cache/c.png', LastModified: old }], IsTruncated: false }
+      : {
+        Contents: [{ Key: 'render-cache/a.png', LastModified: old }, { Key: 'render-cache/b.png', LastModified: new Date() }],
+        IsTruncated: true,
+        NextContinuationToken: 'page-2'
+      },
+    DeleteObjectCommand: async (input) => deletedKeys.push(input.Key)
+  });
+  const deleted = await storage.deleteFilesBefore('render-cache/', new Date(Date.now() - 24 * 60 * 60 * 1000));
+  if (deleted !== 2 || deletedKeys.join(',') !== 'render-cache/a.png,render-cache/c.png') {
+    throw new Error(`Only old objects on every page should be deleted, got ${deletedKeys}`);
+  }
+  console.log('✓ Old objects under a prefix deleted across list pages');
+}
+
+function testS3Urls() {
+  const minio = new S3StorageClient({ bucket: 'charts', endpoint: 'http://127.0.0.1:9000', forcePathStyle: true });
+  const virtualHost = new S3StorageClient({ bucket: 'charts', endpoint: 'https://storage.example.com' });
+  const cdn = new S3StorageClient({ bucket: 'charts', publicUrl: 'https://cdn.example.com/' });
+
+  const urls = [
+    [minio.generatePublicUrl('a.png'), 'http://127.0.0.1:9000/charts/a.png'],
+    [virtualHost.generatePublicUrl('a.png'), 'https://charts.storage.example.com/a.png'],
+    [cdn.generatePublicUrl('a.png'), 'https://cdn.example.com/a.png']
+  ];
+
+  for (const [actual, expected] of urls) {
+    if (actual !== expected) {
+      throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+  }
+  console.log('✓ S3 URLs generated for path style, virtual host and public URL');
+}
+
+function expectThrow(fn, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!error.message.includes(message)) {
+      throw new Error(`Expected "${message}", got "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`Expected "${message}" error`);
+}
+
+function testObjectNames() {
+  const storage = new S3StorageClient({ bucket: 'charts', allowedPathPrefixes: ['reports/', 'tenants/{tenant}/'] });
+  const values = { taskId: 'task-1', tenant: 'acme' };
+  const date = new Date().toISOString().substring(0, 10).replace(/-/g, '/');
+
+  const names = [
+    [storage.resolveObjectName('reports/{date}/{taskId}', values), `reports/${date}/task-1`],
+    [storage.resolveObjectName('tenants/{tenant}/{fileName}', { ...values, fileName: 'q1.sales', overwrite: true }), 'tenants/acme/q1.sales'],
+    [storage.resolveObjectName('reports/', { ...values, fileName: 'daily', overwrite: true }), 'reports/daily'],
+    [storage.resolveObjectName('reports/{taskId}/', { ...values, fileName: 'daily' }), 'reports/task-1/daily']
+  ];
+
+  for (const [actual, expected] of names) {
+    if (actual !== expected) {
+      throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+  }
+
+  if (!/^reports\/task-1_\d+_[a-z0-9]+$/.test(storage.resolveObjectName('reports/', values))) {
+    throw new Error('Template ending with / should append a unique file name');
+  }
+  console.log('✓ Path templates resolved with placeholders');
+
+  expectThrow(() => storage.resolveObjectName('reports/../secrets/x', values), 'without empty, "." or ".." segments');
+  expectThrow(() => storage.resolveObjectName('/reports/x', values), 'without empty, "." or ".." segments');
+  expectThrow(() => storage.resolveObjectName('reports//x', values), 'without empty, "." or ".." segments');
+  expectThrow(() => storage.resolveObjectName('reports\\x', values), 'without empty, "." or ".." segments');
+  expectThrow(() => storage.resolveObjectName('tenants/{tenant}/x', { ...values, tenant: '..' }), '".." segments');
+  expectThrow(() => storage.resolveObjectName('reports/{user}', values), 'unknown placeholder {user}');
+  expectThrow(() => storage.resolveObjectName('reports/', { ...values, fileName: '../x' }), 'fileName must be');
+  expectThrow(() => storage.resolveObjectName('tenants/other/x', values), 'ossPath must start with one of');
+  expectThrow(() => storage.resolveObjectName('reportsx/x', values), 'ossPath must start with one of');
+  expectThrow(() => storage.resolveObjectName('reports/daily', values), 'include {taskId} or set overwrite');
+  expectThrow(() => storage.resolveObjectName('reports/', { ...values, fileName: 'daily' }), 'include {taskId} or set overwrite');
+  console.log('✓ Path traversal and paths outside allowed prefixes rejected');
+}
+
+async function testIntegration() {
+  const storage = new LocalStorageClient({ rootDir, publicUrl: 'https://static.example.com' });
+  const imageGenerator = new ImageGenerator(storage);
+  const taskManager = new TaskManager(imageGenerator, storage, { autoStart: false });
+
+  try {
+    const task = await taskManager.createTask({ type: 'svg', option });
+    for (let i = 0; i < 100 && task.status !== 'completed'; i++) {
+      await delay(20);
+    }
+
+    if (task.status !== 'completed' || !task.imageUrl.startsWith('https://static.example.com/')) {
+      throw new Error(`Task should be uploaded to local storage, got ${task.status}: ${task.imageUrl}`);
+    }
+    if (!fs.existsSync(path.join(rootDir, task.fileName))) {
+      throw new Error('Uploaded image should exist on disk');
+    }
+
+    const image = await taskManager.getTaskImage(task);
+    if (image.contentType !== 'image/svg+xml' || !image.buffer.toString().includes('<svg')) {
+      throw new Error('Task image should be read back from local storage');
+    }
+    console.log('✓ Task uploaded through ImageGenerator:', task.imageUrl);
+
+    const createNamed = async () => {
+      const named = await taskManager.createTask(
+        { type: 'svg', option, ossPath: 'reports/{tenant}/', fileName: 'weekly', overwrite: true }, { tenant: 'acme' });
+      for (let i = 0; i < 100 && named.status !== 'completed'; i++) {
+        await delay(20);
+      }
+      return named;
+    };
+
+    const named = await createNamed();
+    if (!named.fileName || !named.fileName.endsWith('/reports/acme/weekly.svg') ||
+        !fs.existsSync(path.join(rootDir, named.fileName))) {
+      throw new Error(`Task should be uploaded to the requested path, got ${named.fileName}`);
+    }
+    console.log('✓ Task uploaded to requested path:', named.fileName);
+
+    // 同名文件被后来的任务覆盖
+    const rewritten = await createNamed();
+    if (rewritten.fileName !== named.fileName) {
+      throw new Error(`Overwrite task should reuse the object name, got ${rewritten.fileName}`);
+    }
+
+    // 过期任务的文件由清理流程删除，已被后来的任务覆盖的文件保留
+    task.createdAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    named.createdAt = task.createdAt;
+    const result = await taskManager.cleanupExpiredTasks();
+    if (result.deletedFiles !== 1 || fs.existsSync(path.join(rootDir, task.fileName))) {
+      throw new Error(`Cleanup should delete the expired file, got ${JSON.stringify(result)}`);
+    }
+    if (!fs.existsSync(path.join(rootDir, rewritten.fileName))) {
+      throw new Error('Cleanup should keep a file owned by a later task');
+    }
+    console.log('✓ Expired task file deleted by cleanup, overwritten file kept');
+
+    rewritten.createdAt = task.createdAt;
+    const second = await taskManager.cleanupExpiredTasks();
+    if (second.deletedFiles !== 1 || fs.existsSync(path.join(rootDir, rewritten.fileName))) {
+      throw new Error(`Cleanup should delete the file with its owning task, got ${JSON.stringify(second)}`);
+    }
+    console.log('✓ Overwritten file deleted with the task that owns it');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function runTests() {
+  try {
+    console.log('\n=== 本地存储测试 ===');
+    await testLocalStorage();
+    await testExpiredFiles();
+
+    console.log('\n=== S3存储测试 ===');
+    await testS3Storage();
+    testS3Urls();
+    testObjectNames();
+
+    console.log('\n=== 集成测试 ===');
+    await testIntegration();
+
+    console.log('\n✓ All storage client tests passed!');
+  } catch (error) {
+    console.error('✗ Storage client test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+runTests();
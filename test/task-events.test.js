@@ -0,0 +1,243 @@
+/**
+ * 任务状态事件流测试
+ * 测试 GET /api/charts/status/:taskId/events 和 GET /api/charts/events 的SSE推送
+ */
+
+// 设置测试环境变量（不配置OSS）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3007';
+
+const http = require('http');
+const App = require('../src/app');
+
+console.log('Testing task event streams...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+function makeRequest(method, path, data = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3007,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: JSON.parse(body) });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * 打开事件流，每收到一条事件调用onEvent，连接关闭时返回全部事件
+ */
+function openStream(path, onEvent = () => {}) {
+  let request;
+  const events = new Promise((resolve, reject) => {
+    request = http.get({ hostname: 'localhost', port: 3007, path }, (res) => {
+      if (res.headers['content-type'] !== 'text/event-stream') {
+        reject(new Error(`Expected event stream, got ${res.statusCode} ${res.headers['content-type']}`));
+        return;
+      }
+
+      const received = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let separator;
+        while ((separator = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.substring(0, separator);
+          buffer = buffer.substring(separator + 2);
+
+          const fields = {};
+          for (const line of block.split('\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+              fields[line.substring(0, colon)] = line.substring(colon + 2);
+            }
+          }
+          if (fields.event) {
+            const event = { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+            received.push(event);
+            onEvent(event);
+          }
+        }
+      });
+      res.on('end', () => resolve(received));
+    });
+    request.on('error', reject);
+  });
+
+  return { request, events };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function createPausedTask(body) {
+  const response = await makeRequest('POST', '/api/charts/generate', body);
+  return response.body.data.taskId;
+}
+
+async function testSingleTaskStream(app) {
+  const queueOptions = app.taskManager.taskQueue.options;
+  const { maxConcurrent } = queueOptions;
+  queueOptions.maxConcurrent = 0;
+
+  let taskId;
+  try {
+    taskId = await createPausedTask({ option });
+  } finally {
+    queueOptions.maxConcurrent = maxConcurrent;
+  }
+
+  // 收到初始pending事件后恢复处理
+  const { events } = openStream(`/api/charts/status/${taskId}/events`, (event) => {
+    if (event.event === 'pending') {
+      app.taskManager.forceProcessNext();
+    }
+  });
+  const received = await events;
+  const names = received.map(event => event.event);
+
+  if (names.join(',') !== 'pending,processing,completed,end') {
+    throw new Error(`Unexpected event sequence: ${names.join(',')}`);
+  }
+  if (!received[2].data.imageUrl.startsWith('data:image/png;base64,') || received[2].id !== 3) {
+    throw new Error('Completed event should carry imageUrl and sequential id');
+  }
+  console.log('✓ Single task stream:', names.join(' -> '));
+
+  // 已结束的任务立即返回当前状态并关闭
+  const finished = await openStream(`/api/charts/status/${taskId}/events`).events;
+  if (finished.map(event => event.event).join(',') !== 'completed,end') {
+    throw new Error('Finished task should stream its final state and close');
+  }
+  console.log('✓ Finished task stream closes immediately');
+}
+
+async function testMultiTaskStream(app) {
+  const queueOptions = app.taskManager.taskQueue.options;
+  const { maxConcurrent } = queueOptions;
+  queueOptions.maxConcurrent = 0;
+
+  let okTaskId;
+  let failingTaskId;
+  try {
+    okTaskId = await createPausedTask({ type: 'svg', option });
+    failingTaskId = await createPausedTask({
+      option: { ...option, series: [{ type: 'bar', data: [1], xAxisIndex: 5 }] }
+    });
+  } finally {
+    queueOptions.maxConcurrent = maxConcurrent;
+  }
+
+  let started = false;
+  const { events } = openStream(`/api/charts/events?taskIds=${okTaskId},${failingTaskId}`, (event) => {
+    if (event.event === 'pending' && !started) {
+      started = true;
+      setImmediate(() => app.taskManager.forceProcessNext());
+    }
+  });
+  const received = await events;
+
+  const forTask = taskId => received.filter(event => event.data.taskId === taskId).map(event => event.event);
+  const okEvents = forTask(okTaskId);
+  const failingEvents = forTask(failingTaskId);
+
+  if (okEvents[okEvents.length - 1] !== 'completed') {
+    throw new Error(`SVG task should complete, got ${okEvents.join(',')}`);
+  }
+  if (!failingEvents.includes('retry') || failingEvents[failingEvents.length - 1] !== 'failed') {
+    throw new Error(`Failing task should retry and fail, got ${failingEvents.join(',')}`);
+  }
+  if (received[received.length - 1].event !== 'end') {
+    throw new Error('Stream should end after all tasks finish');
+  }
+  console.log('✓ Multi task stream:', failingEvents.join(' -> '));
+}
+
+async function testDisconnectAndErrors(app) {
+  const queueOptions = app.taskManager.taskQueue.options;
+  const { maxConcurrent } = queueOptions;
+  queueOptions.maxConcurrent = 0;
+
+  try {
+    const taskId = await createPausedTask({ option });
+    const stream = openStream(`/api/charts/status/${taskId}/events`);
+    stream.events.catch(() => {});
+
+    await delay(100);
+    if (app.taskManager.taskEvents.getConnectionCount() !== 1) {
+      throw new Error('Open stream should be registered');
+    }
+
+    stream.request.destroy();
+    await delay(100);
+    if (app.taskManager.taskEvents.getConnectionCount() !== 0 || app.taskManager.taskEvents.subscribers.size !== 0) {
+      throw new Error('Disconnected stream should be unsubscribed');
+    }
+    console.log('✓ Client disconnect releases subscription');
+  } finally {
+    queueOptions.maxConcurrent = maxConcurrent;
+    app.taskManager.forceProcessNext();
+  }
+
+  const missing = await makeRequest('GET', '/api/charts/status/missing-task/events');
+  if (missing.statusCode !== 404 || missing.body.error.type !== 'NOT_FOUND_ERROR') {
+    throw new Error(`Expected 404 for missing task, got ${missing.statusCode}`);
+  }
+
+  const empty = await makeRequest('GET', '/api/charts/events?taskIds=');
+  if (empty.statusCode !== 400) {
+    throw new Error(`Expected 400 for empty taskIds, got ${empty.statusCode}`);
+  }
+  console.log('✓ Missing tasks and empty task lists rejected');
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    await app.start();
+
+    console.log('\n=== 单任务事件流测试 ===');
+    await testSingleTaskStream(app);
+
+    console.log('\n=== 多任务事件流测试 ===');
+    await testMultiTaskStream(app);
+
+    console.log('\n=== 断开连接和错误处理测试 ===');
+    await testDisconnectAndErrors(app);
+
+    console.log('\n✓ All task event stream tests passed!');
+  } catch (error) {
+    console.error('✗ Task event stream test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,325 @@
+/**
+ * 任务队列测试
+ * 测试按优先级调度、优先级老化、租户公平调度与配额和各优先级/租户的等待任务统计
+ */
+
+process.env.NODE_ENV = 'test';
+
+const Task = require('../src/models/Task');
+const TaskQueue = require('../src/services/TaskQueue');
+const MetricsService = require('../src/services/MetricsService');
+
+console.log('Testing task queue...');
+
+const option = { series: [{ type: 'bar', data: [1, 2, 3] }] };
+
+function createTask(priority, ageSeconds = 0, tenant) {
+  const task = new Task({ type: 'png', option }, { priority, tenant });
+  task.createdAt = new Date(Date.now() - ageSeconds * 1000);
+  return task;
+}
+
+// 暂停处理，入队后逐个取出，返回处理顺序
+function drain(queue, tasks) {
+  const order = [];
+  queue.on('taskStarted', task => order.push(task));
+
+  queue.options.maxConcurrent = 0;
+  tasks.forEach(task => queue.enqueue(task));
+
+  queue.options.maxConcurrent = 1;
+  for (let i = 0; i < tasks.length; i++) {
+    queue.processNext();
+    queue.completeTask(order[order.length - 1].taskId, 'data:image/png;base64,', null);
+  }
+
+  return order;
+}
+
+function testPriorityOrder() {
+  const queue = new TaskQueue({ priorityAging: 60 });
+
+  try {
+    const low = createTask('low');
+    const normal = createTask('normal');
+    const firstHigh = createTask('high');
+    const secondHigh = createTask('high');
+    const order = drain(queue, [low, normal, firstHigh, secondHigh]);
+
+    const expected = [firstHigh, secondHigh, normal, low];
+    if (order.some((task, index) => task !== expected[index])) {
+      throw new Error(`Unexpected order: ${order.map(task => task.priority).join(',')}`);
+    }
+    console.log('✓ Higher priority processed first, FIFO within the same priority');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testAging() {
+  const queue = new TaskQueue({ priorityAging: 60 });
+
+  try {
+    // 等待超过两个老化周期的low任务与新的high任务有效优先级相同，先创建的优先
+    const agedLow = createTask('low', 130);
+    const normal = createTask('normal', 30);
+    const high = createTask('high');
+    const order = drain(queue, [high, normal, agedLow]);
+
+    if (order[0] !== agedLow || order[1] !== high || order[2] !== normal) {
+      throw new Error(`Aged task should be promoted, got ${order.map(task => task.priority).join(',')}`);
+    }
+    console.log('✓ Long-waiting low priority task promoted by aging');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testRetryKeepsPriority() {
+  const queue = new TaskQueue({ retryAttempts: 1 });
+  const started = [];
+  queue.on('taskStarted', task => started.push(task));
+
+  try {
+    queue.options.maxConcurrent = 0;
+    const high = createTask('high');
+    const low = createTask('low');
+    queue.enqueue(low);
+    queue.enqueue(high);
+
+    queue.options.maxConcurrent = 1;
+    queue.processNext();
+    queue.options.maxConcurrent = 0;
+    queue.failTask(high.taskId, 'Render failed');
+
+    if (queue.getPendingTasks()[0] !== high || high.status !== 'pending') {
+      throw new Error('Retried task should return to the front of its priority queue');
+    }
+
+    queue.options.maxConcurrent = 1;
+    queue.processNext();
+    if (started[1] !== high) {
+      throw new Error('Retried high priority task should be processed before low priority task');
+    }
+    console.log('✓ Retried task keeps its priority');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testTenantRoundRobin() {
+  const queue = new TaskQueue();
+
+  try {
+    // a先提交了4个任务，b和c之后各提交2个，不能等a的任务全部处理完
+    const tasks = ['a', 'a', 'a', 'a', 'b', 'b', 'c', 'c'].map(tenant => createTask('normal', 0, tenant));
+    const order = drain(queue, tasks).map(task => task.tenant).join(',');
+
+    if (order !== 'a,b,c,a,b,c,a,a') {
+      throw new Error(`Tenants should be served round-robin, got ${order}`);
+    }
+    console.log('✓ Tenants served round-robin:', order);
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testTenantWeight() {
+  const queue = new TaskQueue({ tenantQuotas: { heavy: { weight: 3 } } });
+
+  try {
+    const tasks = [];
+    for (let i = 0; i < 6; i++) {
+      tasks.push(createTask('normal', 0, 'heavy'), createTask('normal', 0, 'light'));
+    }
+    const order = drain(queue, tasks).slice(0, 8).map(task => task.tenant);
+    const heavy = order.filter(tenant => tenant === 'heavy').length;
+
+    if (heavy !== 6) {
+      throw new Error(`Weighted tenant should get 3 of every 4 slots, got ${order.join(',')}`);
+    }
+    console.log('✓ Weighted tenant gets proportionally more slots');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testTenantConcurrency() {
+  const queue = new TaskQueue({ maxConcurrent: 4, tenantMaxConcurrent: 2, tenantQuotas: { vip: { maxConcurrent: 0 } } });
+  const started = [];
+  queue.on('taskStarted', task => started.push(task));
+
+  try {
+    queue.options.maxConcurrent = 0;
+    for (let i = 0; i < 4; i++) {
+      queue.enqueue(createTask('normal', 0, 'noisy'));
+    }
+    queue.enqueue(createTask('normal', 0, 'quiet'));
+
+    queue.options.maxConcurrent = 4;
+    for (let i = 0; i < 4; i++) {
+      queue.processNext();
+    }
+
+    const noisy = started.filter(task => task.tenant === 'noisy');
+    if (started.length !== 3 || noisy.length !== 2) {
+      throw new Error(`Tenant should be limited to 2 concurrent tasks, got ${started.map(task => task.tenant).join(',')}`);
+    }
+
+    queue.completeTask(noisy[0].taskId, 'data:image/png;base64,', null);
+    if (started.length !== 4 || started[3].tenant !== 'noisy') {
+      throw new Error('Finished task should free a slot for the same tenant');
+    }
+    console.log('✓ Per-tenant concurrency limit leaves slots for other tenants');
+
+    // 单独配置为0的租户不受默认并发限制
+    queue.options.maxConcurrent = 0;
+    for (let i = 0; i < 3; i++) {
+      queue.enqueue(createTask('normal', 0, 'vip'));
+    }
+    queue.options.maxConcurrent = 10;
+    for (let i = 0; i < 3; i++) {
+      queue.processNext();
+    }
+    if (started.filter(task => task.tenant === 'vip').length !== 3) {
+      throw new Error('Tenant quota of 0 should disable the default concurrency limit');
+    }
+    console.log('✓ Tenant quota overrides the default limit');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testTenantPendingLimit() {
+  const queue = new TaskQueue({ tenantMaxPending: 2 });
+
+  try {
+    queue.options.maxConcurrent = 0;
+    queue.enqueue(createTask('normal', 0, 'a'));
+    queue.enqueue(createTask('normal', 0, 'a'));
+
+    let error = null;
+    try {
+      queue.enqueue(createTask('normal', 0, 'a'));
+    } catch (enqueueError) {
+      error = enqueueError;
+    }
+    if (!error || error.code !== 'TENANT_QUEUE_FULL') {
+      throw new Error('Enqueue beyond tenant pending limit should throw TENANT_QUEUE_FULL');
+    }
+    if (!queue.enqueue(createTask('normal', 0, 'b'))) {
+      throw new Error('Other tenants should not be affected by the limit');
+    }
+    console.log('✓ Tenant pending limit rejects new tasks:', error.message);
+
+    // 重启恢复的任务不受限制
+    if (!queue.restoreTask(createTask('normal', 0, 'a')) || queue.getQueueStatus().tenants.a.pendingTasks !== 3) {
+      throw new Error('Restored tasks should bypass the pending limit');
+    }
+    console.log('✓ Restored tasks bypass the pending limit');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testTenantStatus() {
+  const queue = new TaskQueue({ retryAttempts: 0, tenantQuotas: { a: { weight: 2, maxPending: 10 } } });
+
+  try {
+    const tasks = [createTask('normal', 0, 'a'), createTask('normal', 0, 'b'), createTask('normal', 0, 'a')];
+    queue.options.maxConcurrent = 0;
+    tasks.forEach(task => queue.enqueue(task));
+
+    queue.options.maxConcurrent = 2;
+    queue.processNext();
+    queue.processNext();
+    queue.completeTask(tasks[0].taskId, 'data:image/png;base64,', null);
+    queue.failTask(tasks[1].taskId, 'Render failed');
+    queue.cancelTask(tasks[2].taskId);
+
+    const { a, b } = queue.getQueueStatus().tenants;
+    if (a.totalProcessed !== 1 || a.totalCancelled !== 1 || a.processingTasks !== 0 || a.weight !== 2 || a.maxPending !== 10) {
+      throw new Error(`Unexpected status for tenant a: ${JSON.stringify(a)}`);
+    }
+    if (b !== undefined) {
+      throw new Error(`Idle tenant without configured quota should be removed: ${JSON.stringify(b)}`);
+    }
+    console.log('✓ Queue status reported per tenant:', JSON.stringify(a));
+
+    // 每个请求使用不同租户名称时，状态不能无限增长
+    for (let i = 0; i < 50; i++) {
+      const task = createTask('normal', 0, `tenant-${i}`);
+      queue.enqueue(task);
+      queue.completeTask(task.taskId, 'data:image/png;base64,', null);
+    }
+    if (queue.scheduler.tenants.size !== 1 || !queue.scheduler.tenants.has('a')) {
+      throw new Error(`Idle tenants should be removed, ${queue.scheduler.tenants.size} left`);
+    }
+    console.log('✓ Idle tenants without configured quota removed');
+  } finally {
+    queue.destroy();
+  }
+}
+
+function testQueueStatus() {
+  const queue = new TaskQueue();
+  const metricsService = new MetricsService();
+
+  try {
+    queue.options.maxConcurrent = 0;
+    ['high', 'low', 'low', 'normal', 'low'].forEach(priority => queue.enqueue(createTask(priority)));
+
+    const status = queue.getQueueStatus();
+    const { high, normal, low } = status.pendingByPriority;
+    if (status.pendingTasks !== 5 || high !== 1 || normal !== 1 || low !== 3) {
+      throw new Error(`Unexpected pending counts: ${JSON.stringify(status)}`);
+    }
+
+    const cancelled = queue.getPendingTasks().find(task => task.priority === 'low');
+    queue.cancelTask(cancelled.taskId);
+    if (queue.getQueueStatus().pendingByPriority.low !== 2 || queue.getTask(cancelled.taskId).status !== 'cancelled') {
+      throw new Error('Cancelled task should be removed from its priority queue');
+    }
+    console.log('✓ Pending tasks counted by priority:', JSON.stringify(queue.getQueueStatus().pendingByPriority));
+
+    const current = queue.getQueueStatus();
+    metricsService.updateQueueStatus(current.pendingTasks, current.processingTasks, current.pendingByPriority);
+    const prometheus = metricsService.generatePrometheusMetrics();
+    if (!prometheus.includes('echarts_queue_pending_tasks_by_priority{priority="low"} 2') ||
+        !prometheus.includes('echarts_queue_pending_tasks_by_priority{priority="high"} 1')) {
+      throw new Error('Prometheus metrics should include pending tasks by priority');
+    }
+    console.log('✓ Pending tasks by priority exported to Prometheus');
+  } finally {
+    queue.destroy();
+    metricsService.destroy();
+  }
+}
+
+function runTests() {
+  try {
+    console.log('\n=== 优先级调度测试 ===');
+    testPriorityOrder();
+    testAging();
+    testRetryKeepsPriority();
+
+    console.log('\n=== 租户调度测试 ===');
+    testTenantRoundRobin();
+    testTenantWeight();
+    testTenantConcurrency();
+    testTenantPendingLimit();
+
+    console.log('\n=== 队列状态测试 ===');
+    testQueueStatus();
+    testTenantStatus();
+
+    console.log('\n✓ All task queue tests passed!');
+  } catch (error) {
+    console.error('✗ Task queue test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,299 @@
+/**
+ * 任务持久化存储测试
+ * 测试FileTaskStore的追加写、回放、压缩、敏感字段的处理，以及TaskManager和服务重启后的任务恢复
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 设置测试环境变量（不配置OSS，图片以data URL返回）
+const appStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-store-app-'));
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3011';
+process.env.TASK_STORE = 'file';
+process.env.TASK_STORE_PATH = path.join(appStoreDir, 'tasks.jsonl');
+
+const http = require('http');
+const App = require('../src/app');
+const Task = require('../src/models/Task');
+const FileTaskStore = require('../src/services/FileTaskStore');
+const TaskManager = require('../src/services/TaskManager');
+
+console.log('Testing task store...');
+
+const option = { series: [{ type: 'bar', data: [1, 2, 3] }] };
+
+// 立即返回结果的图片生成器
+const imageGenerator = {
+  generateImage: async () => ({ buffer: Buffer.from('image'), contentType: 'image/png', extension: 'png' })
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createTask(status) {
+  const task = new Task({ type: 'png', option });
+  if (status !== 'pending') {
+    task.start();
+  }
+  if (status === 'completed') {
+    task.complete('https://example.com/chart.png', 'charts/chart.png');
+  }
+  return task;
+}
+
+async function testFileTaskStore(dir) {
+  const filePath = path.join(dir, 'store', 'tasks.jsonl');
+  const secretKey = 'task-store-test-key';
+  const store = new FileTaskStore({ filePath, compactThreshold: 5, secretKey });
+
+  if ((await store.load()).length !== 0) {
+    throw new Error('New store should be empty');
+  }
+
+  const task = createTask('pending');
+  task.setCallback('https://example.com/hook', 'secret');
+  store.save(task);
+  task.start();
+  store.save(task);
+
+  const removed = createTask('completed');
+  store.save(removed);
+  store.remove([removed.taskId]);
+  await store.flush();
+
+  // 状态变化只追加变化的字段
+  const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const update = entries.find(entry => entry.op === 'update');
+  if (entries.length !== 4 || !update || update.changes.status !== 'processing' || update.changes.config) {
+    throw new Error(`Status changes should be appended as deltas, got ${JSON.stringify(entries)}`);
+  }
+  console.log('✓ Status changes appended without the task config');
+
+  // 模拟进程中断留下的不完整记录
+  fs.appendFileSync(filePath, '{"op":"put","task":{"taskId"');
+
+  const records = await new FileTaskStore({ filePath, secretKey }).load();
+  if (records.length !== 1 || records[0].status !== 'processing' || !records[0].callback ||
+      records[0].callback.secret !== 'secret') {
+    throw new Error(`Replay should return latest state of live tasks, got ${JSON.stringify(records)}`);
+  }
+
+  const restored = Task.fromRecord(records[0]);
+  if (restored.taskId !== task.taskId || !(restored.startedAt instanceof Date) || restored.config.type !== 'png') {
+    throw new Error('Task should be restored from record');
+  }
+  console.log('✓ Records replayed, deleted and malformed records skipped');
+
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  if (lines.length !== 1) {
+    throw new Error(`Load should compact the file, got ${lines.length} lines`);
+  }
+
+  for (let i = 0; i < 10; i++) {
+    store.save(task);
+  }
+  await store.flush();
+  const compacted = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  if (compacted.length > 6) {
+    throw new Error(`Store should compact after threshold, got ${compacted.length} lines`);
+  }
+  console.log('✓ File compacted after threshold:', compacted.length, 'lines');
+}
+
+async function testSensitiveFields(dir) {
+  const filePath = path.join(dir, 'sensitive.jsonl');
+  const secretKey = 'task-store-test-key';
+  const store = new FileTaskStore({ filePath, secretKey });
+  await store.load();
+
+  const task = createTask('pending');
+  task.setCallback('https://example.com/hook', 'webhook-secret');
+  store.save(task);
+  task.start();
+  task.complete('data:image/png;base64,aW1hZ2U=', null);
+  store.save(task);
+  await store.close();
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (content.includes('webhook-secret') || content.includes('aW1hZ2U=')) {
+    throw new Error('Store should not contain the callback secret or data URL results in plaintext');
+  }
+
+  const [record] = await new FileTaskStore({ filePath, secretKey }).load();
+  if (record.callback.secret !== 'webhook-secret' || record.imageUrl !== null || !record.imageExpired ||
+      record.status !== 'completed') {
+    throw new Error(`Secret should be decrypted and data URL dropped, got ${JSON.stringify(record)}`);
+  }
+  console.log('✓ Callback secret encrypted and data URL results not stored');
+
+  // 密钥不匹配或未配置时不恢复回调，避免发出未签名的通知
+  for (const options of [{ secretKey: 'another-test-key-123' }, {}]) {
+    const [restored] = await new FileTaskStore({ filePath, ...options }).load();
+    if (restored.callback !== null) {
+      throw new Error('Callback should be dropped when its secret cannot be decrypted');
+    }
+  }
+
+  const unkeyed = path.join(dir, 'unkeyed.jsonl');
+  const plain = new FileTaskStore({ filePath: unkeyed });
+  await plain.load();
+  plain.save(task);
+  await plain.close();
+  if (fs.readFileSync(unkeyed, 'utf8').includes('webhook-secret')) {
+    throw new Error('Secret should not be stored without a key');
+  }
+  console.log('✓ Callbacks without a restorable secret dropped');
+}
+
+async function testRestoreTasks(dir) {
+  const filePath = path.join(dir, 'restore.jsonl');
+  const previous = new FileTaskStore({ filePath });
+  await previous.load();
+
+  // 重启前的状态：已完成、处理中（被中断）、等待中
+  const completed = createTask('completed');
+  const interrupted = createTask('processing');
+  const pending = createTask('pending');
+  [completed, interrupted, pending].forEach(task => previous.save(task));
+  await previous.close();
+
+  const taskManager = new TaskManager(imageGenerator, null, {
+    autoStart: false,
+    taskStore: new FileTaskStore({ filePath })
+  });
+
+  try {
+    const result = await taskManager.restoreTasks();
+    if (result.restored !== 3 || result.requeued !== 2) {
+      throw new Error(`Unexpected restore result: ${JSON.stringify(result)}`);
+    }
+
+    const history = taskManager.getTaskStatus(completed.taskId);
+    if (!history || history.status !== 'completed' || history.imageUrl !== 'https://example.com/chart.png') {
+      throw new Error('Completed task should be available for status lookups');
+    }
+    console.log('✓ Historical task status restored');
+
+    await delay(50);
+    for (const task of [interrupted, pending]) {
+      const current = taskManager.getTaskStatus(task.taskId);
+      if (!current || current.status !== 'completed') {
+        throw new Error(`Requeued task should be processed, got ${current && current.status}`);
+      }
+    }
+    console.log('✓ Interrupted and pending tasks requeued and processed');
+
+    // 新创建的任务也应持久化
+    const created = await taskManager.createTask({ type: 'png', option });
+    await delay(50);
+    await taskManager.taskStore.flush();
+
+    const records = await new FileTaskStore({ filePath }).load();
+    const statuses = Object.fromEntries(records.map(record => [record.taskId, record.status]));
+    if (records.length !== 4 || statuses[interrupted.taskId] !== 'completed' || statuses[created.taskId] !== 'completed') {
+      throw new Error(`Store should contain latest task states, got ${JSON.stringify(statuses)}`);
+    }
+    console.log('✓ State transitions persisted');
+
+    // 过期清理同步删除存储记录
+    taskManager.taskQueue.cleanupExpiredTasks(-1);
+    await taskManager.taskStore.flush();
+    if ((await new FileTaskStore({ filePath }).load()).length !== 0) {
+      throw new Error('Expired tasks should be removed from store');
+    }
+    console.log('✓ Expired tasks removed from store');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+function makeRequest(method, path, data = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3011,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+    });
+
+    req.on('error', reject);
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+    req.end();
+  });
+}
+
+async function testStatusAfterRestart() {
+  const chartOption = { xAxis: { type: 'category', data: ['A', 'B', 'C'] }, yAxis: { type: 'value' }, ...option };
+  let app = new App();
+  let taskId;
+
+  try {
+    await app.start();
+    const created = await makeRequest('POST', '/api/charts/generate', { type: 'png', option: chartOption });
+    taskId = created.body.data.taskId;
+
+    let status;
+    for (let i = 0; i < 100; i++) {
+      status = await makeRequest('GET', `/api/charts/status/${taskId}`);
+      if (status.body.data.status === 'completed') {
+        break;
+      }
+      await delay(20);
+    }
+    if (!status.body.data.imageUrl || !status.body.data.imageUrl.startsWith('data:') || status.body.data.imageExpired) {
+      throw new Error(`Task should complete with a data URL, got ${JSON.stringify(status.body.data)}`);
+    }
+  } finally {
+    await app.stop();
+  }
+
+  app = new App();
+  try {
+    await app.start();
+    const status = await makeRequest('GET', `/api/charts/status/${taskId}`);
+    const { data } = status.body;
+    if (status.statusCode !== 200 || data.status !== 'completed' || data.imageUrl !== null || data.imageExpired !== true) {
+      throw new Error(`Restored task should report the expired data URL, got ${JSON.stringify(data)}`);
+    }
+    console.log('✓ Status after restart reports imageExpired for data URL results');
+  } finally {
+    await app.stop();
+  }
+}
+
+async function runTests() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-store-'));
+
+  try {
+    console.log('\n=== 文件存储测试 ===');
+    await testFileTaskStore(dir);
+    await testSensitiveFields(dir);
+
+    console.log('\n=== 任务恢复测试 ===');
+    await testRestoreTasks(dir);
+
+    console.log('\n=== 服务重启测试 ===');
+    await testStatusAfterRestart();
+
+    console.log('\n✓ All task store tests passed!');
+  } catch (error) {
+    console.error('✗ Task store test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(appStoreDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+runTests();
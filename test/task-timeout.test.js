@@ -0,0 +1,219 @@
+/**
+ * 任务超时测试
+ * 测试每个任务的截止时间、渲染和上传阶段的中止、迟到结果的丢弃以及单次状态转换
+ */
+
+process.env.NODE_ENV = 'test';
+
+const TaskManager = require('../src/services/TaskManager');
+const Task = require('../src/models/Task');
+
+console.log('Testing task timeouts...');
+
+const config = { type: 'png', option: { series: [{ type: 'bar', data: [1, 2, 3] }] } };
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 返回可手动结束的渲染，每次调用生成一个新的等待中的渲染
+ */
+function createControlledGenerator() {
+  const renders = [];
+
+  return {
+    renders,
+    generateImage() {
+      return new Promise(resolve => {
+        renders.push(() => resolve({ buffer: Buffer.from('image'), contentType: 'image/png', extension: 'png' }));
+      });
+    }
+  };
+}
+
+function createTaskManager(imageGenerator, ossClient = null, retryAttempts = 0) {
+  const taskManager = new TaskManager(imageGenerator, ossClient, { autoStart: false, taskTimeout: 300 });
+  taskManager.taskQueue.options.retryAttempts = retryAttempts;
+  return taskManager;
+}
+
+async function testRenderTimeout() {
+  const imageGenerator = createControlledGenerator();
+  const taskManager = createTaskManager(imageGenerator);
+  const failed = [];
+  taskManager.taskQueue.on('taskFailed', task => failed.push(task.taskId));
+
+  try {
+    const task = await taskManager.createTask(config, { timeout: 0.05 });
+    await delay(100);
+
+    if (task.status !== 'failed' || task.error !== 'Task timed out after 0.05s during render') {
+      throw new Error(`Task should fail with render timeout, got ${task.status}: ${task.error}`);
+    }
+    if (task.timeoutPhase !== 'render' || task.toJSON().timeout !== 0.05) {
+      throw new Error('Timeout and phase should be recorded on the task');
+    }
+    if (taskManager.taskQueue.getProcessingTasks().length !== 0 || taskManager.attempts.size !== 0) {
+      throw new Error('Timed out task should release its slot');
+    }
+    console.log('✓ Task timed out during render:', task.error);
+
+    // 迟到的渲染结果被丢弃，不再完成任务
+    imageGenerator.renders[0]();
+    await delay(10);
+
+    if (task.status !== 'failed' || task.imageUrl !== null || failed.length !== 1) {
+      throw new Error('Late render result should be discarded');
+    }
+    if (taskManager.metricsService.getAllMetrics().tasks.timeout !== 1) {
+      throw new Error('Timeout should be recorded in metrics');
+    }
+    console.log('✓ Late render result discarded without a second transition');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testUploadTimeout() {
+  const deletedFiles = [];
+  let finishUpload;
+  let uploadOptions;
+
+  const imageGenerator = {
+    generateAndUploadImage: async (taskConfig, taskId, options) => {
+      options.onUpload();
+      uploadOptions = options;
+      return new Promise(resolve => {
+        finishUpload = () => resolve({ url: 'https://example.com/chart.png', fileName: 'charts/chart.png' });
+      });
+    }
+  };
+  const ossClient = {
+    deleteFile: async (fileName) => {
+      deletedFiles.push(fileName);
+    }
+  };
+  const taskManager = createTaskManager(imageGenerator, ossClient);
+
+  try {
+    const task = await taskManager.createTask(config, { timeout: 0.05 });
+    if (uploadOptions.deadline !== task.startedAt.getTime() + 50) {
+      throw new Error('Upload should receive the task deadline');
+    }
+
+    await delay(100);
+
+    if (task.status !== 'failed' || task.timeoutPhase !== 'upload') {
+      throw new Error(`Task should time out during upload, got ${task.status} ${task.timeoutPhase}`);
+    }
+    if (!uploadOptions.signal.aborted || uploadOptions.signal.reason.name !== 'TimeoutError') {
+      throw new Error('Upload should be aborted with a timeout error');
+    }
+    console.log('✓ Task timed out during upload:', task.error);
+
+    finishUpload();
+    await delay(10);
+
+    if (task.status !== 'failed' || deletedFiles[0] !== 'charts/chart.png') {
+      throw new Error('File uploaded after the deadline should be deleted');
+    }
+    console.log('✓ File uploaded after the deadline deleted:', deletedFiles[0]);
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testQueueTimeout() {
+  const imageGenerator = createControlledGenerator();
+  const taskManager = createTaskManager(imageGenerator, null, 1);
+  const { taskQueue } = taskManager;
+
+  try {
+    const task = await taskManager.createTask(config);
+    await delay(10);
+
+    // 队列的超时检查先于本实例的截止时间收回任务
+    task.startedAt = new Date(Date.now() - 301 * 1000);
+    taskQueue.checkTimeouts();
+
+    if (task.retryCount !== 1 || task.timeoutPhase !== 'render' || imageGenerator.renders.length !== 2) {
+      throw new Error(`Timed out task should be retried, got retryCount ${task.retryCount}`);
+    }
+
+    // 第一次处理的结果迟到，不能完成重试中的任务
+    imageGenerator.renders[0]();
+    await delay(10);
+    if (task.status !== 'processing' || taskQueue.getProcessingTasks().length !== 1) {
+      throw new Error(`Stale result should not complete the retried task, got ${task.status}`);
+    }
+
+    imageGenerator.renders[1]();
+    await delay(10);
+    if (task.status !== 'completed' || taskQueue.getQueueStatus().totalProcessed !== 1) {
+      throw new Error(`Retried task should complete once, got ${task.status}`);
+    }
+    console.log('✓ Stale attempt ignored after queue timeout, retry completed once');
+
+    // 不在处理中的任务不再抛出异常
+    if (taskQueue.completeTask(task.taskId, 'data:image/png;base64,', null) !== false ||
+        taskQueue.failTask(task.taskId, 'late error') !== false) {
+      throw new Error('Finishing a task that is not processing should return false');
+    }
+    console.log('✓ Late completeTask and failTask return false');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function testValidation() {
+  const taskManager = createTaskManager(createControlledGenerator());
+  taskManager.taskQueue.options.maxConcurrent = 0;
+
+  try {
+    for (const timeout of [0, -1, 301, '10']) {
+      try {
+        await taskManager.createTask(config, { timeout });
+        throw new Error(`Timeout ${timeout} should be rejected`);
+      } catch (error) {
+        if (!error.message.includes('Invalid task timeout')) {
+          throw error;
+        }
+      }
+    }
+
+    const task = await taskManager.createTask(config, { timeout: 300 });
+    const restored = Task.fromRecord(JSON.parse(JSON.stringify(task.toRecord())));
+    if (restored.timeout !== 300) {
+      throw new Error('Timeout should be persisted with the task');
+    }
+    console.log('✓ Timeout limited by server maximum and persisted');
+  } finally {
+    taskManager.destroy();
+  }
+}
+
+async function runTests() {
+  try {
+    console.log('\n=== 渲染超时测试 ===');
+    await testRenderTimeout();
+
+    console.log('\n=== 上传超时测试 ===');
+    await testUploadTimeout();
+
+    console.log('\n=== 队列超时测试 ===');
+    await testQueueTimeout();
+
+    console.log('\n=== 参数校验测试 ===');
+    await testValidation();
+
+    console.log('\n✓ All task timeout tests passed!');
+  } catch (error) {
+    console.error('✗ Task timeout test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+runTests();
@@ -0,0 +1,143 @@
+/**
+ * ThemeRegistry测试
+ * 测试内置主题、目录加载、API注册以及与ImageGenerator的集成
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThemeRegistry = require('../src/services/ThemeRegistry');
+const ImageGenerator = require('../src/services/ImageGenerator');
+
+console.log('Testing ThemeRegistry...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+async function testThemeRegistry() {
+  const themeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echarts-themes-'));
+
+  try {
+    console.log('\n=== 内置主题测试 ===');
+    testBuiltInThemes();
+
+    console.log('\n=== 目录加载测试 ===');
+    testLoadFromDirectory(themeDir);
+
+    console.log('\n=== 主题注册测试 ===');
+    testRegisterTheme();
+
+    console.log('\n=== ImageGenerator集成测试 ===');
+    await testImageGeneratorIntegration();
+
+    console.log('\n✓ All ThemeRegistry tests passed!');
+  } catch (error) {
+    console.error('✗ ThemeRegistry test failed:', error.message);
+    process.exit(1);
+  } finally {
+    fs.rmSync(themeDir, { recursive: true, force: true });
+  }
+}
+
+function testBuiltInThemes() {
+  const registry = new ThemeRegistry();
+
+  if (!registry.hasTheme('dark') || !registry.hasTheme('light')) {
+    throw new Error('Built-in themes dark/light should be available');
+  }
+  console.log('✓ Built-in themes available:', registry.listThemes().map(t => t.name).join(', '));
+
+  try {
+    registry.registerTheme('dark', { color: ['#000'] });
+    throw new Error('Should not override built-in theme');
+  } catch (error) {
+    if (!error.message.includes('cannot be overridden')) throw error;
+    console.log('✓ Built-in theme override rejected');
+  }
+}
+
+function testLoadFromDirectory(themeDir) {
+  fs.writeFileSync(path.join(themeDir, 'brand.json'), JSON.stringify({ color: ['#ff6600', '#0066ff'] }));
+  fs.writeFileSync(path.join(themeDir, 'exported.json'), JSON.stringify({
+    version: 1,
+    themeName: 'ocean',
+    theme: { backgroundColor: '#002b36' }
+  }));
+  fs.writeFileSync(path.join(themeDir, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(themeDir, 'readme.txt'), 'ignored');
+
+  const registry = new ThemeRegistry({ themeDir });
+
+  if (!registry.hasTheme('brand')) {
+    throw new Error('Theme brand should be loaded from file name');
+  }
+  if (!registry.hasTheme('ocean')) {
+    throw new Error('Exported theme should be registered by themeName');
+  }
+  if (registry.hasTheme('broken') || registry.hasTheme('readme')) {
+    throw new Error('Invalid theme files should be skipped');
+  }
+  if (registry.getTheme('brand').source !== 'file') {
+    throw new Error('Theme source should be file');
+  }
+  console.log('✓ Themes loaded from directory, invalid files skipped');
+}
+
+function testRegisterTheme() {
+  const registry = new ThemeRegistry();
+
+  const entry = registry.registerTheme('report', { color: ['#123456'] });
+  if (entry.source !== 'api' || !registry.hasTheme('report')) {
+    throw new Error('Theme should be registered via API');
+  }
+  console.log('✓ Theme registered via API');
+
+  const invalidCases = [
+    ['bad name!', {}],
+    ['', {}],
+    ['valid', null],
+    ['valid', ['#fff']]
+  ];
+  for (const [name, theme] of invalidCases) {
+    try {
+      registry.registerTheme(name, theme);
+      throw new Error(`Should have rejected theme ${JSON.stringify(name)}`);
+    } catch (error) {
+      if (error.message.startsWith('Should have')) throw error;
+    }
+  }
+  console.log('✓ Invalid theme names and objects rejected');
+}
+
+async function testImageGeneratorIntegration() {
+  const registry = new ThemeRegistry();
+  registry.registerTheme('black-bg', { backgroundColor: '#000000' });
+  const generator = new ImageGenerator(null, { themeRegistry: registry });
+
+  const plain = await generator.generateImage({ type: 'svg', option });
+  const themed = await generator.generateImage({ type: 'svg', option, theme: 'black-bg' });
+
+  if (!themed.buffer.toString('utf8').includes('#000000')) {
+    throw new Error('Theme backgroundColor should be applied');
+  }
+  if (plain.buffer.equals(themed.buffer)) {
+    throw new Error('Themed output should differ from default output');
+  }
+  console.log('✓ Theme passed to echarts.init');
+
+  const dark = await generator.generateImage({ type: 'png', option, theme: 'dark' });
+  console.log('✓ Built-in dark theme rendered, buffer size:', dark.buffer.length);
+
+  try {
+    await generator.generateImage({ type: 'png', option, theme: 'missing' });
+    throw new Error('Should have failed with unknown theme');
+  } catch (error) {
+    if (!error.message.includes('Unknown theme')) throw error;
+    console.log('✓ Unknown theme rejected:', error.message);
+  }
+}
+
+testThemeRegistry();
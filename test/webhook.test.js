@@ -0,0 +1,328 @@
+/**
+ * Webhook回调测试
+ * 测试签名、重试退避、投递记录、内部地址拦截以及 /api/charts/generate 的 callbackUrl 参数
+ */
+
+// 设置测试环境变量（不配置OSS）
+process.env.NODE_ENV = 'test';
+process.env.PORT = '3006';
+// 测试中的回调接收服务在本机
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+
+const http = require('http');
+const crypto = require('crypto');
+const App = require('../src/app');
+const Task = require('../src/models/Task');
+const WebhookService = require('../src/services/WebhookService');
+
+console.log('Testing webhook callbacks...');
+
+const option = {
+  xAxis: { type: 'category', data: ['A', 'B', 'C'] },
+  yAxis: { type: 'value' },
+  series: [{ type: 'bar', data: [1, 2, 3] }]
+};
+
+/**
+ * 启动回调接收服务，按顺序返回 statusCodes 中的状态码
+ */
+function startReceiver(statusCodes) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statusCodes[Math.min(received.length, statusCodes.length) - 1];
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, () => {
+      resolve({ server, received, url: `http://localhost:${server.address().port}/hook` });
+    });
+  });
+}
+
+function makeRequest(method, path, data = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: 3006,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: JSON.parse(body) });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createFinishedTask(status) {
+  const task = new Task({ type: 'png', option });
+  task.start();
+  if (status === 'completed') {
+    task.complete('https://example.com/chart.png', 'charts/chart.png');
+  } else {
+    task.fail('Render failed');
+  }
+  return task;
+}
+
+async function testSignedDelivery() {
+  const receiver = await startReceiver([200]);
+  const webhookService = new WebhookService({ retryDelay: 10, allowedHosts: ['localhost'] });
+
+  try {
+    const task = createFinishedTask('completed');
+    task.setCallback(receiver.url, 'top-secret');
+
+    const delivered = await webhookService.notify(task);
+    if (!delivered || receiver.received.length !== 1) {
+      throw new Error('Webhook should be delivered on first attempt');
+    }
+
+    const { headers, body } = receiver.received[0];
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', 'top-secret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    if (headers['x-webhook-signature'] !== expected) {
+      throw new Error('Signature header does not match HMAC of timestamp and body');
+    }
+
+    const payload = JSON.parse(body);
+    if (payload.event !== 'task.completed' || payload.taskId !== task.taskId ||
+        payload.imageUrl !== 'https://example.com/chart.png' || payload.error !== null) {
+      throw new Error(`Unexpected payload: ${body}`);
+    }
+
+    const info = task.getCallbackInfo();
+    if (info.status !== 'delivered' || info.deliveries[0].statusCode !== 200 || info.secret !== undefined) {
+      throw new Error('Delivery log should record successful attempt without exposing secret');
+    }
+    console.log('✓ Signed payload delivered:', headers['x-webhook-signature'].substring(0, 20) + '...');
+  } finally {
+    webhookService.destroy();
+    receiver.server.close();
+  }
+}
+
+async function testRetryAndGiveUp() {
+  const receiver = await startReceiver([500, 503, 200]);
+  const webhookService = new WebhookService({ retryDelay: 10, allowedHosts: ['localhost'] });
+
+  try {
+    const task = createFinishedTask('failed');
+    task.setCallback(receiver.url);
+
+    const delivered = await webhookService.notify(task);
+    const { deliveries } = task.getCallbackInfo();
+    if (!delivered || deliveries.length !== 3 || deliveries[0].statusCode !== 500 || !deliveries[2].success) {
+      throw new Error(`Webhook should succeed on third attempt, got ${JSON.stringify(deliveries)}`);
+    }
+
+    const deliveryIds = new Set(receiver.received.map(request => request.headers['x-webhook-delivery']));
+    if (deliveryIds.size !== 1 || receiver.received[0].headers['x-webhook-signature'] !== undefined) {
+      throw new Error('Retries should reuse the delivery ID and unsigned callbacks should have no signature');
+    }
+    if (JSON.parse(receiver.received[0].body).error !== 'Render failed') {
+      throw new Error('Failed task payload should carry the error');
+    }
+    console.log('✓ Retried after 5xx responses:', deliveries.map(d => d.statusCode).join(' -> '));
+  } finally {
+    webhookService.destroy();
+    receiver.server.close();
+  }
+
+  const rejecting = await startReceiver([400]);
+  const limitedService = new WebhookService({ retryDelay: 10, retryAttempts: 2, allowedHosts: ['localhost'] });
+
+  try {
+    const task = createFinishedTask('completed');
+    task.setCallback(rejecting.url);
+
+    await limitedService.notify(task);
+    if (task.callback.status !== 'failed' || rejecting.received.length !== 1) {
+      throw new Error('4xx responses should not be retried');
+    }
+    console.log('✓ 4xx response not retried');
+
+    const unreachable = createFinishedTask('completed');
+    unreachable.setCallback('http://localhost:1/hook');
+    await limitedService.notify(unreachable);
+
+    const { deliveries } = unreachable.getCallbackInfo();
+    if (deliveries.length !== 3 || deliveries[0].statusCode !== null || !deliveries[0].error) {
+      throw new Error('Connection errors should be retried up to retryAttempts times');
+    }
+    console.log('✓ Connection errors retried and logged:', deliveries[0].error);
+  } finally {
+    limitedService.destroy();
+    rejecting.server.close();
+  }
+}
+
+async function expectRejected(webhookService, url) {
+  try {
+    await webhookService.checkUrl(url);
+  } catch (error) {
+    if (!error.message.includes('private or reserved address')) {
+      throw new Error(`Unexpected error for ${url}: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`${url} should be rejected`);
+}
+
+async function testBlockedTargets() {
+  const webhookService = new WebhookService({ retryDelay: 10 });
+  const receiver = await startReceiver([200]);
+
+  try {
+    const internalUrls = [
+      'http://127.0.0.1:8080/hook',
+      'http://localhost/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.1.2.3/hook',
+      'http://172.16.5.4/hook',
+      'https://192.168.1.1/hook',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[::]/hook',
+      'http://[::127.0.0.1]/hook',
+      'http://[64:ff9b::7f00:1]/hook',
+      'http://[64:ff9b::a9fe:a9fe]/hook',
+      'http://[64:ff9b:1::a00:1]/hook',
+      'http://[fd00::1]/hook',
+      'http://0.0.0.0/hook'
+    ];
+    for (const url of internalUrls) {
+      await expectRejected(webhookService, url);
+    }
+    await webhookService.checkUrl('http://93.184.216.34/hook');
+    await webhookService.checkUrl('http://[2606:2800:220:1:248:1893:25c8:1946]/hook');
+    console.log('✓ Loopback, private, link-local and IPv4-embedding IPv6 targets rejected');
+
+    const allowList = new WebhookService({ allowedHosts: ['10.0.8.0/24', '192.168.1.10', 'hooks.internal'] });
+    await allowList.checkUrl('http://10.0.8.25/hook');
+    await allowList.checkUrl('http://192.168.1.10/hook');
+    await allowList.checkUrl('http://hooks.internal/hook');
+    await expectRejected(allowList, 'http://10.0.9.25/hook');
+    await expectRejected(allowList, 'http://169.254.169.254/');
+    console.log('✓ Allowed hosts, addresses and CIDR ranges accepted');
+
+    // 投递时同样拦截，不发送请求也不重试
+    const task = createFinishedTask('completed');
+    task.setCallback(receiver.url, 'top-secret');
+    const delivered = await webhookService.notify(task);
+    const { status, deliveries } = task.getCallbackInfo();
+    if (delivered || status !== 'failed' || deliveries.length !== 1 || receiver.received.length !== 0 ||
+        !deliveries[0].error.includes('private or reserved address')) {
+      throw new Error(`Internal target should not be delivered, got ${JSON.stringify(deliveries)}`);
+    }
+    console.log('✓ Delivery to internal target blocked without retries');
+  } finally {
+    webhookService.destroy();
+    receiver.server.close();
+  }
+}
+
+async function testGenerateWithCallback() {
+  const receiver = await startReceiver([200]);
+
+  try {
+    const response = await makeRequest('POST', '/api/charts/generate', {
+      option,
+      callbackUrl: receiver.url,
+      callbackSecret: 'endpoint-secret'
+    });
+    if (response.statusCode !== 200) {
+      throw new Error(`Create task failed with status ${response.statusCode}`);
+    }
+
+    const { taskId } = response.body.data;
+    let status;
+    for (let i = 0; i < 20; i++) {
+      status = await makeRequest('GET', `/api/charts/status/${taskId}`);
+      if (status.body.data.callback && status.body.data.callback.status === 'delivered') {
+        break;
+      }
+      await delay(100);
+    }
+
+    const { callback } = status.body.data;
+    if (!callback || callback.status !== 'delivered' || callback.url !== receiver.url || callback.deliveries.length !== 1) {
+      throw new Error(`Task status should contain delivery log, got ${JSON.stringify(callback)}`);
+    }
+    if (JSON.parse(receiver.received[0].body).taskId !== taskId) {
+      throw new Error('Callback payload should contain the task ID');
+    }
+    console.log('✓ Task status exposes delivery log:', JSON.stringify(callback.deliveries[0]));
+  } finally {
+    receiver.server.close();
+  }
+
+  const invalidUrl = await makeRequest('POST', '/api/charts/generate', { option, callbackUrl: 'ftp://example.com' });
+  const secretOnly = await makeRequest('POST', '/api/charts/generate', { option, callbackSecret: 'secret' });
+  const metadata = await makeRequest('POST', '/api/charts/generate', {
+    option,
+    callbackUrl: 'http://169.254.169.254/latest/meta-data/'
+  });
+  if (invalidUrl.statusCode !== 400 || secretOnly.statusCode !== 400 || metadata.statusCode !== 400 ||
+      !metadata.body.error.details.includes('private or reserved address')) {
+    throw new Error(`Expected 400 for invalid callback params, got ${invalidUrl.statusCode}/${secretOnly.statusCode}/${metadata.statusCode}`);
+  }
+  console.log('✓ Invalid callback parameters rejected');
+}
+
+async function runTests() {
+  const app = new App();
+
+  try {
+    console.log('\n=== 签名投递测试 ===');
+    await testSignedDelivery();
+
+    console.log('\n=== 重试测试 ===');
+    await testRetryAndGiveUp();
+
+    console.log('\n=== 内部地址拦截测试 ===');
+    await testBlockedTargets();
+
+    await app.start();
+
+    console.log('\n=== 任务回调测试 ===');
+    await testGenerateWithCallback();
+
+    console.log('\n✓ All webhook tests passed!');
+  } catch (error) {
+    console.error('✗ Webhook test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await app.stop();
+    process.exit();
+  }
+}
+
+runTests();